@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+const os = require('os');
+const apiKeys = require('../src/lambda/utils/api-keys');
+const { SCOPES } = require('../src/lambda/utils/api-keys');
+
+const USAGE = `Usage:
+  node scripts/api-keys.js issue --name <name> --scopes <scope,scope> [--expires <ISO date>]
+  node scripts/api-keys.js list
+  node scripts/api-keys.js rotate <keyId> [--grace-hours <hours>]
+  node scripts/api-keys.js revoke <keyId>
+
+Scopes: ${Object.values(SCOPES).join(', ')}`;
+
+/**
+ * Issue, list, rotate and revoke API keys
+ * Uses the same environment as the Lambda functions (API_KEYS_TABLE, STORAGE_ADAPTER, ...),
+ * so it can issue the first keys:manage key before the admin endpoint is usable
+ */
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  // Recorded on the keys like the caller of the admin endpoint
+  const principal = { type: 'cli', id: os.userInfo().username, name: null };
+
+  switch (command) {
+    case 'issue': {
+      const { apiKey, key } = await apiKeys.issueKey({
+        name: flags.name,
+        scopes: flags.scopes ? flags.scopes.split(',').map(scope => scope.trim()).filter(Boolean) : [],
+        expiresAt: flags.expires || null,
+        createdBy: principal
+      });
+      printKey(key);
+      console.log(`\nAPI key (shown once, store it now):\n${apiKey}`);
+      return;
+    }
+    case 'list': {
+      const keys = await apiKeys.listKeys();
+      keys.forEach(key => console.log(
+        `${key.keyId}  ${describeState(key).padEnd(8)}  ${key.name}  [${key.scopes.join(', ')}]  last used ${key.lastUsedAt || 'never'}`
+      ));
+      console.log(`${keys.length} key(s)`);
+      return;
+    }
+    case 'rotate': {
+      const graceHours = flags['grace-hours'] !== undefined ? Number(flags['grace-hours']) : undefined;
+      if (graceHours !== undefined && !(graceHours >= 0)) {
+        throw new Error('--grace-hours must be a number of hours');
+      }
+      const { apiKey, key, previousKey } = await apiKeys.rotateKey(requireKeyId(positional), { graceHours, rotatedBy: principal });
+      printKey(key);
+      console.log(`Replaces ${previousKey.keyId}, which stops working at ${previousKey.expiresAt}`);
+      console.log(`\nAPI key (shown once, store it now):\n${apiKey}`);
+      return;
+    }
+    case 'revoke': {
+      const key = await apiKeys.revokeKey(requireKeyId(positional), { revokedBy: principal });
+      console.log(`Revoked ${key.keyId} (${key.name}) at ${key.revokedAt}`);
+      return;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+/**
+ * Split `--flag value` pairs from positional arguments
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, flags };
+}
+
+function requireKeyId(positional) {
+  if (!positional[0]) {
+    throw new Error(`A keyId is required\n\n${USAGE}`);
+  }
+  return positional[0];
+}
+
+function describeState(key) {
+  if (key.revokedAt) {
+    return 'revoked';
+  }
+  if (key.expiresAt && key.expiresAt <= new Date().toISOString()) {
+    return 'expired';
+  }
+  return key.rotatedTo ? 'rotating' : 'active';
+}
+
+function printKey(key) {
+  console.log(`keyId:     ${key.keyId}`);
+  console.log(`name:      ${key.name}`);
+  console.log(`scopes:    ${key.scopes.join(', ')}`);
+  console.log(`expiresAt: ${key.expiresAt || 'never'}`);
+}
+
+main().catch(error => {
+  console.error(`API key command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+const database = require('../src/lambda/utils/database');
+
+/**
+ * Add the lowercase search attributes (`searchName`, `searchCompany`) and `formIds` to leads
+ * written before the search filters
+ * Uses the same environment as the Lambda functions (LEADS_TABLE, SUBMISSIONS_TABLE, STORAGE_ADAPTER, ...)
+ */
+async function main() {
+  const summary = await database.backfillSearchAttributes();
+
+  console.log(`Backfilled ${summary.leads} leads`);
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+const database = require('../src/lambda/utils/database');
+
+/**
+ * Add `timeBucket` to leads and submissions written before the time bucket index
+ * Uses the same environment as the Lambda functions (LEADS_TABLE, SUBMISSIONS_TABLE, STORAGE_ADAPTER, ...)
+ */
+async function main() {
+  const summary = await database.backfillTimeBuckets();
+
+  console.log(`Backfilled ${summary.leads} leads and ${summary.submissions} submissions`);
+  if (summary.earliestBucket) {
+    console.log(`Earliest month: ${summary.earliestBucket} (TIME_BUCKET_START must not be later than this)`);
+  }
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
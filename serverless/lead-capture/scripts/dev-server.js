@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local defaults; anything already set in the environment wins
+process.env.STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'file';
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+process.env.SES_FROM_EMAIL = process.env.SES_FROM_EMAIL || 'leads@localhost';
+
+const PORT = parseInt(process.env.PORT) || 8000;
+const HOST = process.env.HOST || '127.0.0.1';
+
+// Export jobs run in this process and their files are served under /files
+process.env.EXPORT_RUNNER = process.env.EXPORT_RUNNER || 'inline';
+process.env.EXPORT_STORAGE = process.env.EXPORT_STORAGE || 'local';
+process.env.EXPORT_DIR = process.env.EXPORT_DIR || path.join(process.cwd(), 'tmp', 'exports');
+process.env.EXPORT_BASE_URL = process.env.EXPORT_BASE_URL || `http://${HOST}:${PORT}/files`;
+
+// Double opt-in links open the local confirm route; webhook retries run in this process
+process.env.CONFIRMATION_URL = process.env.CONFIRMATION_URL || `http://${HOST}:${PORT}/leads/confirm`;
+process.env.WEBHOOK_RETRY_RUNNER = process.env.WEBHOOK_RETRY_RUNNER || 'inline';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const HANDLERS_DIR = path.join(SRC_DIR, 'lambda', 'handlers');
+const CLIENT_DIR = path.join(SRC_DIR, 'client');
+const WATCHED_DIRS = [path.join(SRC_DIR, 'lambda'), path.join(SRC_DIR, 'shared')];
+
+// API routes, mirroring the API Gateway resources
+const ROUTES = [
+  { method: 'POST', path: '/leads', handler: 'submit-lead', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads', handler: 'submit-lead', export: 'handler' },
+  { method: 'GET', path: '/leads', handler: 'get-leads', export: 'handler' },
+  { method: 'PATCH', path: '/leads', handler: 'manage-leads', export: 'handler' },
+  { method: 'DELETE', path: '/leads', handler: 'manage-leads', export: 'handler' },
+  { method: 'PATCH', path: '/leads/batch', handler: 'manage-leads', export: 'handler' },
+  { method: 'DELETE', path: '/leads/batch', handler: 'manage-leads', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/batch', handler: 'manage-leads', export: 'handler' },
+  { method: 'PUT', path: '/leads/status', handler: 'manage-leads', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/status', handler: 'manage-leads', export: 'handler' },
+  { method: 'PATCH', path: '/leads/tags', handler: 'manage-leads', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/tags', handler: 'manage-leads', export: 'handler' },
+  { method: 'POST', path: '/leads/notes', handler: 'manage-leads', export: 'handler' },
+  { method: 'DELETE', path: '/leads/notes', handler: 'manage-leads', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/notes', handler: 'manage-leads', export: 'handler' },
+  { method: 'GET', path: '/leads/confirm', handler: 'confirm-lead', export: 'handler' },
+  { method: 'POST', path: '/leads/review', handler: 'review-lead', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/review', handler: 'review-lead', export: 'handler' },
+  { method: 'GET', path: '/leads/count', handler: 'get-leads', export: 'getLeadsCount' },
+  { method: 'OPTIONS', path: '/leads/count', handler: 'get-leads', export: 'getLeadsCount' },
+  { method: 'GET', path: '/leads/stats', handler: 'get-stats', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/stats', handler: 'get-stats', export: 'handler' },
+  { method: 'POST', path: '/leads/exports', handler: 'export-leads', export: 'handler' },
+  { method: 'GET', path: '/leads/exports', handler: 'export-leads', export: 'handler' },
+  { method: 'OPTIONS', path: '/leads/exports', handler: 'export-leads', export: 'handler' },
+  { method: 'GET', path: '/keys', handler: 'api-keys', export: 'handler' },
+  { method: 'POST', path: '/keys', handler: 'api-keys', export: 'handler' },
+  { method: 'DELETE', path: '/keys', handler: 'api-keys', export: 'handler' },
+  { method: 'OPTIONS', path: '/keys', handler: 'api-keys', export: 'handler' },
+  { method: 'GET', path: '/audit-log', handler: 'audit-log', export: 'handler' },
+  { method: 'OPTIONS', path: '/audit-log', handler: 'audit-log', export: 'handler' },
+  { method: 'GET', path: '/challenge', handler: 'get-challenge', export: 'handler' },
+  { method: 'OPTIONS', path: '/challenge', handler: 'get-challenge', export: 'handler' },
+  { method: 'GET', path: '/data-subject', handler: 'data-subject', export: 'handler' },
+  { method: 'DELETE', path: '/data-subject', handler: 'data-subject', export: 'handler' },
+  { method: 'OPTIONS', path: '/data-subject', handler: 'data-subject', export: 'handler' },
+  { method: 'GET', path: '/webhooks', handler: 'webhooks', export: 'handler' },
+  { method: 'POST', path: '/webhooks', handler: 'webhooks', export: 'handler' },
+  { method: 'PATCH', path: '/webhooks', handler: 'webhooks', export: 'handler' },
+  { method: 'DELETE', path: '/webhooks', handler: 'webhooks', export: 'handler' },
+  { method: 'OPTIONS', path: '/webhooks', handler: 'webhooks', export: 'handler' },
+  { method: 'GET', path: '/webhooks/deliveries', handler: 'webhooks', export: 'listDeliveries' },
+  { method: 'OPTIONS', path: '/webhooks/deliveries', handler: 'webhooks', export: 'listDeliveries' },
+  { method: 'GET', path: '/health', handler: 'get-leads', export: 'healthCheck' }
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.csv': 'text/csv; charset=utf-8',
+  '.ndjson': 'application/x-ndjson'
+};
+
+/**
+ * Turn an HTTP request into an API Gateway REST proxy event
+ */
+function createProxyEvent(req, url, route, body) {
+  const headers = {};
+  const multiValueHeaders = {};
+
+  // Keep the header names as sent, the way API Gateway passes them
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    const name = req.rawHeaders[i];
+    const value = req.rawHeaders[i + 1];
+    headers[name] = value;
+    multiValueHeaders[name] = (multiValueHeaders[name] || []).concat(value);
+  }
+
+  const queryStringParameters = {};
+  const multiValueQueryStringParameters = {};
+  for (const [name, value] of url.searchParams) {
+    queryStringParameters[name] = value;
+    multiValueQueryStringParameters[name] = (multiValueQueryStringParameters[name] || []).concat(value);
+  }
+  const hasQuery = Object.keys(queryStringParameters).length > 0;
+
+  const requestId = crypto.randomUUID();
+  const now = Date.now();
+
+  return {
+    resource: route.path,
+    path: url.pathname,
+    httpMethod: req.method,
+    headers,
+    multiValueHeaders,
+    queryStringParameters: hasQuery ? queryStringParameters : null,
+    multiValueQueryStringParameters: hasQuery ? multiValueQueryStringParameters : null,
+    pathParameters: null,
+    stageVariables: null,
+    requestContext: {
+      requestId,
+      stage: 'local',
+      resourcePath: route.path,
+      httpMethod: req.method,
+      path: url.pathname,
+      requestTime: new Date(now).toISOString(),
+      requestTimeEpoch: now,
+      identity: {
+        sourceIp: req.socket.remoteAddress.replace(/^::ffff:/, ''),
+        userAgent: req.headers['user-agent'] || null
+      }
+    },
+    body: body.length > 0 ? body.toString('utf8') : null,
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Minimal Lambda context object
+ */
+function createContext(route, startedAt) {
+  return {
+    functionName: `local-${route.handler}`,
+    awsRequestId: crypto.randomUUID(),
+    getRemainingTimeInMillis: () => Math.max(0, 30000 - (Date.now() - startedAt))
+  };
+}
+
+/**
+ * Write a Lambda proxy response to the HTTP response
+ */
+function sendProxyResponse(res, result) {
+  const headers = {};
+
+  Object.entries(result.headers || {}).forEach(([name, value]) => {
+    headers[name] = String(value);
+  });
+  Object.entries(result.multiValueHeaders || {}).forEach(([name, values]) => {
+    headers[name] = values.map(String);
+  });
+
+  const body = result.isBase64Encoded
+    ? Buffer.from(result.body || '', 'base64')
+    : Buffer.from(result.body || '');
+
+  res.writeHead(result.statusCode || 200, headers);
+  res.end(body);
+}
+
+/**
+ * Send a JSON error the way API Gateway does when an integration fails
+ */
+function sendGatewayError(res, statusCode, message) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ message }));
+}
+
+/**
+ * Read the request body, refusing anything larger than MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Run the handler for an API route
+ */
+async function invokeRoute(req, res, url, route) {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    return sendGatewayError(res, 413, error.message);
+  }
+
+  const startedAt = Date.now();
+  const event = createProxyEvent(req, url, route, body);
+
+  // Required on every request so a reload picks up the new code
+  const handler = require(path.join(HANDLERS_DIR, route.handler))[route.export];
+  const result = await handler(event, createContext(route, startedAt));
+
+  sendProxyResponse(res, result);
+  console.log(`${req.method} ${url.pathname} → ${route.handler}.${route.export} ${result.statusCode} (${Date.now() - startedAt}ms)`);
+}
+
+/**
+ * Serve the form and the embed example straight from src/client
+ */
+function serveClient(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendGatewayError(res, 405, 'Method Not Allowed');
+  }
+
+  const pathname = url.pathname === '/' ? '/embed-example.html' : url.pathname;
+  const filePath = path.join(CLIENT_DIR, path.normalize(pathname));
+
+  if (!filePath.startsWith(CLIENT_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return sendGatewayError(res, 404, 'Not Found');
+  }
+
+  let content = fs.readFileSync(filePath, 'utf8');
+
+  if (pathname === '/lead-capture.js') {
+    // Same bundle as `npm run build:client`
+    content = fs.readFileSync(path.join(SRC_DIR, 'shared', 'lead-schema.js'), 'utf8') + content;
+  } else if (pathname === '/embed-example.html') {
+    // Point the live examples at the local API instead of httpbin
+    content = content.replace(/https:\/\/httpbin\.org\/post/g, '/leads');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  });
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * Serve finished export files from EXPORT_DIR, standing in for the S3 download URLs
+ */
+function serveExport(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendGatewayError(res, 405, 'Method Not Allowed');
+  }
+
+  const exportDir = path.resolve(process.env.EXPORT_DIR);
+  const filePath = path.join(exportDir, path.normalize(decodeURIComponent(url.pathname.slice('/files'.length))));
+
+  if (!filePath.startsWith(exportDir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return sendGatewayError(res, 404, 'Not Found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${path.basename(filePath)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Drop every cached module under src/ so the next request loads the current code
+ */
+function clearModuleCache() {
+  Object.keys(require.cache)
+    .filter(modulePath => modulePath.startsWith(SRC_DIR + path.sep))
+    .forEach(modulePath => delete require.cache[modulePath]);
+}
+
+/**
+ * Reload the Lambda code when a file under src/lambda or src/shared changes
+ */
+function watchSources() {
+  let timer = null;
+  const changed = new Set();
+
+  const onChange = (filePath) => {
+    changed.add(path.relative(SRC_DIR, filePath));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      clearModuleCache();
+      console.log(`Reloaded handlers (${[...changed].join(', ')} changed)`);
+      changed.clear();
+    }, 100);
+  };
+
+  const watched = new Set();
+  WATCHED_DIRS.forEach(directory => watchDirectory(directory, watched, onChange));
+}
+
+/**
+ * Watch a directory and each directory below it
+ * `fs.watch` with `recursive` is not available on Linux before Node 20, so every directory
+ * gets its own watcher; directories created later are picked up from their parent's events
+ */
+function watchDirectory(directory, watched, onChange) {
+  if (watched.has(directory)) return;
+  watched.add(directory);
+
+  const watcher = fs.watch(directory, (eventType, filename) => {
+    if (!filename) return;
+
+    const filePath = path.join(directory, filename);
+    if (filename.endsWith('.js')) {
+      onChange(filePath);
+    } else if (eventType === 'rename' && isDirectory(filePath)) {
+      watchDirectory(filePath, watched, onChange);
+    }
+  });
+  watcher.on('error', () => {
+    // The directory was removed; a new one with the same name is watched again
+    watcher.close();
+    watched.delete(directory);
+  });
+
+  fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => watchDirectory(path.join(directory, entry.name), watched, onChange));
+}
+
+/**
+ * Whether a path is an existing directory
+ */
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+  try {
+    if (pathname.startsWith('/files/')) {
+      return serveExport(req, res, url);
+    }
+
+    const routes = ROUTES.filter(route => route.path === pathname);
+    if (routes.length === 0) {
+      return serveClient(req, res, url);
+    }
+
+    const route = routes.find(candidate => candidate.method === req.method);
+    if (!route) {
+      return sendGatewayError(res, 405, 'Method Not Allowed');
+    }
+
+    await invokeRoute(req, res, url, route);
+  } catch (error) {
+    console.error(`${req.method} ${url.pathname} failed:`, error);
+
+    if (!res.headersSent) {
+      sendGatewayError(res, 502, 'Internal server error');
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  watchSources();
+
+  console.log(`Lead capture dev server on http://${HOST}:${PORT}`);
+  console.log(`  Form:    http://${HOST}:${PORT}/`);
+  console.log(`  API:     http://${HOST}:${PORT}/leads`);
+  console.log(`  Storage: ${process.env.STORAGE_ADAPTER}${process.env.STORAGE_ADAPTER === 'file' ? ` (${process.env.STORAGE_DIR || './tmp/data'})` : ''}`);
+  console.log(`  Mail:    ${process.env.MAIL_TRANSPORT}`);
+  console.log(`  Exports: ${process.env.EXPORT_STORAGE}${process.env.EXPORT_STORAGE === 'local' ? ` (${process.env.EXPORT_DIR})` : ''}`);
+  console.log(`  Fields:  ${(process.env.FIELD_ENCRYPTION_PROVIDER || 'none') === 'none' ? 'plaintext' : `encrypted (${process.env.FIELD_ENCRYPTION_PROVIDER})`}`);
+  if (!process.env.API_KEY) {
+    // No default key: admin endpoints need a key issued into the same storage
+    console.log(`  Keys:    STORAGE_ADAPTER=${process.env.STORAGE_ADAPTER} node scripts/api-keys.js issue --name dev --scopes <scope,scope>`);
+  }
+});
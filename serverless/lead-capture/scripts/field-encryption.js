@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+const { KmsKeyProvider, rotateLocalKeyFile, FIELD_ENCRYPTION_KEY_FILE } = require('../src/lambda/utils/key-provider');
+
+const USAGE = `Usage:
+  node scripts/field-encryption.js rotate-local-key [file]
+  node scripts/field-encryption.js create-blind-index-key <id>
+  node scripts/field-encryption.js reencrypt`;
+
+/**
+ * Manage the keys of lead field encryption and move stored items over to the current keys
+ * Uses the same environment as the Lambda functions (FIELD_ENCRYPTION_*, LEADS_TABLE, STORAGE_ADAPTER, ...)
+ */
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+
+  switch (command) {
+    case 'rotate-local-key': {
+      const filePath = argument || FIELD_ENCRYPTION_KEY_FILE;
+      const { wrappingKeyId, blindIndexKeyId } = rotateLocalKeyFile(filePath);
+      console.log(`Added wrapping key ${wrappingKeyId} and blind index key ${blindIndexKeyId} to ${filePath}`);
+      return;
+    }
+    case 'create-blind-index-key': {
+      if (!argument) {
+        throw new Error(`A key ID is required\n\n${USAGE}`);
+      }
+      const entry = await new KmsKeyProvider().createBlindIndexKey(argument);
+      console.log('Add this entry to the front of FIELD_ENCRYPTION_BLIND_INDEX_KEYS:');
+      console.log(JSON.stringify(entry));
+      return;
+    }
+    case 'reencrypt': {
+      // Loaded here so the key commands work without table settings
+      const database = require('../src/lambda/utils/database');
+      const summary = await database.reencryptItems();
+      console.log(`Re-encrypted ${summary.leads} leads, ${summary.submissions} submissions and ${summary.deliveries} webhook deliveries`);
+      if (summary.skipped > 0) {
+        console.log(`${summary.skipped} leads changed while running; run again to pick them up`);
+      }
+      return;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(error => {
+  console.error(`Field encryption command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -30,91 +30,113 @@
         allowedDomains: '', // Comma-separated list of allowed domains for CORS
         apiKey: '', // Optional API key for authentication
         customCss: '', // Custom CSS classes to add
+        // Consent checkbox (rendered when consentText is set)
+        consentText: '', // Checkbox label, e.g. 'I agree to receive marketing emails.'
+        consentLinkText: 'Privacy Policy', // Text of the link to the policy
+        consentPolicyUrl: '', // URL of the privacy policy
+        consentPolicyVersion: '', // Policy version recorded with the consent
+        consentRequired: false, // Block submission until the box is ticked
+        challengeEndpoint: '', // Proof-of-work challenge URL (get-challenge.js); empty disables it
         debugMode: false // Enable console logging for debugging
     };
 
+    // Shared submission schema (src/shared/lead-schema.js, bundled ahead of this file)
+    const LeadCaptureSchema = window.LeadCaptureSchema;
+    if (!LeadCaptureSchema) {
+        console.error('LeadCaptureForm: lead-schema.js must be loaded before lead-capture.js');
+        return;
+    }
+
     // Form validation rules - Mautic compatible field definitions
-    const VALIDATION_RULES = {
-        // Standard contact fields (Mautic compatible)
-        name: {
-            required: true,
-            minLength: 2,
-            maxLength: 50,
-            pattern: /^[a-zA-Z\s\-'\.]+$/,
-            message: 'Please enter a valid name (2-50 characters, letters only)',
-            mauticField: 'firstname' // Maps to Mautic firstname field
-        },
-        lastname: {
-            required: false,
-            minLength: 2,
-            maxLength: 50,
-            pattern: /^[a-zA-Z\s\-'\.]+$/,
-            message: 'Please enter a valid last name',
-            mauticField: 'lastname'
-        },
-        email: {
-            required: true,
-            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-            message: 'Please enter a valid email address',
-            mauticField: 'email'
-        },
-        company: {
-            required: false,
-            maxLength: 100,
-            message: 'Company name must be less than 100 characters',
-            mauticField: 'company'
-        },
-        phone: {
-            required: false,
-            pattern: /^[\+]?[1-9][\d]{0,15}$/,
-            message: 'Please enter a valid phone number',
-            mauticField: 'phone'
-        },
-        // Custom fields
-        details: {
-            required: false,
-            maxLength: 500,
-            message: 'Details must be less than 500 characters',
-            mauticField: 'details', // Custom field in Mautic
-            fieldType: 'textarea'
-        },
-        website: {
-            required: false,
-            pattern: /^https?:\/\/.+/,
-            message: 'Please enter a valid website URL',
-            mauticField: 'website'
-        },
-        jobtitle: {
-            required: false,
-            maxLength: 100,
-            message: 'Job title must be less than 100 characters',
-            mauticField: 'position'
-        },
-        // Lead source tracking
-        leadsource: {
-            required: false,
-            maxLength: 100,
-            message: 'Lead source identifier',
-            mauticField: 'leadsource',
-            fieldType: 'hidden'
-        },
-        // Custom Mautic fields (can be extended)
-        industry: {
-            required: false,
-            maxLength: 50,
-            message: 'Industry must be less than 50 characters',
-            mauticField: 'industry',
-            fieldType: 'select',
-            options: ['Technology', 'Healthcare', 'Finance', 'Education', 'Other']
-        },
-        budget: {
-            required: false,
-            pattern: /^\d+$/,
-            message: 'Please enter a valid budget amount',
-            mauticField: 'budget',
-            fieldType: 'number'
+    const VALIDATION_RULES = LeadCaptureSchema.FIELDS;
+
+    // Hidden field that people never see but form-filling bots do
+    const HONEYPOT_FIELD = 'lc_hp';
+
+    // Attribution touches: the first across visits (localStorage) and the latest of this visit (sessionStorage)
+    const FIRST_TOUCH_KEY = 'leadCaptureFirstTouch';
+    const LAST_TOUCH_KEY = 'leadCaptureLastTouch';
+    const FIRST_TOUCH_MAX_AGE_DAYS = 90; // An older first touch is replaced by the next visit
+
+    /**
+     * Attribution touch of the current page view
+     */
+    function getCurrentTouch() {
+        const params = new URLSearchParams(window.location.search);
+        const touch = {};
+
+        Object.entries(LeadCaptureSchema.UTM_PARAMETERS).forEach(([key, param]) => {
+            touch[key] = params.get(param) || '';
+        });
+        touch.landingPage = window.location.href;
+        touch.referrer = document.referrer || '';
+        touch.timestamp = new Date().toISOString();
+
+        return touch;
+    }
+
+    /**
+     * Read a stored touch; storage can be disabled or full
+     */
+    function readTouch(storageName, key) {
+        try {
+            return JSON.parse(window[storageName].getItem(key));
+        } catch (e) {
+            return null;
         }
-    };
+    }
+
+    function writeTouch(storageName, key, touch) {
+        try {
+            window[storageName].setItem(key, JSON.stringify(touch));
+        } catch (e) {
+            // Attribution falls back to the current page
+        }
+    }
+
+    /**
+     * Remember the first and last touch on every page the script loads on
+     * A page with UTM parameters starts a new last touch; pages without keep the visit's campaign
+     */
+    function recordTouches() {
+        const touch = getCurrentTouch();
+        const hasUtm = Object.keys(LeadCaptureSchema.UTM_PARAMETERS).some(key => touch[key]);
+
+        const firstTouch = readTouch('localStorage', FIRST_TOUCH_KEY);
+        const maxAgeMs = FIRST_TOUCH_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        if (!firstTouch || !(Date.now() - Date.parse(firstTouch.timestamp) < maxAgeMs)) {
+            writeTouch('localStorage', FIRST_TOUCH_KEY, touch);
+        }
+
+        if (hasUtm || !readTouch('sessionStorage', LAST_TOUCH_KEY)) {
+            writeTouch('sessionStorage', LAST_TOUCH_KEY, touch);
+        }
+    }
+
+    /**
+     * Find a nonce for which SHA-256("<token>:<nonce>") starts with `difficulty` zero bits
+     * Self-contained, as it also runs as the Web Worker's source
+     */
+    async function solveChallenge(token, difficulty) {
+        const encoder = new TextEncoder();
+
+        for (let nonce = 0; ; nonce++) {
+            const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token + ':' + nonce)));
+            let bits = 0;
+            for (let i = 0; i < hash.length; i++) {
+                if (hash[i] === 0) {
+                    bits += 8;
+                    continue;
+                }
+                bits += Math.clz32(hash[i]) - 24;
+                break;
+            }
+            if (bits >= difficulty) return nonce;
+        }
+    }
+
+    const SOLVER_WORKER_SOURCE = 'const solveChallenge = ' + solveChallenge.toString() + ';\n' +
+        'self.onmessage = (e) => solveChallenge(e.data.token, e.data.difficulty).then(nonce => self.postMessage({ nonce }));';
 
     /**
      * LeadCaptureForm Class
@@ -173,6 +195,15 @@
             this.parseJsonConfig('fieldPlaceholders');
             this.parseJsonConfig('validationMessages');
 
+            // Consent is recorded against a policy version; only link to web URLs
+            if (this.config.consentText && !this.config.consentPolicyVersion) {
+                console.warn('LeadCaptureForm: consentPolicyVersion is required when consentText is set');
+            }
+            if (this.config.consentPolicyUrl && !/^https?:\/\//.test(this.config.consentPolicyUrl)) {
+                console.warn('LeadCaptureForm: Invalid consentPolicyUrl:', this.config.consentPolicyUrl);
+                this.config.consentPolicyUrl = '';
+            }
+
             // Parse allowed domains
             if (typeof this.config.allowedDomains === 'string' && this.config.allowedDomains) {
                 this.config.allowedDomains = this.config.allowedDomains.split(',').map(d => d.trim());
@@ -215,6 +246,8 @@
                         
                         <div class="form-body">
                             ${this.renderFields()}
+                            ${this.renderConsent()}
+                            ${this.renderHoneypot()}
                         </div>
                         
                         <div class="form-footer">
@@ -236,6 +269,7 @@
 
             this.container.innerHTML = formHTML;
             this.form = document.getElementById(formId);
+            this.renderedAt = Date.now();
         }
 
         /**
@@ -275,7 +309,7 @@
                             </div>
                         `;
                     
-                    case 'select':
+                    case 'select': {
                         const options = field.options || [];
                         const optionHtml = options.map(option => 
                             `<option value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</option>`
@@ -298,6 +332,7 @@
                                 <div class="field-error" style="display: none;"></div>
                             </div>
                         `;
+                    }
                     
                     case 'hidden':
                         return `
@@ -328,7 +363,7 @@
                             </div>
                         `;
                     
-                    default: // text, email, tel, url
+                    default: { // text, email, tel, url
                         const inputType = this.getInputType(fieldName, fieldType);
                         
                         return `
@@ -348,10 +383,51 @@
                                 <div class="field-error" style="display: none;"></div>
                             </div>
                         `;
+                    }
                 }
             }).join('');
         }
 
+        /**
+         * Render the consent checkbox with its policy link
+         */
+        renderConsent() {
+            if (!this.config.consentText) return '';
+
+            const fieldId = 'field-consent-' + Math.random().toString(36).substr(2, 9);
+            const requiredIndicator = (this.config.consentRequired && this.config.showRequiredIndicator) ? ' *' : '';
+            const policyLink = this.config.consentPolicyUrl
+                ? ` <a href="${this.escapeHtml(this.config.consentPolicyUrl).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(this.config.consentLinkText)}</a>`
+                : '';
+
+            return `
+                <div class="form-group form-consent">
+                    <input 
+                        type="checkbox" 
+                        id="${fieldId}" 
+                        name="consent" 
+                        class="form-input form-checkbox"
+                        ${this.config.consentRequired ? 'required' : ''}
+                    />
+                    <label for="${fieldId}" class="form-label consent-label">${this.escapeHtml(this.config.consentText)}${policyLink}${requiredIndicator}</label>
+                    <div class="field-error" style="display: none;"></div>
+                </div>
+            `;
+        }
+
+        /**
+         * Render the honeypot field, kept off-screen and out of the tab order
+         */
+        renderHoneypot() {
+            return `
+                <div class="form-hp" aria-hidden="true">
+                    <label>Leave this field empty
+                        <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off" />
+                    </label>
+                </div>
+            `;
+        }
+
         /**
          * Get field label
          */
@@ -434,6 +510,9 @@
                 this.handleSubmit();
             });
 
+            // Start solving the proof-of-work challenge while the visitor types
+            this.form.addEventListener('focusin', () => this.prepareChallenge());
+
             // Real-time validation
             const inputs = this.form.querySelectorAll('.form-input');
             inputs.forEach(input => {
@@ -453,6 +532,16 @@
          */
         validateField(input) {
             const fieldName = input.name;
+
+            if (input.type === 'checkbox') {
+                if (input.required && !input.checked) {
+                    this.showFieldError(input, 'Please tick the box to continue');
+                    return false;
+                }
+                this.clearFieldError(input);
+                return true;
+            }
+
             const value = input.value.trim();
             const rules = VALIDATION_RULES[fieldName];
             
@@ -464,27 +553,10 @@
                 return false;
             }
 
-            // Skip other validations if field is empty and not required
-            if (!value && !rules.required) {
-                this.clearFieldError(input);
-                return true;
-            }
-
-            // Check minimum length
-            if (rules.minLength && value.length < rules.minLength) {
-                this.showFieldError(input, rules.message);
-                return false;
-            }
-
-            // Check maximum length
-            if (rules.maxLength && value.length > rules.maxLength) {
-                this.showFieldError(input, rules.message);
-                return false;
-            }
-
-            // Check pattern
-            if (rules.pattern && !rules.pattern.test(value)) {
-                this.showFieldError(input, rules.message);
+            // Length and pattern checks are shared with the backend
+            const error = LeadCaptureSchema.validateField(fieldName, value, false);
+            if (error) {
+                this.showFieldError(input, error);
                 return false;
             }
 
@@ -536,7 +608,7 @@
             
             let allRequiredFilled = true;
             requiredInputs.forEach(input => {
-                if (!input.value.trim()) {
+                if (input.type === 'checkbox' ? !input.checked : !input.value.trim()) {
                     allRequiredFilled = false;
                 }
             });
@@ -562,6 +634,10 @@
 
             try {
                 const formData = this.getFormData();
+                const proofOfWork = await this.getProofOfWork();
+                if (proofOfWork) {
+                    formData.proofOfWork = proofOfWork;
+                }
                 const response = await this.submitToAPI(formData);
 
                 if (response.success) {
@@ -586,38 +662,63 @@
         getFormData() {
             const formData = new FormData(this.form);
             const data = {
+                schemaVersion: LeadCaptureSchema.SCHEMA_VERSION,
                 timestamp: new Date().toISOString(),
                 source: window.location.hostname,
                 referrer: document.referrer || '',
                 userAgent: navigator.userAgent,
                 pageUrl: window.location.href,
                 contact: {},
+                customFields: {},
                 mauticFields: {} // Mautic-compatible field mapping
             };
 
-            // Process form fields
+            // Process form fields into their schema sections
             for (let [key, value] of formData.entries()) {
+                if (key === 'consent' || key === HONEYPOT_FIELD) continue;
+
                 if (value && value.toString().trim()) {
                     const trimmedValue = value.toString().trim();
-                    data.contact[key] = trimmedValue;
-
-                    // Map to Mautic field if defined
                     const fieldRule = VALIDATION_RULES[key];
-                    if (fieldRule && fieldRule.mauticField) {
-                        data.mauticFields[fieldRule.mauticField] = trimmedValue;
-                    }
+                    const section = fieldRule ? fieldRule.section : 'customFields';
+                    data[section][key] = trimmedValue;
                 }
             }
 
-            // Add tracking data
+            data.mauticFields = LeadCaptureSchema.toMauticFields({ ...data.contact, ...data.customFields });
+
+            // Consent with the exact wording shown next to the checkbox
+            const consentInput = this.form.querySelector('input[name="consent"]');
+            if (consentInput) {
+                const consentLabel = this.form.querySelector(`label[for="${consentInput.id}"]`);
+                data.consent = {
+                    given: consentInput.checked,
+                    text: consentLabel.textContent.replace(/\s*\*$/, '').replace(/\s+/g, ' ').trim(),
+                    policyUrl: this.config.consentPolicyUrl,
+                    policyVersion: this.config.consentPolicyVersion,
+                    required: this.config.consentRequired
+                };
+            }
+
+            // Signals for server-side spam scoring
+            data.spamSignals = {
+                honeypot: formData.get(HONEYPOT_FIELD) || '',
+                timeToSubmitMs: Date.now() - this.renderedAt
+            };
+
+            // Add tracking data; top-level UTM values are the visit's (last touch)
+            const currentTouch = getCurrentTouch();
+            const firstTouch = readTouch('localStorage', FIRST_TOUCH_KEY) || currentTouch;
+            const lastTouch = readTouch('sessionStorage', LAST_TOUCH_KEY) || currentTouch;
             data.tracking = {
-                formId: this.container.id || 'lead-capture-form',
+                formId: this.getFormId(),
                 sessionId: this.getSessionId(),
-                utmSource: this.getUrlParameter('utm_source'),
-                utmMedium: this.getUrlParameter('utm_medium'),
-                utmCampaign: this.getUrlParameter('utm_campaign'),
-                utmTerm: this.getUrlParameter('utm_term'),
-                utmContent: this.getUrlParameter('utm_content')
+                ...Object.keys(LeadCaptureSchema.UTM_PARAMETERS).reduce((utm, key) => {
+                    utm[key] = lastTouch[key] || '';
+                    return utm;
+                }, {}),
+                firstTouch,
+                lastTouch
             };
 
             if (this.config.debugMode) {
@@ -627,6 +728,106 @@
             return data;
         }
 
+        /**
+         * Form ID reported in tracking data and used to size challenges
+         */
+        getFormId() {
+            return this.container.id || 'lead-capture-form';
+        }
+
+        /**
+         * Fetch and solve a proof-of-work challenge in the background
+         */
+        prepareChallenge() {
+            if (!this.config.challengeEndpoint || this.challengePromise) return;
+
+            this.challengePromise = this.fetchChallenge()
+                .then(challenge => this.runSolver(challenge.token, challenge.difficulty)
+                    .then(nonce => ({ token: challenge.token, nonce, expiresAt: challenge.expiresAt })))
+                .catch(error => {
+                    if (this.config.debugMode) {
+                        console.warn('LeadCaptureForm: Proof-of-work challenge failed:', error);
+                    }
+                    return null;
+                });
+        }
+
+        /**
+         * Wait for the challenge solution; each solution can be submitted once
+         */
+        async getProofOfWork() {
+            if (!this.config.challengeEndpoint) return null;
+
+            this.prepareChallenge();
+            let solution = await this.challengePromise;
+
+            // Retry once if the background attempt failed or the challenge is about to expire
+            if (!solution || solution.expiresAt * 1000 < Date.now() + 5000) {
+                this.challengePromise = null;
+                this.prepareChallenge();
+                solution = await this.challengePromise;
+            }
+
+            this.challengePromise = null;
+            return solution ? { token: solution.token, nonce: solution.nonce } : null;
+        }
+
+        /**
+         * Request a challenge for this form
+         */
+        async fetchChallenge() {
+            const url = new URL(this.config.challengeEndpoint, window.location.href);
+            url.searchParams.set('formId', this.getFormId());
+
+            const response = await fetch(url.toString(), {
+                mode: 'cors',
+                credentials: 'omit'
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const responseData = await response.json();
+            return responseData.challenge;
+        }
+
+        /**
+         * Solve a challenge in a Web Worker, or on the main thread where workers are unavailable
+         */
+        runSolver(token, difficulty) {
+            if (typeof Worker === 'undefined') {
+                return solveChallenge(token, difficulty);
+            }
+
+            return new Promise((resolve) => {
+                const workerUrl = URL.createObjectURL(new Blob([SOLVER_WORKER_SOURCE], { type: 'application/javascript' }));
+                const finish = (worker) => {
+                    if (worker) worker.terminate();
+                    URL.revokeObjectURL(workerUrl);
+                };
+
+                let worker;
+                try {
+                    worker = new Worker(workerUrl);
+                } catch (error) {
+                    // e.g. blob: workers blocked by a Content Security Policy
+                    finish(null);
+                    resolve(solveChallenge(token, difficulty));
+                    return;
+                }
+
+                worker.onmessage = (e) => {
+                    finish(worker);
+                    resolve(e.data.nonce);
+                };
+                worker.onerror = () => {
+                    finish(worker);
+                    resolve(solveChallenge(token, difficulty));
+                };
+                worker.postMessage({ token, difficulty });
+            });
+        }
+
         /**
          * Get or create session ID for tracking
          */
@@ -827,6 +1028,12 @@
                 allowedDomains: container.dataset.allowedDomains || DEFAULT_CONFIG.allowedDomains,
                 apiKey: container.dataset.apiKey || DEFAULT_CONFIG.apiKey,
                 customCss: container.dataset.customCss || DEFAULT_CONFIG.customCss,
+                consentText: container.dataset.consentText || DEFAULT_CONFIG.consentText,
+                consentLinkText: container.dataset.consentLinkText || DEFAULT_CONFIG.consentLinkText,
+                consentPolicyUrl: container.dataset.consentPolicyUrl || DEFAULT_CONFIG.consentPolicyUrl,
+                consentPolicyVersion: container.dataset.consentPolicyVersion || DEFAULT_CONFIG.consentPolicyVersion,
+                consentRequired: container.dataset.consentRequired === 'true', // Default false
+                challengeEndpoint: container.dataset.challengeEndpoint || DEFAULT_CONFIG.challengeEndpoint,
                 debugMode: container.dataset.debugMode === 'true' // Default false
             };
 
@@ -840,6 +1047,8 @@
      */
     window.LeadCaptureForm = LeadCaptureForm;
 
+    recordTouches();
+
     /**
      * Auto-initialize when DOM is ready
      */
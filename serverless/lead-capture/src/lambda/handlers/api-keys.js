@@ -0,0 +1,263 @@
+const apiKeys = require('../utils/api-keys');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+const { validateKeyInput } = require('../utils/api-keys');
+const { getHeader } = require('../utils/headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  handler: SCOPES.KEYS_MANAGE
+};
+
+// Longest grace period a rotation may ask for (30 days)
+const MAX_GRACE_HOURS = 720;
+
+/**
+ * Lambda handler for managing API keys
+ * GET lists keys (or one with ?keyId=), POST issues a key (or rotates one with ?keyId=&action=rotate),
+ * DELETE revokes a key
+ */
+exports.handler = async (event) => {
+  console.log('Received API key request:', event.httpMethod, event.path);
+
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES.handler);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const { keyId = null, action = null } = queryParams;
+
+    if (keyId && !isValidKeyId(keyId)) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'keyId must be 16 hexadecimal characters', corsHeaders, 'keyId');
+    }
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return await handleGetKeys(keyId, corsHeaders);
+      case 'POST':
+        if (action === 'rotate') {
+          return await handleRotateKey(keyId, event, authResult.principal, corsHeaders);
+        }
+        if (action !== null || keyId) {
+          return createErrorResponse(400, 'INVALID_PARAMETERS', 'Use action=rotate with keyId to rotate a key', corsHeaders, 'action');
+        }
+        return await handleIssueKey(event, authResult.principal, corsHeaders);
+      case 'DELETE':
+        return await handleRevokeKey(keyId, authResult.principal, corsHeaders);
+      default:
+        return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET, POST and DELETE methods are allowed', corsHeaders);
+    }
+
+  } catch (error) {
+    console.error('Error managing API keys:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while managing API keys'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * List keys, or return a single key by ID
+ */
+async function handleGetKeys(keyId, corsHeaders) {
+  if (keyId) {
+    const key = await apiKeys.getKey(keyId);
+    if (!key) {
+      return createErrorResponse(404, 'API_KEY_NOT_FOUND', 'API key not found', corsHeaders);
+    }
+
+    return createSuccessResponse({ data: key }, corsHeaders);
+  }
+
+  const items = await apiKeys.listKeys();
+  return createSuccessResponse({
+    data: items,
+    count: items.length
+  }, corsHeaders);
+}
+
+/**
+ * Issue a new key
+ * The key itself is only returned in this response
+ */
+async function handleIssueKey(event, principal, corsHeaders) {
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+  }
+
+  const { name, scopes, expiresAt = null } = requestBody || {};
+  const validationError = validateKeyInput({ name, scopes, expiresAt });
+  if (validationError) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validationError, corsHeaders);
+  }
+
+  const issued = await apiKeys.issueKey({ name, scopes, expiresAt, createdBy: principal });
+
+  return createSuccessResponse({
+    data: { ...issued.key, apiKey: issued.apiKey }
+  }, corsHeaders, 201);
+}
+
+/**
+ * Replace a key; the old one keeps working for gracePeriodHours
+ */
+async function handleRotateKey(keyId, event, principal, corsHeaders) {
+  if (!keyId) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'keyId query parameter is required', corsHeaders);
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+  }
+
+  const { gracePeriodHours } = requestBody || {};
+  if (gracePeriodHours !== undefined &&
+      (typeof gracePeriodHours !== 'number' || !(gracePeriodHours >= 0 && gracePeriodHours <= MAX_GRACE_HOURS))) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', `gracePeriodHours must be a number from 0 to ${MAX_GRACE_HOURS}`, corsHeaders, 'gracePeriodHours');
+  }
+
+  try {
+    const rotated = await apiKeys.rotateKey(keyId, { graceHours: gracePeriodHours, rotatedBy: principal });
+
+    return createSuccessResponse({
+      data: { ...rotated.key, apiKey: rotated.apiKey },
+      previousKey: rotated.previousKey
+    }, corsHeaders, 201);
+  } catch (error) {
+    if (error.message === 'API key not found') {
+      return createErrorResponse(404, 'API_KEY_NOT_FOUND', 'API key not found', corsHeaders);
+    }
+    if (error.message === 'API key has already been rotated') {
+      return createErrorResponse(409, 'API_KEY_ROTATED', 'API key has already been rotated; rotate its replacement instead', corsHeaders);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke a key; it stops working at once but stays listed
+ */
+async function handleRevokeKey(keyId, principal, corsHeaders) {
+  if (!keyId) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'keyId query parameter is required', corsHeaders);
+  }
+
+  try {
+    const key = await apiKeys.revokeKey(keyId, { revokedBy: principal });
+    return createSuccessResponse({ message: 'API key revoked successfully', data: key }, corsHeaders);
+  } catch (error) {
+    if (error.message === 'API key not found') {
+      return createErrorResponse(404, 'API_KEY_NOT_FOUND', 'API key not found', corsHeaders);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate key ID format
+ */
+function isValidKeyId(keyId) {
+  return /^[0-9a-f]{16}$/.test(keyId);
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized success response
+ */
+function createSuccessResponse(payload, headers, statusCode = 200) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      ...payload
+    })
+  };
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
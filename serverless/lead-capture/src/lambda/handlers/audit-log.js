@@ -0,0 +1,74 @@
+const auditLog = require('../utils/audit-log');
+const { AUDIT_ACTIONS } = require('../utils/audit-log');
+const { SCOPES } = require('../utils/auth');
+const { createRouter, createSuccessResponse, createErrorResponse } = require('../utils/router');
+
+/**
+ * Lambda handler for the lead access audit log
+ * GET /audit-log lists entries, most recent first, by ?actor=, ?leadId= or all of them,
+ * narrowed with ?action=, ?startDate= and ?endDate=
+ */
+exports.handler = createRouter({
+  description: 'retrieving the audit log',
+  routes: [
+    { method: 'GET', path: '/audit-log', scope: SCOPES.AUDIT_READ, handler: handleListEntries }
+  ]
+});
+
+/**
+ * List audit entries
+ * ?actor= is the actor key of the entries, "<type>:<id>" (e.g. api_key:3f2a9c1d0b8e7f6a or jwt:00u1ab)
+ */
+async function handleListEntries({ query }) {
+  const { actor, leadId, action, startDate, endDate, limit = '50', nextToken } = query;
+
+  if (actor && !/^[a-z_]+:.{1,200}$/.test(actor)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'actor must be in the form <type>:<id>', 'actor');
+  }
+
+  if (leadId && !isValidLeadId(leadId)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'leadId must be a UUID', 'leadId');
+  }
+
+  if (action && !Object.values(AUDIT_ACTIONS).includes(action)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', `action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}`, 'action');
+  }
+
+  for (const [field, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !isValidISODate(value)) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', `${field} must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)`, field);
+    }
+  }
+
+  if (startDate && endDate && startDate > endDate) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'startDate must be before endDate', 'startDate');
+  }
+
+  if (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'Limit must be a number between 1 and 100', 'limit');
+  }
+
+  const result = await auditLog.query({ actor, leadId, action, startDate, endDate, limit: parseInt(limit), nextToken });
+
+  return createSuccessResponse({
+    data: result.entries,
+    count: result.count,
+    nextToken: result.nextToken,
+    hasMore: result.hasMore
+  });
+}
+
+/**
+ * Validate ISO date format
+ */
+function isValidISODate(dateString) {
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date) && date.toISOString() === dateString;
+}
+
+/**
+ * Validate lead ID format (leadIds are name-based UUIDs, so any version is accepted)
+ */
+function isValidLeadId(leadId) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(leadId);
+}
@@ -0,0 +1,106 @@
+const database = require('../utils/database');
+const confirmation = require('../utils/confirmation');
+const mailer = require('../utils/mailer');
+const { getHeader, getClientIP } = require('../utils/headers');
+
+// Environment variables
+const CONFIRMATION_REDIRECT_URL = process.env.CONFIRMATION_REDIRECT_URL || '';
+
+/**
+ * Lambda handler for double opt-in confirmation links
+ * Verifies the signed token and records when and from where the lead confirmed
+ */
+exports.handler = async (event) => {
+  console.log('Received confirmation request:', event.httpMethod, event.path);
+
+  try {
+    // Only allow GET requests (links opened from the confirmation email)
+    if (event.httpMethod !== 'GET') {
+      return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET method is allowed');
+    }
+
+    const { token = null } = event.queryStringParameters || {};
+    const tokenResult = confirmation.verifyToken(token);
+    if (!tokenResult.isValid) {
+      return createResultResponse(400, 'invalid', 'INVALID_TOKEN', tokenResult.error);
+    }
+
+    const lead = await database.getLeadById(tokenResult.leadId);
+    if (!lead) {
+      // Unconfirmed leads are removed by TTL once the link has expired
+      return createResultResponse(404, 'expired', 'LEAD_NOT_FOUND', 'Lead not found or confirmation expired');
+    }
+
+    // Keep the original consent evidence when a link is opened twice
+    if (lead.confirmationStatus === confirmation.CONFIRMATION_STATUS.CONFIRMED) {
+      return createResultResponse(200, 'confirmed', null, 'Email address already confirmed', lead);
+    }
+
+    const confirmedLead = await database.confirmLead(lead.leadId, {
+      ipAddress: getClientIP(event),
+      userAgent: getHeader(event.headers, 'User-Agent') || 'unknown'
+    }, lead.timestamp);
+
+    // Welcome email is held back until the submitter confirms
+    try {
+      await mailer.sendWelcome(confirmedLead);
+    } catch (error) {
+      console.error('Error sending welcome email:', error);
+    }
+
+    return createResultResponse(200, 'confirmed', null, 'Email address confirmed', confirmedLead);
+
+  } catch (error) {
+    console.error('Error confirming lead:', error);
+    return createResultResponse(500, 'error', 'INTERNAL_ERROR', 'An internal error occurred while confirming your email address');
+  }
+};
+
+/**
+ * Respond with a redirect to the configured landing page, or JSON otherwise
+ */
+function createResultResponse(statusCode, result, errorCode, message, lead = null) {
+  if (CONFIRMATION_REDIRECT_URL) {
+    const url = new URL(CONFIRMATION_REDIRECT_URL);
+    url.searchParams.set('status', result);
+
+    return {
+      statusCode: 302,
+      headers: { Location: url.toString() },
+      body: ''
+    };
+  }
+
+  if (errorCode) {
+    return createErrorResponse(statusCode, errorCode, message);
+  }
+
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: true,
+      message,
+      leadId: lead.leadId,
+      confirmationStatus: lead.confirmationStatus,
+      confirmedAt: lead.confirmedAt
+    })
+  };
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: false,
+      error: {
+        code: errorCode,
+        message: message
+      }
+    })
+  };
+}
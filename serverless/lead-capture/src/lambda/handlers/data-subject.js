@@ -0,0 +1,194 @@
+const dataSubject = require('../utils/data-subject');
+const auditLog = require('../utils/audit-log');
+const { AUDIT_ACTIONS } = require('../utils/audit-log');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+const { getHeader, getClientIP } = require('../utils/headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  GET: SCOPES.LEADS_READ,
+  DELETE: SCOPES.LEADS_DELETE
+};
+
+/**
+ * Lambda handler for GDPR data-subject requests
+ * GET ?email= downloads everything stored for the address, DELETE ?email= erases it
+ */
+exports.handler = async (event) => {
+  // The query string carries an email address, so only the route is logged
+  console.log('Received data subject request:', event.httpMethod, event.path);
+
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,DELETE,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES[event.httpMethod]);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    const { email = null, reason = null } = event.queryStringParameters || {};
+    if (!email || !isValidEmail(email)) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'A valid email query parameter is required', corsHeaders, 'email');
+    }
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return await handleAccessRequest(email, event, authResult.principal, corsHeaders);
+      case 'DELETE':
+        return await handleErasureRequest(email, reason, event, authResult.principal, corsHeaders);
+      default:
+        return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET and DELETE methods are allowed', corsHeaders);
+    }
+
+  } catch (error) {
+    console.error('Error processing data subject request:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while processing the data subject request'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * Right of access: return all data for the email as a JSON download
+ * The audit entry keeps the email address only as a hash
+ */
+async function handleAccessRequest(email, event, principal, corsHeaders) {
+  const document = await dataSubject.exportData(email);
+  const date = document.generatedAt.slice(0, 10);
+
+  await auditLog.record({
+    action: AUDIT_ACTIONS.READ,
+    actor: principal,
+    sourceIp: getClientIP(event),
+    filters: { email },
+    leadIds: document.leads.map(lead => lead.leadId),
+    details: { request: 'access' }
+  });
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Disposition': `attachment; filename="data-export-${date}.json"`
+    },
+    body: JSON.stringify(document, null, 2)
+  };
+}
+
+/**
+ * Right to erasure: delete all data for the email and return the tombstone
+ */
+async function handleErasureRequest(email, reason, event, principal, corsHeaders) {
+  const tombstone = await dataSubject.eraseData(email, {
+    reason,
+    requestedFrom: getClientIP(event),
+    requestedBy: principal
+  });
+
+  console.log('Erasure completed:', tombstone.tombstoneId, tombstone.status);
+
+  await auditLog.record({
+    action: AUDIT_ACTIONS.DELETE,
+    actor: principal,
+    sourceIp: getClientIP(event),
+    filters: { email },
+    leadIds: tombstone.leadIds,
+    details: { request: 'erasure', tombstoneId: tombstone.tombstoneId, status: tombstone.status }
+  });
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      success: true,
+      data: tombstone
+    })
+  };
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Validate email format
+ */
+function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email) && email.length <= 254;
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
@@ -0,0 +1,128 @@
+const AWS = require('aws-sdk');
+const webhooks = require('../utils/webhooks');
+const fieldEncryption = require('../utils/field-encryption');
+const { SPAM_STATUS } = require('../utils/spam-scoring');
+
+// Map DynamoDB stream event names to webhook event types
+const STREAM_EVENTS = {
+  INSERT: 'lead.created',
+  MODIFY: 'lead.updated',
+  REMOVE: 'lead.deleted'
+};
+
+// Bookkeeping attributes written by background workers and backfills; changes to these alone
+// are not reported as lead.updated
+const INTERNAL_ATTRIBUTES = [
+  'updatedAt',
+  'version',
+  'searchName',
+  'searchCompany',
+  'formIds',
+  'syncStatus',
+  'mauticContactId',
+  'lastSyncError',
+  'lastSyncedAt',
+  'syncAttempts',
+  'mappingIssues'
+];
+
+/**
+ * Lambda handler for the leads table DynamoDB stream
+ * Requires the NEW_AND_OLD_IMAGES stream view type and the ReportBatchItemFailures response type:
+ * a record that cannot be dispatched stops the batch and the stream retries from that record
+ */
+exports.handler = async (event) => {
+  const records = event.Records || [];
+  let dispatched = 0;
+
+  for (const record of records) {
+    try {
+      dispatched += await dispatchRecord(record);
+    } catch (error) {
+      // Failed deliveries are recorded, not thrown; this is a storage, encryption or queue error
+      console.error(`Error dispatching webhooks for stream record ${record.eventID}:`, error);
+      console.log('Webhook dispatch stopped:', JSON.stringify({ records: records.length, dispatched }));
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }]
+      };
+    }
+  }
+
+  console.log('Webhook dispatch completed:', JSON.stringify({ records: records.length, dispatched }));
+  return { batchItemFailures: [] };
+};
+
+/**
+ * Dispatch the webhooks for one stream record
+ * @returns {Promise<number>} - Number of deliveries made
+ */
+async function dispatchRecord(record) {
+  let eventType = STREAM_EVENTS[record.eventName];
+  if (!eventType || !record.dynamodb) {
+    return 0;
+  }
+
+  // Images are decrypted before comparing, so re-encrypting a lead is not reported as a change
+  const newImage = record.dynamodb.NewImage
+    ? await fieldEncryption.decryptItem(AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage))
+    : null;
+  const oldImage = record.dynamodb.OldImage
+    ? await fieldEncryption.decryptItem(AWS.DynamoDB.Converter.unmarshall(record.dynamodb.OldImage))
+    : null;
+
+  // Quarantined leads are not announced until a reviewer accepts them
+  const wasQuarantined = oldImage?.spamStatus === SPAM_STATUS.QUARANTINED;
+  if ((newImage || oldImage).spamStatus === SPAM_STATUS.QUARANTINED) {
+    return 0;
+  }
+  if (eventType === 'lead.updated' && wasQuarantined) {
+    eventType = 'lead.created';
+  }
+
+  if (eventType === 'lead.updated' && !hasLeadChanges(oldImage, newImage)) {
+    return 0;
+  }
+
+  // A deleted lead is announced by ID only: after an erasure request its fields must not leave the system again
+  const lead = eventType === 'lead.deleted'
+    ? { leadId: (oldImage || AWS.DynamoDB.Converter.unmarshall(record.dynamodb.Keys)).leadId }
+    : newImage || oldImage;
+
+  const deliveries = await webhooks.dispatch(eventType, lead);
+  return deliveries.length;
+}
+
+/**
+ * Check whether a MODIFY event changed anything besides internal bookkeeping
+ */
+function hasLeadChanges(oldImage, newImage) {
+  if (!oldImage || !newImage) {
+    return true;
+  }
+
+  const keys = new Set([...Object.keys(oldImage), ...Object.keys(newImage)]);
+
+  for (const key of keys) {
+    if (INTERNAL_ATTRIBUTES.includes(key)) continue;
+
+    if (!isEqual(oldImage[key], newImage[key])) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Deep equality for unmarshalled attribute values (map key order is not stable)
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+
+  return keys.every(key => isEqual(a[key], b[key]));
+}
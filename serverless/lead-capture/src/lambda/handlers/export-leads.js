@@ -0,0 +1,371 @@
+const exportJobs = require('../utils/export-jobs');
+const leadExport = require('../utils/lead-export');
+const { SPAM_STATUS } = require('../utils/spam-scoring');
+const { CONFIRMATION_STATUS } = require('../utils/confirmation');
+const { LEAD_STATUS, normalizeTag } = require('../utils/lead-admin');
+const { CUSTOM_FIELD_PREFIX, parseCustomFieldFilters, validateSearchFilters } = require('../utils/lead-search');
+const { getHeader, getClientIP } = require('../utils/headers');
+const schema = require('../../shared/lead-schema');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  GET: SCOPES.LEADS_EXPORT,
+  POST: SCOPES.LEADS_EXPORT
+};
+
+// Filters an export accepts, the same as the leads listing (plus customFields.<key>)
+const FILTER_NAMES = [
+  'startDate',
+  'endDate',
+  'source',
+  'formId',
+  'companyPrefix',
+  'q',
+  'confirmationStatus',
+  'spamStatus',
+  'utmCampaign',
+  'utmSource',
+  'utmMedium',
+  'utmTerm',
+  'utmContent',
+  'touch',
+  'status',
+  'tag'
+];
+
+/**
+ * Lambda handler for full-dataset lead exports
+ * POST queues an export job ({ format, columns, filters }), GET ?jobId= polls it
+ */
+exports.handler = async (event) => {
+  console.log('Received event:', event.httpMethod, event.path, JSON.stringify(event.queryStringParameters));
+
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES[event.httpMethod]);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return await handleGetExportJob(event, corsHeaders);
+      case 'POST':
+        return await handleCreateExportJob(event, authResult.principal, corsHeaders);
+      default:
+        return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET and POST methods are allowed', corsHeaders);
+    }
+
+  } catch (error) {
+    console.error('Error handling export:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while handling the export'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * Return the status of an export job, with a download URL once it has completed
+ */
+async function handleGetExportJob(event, corsHeaders) {
+  const { jobId = null } = event.queryStringParameters || {};
+
+  if (!jobId || !isValidUUID(jobId)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'jobId query parameter must be a valid UUID', corsHeaders, 'jobId');
+  }
+
+  const job = await exportJobs.getJob(jobId);
+  if (!job) {
+    return createErrorResponse(404, 'EXPORT_JOB_NOT_FOUND', 'Export job not found', corsHeaders);
+  }
+
+  return createSuccessResponse({ data: job }, corsHeaders);
+}
+
+/**
+ * Queue an export of every lead matching the filters
+ */
+async function handleCreateExportJob(event, principal, corsHeaders) {
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+  }
+
+  const validationResult = validateExportRequest(requestBody);
+  if (!validationResult.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validationResult.error, corsHeaders, validationResult.field);
+  }
+
+  let job;
+  try {
+    job = await exportJobs.createJob({ ...validationResult.data, requestedBy: principal, requestedFrom: getClientIP(event) });
+  } catch (error) {
+    if (error.message.startsWith('Failed to start export job')) {
+      return createErrorResponse(503, 'EXPORT_UNAVAILABLE', 'The export worker could not be started; try again later', corsHeaders);
+    }
+    throw error;
+  }
+
+  // Poll GET ?jobId= until the status is completed (with downloadUrl) or failed
+  return createSuccessResponse({ data: await exportJobs.getJob(job.jobId) }, corsHeaders, 202);
+}
+
+/**
+ * Validate an export request
+ */
+function validateExportRequest(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { isValid: false, error: 'Request body must be a JSON object' };
+  }
+
+  const { format = 'csv', columns, filters = {} } = data;
+
+  if (!leadExport.EXPORT_FORMATS[format]) {
+    return {
+      isValid: false,
+      error: `format must be one of: ${Object.keys(leadExport.EXPORT_FORMATS).join(', ')}`,
+      field: 'format'
+    };
+  }
+
+  let parsedColumns = null;
+  if (columns !== undefined) {
+    if (format !== 'csv') {
+      return { isValid: false, error: 'columns are only available for format=csv', field: 'columns' };
+    }
+    if (typeof columns !== 'string' && !Array.isArray(columns)) {
+      return { isValid: false, error: 'columns must be a list or a comma-separated string', field: 'columns' };
+    }
+
+    parsedColumns = leadExport.parseColumns(columns);
+    const columnsResult = leadExport.validateColumns(parsedColumns);
+    if (!columnsResult.isValid) {
+      return { ...columnsResult, field: 'columns' };
+    }
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { isValid: false, error: 'filters must be an object', field: 'filters' };
+  }
+
+  const filterNames = Object.keys(filters);
+  const unknownFilter = filterNames.find(name => !FILTER_NAMES.includes(name) && !name.startsWith(CUSTOM_FIELD_PREFIX));
+  if (unknownFilter) {
+    return { isValid: false, error: `filters may only contain: ${FILTER_NAMES.join(', ')}, ${CUSTOM_FIELD_PREFIX}*`, field: `filters.${unknownFilter.slice(0, 50)}` };
+  }
+
+  const invalidFilter = filterNames.find(name => filters[name] !== undefined && filters[name] !== null && typeof filters[name] !== 'string');
+  if (invalidFilter) {
+    return { isValid: false, error: `filters.${invalidFilter} must be a string`, field: `filters.${invalidFilter}` };
+  }
+
+  const filterResult = validateFilters(filters);
+  if (!filterResult.isValid) {
+    return { ...filterResult, field: `filters.${filterResult.field}` };
+  }
+
+  // Keep only the filters that were set
+  const sanitizedFilters = {};
+  filterNames.forEach(name => {
+    if (filters[name]) {
+      sanitizedFilters[name] = filters[name];
+    }
+  });
+
+  return {
+    isValid: true,
+    data: { format, columns: parsedColumns, filters: sanitizedFilters }
+  };
+}
+
+/**
+ * Validate export filters
+ */
+function validateFilters(filters) {
+  const {
+    startDate,
+    endDate,
+    source,
+    confirmationStatus,
+    spamStatus,
+    utmCampaign,
+    utmSource,
+    utmMedium,
+    utmTerm,
+    utmContent,
+    touch,
+    status,
+    tag
+  } = filters;
+
+  if (startDate && !isValidISODate(startDate)) {
+    return { isValid: false, error: 'startDate must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)', field: 'startDate' };
+  }
+
+  if (endDate && !isValidISODate(endDate)) {
+    return { isValid: false, error: 'endDate must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)', field: 'endDate' };
+  }
+
+  if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+    return { isValid: false, error: 'startDate must be before endDate', field: 'startDate' };
+  }
+
+  if (source && source.length > 2048) {
+    return { isValid: false, error: 'source must be at most 2048 characters', field: 'source' };
+  }
+
+  if (confirmationStatus && !Object.values(CONFIRMATION_STATUS).includes(confirmationStatus)) {
+    return {
+      isValid: false,
+      error: `confirmationStatus must be one of: ${Object.values(CONFIRMATION_STATUS).join(', ')}`,
+      field: 'confirmationStatus'
+    };
+  }
+
+  if (spamStatus && ![SPAM_STATUS.ACCEPTED, SPAM_STATUS.QUARANTINED, 'all'].includes(spamStatus)) {
+    return { isValid: false, error: 'spamStatus must be one of: accepted, quarantined, all', field: 'spamStatus' };
+  }
+
+  if (touch && !['first', 'last'].includes(touch)) {
+    return { isValid: false, error: 'touch must be either "first" or "last"', field: 'touch' };
+  }
+
+  const searchResult = validateSearchFilters({
+    formId: filters.formId,
+    companyPrefix: filters.companyPrefix,
+    q: filters.q,
+    customFields: parseCustomFieldFilters(filters)
+  });
+  if (!searchResult.isValid) {
+    return searchResult;
+  }
+
+  if (status && !Object.values(LEAD_STATUS).includes(status)) {
+    return { isValid: false, error: `status must be one of: ${Object.values(LEAD_STATUS).join(', ')}`, field: 'status' };
+  }
+
+  if (tag && !normalizeTag(tag)) {
+    return { isValid: false, error: 'tag must be 1-50 letters, digits, spaces or _.:- and start with a letter or digit', field: 'tag' };
+  }
+
+  const utmMaxLength = schema.ATTRIBUTION_LIMITS.maxUtmLength;
+  const longUtm = Object.entries({ utmCampaign, utmSource, utmMedium, utmTerm, utmContent }).find(([, value]) => value && value.length > utmMaxLength);
+  if (longUtm) {
+    return { isValid: false, error: `UTM filters must be at most ${utmMaxLength} characters`, field: longUtm[0] };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validate ISO date format
+ */
+function isValidISODate(dateString) {
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date) && date.toISOString() === dateString;
+}
+
+/**
+ * Validate UUID v4 format
+ */
+function isValidUUID(uuid) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(uuid);
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized success response
+ */
+function createSuccessResponse(payload, headers, statusCode = 200) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      ...payload
+    })
+  };
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
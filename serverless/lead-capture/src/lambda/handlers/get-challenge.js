@@ -0,0 +1,109 @@
+const proofOfWork = require('../utils/proof-of-work');
+const { getHeader, getClientIP } = require('../utils/headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+/**
+ * Lambda handler issuing proof-of-work challenges to the form
+ * GET ?formId= returns a signed challenge sized for the form and the client's recent activity
+ */
+exports.handler = async (event) => {
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+      return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET method is allowed', corsHeaders);
+    }
+
+    const { formId = '' } = event.queryStringParameters || {};
+    if (formId && !/^[A-Za-z0-9_-]{1,100}$/.test(formId)) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'Invalid formId', corsHeaders, 'formId');
+    }
+
+    const challenge = await proofOfWork.createChallenge(formId, getClientIP(event));
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        success: true,
+        challenge
+      })
+    };
+
+  } catch (error) {
+    console.error('Error issuing challenge:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while issuing the challenge'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
@@ -1,20 +1,57 @@
 const database = require('../utils/database');
+const contacts = require('../utils/contacts');
+const { SPAM_STATUS } = require('../utils/spam-scoring');
+const { CONFIRMATION_STATUS } = require('../utils/confirmation');
+const { LEAD_STATUS, normalizeTag } = require('../utils/lead-admin');
+const { parseCustomFieldFilters, validateSearchFilters } = require('../utils/lead-search');
+const leadExport = require('../utils/lead-export');
+const mauticMapping = require('../utils/mautic-mapping');
+const auditLog = require('../utils/audit-log');
+const { AUDIT_ACTIONS } = require('../utils/audit-log');
+const { getHeader, getClientIP } = require('../utils/headers');
+const schema = require('../../shared/lead-schema');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
 
 // Environment variables
-const API_KEY = process.env.API_KEY || 'default-api-key';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
 
+// Filters that only apply to contacts, not to view=submissions
+const CONTACT_FILTERS = [
+  'confirmationStatus',
+  'source',
+  'formId',
+  'companyPrefix',
+  'q',
+  'status',
+  'tag',
+  'utmCampaign',
+  'utmSource',
+  'utmMedium',
+  'utmTerm',
+  'utmContent'
+];
+
+// Query parameters that shape the response rather than select leads, left out of audit entries
+const OUTPUT_PARAMETERS = ['limit', 'nextToken', 'format', 'columns', 'profile', 'view', 'leadId'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  handler: SCOPES.LEADS_READ,
+  getLeadsCount: SCOPES.LEADS_READ
+};
+
 /**
  * Lambda handler for retrieving lead data
  * Implements authentication, pagination, and filtering for secure access
  */
 exports.handler = async (event) => {
-  console.log('Received event:', JSON.stringify(event, null, 2));
+  console.log('Received event:', event.httpMethod, event.path, JSON.stringify(event.queryStringParameters));
 
   try {
     // CORS headers
     const corsHeaders = {
-      'Access-Control-Allow-Origin': getAllowedOrigin(event.headers.origin),
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
       'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
       'Access-Control-Allow-Methods': 'GET,OPTIONS',
       'Access-Control-Allow-Credentials': true,
@@ -36,9 +73,9 @@ exports.handler = async (event) => {
     }
 
     // Authenticate request
-    const authResult = authenticateRequest(event);
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES.handler);
     if (!authResult.isValid) {
-      return createErrorResponse(401, 'UNAUTHORIZED', authResult.error, corsHeaders);
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
     }
 
     // Parse query parameters
@@ -47,10 +84,27 @@ exports.handler = async (event) => {
       limit = '50',
       nextToken = null,
       email = null,
+      source = null,
       startDate = null,
       endDate = null,
       format = 'json',
-      leadId = null
+      leadId = null,
+      confirmationStatus = null,
+      view = 'contacts',
+      utmCampaign = null,
+      utmSource = null,
+      utmMedium = null,
+      utmTerm = null,
+      utmContent = null,
+      formId = null,
+      companyPrefix = null,
+      q = null,
+      touch = 'last',
+      columns = null,
+      profile = mauticMapping.defaultProfile,
+      status = null,
+      tag = null,
+      spamStatus = view === 'submissions' ? 'all' : SPAM_STATUS.ACCEPTED
     } = queryParams;
 
     // Validate parameters
@@ -59,9 +113,28 @@ exports.handler = async (event) => {
       return createErrorResponse(400, 'INVALID_PARAMETERS', validationResult.error, corsHeaders);
     }
 
+    // Every response below is recorded in the audit log before it is returned
+    const access = {
+      actor: authResult.principal,
+      sourceIp: getClientIP(event),
+      filters: toAuditFilters(queryParams)
+    };
+
+    // Handle raw submission listing
+    if (view === 'submissions') {
+      return await handleSubmissionsListing({
+        limit: parseInt(limit),
+        lastEvaluatedKey: nextToken,
+        leadId: leadId || (email ? contacts.getContactId(email) : null),
+        startDate,
+        endDate,
+        spamStatus: spamStatus === 'all' ? null : spamStatus
+      }, access, corsHeaders);
+    }
+
     // Handle single lead retrieval
     if (leadId) {
-      return await handleSingleLeadRetrieval(leadId, corsHeaders);
+      return await handleSingleLeadRetrieval(leadId, access, corsHeaders);
     }
 
     // Handle leads listing with filters
@@ -69,23 +142,65 @@ exports.handler = async (event) => {
       limit: parseInt(limit),
       lastEvaluatedKey: nextToken,
       email,
+      source,
       startDate,
-      endDate
+      endDate,
+      confirmationStatus,
+      spamStatus: spamStatus === 'all' ? null : spamStatus,
+      utm: { utmCampaign, utmSource, utmMedium, utmTerm, utmContent },
+      touch: `${touch}Touch`,
+      status,
+      tag: tag ? normalizeTag(tag) : null,
+      formId,
+      companyPrefix,
+      search: q,
+      customFields: parseCustomFieldFilters(queryParams)
     };
 
     const result = await database.getLeads(options);
 
+    await auditLog.record({
+      ...access,
+      action: AUDIT_ACTIONS.LIST,
+      leadIds: result.leads.map(lead => lead.leadId),
+      details: { view: 'contacts', format }
+    });
+
+    // CSV and NDJSON are returned as files; the next page token moves to a header
+    if (leadExport.EXPORT_FORMATS[format]) {
+      const body = format === 'csv'
+        ? leadExport.toCsv(result.leads, columns ? leadExport.parseColumns(columns) : leadExport.DEFAULT_COLUMNS)
+        : leadExport.toNdjson(result.leads);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...corsHeaders,
+          'Access-Control-Expose-Headers': 'X-Next-Token',
+          'Content-Type': leadExport.EXPORT_FORMATS[format].contentType,
+          ...(result.hasMore ? { 'X-Next-Token': result.nextToken } : {})
+        },
+        body
+      };
+    }
+
     // Format response based on requested format
     let responseBody;
     if (format === 'mautic') {
-      const mauticLeads = await database.exportLeadsForMautic(options);
+      const mapped = result.leads.map(lead => ({ leadId: lead.leadId, ...mauticMapping.mapLead(lead, profile) }));
       responseBody = {
         success: true,
         format: 'mautic',
-        data: mauticLeads,
-        count: mauticLeads.length,
+        profile,
+        data: mapped.map(entry => entry.fields),
+        count: mapped.length,
+        // Lead fields the profile does not map, or could not convert
+        issues: mapped
+          .filter(entry => mauticMapping.hasIssues(entry.report))
+          .map(entry => ({ leadId: entry.leadId, unmapped: entry.report.unmapped, invalid: entry.report.invalid })),
         nextToken: result.nextToken,
-        hasMore: result.hasMore
+        hasMore: result.hasMore,
+        ...(result.search ? { search: result.search } : {})
       };
     } else {
       responseBody = {
@@ -95,7 +210,9 @@ exports.handler = async (event) => {
         count: result.count,
         scannedCount: result.scannedCount,
         nextToken: result.nextToken,
-        hasMore: result.hasMore
+        hasMore: result.hasMore,
+        // How q= was matched: with field encryption, names can't be searched
+        ...(result.search ? { search: result.search } : {})
       };
     }
 
@@ -128,7 +245,7 @@ exports.handler = async (event) => {
 /**
  * Handle single lead retrieval by ID
  */
-async function handleSingleLeadRetrieval(leadId, corsHeaders) {
+async function handleSingleLeadRetrieval(leadId, access, corsHeaders) {
   try {
     const lead = await database.getLeadById(leadId);
     
@@ -136,6 +253,8 @@ async function handleSingleLeadRetrieval(leadId, corsHeaders) {
       return createErrorResponse(404, 'LEAD_NOT_FOUND', 'Lead not found', corsHeaders);
     }
 
+    await auditLog.record({ ...access, action: AUDIT_ACTIONS.READ, filters: null, leadIds: [leadId] });
+
     return {
       statusCode: 200,
       headers: corsHeaders,
@@ -151,27 +270,46 @@ async function handleSingleLeadRetrieval(leadId, corsHeaders) {
 }
 
 /**
- * Authenticate API request
+ * Handle submissions listing, optionally for one contact
  */
-function authenticateRequest(event) {
-  // Check for API key in headers
-  const apiKey = event.headers['X-Api-Key'] || event.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return {
-      isValid: false,
-      error: 'API key is required. Include X-Api-Key header.'
-    };
-  }
+async function handleSubmissionsListing(options, access, corsHeaders) {
+  const result = await database.getSubmissions(options);
 
-  if (apiKey !== API_KEY) {
-    return {
-      isValid: false,
-      error: 'Invalid API key'
-    };
-  }
+  await auditLog.record({
+    ...access,
+    action: AUDIT_ACTIONS.LIST,
+    leadIds: result.submissions.map(submission => submission.leadId),
+    details: { view: 'submissions' }
+  });
 
-  return { isValid: true };
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      success: true,
+      view: 'submissions',
+      data: result.submissions,
+      count: result.count,
+      scannedCount: result.scannedCount,
+      nextToken: result.nextToken,
+      hasMore: result.hasMore
+    })
+  };
+}
+
+/**
+ * The lead-selecting query parameters of a request, for its audit entry
+ */
+function toAuditFilters(queryParams) {
+  return Object.fromEntries(Object.entries(queryParams).filter(([name]) => !OUTPUT_PARAMETERS.includes(name)));
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
 }
 
 /**
@@ -181,11 +319,26 @@ function validateQueryParameters(params) {
   const {
     limit,
     email,
+    source,
     startDate,
     endDate,
     format,
-    leadId
+    leadId,
+    confirmationStatus,
+    view,
+    spamStatus,
+    utmCampaign,
+    utmSource,
+    utmMedium,
+    utmTerm,
+    utmContent,
+    touch,
+    columns,
+    profile,
+    status,
+    tag
   } = params;
+  const customFields = parseCustomFieldFilters(params);
 
   // Validate limit
   if (limit && (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100)) {
@@ -227,15 +380,131 @@ function validateQueryParameters(params) {
   }
 
   // Validate format
-  if (format && !['json', 'mautic'].includes(format)) {
+  if (format && !['json', 'mautic', 'csv', 'ndjson'].includes(format)) {
+    return {
+      isValid: false,
+      error: 'Format must be one of: json, mautic, csv, ndjson'
+    };
+  }
+
+  // Validate CSV columns
+  if (columns !== undefined && columns !== null) {
+    if (format !== 'csv') {
+      return {
+        isValid: false,
+        error: 'columns are only available for format=csv'
+      };
+    }
+
+    const columnsResult = leadExport.validateColumns(leadExport.parseColumns(columns));
+    if (!columnsResult.isValid) {
+      return columnsResult;
+    }
+  }
+
+  // Validate Mautic mapping profile
+  if (profile !== undefined && profile !== null) {
+    if (format !== 'mautic') {
+      return {
+        isValid: false,
+        error: 'profile is only available for format=mautic'
+      };
+    }
+
+    if (!mauticMapping.hasProfile(profile)) {
+      return {
+        isValid: false,
+        error: `profile must be one of: ${mauticMapping.listProfiles().join(', ')}`
+      };
+    }
+  }
+
+  // Validate view
+  if (view && !['contacts', 'submissions'].includes(view)) {
+    return {
+      isValid: false,
+      error: 'View must be either "contacts" or "submissions"'
+    };
+  }
+
+  if (view === 'submissions' && ((format && format !== 'json') || CONTACT_FILTERS.some(name => params[name]) || Object.keys(customFields).length > 0)) {
+    return {
+      isValid: false,
+      error: `format=mautic|csv|ndjson, ${CONTACT_FILTERS.join(', ')} and customFields.* filters are only available for contacts`
+    };
+  }
+
+  // A single lead is returned as it is
+  if (leadId && (CONTACT_FILTERS.some(name => params[name]) || Object.keys(customFields).length > 0)) {
+    return {
+      isValid: false,
+      error: 'leadId cannot be combined with filters'
+    };
+  }
+
+  // Validate attribution filters
+  if (touch && !['first', 'last'].includes(touch)) {
+    return {
+      isValid: false,
+      error: 'touch must be either "first" or "last"'
+    };
+  }
+
+  const utmMaxLength = schema.ATTRIBUTION_LIMITS.maxUtmLength;
+  if ([utmCampaign, utmSource, utmMedium, utmTerm, utmContent].some(value => value && value.length > utmMaxLength)) {
+    return {
+      isValid: false,
+      error: `UTM filters must be at most ${utmMaxLength} characters`
+    };
+  }
+
+  // Validate source (the submitting origin)
+  if (source && source.length > 2048) {
+    return {
+      isValid: false,
+      error: 'source must be at most 2048 characters'
+    };
+  }
+
+  // Validate spam status
+  if (spamStatus && ![SPAM_STATUS.ACCEPTED, SPAM_STATUS.QUARANTINED, 'all'].includes(spamStatus)) {
+    return {
+      isValid: false,
+      error: 'spamStatus must be one of: accepted, quarantined, all'
+    };
+  }
+
+  // Validate confirmation status
+  if (confirmationStatus && !Object.values(CONFIRMATION_STATUS).includes(confirmationStatus)) {
+    return {
+      isValid: false,
+      error: `confirmationStatus must be one of: ${Object.values(CONFIRMATION_STATUS).join(', ')}`
+    };
+  }
+
+  // Validate form, company, search and custom field filters
+  const searchResult = validateSearchFilters({ formId: params.formId, companyPrefix: params.companyPrefix, q: params.q, customFields });
+  if (!searchResult.isValid) {
+    return searchResult;
+  }
+
+  // Validate lifecycle status and tag
+  if (status && !Object.values(LEAD_STATUS).includes(status)) {
+    return {
+      isValid: false,
+      error: `status must be one of: ${Object.values(LEAD_STATUS).join(', ')}`
+    };
+  }
+
+  if (tag && !normalizeTag(tag)) {
     return {
       isValid: false,
-      error: 'Format must be either "json" or "mautic"'
+      error: 'tag must be 1-50 letters, digits, spaces or _.:- and start with a letter or digit'
     };
   }
 
-  // Validate leadId format (UUID v4)
-  if (leadId && !isValidUUID(leadId)) {
+  // Validate leadId format (random v4 IDs of older leads, name-based v5 IDs of contacts)
+  if (leadId && !isValidLeadId(leadId)) {
     return {
       isValid: false,
       error: 'Invalid leadId format. Must be a valid UUID.'
@@ -262,11 +531,10 @@ function isValidISODate(dateString) {
 }
 
 /**
- * Validate UUID v4 format
+ * Validate lead ID format (leadIds are name-based UUIDs, so any version is accepted)
  */
-function isValidUUID(uuid) {
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-  return uuidRegex.test(uuid);
+function isValidLeadId(leadId) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(leadId);
 }
 
 /**
@@ -310,7 +578,7 @@ function createErrorResponse(statusCode, errorCode, message, headers, field = nu
 /**
  * Health check endpoint handler
  */
-exports.healthCheck = async (event) => {
+exports.healthCheck = async () => {
   try {
     const healthStatus = await database.healthCheck();
     
@@ -345,7 +613,7 @@ exports.getLeadsCount = async (event) => {
   try {
     // CORS headers
     const corsHeaders = {
-      'Access-Control-Allow-Origin': getAllowedOrigin(event.headers.origin),
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
       'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
       'Access-Control-Allow-Methods': 'GET,OPTIONS',
       'Access-Control-Allow-Credentials': true,
@@ -362,9 +630,9 @@ exports.getLeadsCount = async (event) => {
     }
 
     // Authenticate request
-    const authResult = authenticateRequest(event);
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES.getLeadsCount);
     if (!authResult.isValid) {
-      return createErrorResponse(401, 'UNAUTHORIZED', authResult.error, corsHeaders);
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
     }
 
     // Parse query parameters
@@ -0,0 +1,185 @@
+const analytics = require('../utils/analytics');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+const { getHeader } = require('../utils/headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  GET: SCOPES.STATS_READ
+};
+
+// Range covered when startDate is not given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Lambda handler for submission statistics
+ * GET ?startDate=&endDate=&interval=day|week&groupBy=source|formId|utmCampaign|spam
+ * Returns chart-ready labels and series from the pre-aggregated analytics counters
+ */
+exports.handler = async (event) => {
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+      return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET method is allowed', corsHeaders);
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES[event.httpMethod]);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const {
+      endDate = new Date().toISOString(),
+      interval = 'day',
+      groupBy = null
+    } = queryParams;
+    const startDate = queryParams.startDate || (isValidISODate(endDate)
+      ? new Date(Date.parse(endDate) - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString()
+      : null);
+
+    const validationResult = validateQueryParameters({ startDate, endDate, interval, groupBy });
+    if (!validationResult.isValid) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', validationResult.error, corsHeaders, validationResult.field);
+    }
+
+    const stats = await analytics.getStats({ startDate, endDate, interval, groupBy });
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        success: true,
+        startDate: startDate.slice(0, 10),
+        endDate: endDate.slice(0, 10),
+        ...stats
+      })
+    };
+
+  } catch (error) {
+    console.error('Error retrieving stats:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while retrieving stats'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * Validate query parameters
+ */
+function validateQueryParameters({ startDate, endDate, interval, groupBy }) {
+  if (!isValidISODate(endDate)) {
+    return { isValid: false, error: 'endDate must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)', field: 'endDate' };
+  }
+
+  if (!isValidISODate(startDate)) {
+    return { isValid: false, error: 'startDate must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)', field: 'startDate' };
+  }
+
+  if (startDate > endDate) {
+    return { isValid: false, error: 'startDate must be before endDate', field: 'startDate' };
+  }
+
+  const days = Math.round((Date.parse(endDate.slice(0, 10)) - Date.parse(startDate.slice(0, 10))) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > analytics.maxDays) {
+    return { isValid: false, error: `Date range must not exceed ${analytics.maxDays} days`, field: 'startDate' };
+  }
+
+  if (!analytics.INTERVALS.includes(interval)) {
+    return { isValid: false, error: `interval must be one of: ${analytics.INTERVALS.join(', ')}`, field: 'interval' };
+  }
+
+  if (groupBy && !analytics.DIMENSIONS.includes(groupBy)) {
+    return { isValid: false, error: `groupBy must be one of: ${analytics.DIMENSIONS.join(', ')}`, field: 'groupBy' };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validate ISO date format
+ */
+function isValidISODate(dateString) {
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date) && date.toISOString() === dateString;
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
@@ -0,0 +1,294 @@
+const leadAdmin = require('../utils/lead-admin');
+const auditLog = require('../utils/audit-log');
+const { AUDIT_ACTIONS } = require('../utils/audit-log');
+const { SCOPES } = require('../utils/auth');
+const { ITEM_STATUS, LEAD_STATUS, MAX_BATCH_ITEMS, validateLeadChanges, validateTagChanges, validateNote } = require('../utils/lead-admin');
+const { createRouter, createSuccessResponse, createErrorResponse } = require('../utils/router');
+
+/**
+ * Lambda handler for the lead admin API
+ * PATCH /leads?leadId= updates a lead, DELETE /leads?leadId= deletes one;
+ * PATCH and DELETE /leads/batch do the same for many leads and report every item.
+ * PUT /leads/status, PATCH /leads/tags and POST / DELETE /leads/notes work a lead through the sales process.
+ * Every change is recorded in the audit log once it has been applied.
+ */
+exports.handler = createRouter({
+  description: 'managing leads',
+  routes: [
+    { method: 'PATCH', path: '/leads', scope: SCOPES.LEADS_WRITE, handler: handleUpdateLead },
+    { method: 'DELETE', path: '/leads', scope: SCOPES.LEADS_DELETE, handler: handleDeleteLead },
+    { method: 'PATCH', path: '/leads/batch', scope: SCOPES.LEADS_WRITE, handler: handleBatchUpdate },
+    { method: 'DELETE', path: '/leads/batch', scope: SCOPES.LEADS_DELETE, handler: handleBatchDelete },
+    { method: 'PUT', path: '/leads/status', scope: SCOPES.LEADS_WRITE, handler: handleChangeStatus },
+    { method: 'PATCH', path: '/leads/tags', scope: SCOPES.LEADS_WRITE, handler: handleUpdateTags },
+    { method: 'POST', path: '/leads/notes', scope: SCOPES.LEADS_WRITE, handler: handleAddNote },
+    { method: 'DELETE', path: '/leads/notes', scope: SCOPES.LEADS_WRITE, handler: handleDeleteNote }
+  ],
+  errors: {
+    'Lead not found': { statusCode: 404, code: 'LEAD_NOT_FOUND' },
+    'Note not found': { statusCode: 404, code: 'NOTE_NOT_FOUND' },
+    'Contact was modified concurrently': { statusCode: 409, code: 'LEAD_MODIFIED' },
+    'Lead has too many tags': { statusCode: 409, code: 'TAG_LIMIT_REACHED' },
+    'Lead has too many notes': { statusCode: 409, code: 'NOTE_LIMIT_REACHED' }
+  }
+});
+
+/**
+ * Update one lead's contact and custom fields
+ * Body: { contact: { ... }, customFields: { ... } }; a field set to null is removed
+ */
+async function handleUpdateLead(request) {
+  const { query, body, principal } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const validation = validateLeadChanges(body);
+  if (!validation.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validation.error, validation.field);
+  }
+
+  const lead = await leadAdmin.updateLead(query.leadId, validation.data, { editedBy: principal });
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, [query.leadId], { route: 'update', fields: changedFields(validation.data) });
+
+  return createSuccessResponse({ data: lead });
+}
+
+/**
+ * Delete one lead and its submission history
+ */
+async function handleDeleteLead(request) {
+  const { query } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const { submissionsDeleted } = await leadAdmin.deleteLead(query.leadId);
+  await recordChange(request, AUDIT_ACTIONS.DELETE, [query.leadId], { route: 'delete', submissionsDeleted });
+
+  return createSuccessResponse({
+    message: 'Lead deleted successfully',
+    leadId: query.leadId,
+    submissionsDeleted
+  });
+}
+
+/**
+ * Update several leads
+ * Body: { items: [{ leadId, contact, customFields }] }; invalid items are reported, not applied
+ */
+async function handleBatchUpdate(request) {
+  const { body, principal } = request;
+  const { items } = body;
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', `items must be an array of 1 to ${MAX_BATCH_ITEMS} updates`, 'items');
+  }
+
+  if (items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', 'Each item must be an object with a leadId', 'items');
+  }
+
+  const leadIdError = checkBatchLeadIds(items.map(item => item.leadId), 'items');
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const updates = items.map(({ leadId, ...changes }) => {
+    const validation = validateLeadChanges(changes);
+    return validation.isValid
+      ? { leadId, changes: validation.data }
+      : { leadId, error: validation.error, field: validation.field };
+  });
+
+  const results = await leadAdmin.batchUpdate(updates, { editedBy: principal });
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, succeeded(results, ITEM_STATUS.UPDATED), { route: 'batch_update' });
+
+  return createSuccessResponse({ results, summary: summarize(results) });
+}
+
+/**
+ * Delete several leads and their submission histories
+ * Body: { leadIds: [...] }
+ */
+async function handleBatchDelete(request) {
+  const { body } = request;
+  const { leadIds } = body;
+  if (!Array.isArray(leadIds) || leadIds.length === 0 || leadIds.length > MAX_BATCH_ITEMS) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', `leadIds must be an array of 1 to ${MAX_BATCH_ITEMS} lead IDs`, 'leadIds');
+  }
+
+  const leadIdError = checkBatchLeadIds(leadIds, 'leadIds');
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const results = await leadAdmin.batchDelete(leadIds);
+  await recordChange(request, AUDIT_ACTIONS.DELETE, succeeded(results, ITEM_STATUS.DELETED), { route: 'batch_delete' });
+
+  return createSuccessResponse({ results, summary: summarize(results) });
+}
+
+/**
+ * Move a lead to another lifecycle status
+ * Body: { status }; the change is added to the lead's statusHistory with the caller and time
+ */
+async function handleChangeStatus(request) {
+  const { query, body, principal } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  if (!Object.values(LEAD_STATUS).includes(body.status)) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', `status must be one of: ${Object.values(LEAD_STATUS).join(', ')}`, 'status');
+  }
+
+  const lead = await leadAdmin.changeStatus(query.leadId, body.status, { changedBy: principal });
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, [query.leadId], { route: 'status', status: body.status });
+
+  return createSuccessResponse({ data: lead });
+}
+
+/**
+ * Add and remove tags
+ * Body: { add: [...], remove: [...] }
+ */
+async function handleUpdateTags(request) {
+  const { query, body } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const validation = validateTagChanges(body);
+  if (!validation.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validation.error, validation.field);
+  }
+
+  const lead = await leadAdmin.updateTags(query.leadId, validation.data);
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, [query.leadId], { route: 'tags', ...validation.data });
+
+  return createSuccessResponse({ data: lead });
+}
+
+/**
+ * Add an internal note, authored by the caller
+ * Body: { text }
+ */
+async function handleAddNote(request) {
+  const { query, body, principal } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  const validation = validateNote(body.text);
+  if (!validation.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validation.error, validation.field);
+  }
+
+  const note = await leadAdmin.addNote(query.leadId, validation.data, { author: principal });
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, [query.leadId], { route: 'add_note', noteId: note.noteId });
+
+  return createSuccessResponse({ leadId: query.leadId, data: note }, 201);
+}
+
+/**
+ * Remove a note (?leadId=&noteId=)
+ */
+async function handleDeleteNote(request) {
+  const { query } = request;
+  const leadIdError = checkLeadId(query.leadId);
+  if (leadIdError) {
+    return leadIdError;
+  }
+
+  if (!query.noteId || !isValidLeadId(query.noteId)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'noteId query parameter must be a UUID', 'noteId');
+  }
+
+  const note = await leadAdmin.deleteNote(query.leadId, query.noteId);
+  await recordChange(request, AUDIT_ACTIONS.UPDATE, [query.leadId], { route: 'delete_note', noteId: query.noteId });
+
+  return createSuccessResponse({ message: 'Note deleted successfully', leadId: query.leadId, data: note });
+}
+
+/**
+ * Check the leadId query parameter
+ * @returns {Object|null} - Error response, or null when valid
+ */
+function checkLeadId(leadId) {
+  if (!leadId) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'leadId query parameter is required', 'leadId');
+  }
+
+  if (!isValidLeadId(leadId)) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'leadId must be a UUID', 'leadId');
+  }
+
+  return null;
+}
+
+/**
+ * Check the lead IDs of a batch; results are reported per lead, so each may appear once
+ * @returns {Object|null} - Error response, or null when valid
+ */
+function checkBatchLeadIds(leadIds, field) {
+  const invalidIndex = leadIds.findIndex(leadId => typeof leadId !== 'string' || !isValidLeadId(leadId));
+  if (invalidIndex !== -1) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', `${field}[${invalidIndex}] does not have a valid leadId`, field);
+  }
+
+  if (new Set(leadIds.map(leadId => leadId.toLowerCase())).size !== leadIds.length) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', 'Each lead may only appear once in a batch', field);
+  }
+
+  return null;
+}
+
+/**
+ * Record an applied change in the audit log
+ * Field names are kept, values are not, so the log holds no contact data.
+ */
+async function recordChange(request, action, leadIds, details) {
+  if (leadIds.length === 0) {
+    return;
+  }
+
+  await auditLog.record({ action, actor: request.principal, sourceIp: request.sourceIp, leadIds, details });
+}
+
+/**
+ * Lead IDs of the batch items that were applied
+ */
+function succeeded(results, status) {
+  return results.filter(result => result.status === status).map(result => result.leadId);
+}
+
+/**
+ * Names of the contact and custom fields an update sets or removes, e.g. contact.phone
+ */
+function changedFields(changes) {
+  return ['contact', 'customFields'].flatMap(section =>
+    [...Object.keys(changes[section]), ...changes.remove[section]].map(name => `${section}.${name}`));
+}
+
+/**
+ * Count batch results by status
+ */
+function summarize(results) {
+  const summary = { total: results.length };
+  Object.values(ITEM_STATUS).forEach(status => {
+    summary[status] = results.filter(result => result.status === status).length;
+  });
+  return summary;
+}
+
+/**
+ * Validate lead and note ID format (leadIds are name-based UUIDs, so any version is accepted)
+ */
+function isValidLeadId(leadId) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(leadId);
+}
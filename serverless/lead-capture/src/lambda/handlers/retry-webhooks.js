@@ -0,0 +1,40 @@
+const webhooks = require('../utils/webhooks');
+
+/**
+ * Lambda handler for the webhook retry queue
+ * Each message is { deliveryId } of a pending delivery, sent with the backoff delay by the attempt before it
+ * Requires the ReportBatchItemFailures response type so only failed messages return to the queue
+ */
+exports.handler = async (event) => {
+  const records = event.Records || [];
+  const batchItemFailures = [];
+  let retried = 0;
+
+  for (const record of records) {
+    let deliveryId;
+    try {
+      deliveryId = JSON.parse(record.body).deliveryId;
+    } catch (error) {
+      deliveryId = null;
+    }
+
+    if (typeof deliveryId !== 'string') {
+      // Redelivering a malformed message cannot help
+      console.error('Webhook retry message without a deliveryId:', record.body);
+      continue;
+    }
+
+    try {
+      const delivery = await webhooks.retry(deliveryId);
+      if (delivery) {
+        retried++;
+      }
+    } catch (error) {
+      console.error(`Error retrying webhook delivery ${deliveryId}:`, error);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  console.log('Webhook retries completed:', JSON.stringify({ messages: records.length, retried, failed: batchItemFailures.length }));
+  return { batchItemFailures };
+};
@@ -0,0 +1,226 @@
+const database = require('../utils/database');
+const confirmation = require('../utils/confirmation');
+const mailer = require('../utils/mailer');
+const { SPAM_STATUS } = require('../utils/spam-scoring');
+const auditLog = require('../utils/audit-log');
+const { AUDIT_ACTIONS } = require('../utils/audit-log');
+const { getHeader, getClientIP } = require('../utils/headers');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  POST: SCOPES.LEADS_REVIEW
+};
+
+// Decisions a reviewer can make about a quarantined lead
+const REVIEW_DECISIONS = ['accept', 'reject'];
+
+/**
+ * Lambda handler for reviewing quarantined leads
+ * POST ?leadId= with { "decision": "accept" | "reject", "note" }
+ * Accepting releases the lead (emails, Mautic sync, webhooks); rejecting deletes it
+ */
+exports.handler = async (event) => {
+  console.log('Received event:', event.httpMethod, event.path, JSON.stringify(event.queryStringParameters));
+
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'POST,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only POST method is allowed', corsHeaders);
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES[event.httpMethod]);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    const { leadId = null } = event.queryStringParameters || {};
+    if (!leadId) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'leadId query parameter is required', corsHeaders, 'leadId');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+    }
+
+    if (!REVIEW_DECISIONS.includes(data.decision)) {
+      return createErrorResponse(400, 'VALIDATION_ERROR', 'decision must be either "accept" or "reject"', corsHeaders, 'decision');
+    }
+
+    const lead = await database.getLeadById(leadId);
+    if (!lead) {
+      return createErrorResponse(404, 'LEAD_NOT_FOUND', 'Lead not found', corsHeaders);
+    }
+
+    if (lead.spamStatus !== SPAM_STATUS.QUARANTINED) {
+      return createErrorResponse(409, 'NOT_QUARANTINED', 'Lead is not awaiting review', corsHeaders);
+    }
+
+    if (data.decision === 'reject') {
+      return await handleReject(lead, authResult.principal, event, corsHeaders);
+    }
+
+    return await handleAccept(lead, data.note, authResult.principal, event, corsHeaders);
+
+  } catch (error) {
+    console.error('Error reviewing lead:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while reviewing the lead'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * Release a quarantined lead and send the emails that were held back
+ */
+async function handleAccept(lead, note, principal, event, corsHeaders) {
+  const updateData = {
+    spamStatus: SPAM_STATUS.ACCEPTED,
+    spamReview: {
+      decision: 'accept',
+      note: typeof note === 'string' ? note.substring(0, 500) : null,
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: principal
+    }
+  };
+
+  // Unconfirmed leads get a fresh confirmation window from the time of review
+  const emailOptions = {};
+  if (confirmation.enabled && lead.confirmationStatus === confirmation.CONFIRMATION_STATUS.PENDING) {
+    emailOptions.expiresAt = confirmation.getExpiry();
+    emailOptions.confirmationUrl = confirmation.buildConfirmationUrl(lead.leadId, emailOptions.expiresAt);
+    updateData[database.LEADS_TTL_ATTRIBUTE] = emailOptions.expiresAt;
+  }
+
+  const updatedLead = await database.updateLead(lead.leadId, updateData, lead.timestamp);
+  await auditLog.record({
+    action: AUDIT_ACTIONS.UPDATE,
+    actor: principal,
+    sourceIp: getClientIP(event),
+    leadIds: [lead.leadId],
+    details: { route: 'review', decision: 'accept' }
+  });
+  await mailer.sendLeadEmails(updatedLead, emailOptions);
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      success: true,
+      message: 'Lead accepted',
+      data: updatedLead
+    })
+  };
+}
+
+/**
+ * Delete a quarantined lead and its submissions
+ */
+async function handleReject(lead, principal, event, corsHeaders) {
+  const submissionsDeleted = await database.deleteSubmissionsForLead(lead.leadId);
+  await database.deleteLead(lead.leadId, lead.timestamp);
+  await auditLog.record({
+    action: AUDIT_ACTIONS.DELETE,
+    actor: principal,
+    sourceIp: getClientIP(event),
+    leadIds: [lead.leadId],
+    details: { route: 'review', decision: 'reject', submissionsDeleted }
+  });
+
+  console.log('Lead rejected:', lead.leadId, 'by', auth.describePrincipal(principal));
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      success: true,
+      message: 'Lead rejected and deleted',
+      leadId: lead.leadId,
+      submissionsDeleted
+    })
+  };
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
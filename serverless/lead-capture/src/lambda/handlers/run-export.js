@@ -0,0 +1,20 @@
+const exportJobs = require('../utils/export-jobs');
+
+/**
+ * Lambda handler running one export job
+ * Invoked asynchronously by the export-leads handler with { jobId }
+ */
+exports.handler = async (event) => {
+  if (!event || typeof event.jobId !== 'string') {
+    console.error('Export worker invoked without a jobId:', JSON.stringify(event));
+    return { processed: false };
+  }
+
+  const job = await exportJobs.runJob(event.jobId);
+
+  if (job) {
+    console.log(`Export job ${job.jobId} ${job.status}${job.rowCount !== undefined ? ` with ${job.rowCount} leads` : ''}`);
+  }
+
+  return { processed: Boolean(job), status: job ? job.status : null };
+};
@@ -1,11 +1,17 @@
-const { v4: uuidv4 } = require('uuid');
 const database = require('../utils/database');
+const contacts = require('../utils/contacts');
+const confirmation = require('../utils/confirmation');
+const mailer = require('../utils/mailer');
+const spamScoring = require('../utils/spam-scoring');
+const proofOfWork = require('../utils/proof-of-work');
+const rateLimiter = require('../utils/rate-limiter');
+const analytics = require('../utils/analytics');
+const schema = require('../../shared/lead-schema');
+const { getHeader, getClientIP } = require('../utils/headers');
 
 // Environment variables
-const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
-const RATE_LIMIT_TABLE = process.env.RATE_LIMIT_TABLE || 'rate-limits';
-const MAX_REQUESTS_PER_HOUR = parseInt(process.env.MAX_REQUESTS_PER_HOUR) || 10;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+const CONSENT_REQUIRED = process.env.CONSENT_REQUIRED === 'true';
 
 /**
  * Lambda handler for processing lead form submissions
@@ -15,12 +21,14 @@ exports.handler = async (event) => {
   console.log('Received event:', JSON.stringify(event, null, 2));
 
   try {
-    // CORS headers
+    // CORS headers (this handler answers preflights for the whole /leads resource,
+    // including the lead admin PATCH and DELETE)
     const corsHeaders = {
-      'Access-Control-Allow-Origin': getAllowedOrigin(event.headers.origin),
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
       'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-      'Access-Control-Allow-Methods': 'POST,OPTIONS',
+      'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
       'Access-Control-Allow-Credentials': true,
+      'Access-Control-Expose-Headers': 'Retry-After,RateLimit-Limit,RateLimit-Remaining,RateLimit-Reset,RateLimit-Policy',
       'Content-Type': 'application/json'
     };
 
@@ -45,49 +53,108 @@ exports.handler = async (event) => {
     } catch (error) {
       return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
     }
+    if (!isPlainObject(requestBody)) {
+      return createErrorResponse(400, 'INVALID_JSON', 'Request body must be a JSON object', corsHeaders);
+    }
 
     // Get client IP for rate limiting
     const clientIP = getClientIP(event);
-    
-    // Check rate limiting
-    const rateLimitCheck = await database.checkRateLimit(clientIP, MAX_REQUESTS_PER_HOUR);
-    if (!rateLimitCheck.allowed) {
-      return createErrorResponse(429, 'RATE_LIMIT_EXCEEDED', 
-        `Too many requests. Try again in ${rateLimitCheck.resetTime} minutes.`, corsHeaders);
+
+    // Upgrade older payload versions to the current schema
+    const upgradeResult = schema.upgradePayload(requestBody);
+    if (!upgradeResult.isValid) {
+      return createErrorResponse(400, 'UNSUPPORTED_SCHEMA_VERSION', upgradeResult.error, corsHeaders, 'schemaVersion');
     }
 
     // Validate and sanitize input
-    const validationResult = validateAndSanitizeInput(requestBody);
+    const validationResult = validateAndSanitizeInput(upgradeResult.data);
     if (!validationResult.isValid) {
       return createErrorResponse(400, 'VALIDATION_ERROR', validationResult.error, corsHeaders, validationResult.field);
     }
 
-    // Check for spam indicators
-    const spamCheck = detectSpam(validationResult.data, event);
-    if (spamCheck.isSpam) {
-      console.log('Spam detected:', spamCheck.reason);
-      return createErrorResponse(400, 'SPAM_DETECTED', 'Submission rejected due to spam indicators', corsHeaders);
+    const formId = typeof upgradeResult.data.tracking?.formId === 'string' ? upgradeResult.data.tracking.formId : '';
+
+    // Check and count the submission against every rate limit policy in one atomic write
+    const rateLimit = await rateLimiter.consume({
+      ip: clientIP,
+      email: validationResult.data.contact.email,
+      origin: getHeader(event.headers, 'Origin'),
+      formId
+    });
+    Object.assign(corsHeaders, rateLimit.headers);
+    if (!rateLimit.allowed) {
+      if (rateLimit.unavailable) {
+        return createErrorResponse(503, 'RATE_LIMIT_UNAVAILABLE', 'Submissions are temporarily unavailable. Please try again later.', corsHeaders);
+      }
+      return createErrorResponse(429, 'RATE_LIMIT_EXCEEDED',
+        `Too many requests. Try again in ${Math.ceil(rateLimit.retryAfter / 60)} minutes.`, corsHeaders);
     }
 
-    // Create lead record
-    const leadData = {
-      leadId: uuidv4(),
+    // Verify the proof-of-work solution before anything is stored; bursts from one IP raise later challenges
+    if (proofOfWork.enabled) {
+      const powResult = await proofOfWork.verifySolution(upgradeResult.data.proofOfWork, formId);
+      if (!powResult.isValid) {
+        return createErrorResponse(400, 'PROOF_OF_WORK_FAILED', powResult.error, corsHeaders, 'proofOfWork');
+      }
+      await proofOfWork.recordSubmission(clientIP);
+    }
+
+    // Score spam signals; quarantined submissions are stored for review
+    const spam = spamScoring.evaluate({
+      data: validationResult.data,
+      signals: upgradeResult.data.spamSignals,
+      headers: event.headers
+    });
+    const attribution = buildAttribution(upgradeResult.data, event);
+    const analyticsEntry = {
       timestamp: new Date().toISOString(),
-      source: event.headers.origin || 'unknown',
+      source: getHeader(event.headers, 'Origin') || 'unknown',
+      formId,
+      utmCampaign: attribution.lastTouch.utmCampaign
+    };
+    if (spam.status === spamScoring.SPAM_STATUS.REJECTED) {
+      console.log('Spam detected:', spam.score, spam.reasons.map(reason => reason.rule).join(', '));
+      await analytics.recordSubmission({ ...analyticsEntry, spamStatus: spam.status });
+      return createErrorResponse(400, 'SPAM_DETECTED', 'Submission rejected due to spam indicators', corsHeaders);
+    }
+
+    // Merge the submission into the contact for this email and append it to the history
+    const { lead, submission, isNewContact } = await contacts.recordSubmission({
+      schemaVersion: schema.SCHEMA_VERSION,
+      source: getHeader(event.headers, 'Origin') || 'unknown',
       contact: validationResult.data.contact,
       customFields: validationResult.data.customFields || {},
       metadata: {
-        userAgent: event.headers['User-Agent'] || 'unknown',
+        userAgent: getHeader(event.headers, 'User-Agent') || 'unknown',
         ipAddress: clientIP,
-        referrer: event.headers.referer || event.headers.Referer || 'direct'
-      }
-    };
-
-    // Store lead in DynamoDB
-    await database.storeLead(leadData);
+        referrer: getHeader(event.headers, 'Referer') || 'direct'
+      },
+      page: buildPageContext(upgradeResult.data, event),
+      attribution,
+      consent: buildConsentRecord(validationResult.data.consent, upgradeResult.data.pageUrl, clientIP),
+      spam
+    }, {
+      confirmationRequired: confirmation.enabled,
+      // Double opt-in: unconfirmed contacts expire through the table's TTL attribute
+      expiresAt: confirmation.getExpiry()
+    });
+
+    // Count the submission for the stats endpoint (failures are logged, not returned)
+    await analytics.recordSubmission({ ...analyticsEntry, spamStatus: submission.spam.status });
+
+    // Existing contacts only get the welcome email once; unconfirmed ones get a fresh link
+    const emailOptions = { skipWelcome: !isNewContact };
+    if (confirmation.enabled && lead.confirmationStatus === confirmation.CONFIRMATION_STATUS.PENDING) {
+      emailOptions.expiresAt = lead[database.LEADS_TTL_ATTRIBUTE];
+      emailOptions.confirmationUrl = confirmation.buildConfirmationUrl(lead.leadId, emailOptions.expiresAt);
+    }
 
-    // Update rate limiting counter
-    await database.updateRateLimit(clientIP);
+    // Send lead notification and welcome emails (failures are logged, not returned)
+    // Quarantined submissions stay silent until they are reviewed
+    if (submission.spam.status === spamScoring.SPAM_STATUS.ACCEPTED &&
+        lead.spamStatus !== spamScoring.SPAM_STATUS.QUARANTINED) {
+      await mailer.sendLeadEmails(lead, emailOptions);
+    }
 
     // Return success response
     return {
@@ -96,7 +163,9 @@ exports.handler = async (event) => {
       body: JSON.stringify({
         success: true,
         message: 'Lead submitted successfully',
-        leadId: leadData.leadId
+        leadId: lead.leadId,
+        submissionId: submission.submissionId,
+        confirmationStatus: lead.confirmationStatus
       })
     };
 
@@ -121,49 +190,61 @@ exports.handler = async (event) => {
 };
 
 /**
- * Validate and sanitize input data
+ * Validate and sanitize input data against the shared lead schema
  */
 function validateAndSanitizeInput(data) {
-  const errors = [];
   const sanitized = {
     contact: {},
     customFields: {}
   };
+  const sections = {
+    contact: isPlainObject(data.contact) ? data.contact : {},
+    customFields: isPlainObject(data.customFields) ? data.customFields : {}
+  };
 
-  // Required fields validation
-  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
-    return { isValid: false, error: 'Name is required', field: 'name' };
-  }
-  if (!data.email || typeof data.email !== 'string' || !isValidEmail(data.email)) {
-    return { isValid: false, error: 'Valid email address is required', field: 'email' };
-  }
+  // Schema-defined fields
+  for (const [fieldName, field] of Object.entries(schema.FIELDS)) {
+    const value = sections[field.section][fieldName];
 
-  // Sanitize and validate name
-  sanitized.contact.name = sanitizeString(data.name, 100);
-  if (sanitized.contact.name.length < 2) {
-    return { isValid: false, error: 'Name must be at least 2 characters long', field: 'name' };
-  }
+    if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      return { isValid: false, error: `${field.label} must be a string`, field: fieldName };
+    }
+
+    const error = schema.validateField(fieldName, value);
+    if (error) {
+      return { isValid: false, error, field: fieldName };
+    }
 
-  // Sanitize and validate email
-  sanitized.contact.email = data.email.toLowerCase().trim();
-  if (!isValidEmail(sanitized.contact.email)) {
-    return { isValid: false, error: 'Invalid email format', field: 'email' };
+    const normalized = schema.normalizeValue(fieldName, value);
+    if (normalized) {
+      sanitized[field.section][fieldName] = field.type === 'email'
+        ? normalized
+        : sanitizeString(normalized, field.maxLength);
+    }
   }
 
-  // Optional fields
-  if (data.company) {
-    sanitized.contact.company = sanitizeString(data.company, 200);
+  // Consent checkbox (required by the form or for every submission via CONSENT_REQUIRED)
+  const consentError = schema.validateConsent(data.consent, CONSENT_REQUIRED);
+  if (consentError) {
+    return { isValid: false, error: consentError, field: 'consent' };
   }
-  if (data.phone) {
-    sanitized.contact.phone = sanitizePhone(data.phone);
+  if (data.consent) {
+    sanitized.consent = {
+      given: data.consent.given,
+      text: data.consent.text.trim(),
+      policyVersion: data.consent.policyVersion.trim(),
+      policyUrl: data.consent.policyUrl || null,
+      required: CONSENT_REQUIRED || data.consent.required === true
+    };
   }
 
-  // Custom fields (for future Mautic compatibility)
-  if (data.customFields && typeof data.customFields === 'object') {
-    for (const [key, value] of Object.entries(data.customFields)) {
-      if (typeof key === 'string' && key.length <= 50 && typeof value === 'string') {
-        sanitized.customFields[sanitizeString(key, 50)] = sanitizeString(value, 500);
-      }
+  // Additional custom fields (for future Mautic compatibility)
+  const { maxKeyLength, maxValueLength } = schema.CUSTOM_FIELD_LIMITS;
+  for (const [key, value] of Object.entries(sections.customFields)) {
+    if (schema.FIELDS[key]) continue;
+
+    if (key.length <= maxKeyLength && typeof value === 'string') {
+      sanitized.customFields[sanitizeString(key, maxKeyLength)] = sanitizeString(value, maxValueLength);
     }
   }
 
@@ -171,85 +252,107 @@ function validateAndSanitizeInput(data) {
 }
 
 /**
- * Sanitize string input
+ * Build the consent evidence stored on the lead
+ * Keeps the exact wording and policy version the submitter saw, with server-side time and IP
  */
-function sanitizeString(input, maxLength = 255) {
-  if (typeof input !== 'string') return '';
-  
-  return input
-    .trim()
-    .replace(/[<>\"'&]/g, '') // Remove potentially dangerous characters
-    .substring(0, maxLength);
+function buildConsentRecord(consent, pageUrl, clientIP) {
+  if (!consent) {
+    return null;
+  }
+
+  return {
+    ...consent,
+    timestamp: new Date().toISOString(),
+    ipAddress: clientIP,
+    pageUrl: sanitizeUrl(pageUrl)
+  };
 }
 
 /**
- * Sanitize phone number
+ * Build the page context stored with each submission
  */
-function sanitizePhone(phone) {
-  if (typeof phone !== 'string') return '';
-  
-  // Keep only digits, spaces, hyphens, parentheses, and plus sign
-  return phone.replace(/[^0-9\s\-\(\)\+]/g, '').substring(0, 20);
+function buildPageContext(data, event) {
+  return {
+    pageUrl: sanitizeUrl(data.pageUrl),
+    referrer: sanitizeUrl(data.referrer) || sanitizeUrl(getHeader(event.headers, 'Referer')),
+    formId: isPlainObject(data.tracking) && typeof data.tracking.formId === 'string'
+      ? sanitizeString(data.tracking.formId, 100)
+      : null
+  };
 }
 
 /**
- * Validate email format
+ * Build first- and last-touch attribution from the tracking data
+ * Forms that predate touch tracking send only the page's UTM parameters; both touches are then that page
  */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email) && email.length <= 254;
+function buildAttribution(data, event) {
+  const tracking = isPlainObject(data.tracking) ? data.tracking : {};
+  const lastTouch = buildTouch(tracking.lastTouch) || buildTouch({
+    ...tracking,
+    landingPage: data.pageUrl,
+    referrer: data.referrer || getHeader(event.headers, 'Referer')
+  });
+
+  return {
+    sessionId: typeof tracking.sessionId === 'string'
+      ? sanitizeString(tracking.sessionId, schema.ATTRIBUTION_LIMITS.maxSessionIdLength) || null
+      : null,
+    firstTouch: buildTouch(tracking.firstTouch) || lastTouch,
+    lastTouch
+  };
 }
 
 /**
- * Detect spam indicators
+ * Sanitize one attribution touch (UTM values, landing page, referrer and client time)
  */
-function detectSpam(data, event) {
-  const spamIndicators = [];
-
-  // Check for suspicious patterns in name
-  if (data.contact.name) {
-    const name = data.contact.name.toLowerCase();
-    const suspiciousPatterns = ['test', 'spam', 'bot', 'fake', 'admin', 'root'];
-    if (suspiciousPatterns.some(pattern => name.includes(pattern))) {
-      spamIndicators.push('suspicious_name');
-    }
+function buildTouch(touch) {
+  if (!isPlainObject(touch)) {
+    return null;
   }
 
-  // Check for suspicious email domains
-  if (data.contact.email) {
-    const emailDomain = data.contact.email.split('@')[1];
-    const suspiciousDomains = ['tempmail.org', '10minutemail.com', 'guerrillamail.com'];
-    if (suspiciousDomains.includes(emailDomain)) {
-      spamIndicators.push('suspicious_email_domain');
-    }
-  }
-
-  // Check for missing User-Agent (potential bot)
-  if (!event.headers['User-Agent']) {
-    spamIndicators.push('missing_user_agent');
-  }
+  const result = {};
+  Object.keys(schema.UTM_PARAMETERS).forEach(key => {
+    result[key] = typeof touch[key] === 'string'
+      ? sanitizeString(touch[key], schema.ATTRIBUTION_LIMITS.maxUtmLength) || null
+      : null;
+  });
+  result.landingPage = sanitizeUrl(touch.landingPage);
+  result.referrer = sanitizeUrl(touch.referrer);
+  result.timestamp = typeof touch.timestamp === 'string' && !isNaN(Date.parse(touch.timestamp))
+    ? new Date(touch.timestamp).toISOString()
+    : null;
+
+  return result;
+}
 
-  // Check for too many custom fields (potential spam)
-  if (Object.keys(data.customFields || {}).length > 10) {
-    spamIndicators.push('too_many_fields');
+/**
+ * Accept http(s) URLs only
+ */
+function sanitizeUrl(url) {
+  if (typeof url !== 'string' || !/^https?:\/\/.+/.test(url) || url.length > schema.CONSENT_LIMITS.maxUrlLength) {
+    return null;
   }
 
-  return {
-    isSpam: spamIndicators.length >= 2, // Require at least 2 indicators
-    reason: spamIndicators.join(', ')
-  };
+  return url;
 }
 
-
+/**
+ * Check for a plain object value
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
 /**
- * Get client IP address
+ * Sanitize string input
  */
-function getClientIP(event) {
-  return event.requestContext?.identity?.sourceIp || 
-         event.headers['X-Forwarded-For']?.split(',')[0]?.trim() ||
-         event.headers['X-Real-IP'] ||
-         'unknown';
+function sanitizeString(input, maxLength = 255) {
+  if (typeof input !== 'string') return '';
+  
+  return input
+    .trim()
+    .replace(/[<>"'&]/g, '') // Remove potentially dangerous characters
+    .substring(0, maxLength);
 }
 
 /**
@@ -0,0 +1,79 @@
+const AWS = require('aws-sdk');
+const mauticSync = require('../utils/mautic-sync');
+const fieldEncryption = require('../utils/field-encryption');
+const { CONFIRMATION_STATUS } = require('../utils/confirmation');
+const { SPAM_STATUS } = require('../utils/spam-scoring');
+
+/**
+ * Lambda handler for the leads table DynamoDB stream
+ * Pushes new, resubmitting and edited contacts into Mautic through its contacts API
+ * Leads awaiting double opt-in or spam review are pushed once they confirm or are accepted
+ */
+exports.handler = async (event) => {
+  const records = event.Records || [];
+  const results = [];
+
+  for (const record of records) {
+    if (!shouldSync(record)) {
+      continue;
+    }
+
+    const { leadId } = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.Keys || record.dynamodb.NewImage);
+
+    try {
+      const lead = await fieldEncryption.decryptItem(AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage));
+      results.push(await mauticSync.syncLead(lead));
+    } catch (error) {
+      // Decrypting the lead or storing the sync outcome failed; log and keep the rest of the batch moving
+      console.error('Error syncing lead to Mautic:', leadId, error);
+      results.push({ success: false, leadId, error: error.message });
+    }
+  }
+
+  const summary = {
+    processed: results.length,
+    synced: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    withMappingIssues: results.filter(result => result.mappingIssues).length
+  };
+
+  console.log('Mautic sync completed:', JSON.stringify(summary));
+  return summary;
+};
+
+/**
+ * Decide whether a stream record should be pushed to Mautic
+ * Our own sync status updates arrive as MODIFY events and are skipped
+ */
+function shouldSync(record) {
+  if (!record.dynamodb?.NewImage) {
+    return false;
+  }
+
+  const newImage = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage);
+  if (newImage.spamStatus === SPAM_STATUS.QUARANTINED) {
+    return false;
+  }
+
+  if (record.eventName === 'INSERT') {
+    return newImage.confirmationStatus !== CONFIRMATION_STATUS.PENDING;
+  }
+
+  if (record.eventName === 'MODIFY' && record.dynamodb.OldImage) {
+    const oldImage = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.OldImage);
+    const confirmed = oldImage.confirmationStatus === CONFIRMATION_STATUS.PENDING &&
+      newImage.confirmationStatus === CONFIRMATION_STATUS.CONFIRMED;
+    // A returning contact submitted another form and may have changed fields
+    const resubmitted = (newImage.submissionCount || 1) > (oldImage.submissionCount || 1) &&
+      newImage.confirmationStatus !== CONFIRMATION_STATUS.PENDING;
+    const accepted = oldImage.spamStatus === SPAM_STATUS.QUARANTINED &&
+      newImage.confirmationStatus !== CONFIRMATION_STATUS.PENDING;
+    // An admin changed the lead's fields through the lead admin API
+    const edited = newImage.editedAt !== oldImage.editedAt &&
+      newImage.confirmationStatus !== CONFIRMATION_STATUS.PENDING;
+
+    return confirmed || resubmitted || accepted || edited;
+  }
+
+  return false;
+}
@@ -0,0 +1,424 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../utils/database');
+const webhooks = require('../utils/webhooks');
+const auth = require('../utils/auth');
+const { SCOPES } = require('../utils/auth');
+const { getHeader } = require('../utils/headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+
+// Scope each route needs, from an API key or a bearer token
+const ROUTE_SCOPES = {
+  handler: SCOPES.WEBHOOKS_MANAGE,
+  listDeliveries: SCOPES.WEBHOOKS_MANAGE
+};
+
+/**
+ * Lambda handler for managing webhook endpoint registrations
+ * GET lists webhooks (or one with ?webhookId=), POST registers, PATCH updates, DELETE removes
+ */
+exports.handler = async (event) => {
+  console.log('Received event:', event.httpMethod, event.path, JSON.stringify(event.queryStringParameters));
+
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES.handler);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const { webhookId = null } = queryParams;
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return await handleGetWebhooks(webhookId, corsHeaders);
+      case 'POST':
+        return await handleCreateWebhook(event, corsHeaders);
+      case 'PATCH':
+        return await handleUpdateWebhook(webhookId, event, corsHeaders);
+      case 'DELETE':
+        return await handleDeleteWebhook(webhookId, corsHeaders);
+      default:
+        return createErrorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET, POST, PATCH and DELETE methods are allowed', corsHeaders);
+    }
+
+  } catch (error) {
+    console.error('Error managing webhooks:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while managing webhooks'
+        }
+      })
+    };
+  }
+};
+
+/**
+ * List webhooks, or return a single webhook by ID
+ */
+async function handleGetWebhooks(webhookId, corsHeaders) {
+  if (webhookId) {
+    const webhook = await database.getWebhookById(webhookId);
+    if (!webhook) {
+      return createErrorResponse(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found', corsHeaders);
+    }
+
+    return createSuccessResponse({ data: toPublicWebhook(webhook) }, corsHeaders);
+  }
+
+  const items = await database.listWebhooks();
+  return createSuccessResponse({
+    data: items.map(toPublicWebhook),
+    count: items.length
+  }, corsHeaders);
+}
+
+/**
+ * Register a new webhook endpoint
+ * The signing secret is only returned in this response
+ */
+async function handleCreateWebhook(event, corsHeaders) {
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+  }
+
+  const validationResult = validateWebhookInput(requestBody, true);
+  if (!validationResult.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validationResult.error, corsHeaders, validationResult.field);
+  }
+
+  const webhook = await database.storeWebhook({
+    webhookId: uuidv4(),
+    ...validationResult.data,
+    secret: webhooks.generateSecret(),
+    active: true,
+    consecutiveFailures: 0
+  });
+
+  return createSuccessResponse({
+    data: { ...toPublicWebhook(webhook), secret: webhook.secret }
+  }, corsHeaders, 201);
+}
+
+/**
+ * Update a webhook; re-activating it clears its failure count
+ */
+async function handleUpdateWebhook(webhookId, event, corsHeaders) {
+  if (!webhookId) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'webhookId query parameter is required', corsHeaders);
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body', corsHeaders);
+  }
+
+  const validationResult = validateWebhookInput(requestBody, false);
+  if (!validationResult.isValid) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', validationResult.error, corsHeaders, validationResult.field);
+  }
+
+  const updateData = validationResult.data;
+  if (updateData.active === true) {
+    updateData.consecutiveFailures = 0;
+    updateData.disabledAt = null;
+    updateData.disabledReason = null;
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    return createErrorResponse(400, 'VALIDATION_ERROR', 'No updatable fields provided', corsHeaders);
+  }
+
+  try {
+    const webhook = await database.updateWebhook(webhookId, updateData);
+    return createSuccessResponse({ data: toPublicWebhook(webhook) }, corsHeaders);
+  } catch (error) {
+    if (error.message === 'Webhook not found') {
+      return createErrorResponse(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found', corsHeaders);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a webhook registration
+ */
+async function handleDeleteWebhook(webhookId, corsHeaders) {
+  if (!webhookId) {
+    return createErrorResponse(400, 'INVALID_PARAMETERS', 'webhookId query parameter is required', corsHeaders);
+  }
+
+  try {
+    await database.deleteWebhook(webhookId);
+    return createSuccessResponse({ message: 'Webhook deleted successfully' }, corsHeaders);
+  } catch (error) {
+    if (error.message === 'Webhook not found') {
+      return createErrorResponse(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found', corsHeaders);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate webhook registration input
+ * @param {Object} data - Request body
+ * @param {boolean} isCreate - Whether url and events are required
+ */
+function validateWebhookInput(data, isCreate) {
+  const sanitized = {};
+
+  if (data.url !== undefined || isCreate) {
+    if (typeof data.url !== 'string' || !isValidWebhookUrl(data.url)) {
+      return {
+        isValid: false,
+        error: WEBHOOK_ALLOW_HTTP ? 'A valid http(s) URL is required' : 'A valid https URL is required',
+        field: 'url'
+      };
+    }
+    // Deliveries check the resolved address as well; this catches literal addresses up front
+    if (!webhooks.allowPrivateTargets && webhooks.isBlockedHost(new URL(data.url).hostname)) {
+      return {
+        isValid: false,
+        error: 'url must not point to a private, loopback or link-local address',
+        field: 'url'
+      };
+    }
+    sanitized.url = data.url;
+  }
+
+  if (data.events !== undefined || isCreate) {
+    if (!Array.isArray(data.events) || data.events.length === 0 ||
+        !data.events.every(eventType => webhooks.WEBHOOK_EVENTS.includes(eventType))) {
+      return {
+        isValid: false,
+        error: `events must be a non-empty list of: ${webhooks.WEBHOOK_EVENTS.join(', ')}`,
+        field: 'events'
+      };
+    }
+    sanitized.events = [...new Set(data.events)];
+  }
+
+  if (data.description !== undefined) {
+    if (typeof data.description !== 'string' || data.description.length > 200) {
+      return { isValid: false, error: 'description must be a string of at most 200 characters', field: 'description' };
+    }
+    sanitized.description = data.description.trim();
+  }
+
+  if (data.active !== undefined && !isCreate) {
+    if (typeof data.active !== 'boolean') {
+      return { isValid: false, error: 'active must be a boolean', field: 'active' };
+    }
+    sanitized.active = data.active;
+  }
+
+  return { isValid: true, data: sanitized };
+}
+
+/**
+ * Validate webhook URL
+ */
+function isValidWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || (WEBHOOK_ALLOW_HTTP && parsed.protocol === 'http:');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Strip the signing secret from a webhook before returning it
+ */
+function toPublicWebhook(webhook) {
+  const publicWebhook = { ...webhook };
+  delete publicWebhook.secret;
+  return publicWebhook;
+}
+
+/**
+ * Authenticate API request against the scope the route needs
+ * Accepts an Authorization: Bearer token or an X-Api-Key header
+ */
+async function authenticateRequest(event, scope) {
+  return auth.authenticate(event.headers, scope);
+}
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+/**
+ * Create standardized success response
+ */
+function createSuccessResponse(payload, headers, statusCode = 200) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      ...payload
+    })
+  };
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, headers, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify(errorResponse)
+  };
+}
+
+/**
+ * List recent deliveries for a webhook endpoint handler
+ */
+exports.listDeliveries = async (event) => {
+  try {
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'CORS preflight successful' })
+      };
+    }
+
+    // Authenticate request
+    const authResult = await authenticateRequest(event, ROUTE_SCOPES.listDeliveries);
+    if (!authResult.isValid) {
+      return createErrorResponse(authResult.statusCode, authResult.code, authResult.error, corsHeaders);
+    }
+
+    // Parse query parameters
+    const queryParams = event.queryStringParameters || {};
+    const { webhookId = null, limit = '25', nextToken = null, status = null } = queryParams;
+
+    if (!webhookId) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'webhookId query parameter is required', corsHeaders);
+    }
+
+    if (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS', 'Limit must be a number between 1 and 100', corsHeaders);
+    }
+
+    const statuses = Object.values(webhooks.DELIVERY_STATUS);
+    if (status && !statuses.includes(status)) {
+      return createErrorResponse(400, 'INVALID_PARAMETERS',
+        `status must be one of: ${statuses.join(', ')}`, corsHeaders);
+    }
+
+    const result = await database.getWebhookDeliveries(webhookId, {
+      limit: parseInt(limit),
+      lastEvaluatedKey: nextToken,
+      status
+    });
+
+    // Summarize each delivery
+    const deliveries = result.deliveries.map(delivery => ({
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      status: delivery.status,
+      responseCode: delivery.responseCode,
+      error: delivery.error,
+      attempts: delivery.attempts,
+      createdAt: delivery.createdAt,
+      completedAt: delivery.completedAt
+    }));
+
+    return createSuccessResponse({
+      data: deliveries,
+      count: result.count,
+      nextToken: result.nextToken,
+      hasMore: result.hasMore
+    }, corsHeaders);
+
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'An internal error occurred while listing webhook deliveries'
+        }
+      })
+    };
+  }
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { ApiKeyService, SCOPES, validateKeyInput } = require('../utils/api-keys');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ApiKeyService', () => {
+  let database;
+  let apiKeys;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    apiKeys = new ApiKeyService({ database, legacyKey: '', lastUsedResolutionSeconds: 300, rotationGraceHours: 24 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const issue = (input = {}) => apiKeys.issueKey({ name: 'CRM import', scopes: [SCOPES.LEADS_READ], ...input });
+
+  describe('issuing', () => {
+    test('stores only a hash of the key and never returns it', async () => {
+      const { apiKey, key } = await issue();
+
+      expect(apiKey).toMatch(/^lc_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+      expect(apiKey.split('_')[1]).toBe(key.keyId);
+      expect(key.keyHash).toBeUndefined();
+
+      const stored = await database.getApiKey(key.keyId);
+      expect(stored.keyHash).toBe(crypto.createHash('sha256').update(apiKey).digest('hex'));
+      expect(JSON.stringify(stored)).not.toContain(apiKey.split('_')[2]);
+      expect((await apiKeys.listKeys())[0].keyHash).toBeUndefined();
+    });
+
+    test.each([
+      [{ name: '' }, /^name must be/],
+      [{ scopes: [] }, /^scopes must be/],
+      [{ scopes: ['leads:everything'] }, /^scopes must be/],
+      [{ expiresAt: '2020-01-01T00:00:00.000Z' }, 'expiresAt must be in the future'],
+      [{ expiresAt: 'tomorrow' }, /^expiresAt must be in ISO 8601 format/]
+    ])('rejects %p', async (input, error) => {
+      await expect(issue(input)).rejects.toThrow(error);
+    });
+
+    test('accepts valid settings', () => {
+      expect(validateKeyInput({ name: 'CRM', scopes: [SCOPES.LEADS_READ], expiresAt: new Date(Date.now() + HOUR).toISOString() })).toBeNull();
+    });
+  });
+
+  describe('authentication', () => {
+    test('accepts an issued key with the required scope', async () => {
+      const { apiKey, key } = await issue();
+
+      const result = await apiKeys.authenticate(apiKey, SCOPES.LEADS_READ);
+
+      expect(result.isValid).toBe(true);
+      expect(result.principal).toEqual({ type: 'api_key', id: key.keyId, name: 'CRM import' });
+      expect(result.key.keyHash).toBeUndefined();
+    });
+
+    test('refuses a key without the required scope with 403', async () => {
+      const { apiKey } = await issue();
+
+      expect(await apiKeys.authenticate(apiKey, SCOPES.LEADS_DELETE)).toEqual({
+        isValid: false,
+        statusCode: 403,
+        code: 'FORBIDDEN',
+        error: 'API key lacks the leads:delete scope'
+      });
+    });
+
+    test('refuses a key whose secret does not match the stored hash', async () => {
+      const { apiKey } = await issue();
+      const secret = apiKey.slice(-43);
+      const forged = apiKey.slice(0, -43) + (secret[0] === 'A' ? 'B' : 'A') + secret.slice(1);
+
+      expect((await apiKeys.authenticate(forged)).error).toBe('Invalid API key');
+      expect((await apiKeys.authenticate(`lc_${'0'.repeat(16)}_${secret}`)).error).toBe('Invalid API key');
+      expect((await apiKeys.authenticate('')).error).toBe('API key is required. Include X-Api-Key header.');
+    });
+
+    test('refuses expired keys', async () => {
+      const { apiKey, key } = await issue();
+      await database.updateApiKey(key.keyId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      expect(await apiKeys.authenticate(apiKey)).toEqual({
+        isValid: false,
+        statusCode: 401,
+        code: 'UNAUTHORIZED',
+        error: 'API key has expired'
+      });
+    });
+
+    test('records when a key was last used, at most once per resolution window', async () => {
+      const { apiKey, key } = await issue();
+      const update = jest.spyOn(database, 'updateApiKey');
+
+      await apiKeys.authenticate(apiKey);
+      await apiKeys.authenticate(apiKey);
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect((await apiKeys.getKey(key.keyId)).lastUsedAt).toEqual(expect.any(String));
+    });
+  });
+
+  describe('revocation', () => {
+    test('refuses a revoked key and keeps it listed', async () => {
+      const { apiKey, key } = await issue();
+      const revokedBy = { type: 'api_key', id: 'admin', name: 'Admin' };
+
+      const revoked = await apiKeys.revokeKey(key.keyId, { revokedBy });
+
+      expect(revoked.revokedAt).toEqual(expect.any(String));
+      expect(revoked.revokedBy).toEqual(revokedBy);
+      expect((await apiKeys.authenticate(apiKey)).error).toBe('API key has been revoked');
+      expect((await apiKeys.listKeys()).map(listed => listed.keyId)).toEqual([key.keyId]);
+    });
+
+    test('keeps the first revocation when revoked again', async () => {
+      const { key } = await issue();
+      const first = await apiKeys.revokeKey(key.keyId);
+
+      expect(await apiKeys.revokeKey(key.keyId, { revokedBy: { type: 'api_key', id: 'other' } })).toEqual(first);
+      await expect(apiKeys.revokeKey('0'.repeat(16))).rejects.toThrow('API key not found');
+    });
+  });
+
+  describe('rotation', () => {
+    test('issues a replacement and keeps the old key working for the grace period', async () => {
+      const { apiKey, key } = await issue({ scopes: [SCOPES.LEADS_READ, SCOPES.LEADS_EXPORT] });
+
+      const rotated = await apiKeys.rotateKey(key.keyId, { graceHours: 2 });
+
+      expect(rotated.key.rotatedFrom).toBe(key.keyId);
+      expect(rotated.key.scopes).toEqual([SCOPES.LEADS_READ, SCOPES.LEADS_EXPORT]);
+      expect(rotated.previousKey.rotatedTo).toBe(rotated.key.keyId);
+      expect(new Date(rotated.previousKey.expiresAt) - Date.now()).toBeGreaterThan(2 * HOUR - 60000);
+      expect((await apiKeys.authenticate(apiKey)).isValid).toBe(true);
+      expect((await apiKeys.authenticate(rotated.apiKey)).isValid).toBe(true);
+    });
+
+    test('stops the old key once the grace period is over', async () => {
+      const { apiKey, key } = await issue();
+      const rotated = await apiKeys.rotateKey(key.keyId, { graceHours: 2 });
+      jest.useFakeTimers({ now: Date.now() + 2 * HOUR + 1000, doNotFake: ['nextTick', 'setImmediate'] });
+
+      try {
+        expect((await apiKeys.authenticate(apiKey)).error).toBe('API key has expired');
+        expect((await apiKeys.authenticate(rotated.apiKey)).isValid).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('stops the old key at once with no grace period', async () => {
+      const { apiKey, key } = await issue();
+      await apiKeys.rotateKey(key.keyId, { graceHours: 0 });
+
+      expect((await apiKeys.authenticate(apiKey)).error).toBe('API key has expired');
+    });
+
+    test('keeps an earlier expiry of the old key', async () => {
+      const expiresAt = new Date(Date.now() + HOUR).toISOString();
+      const { key } = await issue({ expiresAt });
+
+      const rotated = await apiKeys.rotateKey(key.keyId, { graceHours: 24 });
+
+      expect(rotated.previousKey.expiresAt).toBe(expiresAt);
+      expect(rotated.key.expiresAt).toBe(expiresAt);
+    });
+
+    test('rotates a key only once and never a revoked one', async () => {
+      const { key } = await issue();
+      await apiKeys.rotateKey(key.keyId);
+      await expect(apiKeys.rotateKey(key.keyId)).rejects.toThrow('API key has already been rotated');
+
+      const { key: revoked } = await issue();
+      await apiKeys.revokeKey(revoked.keyId);
+      await expect(apiKeys.rotateKey(revoked.keyId)).rejects.toThrow('API key not found');
+    });
+  });
+
+  describe('legacy API_KEY', () => {
+    const environment = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...environment };
+    });
+
+    const loadService = (env) => {
+      Object.assign(process.env, { STORAGE_ADAPTER: 'memory', ...env });
+      let service;
+      jest.isolateModules(() => {
+        service = require('../utils/api-keys');
+      });
+      return service;
+    };
+
+    test('grants only the API_KEY_SCOPES', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const service = loadService({ API_KEY: 'legacy-secret', API_KEY_SCOPES: 'leads:read, stats:read' });
+
+      const result = await service.authenticate('legacy-secret', SCOPES.STATS_READ);
+      expect(result.isValid).toBe(true);
+      expect(result.principal).toEqual({ type: 'api_key', id: 'legacy', name: 'API_KEY' });
+      expect(result.key.scopes).toEqual([SCOPES.LEADS_READ, SCOPES.STATS_READ]);
+
+      expect((await service.authenticate('legacy-secret', SCOPES.LEADS_EXPORT)).statusCode).toBe(403);
+      expect((await service.authenticate('legacy-secret', SCOPES.KEYS_MANAGE)).statusCode).toBe(403);
+      expect((await service.authenticate('legacy-secreT')).error).toBe('Invalid API key');
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('defaults to read, export and stats scopes', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      delete process.env.API_KEY_SCOPES;
+      const service = loadService({ API_KEY: 'legacy-secret' });
+
+      expect((await service.authenticate('legacy-secret')).key.scopes).toEqual([SCOPES.LEADS_READ, SCOPES.LEADS_EXPORT, SCOPES.STATS_READ]);
+      expect((await service.authenticate('legacy-secret', SCOPES.LEADS_DELETE)).statusCode).toBe(403);
+    });
+
+    test('refuses unknown scopes in API_KEY_SCOPES', () => {
+      expect(() => loadService({ API_KEY: 'legacy-secret', API_KEY_SCOPES: 'leads:read,admin' }))
+        .toThrow('Invalid API_KEY_SCOPES: unknown scopes admin');
+    });
+
+    test('accepts nothing when API_KEY is not set', async () => {
+      expect((await apiKeys.authenticate('legacy-secret')).error).toBe('Invalid API key');
+    });
+  });
+});
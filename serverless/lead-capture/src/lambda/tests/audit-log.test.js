@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { AuditLogService, AUDIT_ACTIONS, toActorKey } = require('../utils/audit-log');
+const { DataSubjectService } = require('../utils/data-subject');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const HASH_KEY = 'test-audit-hash-key';
+const ADA = '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10';
+const GRACE = '1c7b4a1f-9e58-5d6a-8b7f-3a6e2d5c8b21';
+const SALES = { type: 'api_key', id: '3f2a9c1d0b8e7f6a', name: 'Sales' };
+const ANA = { type: 'jwt', id: '00u1ab', name: 'ana@example.com' };
+
+const hmac = value => crypto.createHmac('sha256', HASH_KEY).update(value).digest('hex');
+
+describe('AuditLogService', () => {
+  let database;
+  let auditLog;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    auditLog = new AuditLogService({ database, retentionDays: 0, hashKey: HASH_KEY });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('recording', () => {
+    test('records who did what to which leads, and from where', async () => {
+      const entry = await auditLog.record({
+        action: AUDIT_ACTIONS.EXPORT,
+        actor: { ...SALES, scopes: ['leads:export'] },
+        sourceIp: '203.0.113.7',
+        leadIds: [ADA, GRACE, ADA, null],
+        details: { jobId: 'job-1' }
+      });
+
+      expect(entry).toEqual({
+        auditId: expect.any(String),
+        timestamp: expect.any(String),
+        timeBucket: entry.timestamp.slice(0, 7),
+        action: AUDIT_ACTIONS.EXPORT,
+        actor: SALES,
+        actorKey: 'api_key:3f2a9c1d0b8e7f6a',
+        sourceIp: '203.0.113.7',
+        filters: null,
+        leadIds: [ADA, GRACE],
+        leadCount: 2,
+        details: { jobId: 'job-1' }
+      });
+      expect(entry).not.toHaveProperty('expiresAt');
+    });
+
+    test('records requests without a caller or source IP', async () => {
+      const entry = await auditLog.record({ action: AUDIT_ACTIONS.READ, actor: null, leadIds: [ADA] });
+
+      expect(entry).toMatchObject({ actor: null, actorKey: 'anonymous:unknown', sourceIp: 'unknown' });
+      expect(toActorKey(ANA)).toBe('jwt:00u1ab');
+    });
+
+    test('keeps at most 100 lead IDs on the entry and finds every lead through the lookup table', async () => {
+      const leadIds = Array.from({ length: 120 }, (_, index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`);
+
+      const entry = await auditLog.record({ action: AUDIT_ACTIONS.LIST, actor: SALES, leadIds });
+
+      expect(entry.leadIds).toHaveLength(100);
+      expect(entry.leadCount).toBe(120);
+      expect((await auditLog.query({ leadId: leadIds[119] })).entries.map(found => found.auditId)).toEqual([entry.auditId]);
+    });
+
+    test('expires entries after the retention period when one is set', async () => {
+      jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      auditLog = new AuditLogService({ database, retentionDays: 30, hashKey: HASH_KEY });
+
+      const entry = await auditLog.record({ action: AUDIT_ACTIONS.READ, actor: SALES, leadIds: [ADA] });
+
+      expect(entry.expiresAt).toBe(Date.parse('2025-03-31T10:00:00.000Z') / 1000);
+    });
+
+    test('refuses unknown actions and fails when the entry cannot be stored', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(auditLog.record({ action: 'lead.peek', actor: SALES })).rejects.toThrow('Unknown audit action: lead.peek');
+
+      jest.spyOn(database.storage, 'put').mockRejectedValue(new Error('ProvisionedThroughputExceededException'));
+      await expect(auditLog.record({ action: AUDIT_ACTIONS.READ, actor: SALES, leadIds: [ADA] }))
+        .rejects.toThrow('Failed to store audit entry: ProvisionedThroughputExceededException');
+    });
+  });
+
+  describe('filters', () => {
+    test('keep contact filter values only as keyed hashes of the normalized value', () => {
+      expect(auditLog.sanitizeFilters({
+        email: ' ADA@Example.com ',
+        q: 'Ada  Lovelace',
+        companyPrefix: 'Analytical',
+        'customFields.referral': 'newsletter',
+        source: 'https://example.com',
+        status: 'qualified',
+        tag: '',
+        formId: null
+      })).toEqual({
+        emailHash: hmac('ada@example.com'),
+        qHash: hmac('ada lovelace'),
+        companyPrefixHash: hmac('analytical'),
+        'customFields.referralHash': hmac('newsletter'),
+        source: 'https://example.com',
+        status: 'qualified'
+      });
+    });
+
+    test('list contact filters by name only without a hash key', () => {
+      auditLog = new AuditLogService({ database, hashKey: '' });
+
+      expect(auditLog.sanitizeFilters({ email: 'ada@example.com', 'customFields.referral': 'newsletter', source: 'https://example.com' })).toEqual({
+        source: 'https://example.com',
+        redacted: ['email', 'customFields.referral']
+      });
+    });
+
+    test('let an auditor check a lookup only with the key', () => {
+      const other = new AuditLogService({ database, hashKey: 'another-key' });
+
+      expect(auditLog.hashFilterValue('Ada@Example.com')).toBe(auditLog.sanitizeFilters({ email: 'ada@example.com' }).emailHash);
+      expect(other.hashFilterValue('ada@example.com')).not.toBe(auditLog.hashFilterValue('ada@example.com'));
+    });
+
+    test('store nothing for missing or empty filters', () => {
+      expect(auditLog.sanitizeFilters(null)).toBeNull();
+      expect(auditLog.sanitizeFilters({ email: '', q: undefined })).toBeNull();
+    });
+  });
+
+  describe('querying', () => {
+    beforeEach(async () => {
+      jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      await auditLog.record({ action: AUDIT_ACTIONS.LIST, actor: SALES, leadIds: [ADA, GRACE] });
+      jest.setSystemTime(new Date('2025-03-01T11:00:00.000Z'));
+      await auditLog.record({ action: AUDIT_ACTIONS.UPDATE, actor: ANA, leadIds: [ADA] });
+      jest.setSystemTime(new Date('2025-04-01T09:00:00.000Z'));
+      await auditLog.record({ action: AUDIT_ACTIONS.READ, actor: SALES, leadIds: [GRACE] });
+    });
+
+    const actions = result => result.entries.map(entry => entry.action);
+
+    test('finds entries by lead, actor and action, most recent first', async () => {
+      expect(actions(await auditLog.query({ leadId: ADA }))).toEqual([AUDIT_ACTIONS.UPDATE, AUDIT_ACTIONS.LIST]);
+      expect(actions(await auditLog.query({ actor: 'api_key:3f2a9c1d0b8e7f6a' }))).toEqual([AUDIT_ACTIONS.READ, AUDIT_ACTIONS.LIST]);
+      expect(actions(await auditLog.query({ leadId: ADA, actor: 'jwt:00u1ab' }))).toEqual([AUDIT_ACTIONS.UPDATE]);
+      expect(actions(await auditLog.query({ action: AUDIT_ACTIONS.READ, startDate: '2025-01-01T00:00:00.000Z' }))).toEqual([AUDIT_ACTIONS.READ]);
+    });
+
+    test('narrows by time range across months', async () => {
+      expect(actions(await auditLog.query({ startDate: '2025-03-01T10:30:00.000Z', endDate: '2025-04-30T00:00:00.000Z' })))
+        .toEqual([AUDIT_ACTIONS.READ, AUDIT_ACTIONS.UPDATE]);
+      expect(actions(await auditLog.query({ leadId: ADA, endDate: '2025-03-01T10:00:00.000Z' }))).toEqual([AUDIT_ACTIONS.LIST]);
+    });
+
+    test('pages through the entries of a lead', async () => {
+      const first = await auditLog.query({ leadId: ADA, limit: 1 });
+      const second = await auditLog.query({ leadId: ADA, limit: 1, nextToken: first.nextToken });
+
+      expect(first.hasMore).toBe(true);
+      expect([...actions(first), ...actions(second)]).toEqual([AUDIT_ACTIONS.UPDATE, AUDIT_ACTIONS.LIST]);
+    });
+  });
+
+  describe('append-only', () => {
+    test('never overwrites a stored entry', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const entry = await auditLog.record({ action: AUDIT_ACTIONS.READ, actor: SALES, leadIds: [ADA] });
+
+      await expect(database.storeAuditEntry({ ...entry, action: AUDIT_ACTIONS.LIST, actor: ANA }, [ADA]))
+        .rejects.toThrow('Failed to store audit entry');
+
+      const [stored] = (await auditLog.query({ leadId: ADA })).entries;
+      expect(stored).toMatchObject({ auditId: entry.auditId, action: AUDIT_ACTIONS.READ, actor: SALES });
+    });
+
+    test('keeps the entries of an erased contact, which hold no contact data', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await database.storeLead({
+        leadId: ADA,
+        timestamp: '2025-03-01T10:00:00.000Z',
+        source: 'https://example.com',
+        contact: { email: 'ada@example.com', name: 'Ada Lovelace' }
+      });
+      await auditLog.record({ action: AUDIT_ACTIONS.LIST, actor: SALES, filters: { email: 'ada@example.com' }, leadIds: [ADA] });
+
+      await new DataSubjectService({ database, client: { deleteContact: jest.fn() } }).eraseData('ada@example.com');
+
+      const { entries } = await auditLog.query({ leadId: ADA });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].filters).toEqual({ emailHash: hmac('ada@example.com') });
+      expect(JSON.stringify(entries)).not.toContain('ada@example.com');
+    });
+  });
+});
+
+describe('audit trail of the lead API', () => {
+  let getLeads;
+  let listAuditLog;
+  let apiKeys;
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    Object.assign(process.env, { STORAGE_ADAPTER: 'memory', AUDIT_LOG_HASH_KEY: HASH_KEY });
+    delete process.env.API_KEY;
+    jest.isolateModules(() => {
+      getLeads = require('../handlers/get-leads').handler;
+      listAuditLog = require('../handlers/audit-log').handler;
+      apiKeys = require('../utils/api-keys');
+    });
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records the caller and a hash of the email they looked up', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { SCOPES } = apiKeys;
+    const { apiKey, key } = await apiKeys.issueKey({ name: 'Support', scopes: [SCOPES.LEADS_READ, SCOPES.AUDIT_READ] });
+    const request = (handler, resource, queryStringParameters) => handler({
+      httpMethod: 'GET',
+      resource,
+      path: resource,
+      headers: { 'X-Api-Key': apiKey },
+      queryStringParameters,
+      requestContext: { identity: { sourceIp: '203.0.113.7' } }
+    });
+
+    expect((await request(getLeads, '/leads', { email: 'Ada@Example.com' })).statusCode).toBe(200);
+
+    const response = await request(listAuditLog, '/audit-log', { actor: `api_key:${key.keyId}` });
+    const { data } = JSON.parse(response.body);
+
+    expect(data).toEqual([expect.objectContaining({
+      action: AUDIT_ACTIONS.LIST,
+      actor: { type: 'api_key', id: key.keyId, name: 'Support' },
+      sourceIp: '203.0.113.7',
+      filters: expect.objectContaining({ emailHash: hmac('ada@example.com') })
+    })]);
+    expect(response.body).not.toContain('ada@example.com');
+  });
+});
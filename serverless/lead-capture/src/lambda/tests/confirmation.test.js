@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { ConfirmationService, CONFIRMATION_STATUS } = require('../utils/confirmation');
+const { DatabaseService, TABLE_SCHEMAS, LEADS_TTL_ATTRIBUTE } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
+const SECRET = 'test-confirmation-secret';
+const LEAD_ID = '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10';
+
+const pendingLead = (extra = {}) => ({
+  leadId: LEAD_ID,
+  timestamp: '2025-03-01T10:00:00.000Z',
+  source: 'https://example.com',
+  contact: { email: 'ada@example.com', name: 'Ada Lovelace' },
+  confirmationStatus: CONFIRMATION_STATUS.PENDING,
+  ...extra
+});
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('ConfirmationService', () => {
+  let confirmation;
+
+  beforeEach(() => {
+    confirmation = new ConfirmationService({
+      enabled: true,
+      secret: SECRET,
+      confirmationUrl: 'https://api.example.com/confirm?lang=en',
+      expiryHours: 72
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies the tokens it signed', () => {
+    const expiresAt = inAnHour();
+
+    expect(confirmation.verifyToken(confirmation.createToken(LEAD_ID, expiresAt))).toEqual({
+      isValid: true,
+      leadId: LEAD_ID,
+      expiresAt
+    });
+  });
+
+  test('refuses a token whose payload was changed after signing', () => {
+    const [, signature] = confirmation.createToken(LEAD_ID, inAnHour()).split('.');
+    const payload = Buffer.from(`another-lead:${inAnHour()}`).toString('base64url');
+
+    expect(confirmation.verifyToken(`${payload}.${signature}`)).toEqual({ isValid: false, error: 'Invalid confirmation token' });
+  });
+
+  test('refuses a token signed with another secret', () => {
+    const token = new ConfirmationService({ secret: 'other-secret' }).createToken(LEAD_ID, inAnHour());
+
+    expect(confirmation.verifyToken(token).error).toBe('Invalid confirmation token');
+  });
+
+  test('refuses an expired token', () => {
+    const token = confirmation.createToken(LEAD_ID, inAnHour());
+    jest.spyOn(Date, 'now').mockReturnValue((inAnHour() + 1) * 1000);
+
+    expect(confirmation.verifyToken(token)).toEqual({ isValid: false, error: 'Confirmation link has expired' });
+  });
+
+  test('refuses a signed payload without an expiry', () => {
+    const payload = Buffer.from(LEAD_ID).toString('base64url');
+    const signature = crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+
+    expect(confirmation.verifyToken(`${payload}.${signature}`).error).toBe('Confirmation link has expired');
+  });
+
+  test.each([
+    [null, 'Malformed confirmation token'],
+    ['', 'Malformed confirmation token'],
+    ['no-signature', 'Malformed confirmation token'],
+    ['.signature-only', 'Malformed confirmation token'],
+    ['!!not base64!!.c2lnbmF0dXJl', 'Invalid confirmation token'],
+    ['cGF5bG9hZA.ü', 'Invalid confirmation token']
+  ])('refuses malformed token %p', (token, error) => {
+    expect(confirmation.verifyToken(token)).toEqual({ isValid: false, error });
+  });
+
+  test('builds the link from the configured URL and keeps its query', () => {
+    const expiresAt = inAnHour();
+    const url = new URL(confirmation.buildConfirmationUrl(LEAD_ID, expiresAt));
+
+    expect(url.origin + url.pathname).toBe('https://api.example.com/confirm');
+    expect(url.searchParams.get('lang')).toBe('en');
+    expect(confirmation.verifyToken(url.searchParams.get('token')).leadId).toBe(LEAD_ID);
+  });
+
+  test('refuses to sign or link without its settings', () => {
+    const unconfigured = new ConfirmationService({ secret: '', confirmationUrl: '' });
+
+    expect(() => unconfigured.createToken(LEAD_ID, inAnHour())).toThrow('CONFIRMATION_SECRET is not configured');
+    expect(() => unconfigured.buildConfirmationUrl(LEAD_ID, inAnHour())).toThrow('CONFIRMATION_URL is not configured');
+  });
+
+  test('expires requests after the configured hours', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-03-01T10:00:00.000Z'));
+
+    expect(confirmation.getExpiry()).toBe(Date.parse('2025-03-04T10:00:00.000Z') / 1000);
+  });
+});
+
+describe('DatabaseService.confirmLead', () => {
+  let database;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+  });
+
+  const getStoredLead = async () => (await database.storage.get({
+    TableName: LEADS_TABLE,
+    Key: { leadId: LEAD_ID, timestamp: pendingLead().timestamp }
+  })).Item;
+
+  test('records the confirmation and removes the expiry of the pending lead', async () => {
+    await database.storeLead(pendingLead(), { expiresAt: inAnHour() });
+    expect((await getStoredLead())[LEADS_TTL_ATTRIBUTE]).toEqual(expect.any(Number));
+
+    const confirmed = await database.confirmLead(LEAD_ID, { ipAddress: '203.0.113.7', userAgent: 'jest' });
+
+    expect(confirmed).toMatchObject({
+      confirmationStatus: CONFIRMATION_STATUS.CONFIRMED,
+      confirmedAt: expect.any(String),
+      confirmedIp: '203.0.113.7',
+      confirmedUserAgent: 'jest'
+    });
+    expect(await getStoredLead()).not.toHaveProperty(LEADS_TTL_ATTRIBUTE);
+  });
+
+  test('fails for a lead that does not exist, such as one removed by TTL', async () => {
+    await expect(database.confirmLead(LEAD_ID, {})).rejects.toThrow('Lead not found');
+  });
+});
+
+describe('confirm-lead handler', () => {
+  let handler;
+  let database;
+  let confirmation;
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      STORAGE_ADAPTER: 'memory',
+      DOUBLE_OPT_IN_ENABLED: 'true',
+      CONFIRMATION_SECRET: SECRET,
+      SEND_WELCOME_EMAIL: 'false'
+    });
+    jest.isolateModules(() => {
+      handler = require('../handlers/confirm-lead').handler;
+      database = require('../utils/database');
+      confirmation = require('../utils/confirmation');
+    });
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.storage.delete({ TableName: LEADS_TABLE, Key: { leadId: LEAD_ID, timestamp: pendingLead().timestamp } });
+    await database.storeLead(pendingLead(), { expiresAt: inAnHour() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const open = (token, headers = null) => handler({
+    httpMethod: 'GET',
+    headers,
+    queryStringParameters: { token },
+    requestContext: { identity: { sourceIp: '203.0.113.7' } }
+  });
+
+  test('confirms the lead once and keeps the first evidence', async () => {
+    const token = confirmation.createToken(LEAD_ID, inAnHour());
+
+    const first = await open(token, { 'user-agent': 'Mail client' });
+    const second = await open(token, { 'User-Agent': 'Other browser' });
+
+    expect(first.statusCode).toBe(200);
+    expect(JSON.parse(first.body)).toMatchObject({ message: 'Email address confirmed', confirmationStatus: CONFIRMATION_STATUS.CONFIRMED });
+    expect(JSON.parse(second.body).message).toBe('Email address already confirmed');
+    expect(JSON.parse(second.body).confirmedAt).toBe(JSON.parse(first.body).confirmedAt);
+
+    const lead = await database.getLeadById(LEAD_ID);
+    expect(lead.confirmedIp).toBe('203.0.113.7');
+    expect(lead.confirmedUserAgent).toBe('Mail client');
+    expect(lead).not.toHaveProperty(LEADS_TTL_ATTRIBUTE);
+  });
+
+  test('answers 400 for a tampered token and 404 for a lead that is gone', async () => {
+    const token = confirmation.createToken(LEAD_ID, inAnHour());
+
+    expect((await open(token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A'))).statusCode).toBe(400);
+
+    const unknown = await open(confirmation.createToken('9c1d2e3f-0000-4000-8000-000000000000', inAnHour()));
+    expect(unknown.statusCode).toBe(404);
+    expect(JSON.parse(unknown.body).error.code).toBe('LEAD_NOT_FOUND');
+  });
+});
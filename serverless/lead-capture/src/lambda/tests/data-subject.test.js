@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const { DataSubjectService, ERASURE_STATUS } = require('../utils/data-subject');
+const { RateLimiterService } = require('../utils/rate-limiter');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
+const RATE_LIMIT_TABLE = process.env.RATE_LIMIT_TABLE || 'rate-limits';
+const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE || 'webhook-deliveries';
+
+const ADA_IP = '203.0.113.7';
+const GRACE_IP = '198.51.100.9';
+
+const lead = (leadId, email, ip, extra = {}) => ({
+  leadId,
+  timestamp: '2025-03-01T10:00:00.000Z',
+  source: 'https://example.com',
+  contact: { email, name: email.split('@')[0] },
+  metadata: { ipAddress: ip },
+  ...extra
+});
+
+const submission = (submissionId, leadId, ip) => ({
+  submissionId,
+  leadId,
+  submittedAt: '2025-03-01T10:00:00.000Z',
+  contact: { email: 'ada@example.com' },
+  metadata: { ipAddress: ip }
+});
+
+const delivery = (deliveryId, leadId) => ({
+  deliveryId,
+  webhookId: 'wh-1',
+  leadId,
+  event: 'lead.created',
+  status: 'delivered',
+  attempts: [],
+  createdAt: '2025-03-01T10:00:01.000Z'
+});
+
+const scanKeys = async (database, TableName, key) =>
+  (await database.storage.scan({ TableName })).Items.map(item => item[key]).sort();
+
+describe('DataSubjectService', () => {
+  let database;
+  let client;
+  let rateLimiter;
+  let dataSubject;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    client = { deleteContact: jest.fn(async () => true) };
+    rateLimiter = new RateLimiterService({
+      database,
+      policies: [
+        { name: 'ip', key: 'ip', limit: 10, windowSeconds: 3600 },
+        { name: 'email', key: 'email', limit: 10, windowSeconds: 3600 }
+      ]
+    });
+    dataSubject = new DataSubjectService({ database, client, rateLimiter });
+
+    // Two leads and two submissions for Ada, one synced to Mautic; Grace's data must survive
+    await database.storeLead(lead('ada-1', 'Ada@Example.com', ADA_IP, { mauticContactId: 42 }));
+    await database.storeLead(lead('ada-2', 'ada@example.com', '203.0.113.8'));
+    await database.storeLead(lead('grace-1', 'grace@example.com', GRACE_IP));
+    await database.storeSubmission(submission('sub-ada-1', 'ada-1', ADA_IP));
+    await database.storeSubmission(submission('sub-ada-2', 'ada-2', '203.0.113.8'));
+    await database.storeSubmission(submission('sub-grace-1', 'grace-1', GRACE_IP));
+
+    await rateLimiter.consume({ ip: ADA_IP, email: 'ada@example.com' });
+    await rateLimiter.consume({ ip: GRACE_IP, email: 'grace@example.com' });
+    await database.incrementBurstCount(ADA_IP, 10);
+    await database.incrementBurstCount(GRACE_IP, 10);
+
+    for (const [deliveryId, leadId] of [['del-ada-1', 'ada-1'], ['del-ada-2', 'ada-2'], ['del-grace-1', 'grace-1']]) {
+      await database.storeWebhookDelivery(delivery(deliveryId, leadId));
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('erasure', () => {
+    test('removes every record of the address and nothing else', async () => {
+      const tombstone = await dataSubject.eraseData(' ADA@example.com', { reason: 'Ticket 123', requestedFrom: '192.0.2.1' });
+
+      expect(tombstone).toMatchObject({
+        status: ERASURE_STATUS.COMPLETED,
+        leadIds: expect.arrayContaining(['ada-1', 'ada-2']),
+        leadsDeleted: 2,
+        submissionsDeleted: 2,
+        rateLimitRecordsDeleted: 3,
+        webhookDeliveriesDeleted: 2,
+        mauticContactsDeleted: 1,
+        errors: []
+      });
+      expect(client.deleteContact).toHaveBeenCalledWith(42);
+
+      expect(await scanKeys(database, LEADS_TABLE, 'leadId')).toEqual(['grace-1']);
+      expect(await database.getSubmissionsForLead('ada-1')).toEqual([]);
+      expect((await database.getSubmissionsForLead('grace-1')).map(item => item.submissionId)).toEqual(['sub-grace-1']);
+      expect(await scanKeys(database, WEBHOOK_DELIVERIES_TABLE, 'deliveryId')).toEqual(['del-grace-1']);
+
+      const counters = await scanKeys(database, RATE_LIMIT_TABLE, 'rateLimitKey');
+      expect(counters).toHaveLength(3);
+      expect(counters.every(key => !key.includes(ADA_IP))).toBe(true);
+      expect(counters.filter(key => key.includes(GRACE_IP))).toHaveLength(2);
+    });
+
+    test('leaves a tombstone with a hash of the address instead of the address', async () => {
+      const tombstone = await dataSubject.eraseData('ada@example.com', {
+        reason: 'Ticket 123',
+        requestedBy: { type: 'api_key', id: 'key-1', name: 'Support' }
+      });
+
+      expect(tombstone.emailHash).toBe(crypto.createHash('sha256').update('ada@example.com').digest('hex'));
+      expect(JSON.stringify(tombstone)).not.toContain('ada@example.com');
+
+      const access = await dataSubject.exportData('ada@example.com');
+      expect(access.leadCount).toBe(0);
+      expect(access.erasures).toEqual([expect.objectContaining({ tombstoneId: tombstone.tombstoneId, reason: 'Ticket 123' })]);
+    });
+
+    test('carries on and reports a partial erasure when Mautic fails', async () => {
+      client.deleteContact.mockRejectedValue(new Error('Mautic API DELETE /api/contacts/42/delete failed with 503'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const tombstone = await dataSubject.eraseData('ada@example.com');
+
+      expect(tombstone.status).toBe(ERASURE_STATUS.PARTIAL);
+      expect(tombstone.errors).toEqual(['Mautic contact 42: Mautic API DELETE /api/contacts/42/delete failed with 503']);
+      expect(tombstone.leadsDeleted).toBe(2);
+      expect(await scanKeys(database, LEADS_TABLE, 'leadId')).toEqual(['grace-1']);
+    });
+
+    test('records an erasure of an unknown address', async () => {
+      const tombstone = await dataSubject.eraseData('nobody@example.com');
+
+      expect(tombstone).toMatchObject({ status: ERASURE_STATUS.COMPLETED, leadIds: [], leadsDeleted: 0, webhookDeliveriesDeleted: 0 });
+      expect(client.deleteContact).not.toHaveBeenCalled();
+    });
+  });
+
+  test('collects the leads and submissions of an address for access requests', async () => {
+    const access = await dataSubject.exportData('ADA@example.com');
+
+    expect(access.email).toBe('ada@example.com');
+    expect(access.leadCount).toBe(2);
+    expect(access.leads.map(item => item.submissions.map(entry => entry.submissionId)).flat().sort()).toEqual(['sub-ada-1', 'sub-ada-2']);
+    expect(access.erasures).toEqual([]);
+  });
+});
+
+describe('lead.deleted webhooks after an erasure', () => {
+  let handler;
+  let webhooks;
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    Object.assign(process.env, { STORAGE_ADAPTER: 'memory' });
+    jest.isolateModules(() => {
+      handler = require('../handlers/dispatch-webhooks').handler;
+      webhooks = require('../utils/webhooks');
+    });
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('announce the deleted lead by ID only', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const dispatch = jest.spyOn(webhooks, 'dispatch').mockResolvedValue([]);
+    const erased = lead('ada-1', 'ada@example.com', ADA_IP, { mauticContactId: 42 });
+
+    const result = await handler({
+      Records: [{
+        eventID: '1',
+        eventName: 'REMOVE',
+        dynamodb: {
+          SequenceNumber: '100',
+          Keys: AWS.DynamoDB.Converter.marshall({ leadId: erased.leadId, timestamp: erased.timestamp }),
+          OldImage: AWS.DynamoDB.Converter.marshall(erased)
+        }
+      }]
+    });
+
+    expect(result).toEqual({ batchItemFailures: [] });
+    expect(dispatch).toHaveBeenCalledWith('lead.deleted', { leadId: 'ada-1' });
+  });
+});
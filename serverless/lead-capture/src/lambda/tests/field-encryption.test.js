@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FieldEncryptionService, isEncrypted } = require('../utils/field-encryption');
+const { LocalKeyProvider, KmsKeyProvider, createKeyProvider, rotateLocalKeyFile } = require('../utils/key-provider');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
+
+const lead = (extra = {}) => ({
+  leadId: '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10',
+  timestamp: '2025-03-01T10:00:00.000Z',
+  email: 'ada@example.com',
+  source: 'https://example.com',
+  contact: { email: 'Ada@Example.com', name: 'Ada Lovelace', phone: '+44 20 7946 0000', company: 'Analytical Engines' },
+  metadata: { ipAddress: '203.0.113.7', userAgent: 'jest' },
+  ...extra
+});
+
+// Answers like the AWS SDK's KMS client with fixed keys and records every call
+const fakeKms = () => ({
+  calls: [],
+  generateDataKey(params) {
+    this.calls.push(['generateDataKey', params]);
+    return { promise: async () => ({ Plaintext: Buffer.alloc(32, 1), CiphertextBlob: Buffer.from('wrapped') }) };
+  },
+  decrypt(params) {
+    this.calls.push(['decrypt', params]);
+    return { promise: async () => ({ Plaintext: Buffer.alloc(32, 2) }) };
+  }
+});
+
+describe('field encryption', () => {
+  let directory;
+  let keyFile;
+
+  // A new provider reads the key file again, as a Lambda cold start would after a rotation
+  const createService = () => new FieldEncryptionService({ keyProvider: new LocalKeyProvider({ filePath: keyFile }) });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'field-encryption-'));
+    keyFile = path.join(directory, 'keys.json');
+    rotateLocalKeyFile(keyFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('LocalKeyProvider', () => {
+    test('adds new keys to the front of the key file on rotation', () => {
+      expect(rotateLocalKeyFile(keyFile)).toEqual({ wrappingKeyId: 'local-2', blindIndexKeyId: 'bi-2' });
+
+      const content = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      expect(content.wrappingKeys.map(key => key.id)).toEqual(['local-2', 'local-1']);
+      expect(content.blindIndexKeys.map(key => key.id)).toEqual(['bi-2', 'bi-1']);
+      expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+    });
+
+    test('unwraps the data keys it generated', async () => {
+      const provider = new LocalKeyProvider({ filePath: keyFile });
+
+      const dataKey = await provider.generateDataKey();
+
+      expect(dataKey.keyId).toBe('local-1');
+      expect(await provider.decryptDataKey('local-1', dataKey.encryptedKey)).toEqual(dataKey.key);
+      await expect(provider.decryptDataKey('local-9', dataKey.encryptedKey)).rejects.toThrow('Unknown wrapping key: local-9');
+    });
+
+    test('rejects missing key files and keys of the wrong length', async () => {
+      const missing = new LocalKeyProvider({ filePath: path.join(directory, 'missing.json') });
+      await expect(missing.generateDataKey()).rejects.toThrow(/^Failed to read key file/);
+
+      fs.writeFileSync(keyFile, JSON.stringify({
+        wrappingKeys: [{ id: 'short', key: Buffer.alloc(16).toString('base64') }],
+        blindIndexKeys: [{ id: 'bi-1', key: Buffer.alloc(32).toString('base64') }]
+      }));
+      await expect(new LocalKeyProvider({ filePath: keyFile }).generateDataKey()).rejects.toThrow('Key short must be 32 bytes');
+    });
+  });
+
+  describe('KmsKeyProvider', () => {
+    test('binds data keys and blind index keys to their purpose and unwraps blind index keys once', async () => {
+      const kms = fakeKms();
+      const provider = new KmsKeyProvider({ kms, keyId: 'alias/leads', blindIndexKeys: [{ id: 'bi-1', key: 'c2VjcmV0' }] });
+
+      expect(await provider.generateDataKey()).toEqual({
+        keyId: 'alias/leads',
+        key: Buffer.alloc(32, 1),
+        encryptedKey: Buffer.from('wrapped').toString('base64')
+      });
+      await provider.getBlindIndexKeys();
+      expect(await provider.getBlindIndexKeys()).toEqual([{ id: 'bi-1', key: Buffer.alloc(32, 2) }]);
+
+      expect(kms.calls).toEqual([
+        ['generateDataKey', { KeyId: 'alias/leads', KeySpec: 'AES_256', EncryptionContext: { purpose: 'lead-field-encryption' } }],
+        ['decrypt', { CiphertextBlob: Buffer.from('secret'), EncryptionContext: { purpose: 'lead-blind-index' } }]
+      ]);
+    });
+
+    test('refuses to work without a key ID or blind index keys', async () => {
+      const provider = new KmsKeyProvider({ kms: fakeKms(), keyId: '', blindIndexKeys: [] });
+
+      await expect(provider.generateDataKey()).rejects.toThrow('FIELD_ENCRYPTION_KMS_KEY_ID is not configured');
+      await expect(provider.getBlindIndexKeys()).rejects.toThrow('FIELD_ENCRYPTION_BLIND_INDEX_KEYS is not configured');
+    });
+
+    test('creates providers by name', () => {
+      expect(createKeyProvider('none')).toBeNull();
+      expect(createKeyProvider('local')).toBeInstanceOf(LocalKeyProvider);
+      expect(() => createKeyProvider('vault')).toThrow('Unknown field encryption provider: vault');
+    });
+  });
+
+  describe('FieldEncryptionService', () => {
+    test('encrypts the personal fields and decrypts them back', async () => {
+      const service = createService();
+      const original = lead();
+
+      const encrypted = await service.encryptItem(original);
+
+      expect(isEncrypted(encrypted.contact.email)).toBe(true);
+      expect(isEncrypted(encrypted.contact.name)).toBe(true);
+      expect(isEncrypted(encrypted.contact.phone)).toBe(true);
+      expect(isEncrypted(encrypted.metadata.ipAddress)).toBe(true);
+      expect(encrypted.contact.company).toBe('Analytical Engines');
+      expect(encrypted.metadata.userAgent).toBe('jest');
+      expect(encrypted.email).toMatch(/^bidx:bi-1:[0-9a-f]{64}$/);
+      expect(original).toEqual(lead());
+
+      expect(await service.decryptItem(encrypted)).toEqual(lead());
+    });
+
+    test('does not encrypt values that are already encrypted', async () => {
+      const service = createService();
+      const encrypted = await service.encryptItem(lead());
+
+      expect(await service.encryptItem(encrypted)).toEqual(encrypted);
+    });
+
+    test('indexes every spelling of an address under the same blind index', async () => {
+      const service = createService();
+
+      expect(await service.blindIndex(' ADA@example.com ')).toBe(await service.blindIndex('ada@example.com'));
+      expect(await service.blindIndex('ada@example.com')).not.toBe(await service.blindIndex('grace@example.com'));
+    });
+
+    test('refuses a ciphertext moved to another field', async () => {
+      const service = createService();
+      const encrypted = await service.encryptItem(lead());
+
+      await expect(service.decryptField('contact.name', encrypted.contact.email)).rejects.toThrow();
+    });
+
+    test('returns items stored before encryption was turned on as they are', async () => {
+      const service = createService();
+      const legacy = lead();
+
+      expect(await service.decryptItem(legacy)).toBe(legacy);
+      expect(await service.needsReencryption(legacy)).toBe(true);
+      expect(await service.emailLookupValues('Ada@Example.com')).toEqual([await service.blindIndex('ada@example.com'), 'ada@example.com']);
+    });
+
+    test('refuses to return encrypted fields once encryption is turned off', async () => {
+      const encrypted = await createService().encryptItem(lead());
+      const disabled = new FieldEncryptionService({ keyProvider: null });
+
+      expect(disabled.enabled).toBe(false);
+      expect(await disabled.encryptItem(lead())).toEqual(lead());
+      await expect(disabled.decryptItem(encrypted)).rejects.toThrow('Item has encrypted fields but FIELD_ENCRYPTION_PROVIDER is none');
+    });
+
+    test('reads values of rotated-out keys and writes with the newest', async () => {
+      const encrypted = await createService().encryptItem(lead());
+      rotateLocalKeyFile(keyFile);
+      const service = createService();
+
+      expect(await service.decryptItem(encrypted)).toEqual(lead());
+      expect(await service.needsReencryption(encrypted)).toBe(true);
+      expect(service.needsFieldReencryption(encrypted.contact.email)).toBe(true);
+
+      const reencrypted = await service.encryptItem(await service.decryptItem(encrypted));
+      expect(reencrypted.email).toMatch(/^bidx:bi-2:/);
+      expect(service.needsFieldReencryption(reencrypted.contact.email)).toBe(false);
+      expect(await service.needsReencryption(reencrypted)).toBe(false);
+
+      const lookups = await service.emailLookupValues('ada@example.com');
+      expect(lookups).toEqual([reencrypted.email, encrypted.email, 'ada@example.com']);
+    });
+  });
+
+  describe('DatabaseService with encryption', () => {
+    let database;
+
+    beforeEach(() => {
+      database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }), encryption: createService() });
+    });
+
+    const getStoredLead = async (leadId = lead().leadId) => (await database.storage.get({
+      TableName: LEADS_TABLE,
+      Key: { leadId, timestamp: lead().timestamp }
+    })).Item;
+
+    test('stores ciphertext and the blind index and reads the lead back in plaintext', async () => {
+      await database.storeLead(lead());
+
+      const stored = await getStoredLead();
+      expect(isEncrypted(stored.contact.email)).toBe(true);
+      expect(stored.email).toMatch(/^bidx:bi-1:/);
+      expect(JSON.stringify(stored)).not.toContain('Lovelace');
+
+      const read = await database.getLeadById(lead().leadId);
+      expect(read.contact).toEqual(lead().contact);
+      expect(read.email).toBe('ada@example.com');
+    });
+
+    test('finds encrypted and legacy plaintext leads by exact email', async () => {
+      await database.storeLead(lead());
+      await database.storage.put({ TableName: LEADS_TABLE, Item: lead({ leadId: 'legacy', timeBucket: '2025-03' }) });
+
+      const leads = await database.getLeadsByEmail('ADA@example.com');
+
+      expect(leads.map(item => item.leadId).sort()).toEqual([lead().leadId, 'legacy'].sort());
+      expect(leads.every(item => item.contact.name === 'Ada Lovelace')).toBe(true);
+      expect(await database.emailExists('ada@example.com')).toBe(true);
+      expect(await database.emailExists('grace@example.com')).toBe(false);
+    });
+
+    test('moves plaintext and rotated-out leads over to the newest keys', async () => {
+      await database.storeLead(lead());
+      await database.storage.put({ TableName: LEADS_TABLE, Item: lead({ leadId: 'legacy', timeBucket: '2025-03' }) });
+      rotateLocalKeyFile(keyFile);
+      database.encryption = createService();
+
+      expect(await database.reencryptItems()).toEqual({ leads: 2, submissions: 0, deliveries: 0, skipped: 0 });
+
+      for (const leadId of [lead().leadId, 'legacy']) {
+        const stored = await getStoredLead(leadId);
+        expect(stored.email).toMatch(/^bidx:bi-2:/);
+        expect(await database.encryption.needsReencryption(stored)).toBe(false);
+      }
+      expect(await database.getLeadsByEmail('ada@example.com')).toHaveLength(2);
+      expect(await database.reencryptItems()).toEqual({ leads: 0, submissions: 0, deliveries: 0, skipped: 0 });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JwtAuthService } = require('../utils/jwt-auth');
+const { SCOPES } = require('../utils/api-keys');
+
+const ISSUER = 'https://login.example.com/';
+const AUDIENCE = 'lead-capture';
+
+// Signing keys of the local identity provider, published through a JWKS file
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const otherRsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const jwk = (keyPair, kid, alg) => ({ ...keyPair.publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' });
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a compact JWS the way an OIDC provider would
+ */
+function signToken(claims, { alg = 'RS256', kid = 'rsa-1', key = rsaKeys.privateKey } = {}) {
+  const signed = `${base64url({ alg, kid, typ: 'JWT' })}.${base64url(claims)}`;
+  const signature = alg.startsWith('ES')
+    ? crypto.sign('sha256', Buffer.from(signed), { key, dsaEncoding: 'ieee-p1363' })
+    : crypto.sign('sha256', Buffer.from(signed), key);
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const validClaims = (extra = {}) => ({
+  iss: ISSUER,
+  aud: AUDIENCE,
+  sub: 'user-1',
+  email: 'ada@example.com',
+  iat: now(),
+  exp: now() + 300,
+  scope: 'leads:read',
+  ...extra
+});
+
+describe('JwtAuthService', () => {
+  let directory;
+  let jwksFile;
+  let auth;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-auth-'));
+    jwksFile = path.join(directory, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [jwk(rsaKeys, 'rsa-1', 'RS256'), jwk(ecKeys, 'ec-1', 'ES256')]
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    auth = new JwtAuthService({
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      jwksUrl: '',
+      jwksFile,
+      scopeMap: { 'lead-admins': [SCOPES.LEADS_READ, SCOPES.LEADS_EXPORT] },
+      clockToleranceSeconds: 60
+    });
+  });
+
+  const expectRejected = async (token, error) => {
+    expect(await auth.authenticate(token, SCOPES.LEADS_READ)).toEqual({
+      isValid: false,
+      statusCode: 401,
+      code: 'UNAUTHORIZED',
+      error
+    });
+  };
+
+  describe('signatures', () => {
+    test.each([
+      ['RS256', 'rsa-1', rsaKeys],
+      ['ES256', 'ec-1', ecKeys]
+    ])('accepts %s tokens signed by a JWKS key', async (alg, kid, keyPair) => {
+      const result = await auth.authenticate(signToken(validClaims(), { alg, kid, key: keyPair.privateKey }), SCOPES.LEADS_READ);
+
+      expect(result).toEqual({
+        isValid: true,
+        scopes: [SCOPES.LEADS_READ],
+        principal: { type: 'jwt', id: 'user-1', name: 'ada@example.com', issuer: ISSUER }
+      });
+    });
+
+    test('rejects HS256 tokens, even when keyed with the public key', async () => {
+      const publicPem = rsaKeys.publicKey.export({ type: 'spki', format: 'pem' });
+      const signed = `${base64url({ alg: 'HS256', kid: 'rsa-1' })}.${base64url(validClaims())}`;
+      const signature = crypto.createHmac('sha256', publicPem).update(signed).digest('base64url');
+
+      await expectRejected(`${signed}.${signature}`, 'Token algorithm HS256 is not accepted');
+    });
+
+    test('rejects unsigned tokens', async () => {
+      await expectRejected(`${base64url({ alg: 'none' })}.${base64url(validClaims())}.`, 'Token algorithm none is not accepted');
+    });
+
+    test('rejects tokens whose kid is not in the JWKS', async () => {
+      await expectRejected(signToken(validClaims(), { kid: 'rsa-2' }), 'Token signing key is not known');
+    });
+
+    test('rejects a kid used with an algorithm of another key type', async () => {
+      await expectRejected(signToken(validClaims(), { alg: 'RS256', kid: 'ec-1' }), 'Token signing key is not known');
+    });
+
+    test('rejects tokens signed by a key outside the JWKS', async () => {
+      await expectRejected(signToken(validClaims(), { key: otherRsaKeys.privateKey }), 'Token signature is invalid');
+    });
+
+    test('rejects tokens whose claims were changed after signing', async () => {
+      const [header, , signature] = signToken(validClaims()).split('.');
+
+      await expectRejected(`${header}.${base64url(validClaims({ sub: 'admin' }))}.${signature}`, 'Token signature is invalid');
+    });
+
+    test.each([
+      ['not a token'],
+      ['a.b.c'],
+      ['']
+    ])('rejects malformed token %p', async (token) => {
+      await expectRejected(token, 'Invalid token');
+    });
+  });
+
+  describe('claims', () => {
+    test.each([
+      ['another issuer', { iss: 'https://evil.example.com/' }, 'Token issuer is not accepted'],
+      ['another audience', { aud: 'other-app' }, 'Token audience is not accepted'],
+      ['no expiry', { exp: undefined }, 'Token has no expiry'],
+      ['an expiry past the clock tolerance', { exp: now() - 61 }, 'Token has expired'],
+      ['a not-before past the clock tolerance', { nbf: now() + 120 }, 'Token is not valid yet'],
+      ['no subject', { sub: '' }, 'Token has no subject']
+    ])('rejects tokens with %s', async (name, claims, error) => {
+      await expectRejected(signToken(validClaims(claims)), error);
+    });
+
+    test('accepts expiry and not-before within the clock tolerance', async () => {
+      const result = await auth.authenticate(signToken(validClaims({ exp: now() - 30, nbf: now() + 30 })));
+
+      expect(result.isValid).toBe(true);
+    });
+
+    test('accepts the audience among several', async () => {
+      const result = await auth.authenticate(signToken(validClaims({ aud: ['other-app', AUDIENCE] })));
+
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('scopes', () => {
+    test('refuses a valid token without the required scope', async () => {
+      const result = await auth.authenticate(signToken(validClaims()), SCOPES.KEYS_MANAGE);
+
+      expect(result).toEqual({ isValid: false, statusCode: 403, code: 'FORBIDDEN', error: 'Token lacks the keys:manage scope' });
+    });
+
+    test('grants mapped scopes from group claims and ignores unknown values', async () => {
+      auth.scopeClaim = 'groups';
+      const token = signToken(validClaims({ scope: undefined, groups: ['lead-admins', 'everyone'] }));
+
+      const result = await auth.authenticate(token, SCOPES.LEADS_EXPORT);
+
+      expect(result.isValid).toBe(true);
+      expect(result.scopes).toEqual([SCOPES.LEADS_READ, SCOPES.LEADS_EXPORT]);
+    });
+  });
+
+  describe('configuration', () => {
+    test('answers 503 when the JWKS cannot be loaded', async () => {
+      auth.jwksFile = path.join(directory, 'missing.json');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await auth.authenticate(signToken(validClaims()));
+
+      expect(result).toEqual({ isValid: false, statusCode: 503, code: 'AUTH_UNAVAILABLE', error: 'Token keys could not be loaded' });
+      console.error.mockRestore();
+    });
+
+    test('refuses bearer tokens when JWT auth is not configured', async () => {
+      const unconfigured = new JwtAuthService({ issuer: '', audience: '', jwksUrl: '', jwksFile: '' });
+
+      expect(unconfigured.enabled).toBe(false);
+      expect((await unconfigured.authenticate(signToken(validClaims()))).statusCode).toBe(401);
+    });
+
+    test('rejects partial configuration and plain http JWKS URLs', () => {
+      expect(() => new JwtAuthService({ issuer: ISSUER, audience: '', jwksUrl: '', jwksFile: '' }))
+        .toThrow('Invalid JWT configuration');
+      expect(() => new JwtAuthService({ issuer: ISSUER, audience: AUDIENCE, jwksUrl: 'http://login.example.com/jwks', jwksFile: '' }))
+        .toThrow('Invalid JWT_JWKS_URL: must be an https URL');
+    });
+  });
+});
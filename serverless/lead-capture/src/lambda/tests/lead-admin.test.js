@@ -0,0 +1,451 @@
+const { LeadAdminService, ITEM_STATUS, LEAD_STATUS, validateLeadChanges, validateTagChanges } = require('../utils/lead-admin');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
+
+const ADA = '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10';
+const GRACE = '1c7b4a1f-9e58-5d6a-8b7f-3a6e2d5c8b21';
+const UNKNOWN = '9c1d2e3f-0000-4000-8000-000000000000';
+const TIMESTAMP = '2025-03-01T10:00:00.000Z';
+const EDITOR = { type: 'api_key', id: 'key-1', name: 'CRM import' };
+
+const lead = (leadId, email, extra = {}) => ({
+  leadId,
+  timestamp: TIMESTAMP,
+  source: 'https://example.com',
+  contact: { email, name: 'Ada Lovelace', company: 'Analytical Engines' },
+  customFields: { industry: 'Software', referral: 'newsletter' },
+  ...extra
+});
+
+describe('validateLeadChanges', () => {
+  test('accepts contact and custom field changes and turns empty values into removals', () => {
+    expect(validateLeadChanges({
+      contact: { company: ' Babbage & Co ', phone: null },
+      customFields: { industry: 'Hardware', referral: '' }
+    })).toEqual({
+      isValid: true,
+      data: {
+        contact: { company: 'Babbage  Co' },
+        customFields: { industry: 'Hardware' },
+        remove: { contact: ['phone'], customFields: ['referral'] }
+      }
+    });
+  });
+
+  test.each([
+    [{ status: 'qualified' }, 'Only contact and customFields can be updated', 'status'],
+    [{ contact: { email: 'eve@example.com' } }, 'contact.email cannot be changed', 'contact.email'],
+    [{ contact: { favouriteColour: 'blue' } }, 'contact.favouriteColour is not a contact field', 'contact.favouriteColour'],
+    [{ customFields: { company: 'Acme' } }, 'company belongs in contact', 'customFields.company'],
+    [{ contact: { phone: 'call me' } }, expect.any(String), 'contact.phone'],
+    [{ contact: { company: { name: 'Acme' } } }, 'contact.company must be a string or null', 'contact.company'],
+    [{ customFields: { ['x'.repeat(51)]: 'y' } }, expect.stringMatching(/with a name of at most 50 characters$/), expect.any(String)],
+    [{ contact: [] }, 'contact must be an object', 'contact']
+  ])('refuses %p', (changes, error, field) => {
+    expect(validateLeadChanges(changes)).toEqual({ isValid: false, error, field });
+  });
+
+  test('refuses removing a required field and requests without changes', () => {
+    expect(validateLeadChanges({ contact: { name: null } }).isValid).toBe(false);
+    expect(validateLeadChanges({}).error).toBe('No updatable fields provided');
+    expect(validateLeadChanges(null).error).toBe('Changes must be an object');
+  });
+});
+
+describe('LeadAdminService', () => {
+  let database;
+  let leadAdmin;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    leadAdmin = new LeadAdminService({ database });
+
+    await database.storeLead(lead(ADA, 'ada@example.com'));
+    await database.storeLead(lead(GRACE, 'grace@example.com'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const changes = input => validateLeadChanges(input).data;
+
+  describe('single lead', () => {
+    test('merges the changes and records the editor', async () => {
+      const updated = await leadAdmin.updateLead(ADA, changes({ contact: { company: 'Babbage', phone: '+441234567' }, customFields: { referral: null } }), { editedBy: EDITOR });
+
+      expect(updated.contact).toEqual({ email: 'ada@example.com', name: 'Ada Lovelace', company: 'Babbage', phone: '+441234567' });
+      expect(updated.customFields).toEqual({ industry: 'Software' });
+      expect(updated).toMatchObject({ editedBy: EDITOR, editedAt: expect.any(String), version: 1 });
+      expect((await database.getLeadById(ADA)).contact.company).toBe('Babbage');
+    });
+
+    test('retries when the lead changes between read and write', async () => {
+      const saveContact = database.saveContact.bind(database);
+      jest.spyOn(database, 'saveContact').mockImplementationOnce(async (contact, options) => {
+        // Another editor saves first, so this write's expected version is stale
+        const stored = await database.getLeadById(ADA);
+        await saveContact({ ...stored, customFields: { industry: 'Retail' } }, { expectedVersion: stored.version });
+        return saveContact(contact, options);
+      });
+
+      const updated = await leadAdmin.updateLead(ADA, changes({ contact: { company: 'Babbage' } }));
+
+      expect(database.saveContact).toHaveBeenCalledTimes(2);
+      expect(updated.customFields).toEqual({ industry: 'Retail' });
+      expect(updated.contact.company).toBe('Babbage');
+      expect(updated.version).toBe(2);
+    });
+
+    test('gives up after repeated concurrent changes', async () => {
+      jest.spyOn(database, 'saveContact').mockRejectedValue(new Error('Contact was modified concurrently'));
+
+      await expect(leadAdmin.updateLead(ADA, changes({ contact: { company: 'Babbage' } }))).rejects.toThrow('Contact was modified concurrently');
+      expect(database.saveContact).toHaveBeenCalledTimes(3);
+    });
+
+    test('deletes a lead with its submissions', async () => {
+      await database.storeSubmission({ submissionId: 'sub-1', leadId: ADA, submittedAt: TIMESTAMP });
+
+      expect(await leadAdmin.deleteLead(ADA)).toEqual({ leadId: ADA, submissionsDeleted: 1 });
+      expect(await database.getLeadById(ADA)).toBeNull();
+      expect(await database.getSubmissionsForLead(ADA)).toEqual([]);
+      await expect(leadAdmin.deleteLead(ADA)).rejects.toThrow('Lead not found');
+    });
+  });
+
+  describe('batches', () => {
+    test('report every item of an update in request order', async () => {
+      const results = await leadAdmin.batchUpdate([
+        { leadId: UNKNOWN, changes: changes({ contact: { company: 'Nobody' } }) },
+        { leadId: GRACE, changes: changes({ contact: { company: 'Navy' } }) },
+        { leadId: ADA, error: 'contact.email cannot be changed', field: 'contact.email' }
+      ], { editedBy: EDITOR });
+
+      expect(results).toEqual([
+        { leadId: UNKNOWN, status: ITEM_STATUS.NOT_FOUND },
+        { leadId: GRACE, status: ITEM_STATUS.UPDATED },
+        { leadId: ADA, status: ITEM_STATUS.INVALID, error: 'contact.email cannot be changed', field: 'contact.email' }
+      ]);
+      expect(await database.getLeadById(GRACE)).toMatchObject({ contact: { company: 'Navy' }, editedBy: EDITOR });
+      expect((await database.getLeadById(ADA)).contact.company).toBe('Analytical Engines');
+    });
+
+    test('report writes DynamoDB left unprocessed as failed', async () => {
+      jest.spyOn(database, 'putLeads').mockResolvedValue({ written: [ADA], failed: [GRACE] });
+
+      const results = await leadAdmin.batchUpdate([ADA, GRACE].map(leadId => ({ leadId, changes: changes({ contact: { company: 'Babbage' } }) })));
+
+      expect(results).toEqual([
+        { leadId: ADA, status: ITEM_STATUS.UPDATED },
+        { leadId: GRACE, status: ITEM_STATUS.FAILED, error: 'Write was not processed; retry this lead' }
+      ]);
+    });
+
+    test('delete leads and their submissions, and report missing ones', async () => {
+      await database.storeSubmission({ submissionId: 'sub-1', leadId: ADA, submittedAt: TIMESTAMP });
+
+      expect(await leadAdmin.batchDelete([ADA, UNKNOWN, GRACE])).toEqual([
+        { leadId: ADA, status: ITEM_STATUS.DELETED, submissionsDeleted: 1 },
+        { leadId: UNKNOWN, status: ITEM_STATUS.NOT_FOUND },
+        { leadId: GRACE, status: ITEM_STATUS.DELETED, submissionsDeleted: 0 }
+      ]);
+      expect((await database.storage.scan({ TableName: LEADS_TABLE })).Items).toEqual([]);
+    });
+
+    test('keep a lead whose submissions could not be deleted', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const deleteSubmissions = database.deleteSubmissionsForLead.bind(database);
+      jest.spyOn(database, 'deleteSubmissionsForLead').mockImplementation(async leadId => {
+        if (leadId === ADA) {
+          throw new Error('Failed to delete submissions: throttled');
+        }
+        return deleteSubmissions(leadId);
+      });
+
+      expect(await leadAdmin.batchDelete([ADA, GRACE])).toEqual([
+        { leadId: ADA, status: ITEM_STATUS.FAILED, error: 'Submissions could not be deleted; retry this lead' },
+        { leadId: GRACE, status: ITEM_STATUS.DELETED, submissionsDeleted: 0 }
+      ]);
+      expect(await database.getLeadById(ADA)).not.toBeNull();
+    });
+  });
+
+  describe('sales workflow', () => {
+    test('keeps the history of status changes with who made them', async () => {
+      await leadAdmin.changeStatus(ADA, LEAD_STATUS.CONTACTED, { changedBy: EDITOR });
+      const updated = await leadAdmin.changeStatus(ADA, LEAD_STATUS.QUALIFIED, { changedBy: { type: 'jwt', id: 'u-2', name: 'ana@example.com' } });
+
+      expect(updated).toMatchObject({ status: LEAD_STATUS.QUALIFIED, statusChangedBy: { type: 'jwt', id: 'u-2' } });
+      expect(updated.statusHistory).toEqual([
+        { status: LEAD_STATUS.CONTACTED, previousStatus: LEAD_STATUS.NEW, changedAt: expect.any(String), changedBy: EDITOR },
+        { status: LEAD_STATUS.QUALIFIED, previousStatus: LEAD_STATUS.CONTACTED, changedAt: updated.statusChangedAt, changedBy: expect.objectContaining({ id: 'u-2' }) }
+      ]);
+    });
+
+    test('leaves the lead alone when it already has the status', async () => {
+      const saveContact = jest.spyOn(database, 'saveContact');
+
+      const unchanged = await leadAdmin.changeStatus(ADA, LEAD_STATUS.NEW);
+
+      expect(saveContact).not.toHaveBeenCalled();
+      expect(unchanged).not.toHaveProperty('statusHistory');
+    });
+
+    test('keeps only the most recent status changes', async () => {
+      const statuses = [LEAD_STATUS.CONTACTED, LEAD_STATUS.QUALIFIED];
+      for (let i = 0; i < 51; i++) {
+        await leadAdmin.changeStatus(ADA, statuses[i % 2]);
+      }
+
+      const { statusHistory } = await database.getLeadById(ADA);
+      expect(statusHistory).toHaveLength(50);
+      expect(statusHistory[0].previousStatus).toBe(LEAD_STATUS.CONTACTED);
+    });
+
+    test('adds and removes tags once each', async () => {
+      await leadAdmin.updateTags(ADA, validateTagChanges({ add: ['VIP', 'Trade  Show', 'vip'] }).data);
+      const updated = await leadAdmin.updateTags(ADA, validateTagChanges({ add: ['partner'], remove: ['vip'] }).data);
+
+      expect(updated.tags).toEqual(['trade show', 'partner']);
+    });
+
+    test('refuses more than 50 tags on a lead', async () => {
+      const tags = count => Array.from({ length: count }, (_, index) => `tag-${index}`);
+      await leadAdmin.updateTags(ADA, { add: tags(50), remove: [] });
+
+      await expect(leadAdmin.updateTags(ADA, { add: ['one-more'], remove: [] })).rejects.toThrow('Lead has too many tags');
+    });
+
+    test('adds notes with their author and removes them by ID', async () => {
+      const first = await leadAdmin.addNote(ADA, 'Called, wants a demo', { author: EDITOR });
+      const second = await leadAdmin.addNote(ADA, 'Demo booked');
+
+      expect(first).toEqual({ noteId: expect.any(String), text: 'Called, wants a demo', author: EDITOR, createdAt: expect.any(String) });
+      expect((await database.getLeadById(ADA)).notes.map(note => note.text)).toEqual(['Called, wants a demo', 'Demo booked']);
+
+      expect(await leadAdmin.deleteNote(ADA, first.noteId)).toEqual(first);
+      expect((await database.getLeadById(ADA)).notes).toEqual([second]);
+      await expect(leadAdmin.deleteNote(ADA, first.noteId)).rejects.toThrow('Note not found');
+    });
+
+    test('refuses more than 100 notes on a lead', async () => {
+      const stored = await database.getLeadById(ADA);
+      await database.saveContact({ ...stored, notes: Array.from({ length: 100 }, (_, index) => ({ noteId: `note-${index}`, text: 'x' })) }, {});
+
+      await expect(leadAdmin.addNote(ADA, 'One more')).rejects.toThrow('Lead has too many notes');
+    });
+  });
+});
+
+describe('manage-leads handler', () => {
+  let handler;
+  let database;
+  let apiKeys;
+  let writeKey;
+  let readKey;
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    Object.assign(process.env, { STORAGE_ADAPTER: 'memory', AUDIT_LOG_HASH_KEY: '' });
+    delete process.env.API_KEY;
+    jest.isolateModules(() => {
+      handler = require('../handlers/manage-leads').handler;
+      database = require('../utils/database');
+      apiKeys = require('../utils/api-keys');
+    });
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // A fresh store per test, so each one sees only its own audit entries
+    database.storage = new MemoryAdapter({ tables: TABLE_SCHEMAS });
+
+    const { SCOPES } = apiKeys;
+    writeKey = (await apiKeys.issueKey({ name: 'Sales', scopes: [SCOPES.LEADS_WRITE, SCOPES.LEADS_DELETE] })).apiKey;
+    readKey = (await apiKeys.issueKey({ name: 'Reporting', scopes: [SCOPES.LEADS_READ] })).apiKey;
+    await database.storeLead(lead(ADA, 'ada@example.com'));
+    await database.storeLead(lead(GRACE, 'grace@example.com'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const call = (httpMethod, resource, { query = null, body, apiKey = writeKey } = {}) => handler({
+    httpMethod,
+    resource,
+    path: resource,
+    headers: { 'X-Api-Key': apiKey },
+    queryStringParameters: query,
+    body: body === undefined ? null : JSON.stringify(body),
+    requestContext: { identity: { sourceIp: '203.0.113.7' } }
+  }).then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+
+  const auditEntries = async leadId => (await database.getAuditEntries({ leadId })).entries;
+
+  test('updates a lead and audits the field names without their values', async () => {
+    const response = await call('PATCH', '/leads', { query: { leadId: ADA }, body: { contact: { company: 'Babbage' } } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.contact.company).toBe('Babbage');
+    expect(response.body.data.editedBy).toMatchObject({ type: 'api_key', name: 'Sales' });
+
+    const [entry] = await auditEntries(ADA);
+    expect(entry).toMatchObject({ action: 'lead.update', sourceIp: '203.0.113.7', details: { route: 'update', fields: ['contact.company'] } });
+    expect(JSON.stringify(entry)).not.toContain('Babbage');
+  });
+
+  test('refuses fields outside the allowlist without touching the lead', async () => {
+    const response = await call('PATCH', '/leads', { query: { leadId: ADA }, body: { contact: { email: 'eve@example.com' } } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toEqual({ code: 'VALIDATION_ERROR', message: 'contact.email cannot be changed', field: 'contact.email' });
+    expect((await database.getLeadById(ADA)).contact.email).toBe('ada@example.com');
+    expect(await auditEntries(ADA)).toEqual([]);
+  });
+
+  test.each([
+    [{}, 'leadId query parameter is required'],
+    [{ leadId: 'ada' }, 'leadId must be a UUID']
+  ])('refuses lead ID %p', async (query, message) => {
+    const response = await call('PATCH', '/leads', { query, body: { contact: { company: 'Babbage' } } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error.message).toBe(message);
+  });
+
+  test('answers 404 for an unknown lead and 403 without the scope', async () => {
+    const unknown = await call('DELETE', '/leads', { query: { leadId: UNKNOWN } });
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.body.error.code).toBe('LEAD_NOT_FOUND');
+
+    expect((await call('DELETE', '/leads', { query: { leadId: ADA }, apiKey: readKey })).statusCode).toBe(403);
+    expect(await database.getLeadById(ADA)).not.toBeNull();
+  });
+
+  test('reports every item of a batch update and audits only the applied ones', async () => {
+    const response = await call('PATCH', '/leads/batch', {
+      body: {
+        items: [
+          { leadId: ADA, contact: { company: 'Babbage' } },
+          { leadId: GRACE, contact: { email: 'eve@example.com' } },
+          { leadId: UNKNOWN, contact: { company: 'Nobody' } }
+        ]
+      }
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.results).toEqual([
+      { leadId: ADA, status: ITEM_STATUS.UPDATED },
+      { leadId: GRACE, status: ITEM_STATUS.INVALID, error: 'contact.email cannot be changed', field: 'contact.email' },
+      { leadId: UNKNOWN, status: ITEM_STATUS.NOT_FOUND }
+    ]);
+    expect(response.body.summary).toEqual({ total: 3, updated: 1, deleted: 0, not_found: 1, invalid: 1, failed: 0 });
+    expect((await auditEntries(ADA)).map(entry => entry.details.route)).toEqual(['batch_update']);
+    expect(await auditEntries(GRACE)).toEqual([]);
+  });
+
+  test('deletes a batch of leads', async () => {
+    const response = await call('DELETE', '/leads/batch', { body: { leadIds: [ADA, UNKNOWN] } });
+
+    expect(response.body.summary).toMatchObject({ total: 2, deleted: 1, not_found: 1 });
+    expect(await database.getLeadById(ADA)).toBeNull();
+    expect(await database.getLeadById(GRACE)).not.toBeNull();
+  });
+
+  test.each([
+    ['PATCH', { items: [] }, 'items must be an array of 1 to 100 updates'],
+    ['PATCH', { items: [null] }, 'Each item must be an object with a leadId'],
+    ['PATCH', { items: [{ leadId: 'ada' }] }, 'items[0] does not have a valid leadId'],
+    ['DELETE', { leadIds: Array(101).fill(ADA) }, 'leadIds must be an array of 1 to 100 lead IDs'],
+    ['DELETE', { leadIds: [ADA, ADA.toUpperCase()] }, 'Each lead may only appear once in a batch']
+  ])('refuses %s batch %p', async (method, body, message) => {
+    const response = await call(method, '/leads/batch', { body });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error.message).toBe(message);
+  });
+
+  test('moves a lead through the sales process and audits the new status', async () => {
+    const response = await call('PUT', '/leads/status', { query: { leadId: ADA }, body: { status: LEAD_STATUS.CONTACTED } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.statusHistory).toEqual([
+      expect.objectContaining({ status: LEAD_STATUS.CONTACTED, previousStatus: LEAD_STATUS.NEW, changedBy: expect.objectContaining({ name: 'Sales' }) })
+    ]);
+    expect((await auditEntries(ADA))[0].details).toEqual({ route: 'status', status: LEAD_STATUS.CONTACTED });
+
+    const invalid = await call('PUT', '/leads/status', { query: { leadId: ADA }, body: { status: 'won' } });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'status must be one of: new, contacted, qualified, disqualified, converted',
+      field: 'status'
+    });
+  });
+
+  test('changes tags and answers 409 at the tag limit', async () => {
+    const response = await call('PATCH', '/leads/tags', { query: { leadId: ADA }, body: { add: ['VIP'], remove: ['cold'] } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.tags).toEqual(['vip']);
+    expect((await auditEntries(ADA))[0].details).toEqual({ route: 'tags', add: ['vip'], remove: ['cold'] });
+
+    const tags = Array.from({ length: 50 }, (_, index) => `tag-${index}`);
+    const full = await call('PATCH', '/leads/tags', { query: { leadId: ADA }, body: { add: tags } });
+    expect(full.statusCode).toBe(409);
+    expect(full.body.error.code).toBe('TAG_LIMIT_REACHED');
+  });
+
+  test.each([
+    [{}, 'Provide tags to add or remove', undefined],
+    [{ add: 'vip' }, 'add must be an array of at most 50 tags', 'add'],
+    [{ add: ['-vip'] }, expect.stringMatching(/^add contains an invalid tag/), 'add'],
+    [{ add: ['vip'], remove: ['VIP'] }, 'A tag cannot be both added and removed', 'add']
+  ])('refuses tag change %p', async (body, message, field) => {
+    const response = await call('PATCH', '/leads/tags', { query: { leadId: ADA }, body });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toEqual({ code: 'VALIDATION_ERROR', message, ...(field && { field }) });
+  });
+
+  test('adds a note authored by the caller and deletes it', async () => {
+    const added = await call('POST', '/leads/notes', { query: { leadId: ADA }, body: { text: '  Called, wants a demo  ' } });
+
+    expect(added.statusCode).toBe(201);
+    expect(added.body.data).toMatchObject({ text: 'Called, wants a demo', author: { type: 'api_key', name: 'Sales' } });
+
+    const { noteId } = added.body.data;
+    const deleted = await call('DELETE', '/leads/notes', { query: { leadId: ADA, noteId } });
+    expect(deleted.statusCode).toBe(200);
+    expect(deleted.body.data.noteId).toBe(noteId);
+
+    const again = await call('DELETE', '/leads/notes', { query: { leadId: ADA, noteId } });
+    expect(again.statusCode).toBe(404);
+    expect(again.body.error.code).toBe('NOTE_NOT_FOUND');
+
+    expect((await auditEntries(ADA)).map(entry => entry.details).sort((a, b) => a.route.localeCompare(b.route))).toEqual([
+      { route: 'add_note', noteId },
+      { route: 'delete_note', noteId }
+    ]);
+  });
+
+  test('refuses empty and overlong notes and malformed note IDs', async () => {
+    for (const text of ['   ', 'x'.repeat(2001), 42]) {
+      const response = await call('POST', '/leads/notes', { query: { leadId: ADA }, body: { text } });
+      expect(response.body.error).toEqual({ code: 'VALIDATION_ERROR', message: 'text must be between 1 and 2000 characters', field: 'text' });
+    }
+
+    const response = await call('DELETE', '/leads/notes', { query: { leadId: ADA, noteId: 'note-1' } });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error.field).toBe('noteId');
+  });
+});
@@ -0,0 +1,327 @@
+const http = require('http');
+const AWS = require('aws-sdk');
+const { MauticClient } = require('../utils/mautic-client');
+const { MauticSyncService, SYNC_STATUS } = require('../utils/mautic-sync');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+const { CONFIRMATION_STATUS } = require('../utils/confirmation');
+
+const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
+
+// Answer of the mock Mautic when no response is queued
+const contactResponse = (request) => ({ status: 200, body: { contact: { id: 1, fields: request.body } } });
+
+/**
+ * Local stand-in for the Mautic contacts API
+ * Records every request and answers with the queued responses, then with `fallback`
+ */
+function createMockMautic() {
+  const mock = {
+    requests: [],
+    responses: [],
+    fallback: contactResponse
+  };
+
+  mock.server = http.createServer((req, res) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: data ? JSON.parse(data) : null
+      };
+      mock.requests.push(request);
+
+      const response = mock.responses.length > 0 ? mock.responses.shift() : mock.fallback(request);
+      if (response.hang) {
+        return;
+      }
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  });
+
+  mock.start = () => new Promise(resolve => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+      resolve();
+    });
+  });
+
+  mock.stop = () => new Promise(resolve => {
+    mock.server.closeAllConnections();
+    mock.server.close(() => resolve());
+  });
+
+  mock.reset = () => {
+    mock.requests = [];
+    mock.responses = [];
+    mock.fallback = contactResponse;
+  };
+
+  return mock;
+}
+
+const storedLead = (extra = {}) => ({
+  leadId: '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10',
+  timestamp: '2025-03-01T10:00:00.000Z',
+  timeBucket: '2025-03',
+  email: 'ada@example.com',
+  source: 'https://example.com',
+  contact: { email: 'ada@example.com', name: 'Ada Lovelace', company: 'Analytical Engines' },
+  ...extra
+});
+
+const mock = createMockMautic();
+
+beforeAll(() => mock.start());
+afterAll(() => mock.stop());
+beforeEach(() => mock.reset());
+
+describe('MauticClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new MauticClient({ baseUrl: mock.url + '/', username: 'api', password: 'secret', timeout: 500 });
+  });
+
+  test('creates contacts with basic auth and a JSON body', async () => {
+    mock.responses.push({ status: 201, body: { contact: { id: 42 } } });
+
+    const contact = await client.createContact({ email: 'ada@example.com' });
+
+    expect(contact).toEqual({ id: 42 });
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0].method).toBe('POST');
+    expect(mock.requests[0].path).toBe('/api/contacts/new');
+    expect(mock.requests[0].headers.authorization).toBe('Basic ' + Buffer.from('api:secret').toString('base64'));
+    expect(mock.requests[0].headers['content-type']).toBe('application/json');
+    expect(mock.requests[0].body).toEqual({ email: 'ada@example.com' });
+  });
+
+  test('updates a known contact and creates it again once Mautic lost it', async () => {
+    mock.responses.push({ status: 200, body: { contact: { id: 7 } } });
+    expect(await client.upsertContact({ email: 'ada@example.com' }, 7)).toEqual({ id: 7 });
+
+    mock.responses.push({ status: 404, body: { errors: [{ message: 'Item was not found.' }] } });
+    mock.responses.push({ status: 201, body: { contact: { id: 8 } } });
+    expect(await client.upsertContact({ email: 'ada@example.com' }, 7)).toEqual({ id: 8 });
+
+    expect(mock.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'PATCH /api/contacts/7/edit',
+      'PATCH /api/contacts/7/edit',
+      'POST /api/contacts/new'
+    ]);
+  });
+
+  test('treats deleting a missing contact as already deleted', async () => {
+    mock.responses.push({ status: 200, body: { contact: { id: 7 } } });
+    mock.responses.push({ status: 404, body: {} });
+
+    expect(await client.deleteContact(7)).toBe(true);
+    expect(await client.deleteContact(7)).toBe(false);
+    expect(mock.requests[0].method).toBe('DELETE');
+    expect(mock.requests[0].path).toBe('/api/contacts/7/delete');
+  });
+
+  test.each([
+    [429, true],
+    [503, true],
+    [400, false],
+    [401, false]
+  ])('marks a %i response as retryable: %s', async (status, retryable) => {
+    mock.responses.push({ status, body: { errors: [{ message: 'Rejected' }] } });
+
+    const error = await client.createContact({ email: 'ada@example.com' }).catch(caught => caught);
+
+    expect(error.statusCode).toBe(status);
+    expect(error.retryable).toBe(retryable);
+    expect(error.message).toBe(`Mautic API POST /api/contacts/new failed with ${status}: Rejected`);
+  });
+
+  test('fails retryably when Mautic does not answer in time', async () => {
+    mock.responses.push({ hang: true });
+
+    const error = await client.createContact({ email: 'ada@example.com' }).catch(caught => caught);
+
+    expect(error.message).toBe('Mautic API POST /api/contacts/new timed out after 500ms');
+    expect(error.retryable).toBe(true);
+    expect(error.statusCode).toBeUndefined();
+  });
+});
+
+describe('MauticSyncService', () => {
+  let database;
+  let sync;
+
+  beforeEach(async () => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    sync = new MauticSyncService({
+      client: new MauticClient({ baseUrl: mock.url, username: '', timeout: 500 }),
+      database,
+      maxAttempts: 3,
+      baseDelay: 0
+    });
+    await database.storage.put({ TableName: LEADS_TABLE, Item: storedLead() });
+  });
+
+  const getStoredLead = async () => (await database.storage.get({
+    TableName: LEADS_TABLE,
+    Key: { leadId: storedLead().leadId, timestamp: storedLead().timestamp }
+  })).Item;
+
+  test('pushes the mapped contact and records the Mautic contact ID on the lead', async () => {
+    mock.responses.push({ status: 201, body: { contact: { id: 42 } } });
+
+    const result = await sync.syncLead(storedLead());
+
+    expect(result).toEqual({ success: true, leadId: storedLead().leadId, mauticContactId: 42, mappingIssues: null });
+    expect(mock.requests[0].headers.authorization).toBeUndefined();
+    expect(mock.requests[0].body).toMatchObject({
+      email: 'ada@example.com',
+      firstname: 'Ada',
+      lastname: 'Lovelace',
+      company: 'Analytical Engines'
+    });
+
+    const lead = await getStoredLead();
+    expect(lead.mauticContactId).toBe(42);
+    expect(lead.syncStatus).toBe(SYNC_STATUS.SYNCED);
+    expect(lead.syncAttempts).toBe(1);
+  });
+
+  test('updates the contact a lead was already synced to', async () => {
+    await sync.syncLead(storedLead({ mauticContactId: 42 }));
+
+    expect(mock.requests[0].method).toBe('PATCH');
+    expect(mock.requests[0].path).toBe('/api/contacts/42/edit');
+  });
+
+  test('retries server errors and records every attempt', async () => {
+    mock.responses.push({ status: 502, body: {} });
+    mock.responses.push({ status: 503, body: {} });
+    mock.responses.push({ status: 201, body: { contact: { id: 42 } } });
+
+    const result = await sync.syncLead(storedLead());
+
+    expect(result.success).toBe(true);
+    expect(mock.requests).toHaveLength(3);
+    expect((await getStoredLead()).syncAttempts).toBe(3);
+  });
+
+  test('stops at a client error and marks the lead as failed', async () => {
+    mock.responses.push({ status: 400, body: { errors: [{ message: 'email: A valid email is required.' }] } });
+
+    const result = await sync.syncLead(storedLead());
+
+    expect(result.success).toBe(false);
+    expect(mock.requests).toHaveLength(1);
+
+    const lead = await getStoredLead();
+    expect(lead.syncStatus).toBe(SYNC_STATUS.FAILED);
+    expect(lead.lastSyncError).toBe('Mautic API POST /api/contacts/new failed with 400: email: A valid email is required.');
+    expect(lead.mauticContactId).toBeUndefined();
+  });
+
+  test('gives up after the last attempt', async () => {
+    mock.fallback = () => ({ status: 500, body: {} });
+
+    const result = await sync.syncLead(storedLead());
+
+    expect(result.success).toBe(false);
+    expect(mock.requests).toHaveLength(3);
+    expect((await getStoredLead()).syncStatus).toBe(SYNC_STATUS.FAILED);
+  });
+});
+
+describe('sync-mautic handler', () => {
+  let handler;
+  let database;
+  const environment = { ...process.env };
+
+  beforeAll(() => {
+    // The handler uses the singletons, which read their settings when loaded
+    Object.assign(process.env, {
+      MAUTIC_BASE_URL: mock.url,
+      MAUTIC_USERNAME: '',
+      MAUTIC_SYNC_BASE_DELAY_MS: '1',
+      STORAGE_ADAPTER: 'memory'
+    });
+    jest.isolateModules(() => {
+      handler = require('../handlers/sync-mautic').handler;
+      database = require('../utils/database');
+    });
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(() => database.storage.put({ TableName: LEADS_TABLE, Item: storedLead() }));
+
+  const streamRecord = (eventName, newImage, oldImage = null) => ({
+    eventName,
+    dynamodb: {
+      NewImage: AWS.DynamoDB.Converter.marshall(newImage),
+      ...(oldImage ? { OldImage: AWS.DynamoDB.Converter.marshall(oldImage) } : {})
+    }
+  });
+
+  test('syncs inserted leads and skips leads awaiting confirmation', async () => {
+    const summary = await handler({
+      Records: [
+        streamRecord('INSERT', storedLead()),
+        streamRecord('INSERT', storedLead({ leadId: 'pending', confirmationStatus: CONFIRMATION_STATUS.PENDING }))
+      ]
+    });
+
+    expect(summary).toEqual({ processed: 1, synced: 1, failed: 0, withMappingIssues: 0 });
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0].body.email).toBe('ada@example.com');
+  });
+
+  test('skips the MODIFY events of its own sync status updates', async () => {
+    const lead = storedLead();
+    const summary = await handler({
+      Records: [streamRecord('MODIFY', { ...lead, syncStatus: SYNC_STATUS.SYNCED, mauticContactId: 1 }, lead)]
+    });
+
+    expect(summary.processed).toBe(0);
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  test('syncs leads once their confirmation arrives', async () => {
+    const pending = storedLead({ confirmationStatus: CONFIRMATION_STATUS.PENDING });
+    const summary = await handler({
+      Records: [streamRecord('MODIFY', { ...pending, confirmationStatus: CONFIRMATION_STATUS.CONFIRMED }, pending)]
+    });
+
+    expect(summary.synced).toBe(1);
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  test('reports leads Mautic rejected as failed', async () => {
+    mock.responses.push({ status: 422, body: { errors: [{ message: 'Invalid' }] } });
+
+    const summary = await handler({ Records: [streamRecord('INSERT', storedLead())] });
+
+    expect(summary).toEqual({ processed: 1, synced: 0, failed: 1, withMappingIssues: 0 });
+  });
+
+  test('reports a lead that cannot be decrypted as failed and syncs the rest of the batch', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const encrypted = storedLead({ leadId: 'encrypted', contact: { email: 'enc:v1:a2V5:a2V5:c2VhbGVk' } });
+
+    const summary = await handler({
+      Records: [streamRecord('INSERT', encrypted), streamRecord('INSERT', storedLead())]
+    });
+
+    expect(summary).toEqual({ processed: 2, synced: 1, failed: 1, withMappingIssues: 0 });
+    expect(mock.requests).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith('Error syncing lead to Mautic:', 'encrypted', expect.any(Error));
+    console.error.mockRestore();
+  });
+});
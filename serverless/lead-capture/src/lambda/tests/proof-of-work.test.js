@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { ProofOfWorkService, countLeadingZeroBits } = require('../utils/proof-of-work');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const SECRET = 'test-pow-secret';
+
+const meetsDifficulty = (token, nonce, difficulty) =>
+  countLeadingZeroBits(crypto.createHash('sha256').update(`${token}:${nonce}`).digest()) >= difficulty;
+
+/**
+ * Find a nonce the way the widget's solver does
+ */
+function solve(token, difficulty) {
+  let nonce = 0;
+  while (!meetsDifficulty(token, nonce, difficulty)) {
+    nonce++;
+  }
+  return { token, nonce };
+}
+
+const decodePayload = token => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+const encodePayload = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('ProofOfWorkService', () => {
+  let database;
+  let pow;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    pow = createService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createService(options = {}) {
+    return new ProofOfWorkService({
+      database,
+      enabled: true,
+      secret: SECRET,
+      difficulty: 4,
+      maxDifficulty: 10,
+      formDifficulty: {},
+      ttlSeconds: 600,
+      burstThreshold: 3,
+      burstWindowMinutes: 10,
+      burstStep: 2,
+      ...options
+    });
+  }
+
+  describe('challenges', () => {
+    test('signs the form, difficulty and expiry into the token', async () => {
+      const challenge = await pow.createChallenge('pricing-form', '203.0.113.7');
+
+      expect(challenge).toEqual({ token: expect.any(String), difficulty: 4, expiresAt: expect.any(Number), algorithm: 'SHA-256' });
+      expect(decodePayload(challenge.token)).toEqual({
+        id: expect.any(String),
+        formId: 'pricing-form',
+        difficulty: 4,
+        expiresAt: challenge.expiresAt
+      });
+      expect(challenge.expiresAt - Date.now() / 1000).toBeGreaterThan(590);
+    });
+
+    test('raises the difficulty for clients submitting in a burst, up to the maximum', async () => {
+      for (let i = 0; i < 3; i++) {
+        await pow.recordSubmission('203.0.113.7');
+      }
+      expect((await pow.createChallenge('', '203.0.113.7')).difficulty).toBe(6);
+      expect((await pow.createChallenge('', '203.0.113.8')).difficulty).toBe(4);
+
+      for (let i = 0; i < 9; i++) {
+        await pow.recordSubmission('203.0.113.7');
+      }
+      expect((await pow.createChallenge('', '203.0.113.7')).difficulty).toBe(10);
+    });
+
+    test('uses the configured difficulty of a form', async () => {
+      pow = createService({ formDifficulty: { 'pricing-form': 7 } });
+
+      expect((await pow.createChallenge('pricing-form', '203.0.113.7')).difficulty).toBe(7);
+      expect((await pow.createChallenge('newsletter', '203.0.113.7')).difficulty).toBe(4);
+    });
+
+    test('refuses to sign without a secret', async () => {
+      await expect(createService({ secret: '' }).createChallenge('', '203.0.113.7')).rejects.toThrow('POW_SECRET is not configured');
+    });
+  });
+
+  describe('verification', () => {
+    const issue = async (formId = 'pricing-form') => {
+      const challenge = await pow.createChallenge(formId, '203.0.113.7');
+      return solve(challenge.token, challenge.difficulty);
+    };
+
+    test('accepts a solution once and refuses to replay it', async () => {
+      const solution = await issue();
+
+      const result = await pow.verifySolution(solution, 'pricing-form');
+      expect(result).toEqual({ isValid: true, challengeId: decodePayload(solution.token).id, difficulty: 4 });
+
+      expect(await pow.verifySolution(solution, 'pricing-form')).toEqual({
+        isValid: false,
+        error: 'Proof-of-work challenge has already been used'
+      });
+    });
+
+    test('refuses a nonce that does not meet the difficulty', async () => {
+      const { token } = await issue();
+      let nonce = 0;
+      while (meetsDifficulty(token, nonce, 4)) {
+        nonce++;
+      }
+
+      expect((await pow.verifySolution({ token, nonce }, 'pricing-form')).error).toBe('Invalid proof-of-work solution');
+    });
+
+    test('refuses a challenge whose payload was changed after signing', async () => {
+      const { token } = await issue();
+      const [payload, signature] = token.split('.');
+      const tampered = `${encodePayload({ ...decodePayload(payload), difficulty: 0 })}.${signature}`;
+
+      expect((await pow.verifySolution({ token: tampered, nonce: 0 }, 'pricing-form')).error).toBe('Invalid proof-of-work challenge');
+    });
+
+    test('refuses a challenge signed with another secret', async () => {
+      const challenge = await createService({ secret: 'other-secret' }).createChallenge('pricing-form', '203.0.113.7');
+
+      expect((await pow.verifySolution(solve(challenge.token, 4), 'pricing-form')).error).toBe('Invalid proof-of-work challenge');
+    });
+
+    test('refuses an expired challenge', async () => {
+      const solution = await issue();
+      jest.spyOn(Date, 'now').mockReturnValue((decodePayload(solution.token).expiresAt + 1) * 1000);
+
+      expect((await pow.verifySolution(solution, 'pricing-form')).error).toBe('Proof-of-work challenge has expired');
+    });
+
+    test('refuses a challenge issued for another form', async () => {
+      const solution = await issue('newsletter');
+
+      expect(await pow.verifySolution(solution, 'pricing-form')).toEqual({
+        isValid: false,
+        error: 'Proof-of-work challenge was issued for another form'
+      });
+      expect((await pow.verifySolution(solution, '')).error).toBe('Proof-of-work challenge was issued for another form');
+      expect((await pow.verifySolution(solution, 'newsletter')).isValid).toBe(true);
+    });
+
+    test('matches a submission without a form ID to challenges issued without one', async () => {
+      const solution = await issue('');
+
+      expect((await pow.verifySolution(solution, '')).isValid).toBe(true);
+    });
+
+    test('refuses a challenge easier than the form now requires', async () => {
+      const solution = await issue();
+      pow = createService({ formDifficulty: { 'pricing-form': 8 } });
+
+      expect((await pow.verifySolution(solution, 'pricing-form')).error).toBe('Proof-of-work challenge is too easy for this form');
+    });
+
+    test.each([
+      [null, 'Proof-of-work solution is required'],
+      [{ token: 'abc', nonce: -1 }, 'Proof-of-work solution is required'],
+      [{ token: 'abc', nonce: '1' }, 'Proof-of-work solution is required'],
+      [{ token: 'abc', nonce: 1 }, 'Malformed proof-of-work challenge']
+    ])('refuses solution %p', async (solution, error) => {
+      expect(await pow.verifySolution(solution, 'pricing-form')).toEqual({ isValid: false, error });
+    });
+  });
+
+  test('counts leading zero bits across bytes', () => {
+    expect(countLeadingZeroBits(Buffer.from([0x80]))).toBe(0);
+    expect(countLeadingZeroBits(Buffer.from([0x0f, 0xff]))).toBe(4);
+    expect(countLeadingZeroBits(Buffer.from([0x00, 0x01]))).toBe(15);
+    expect(countLeadingZeroBits(Buffer.from([0x00, 0x00]))).toBe(16);
+  });
+});
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { RateLimiterService, FAIL_MODES } = require('../utils/rate-limiter');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const RATE_LIMIT_TABLE = process.env.RATE_LIMIT_TABLE || 'rate-limits';
+
+const HOUR = 3600 * 1000;
+// Start of an hourly window, so tests can place "now" anywhere inside it
+const WINDOW_START = Math.floor(Date.UTC(2025, 2, 1, 10) / HOUR) * HOUR;
+const WINDOW_INDEX = WINDOW_START / HOUR;
+
+const ipPolicy = (limit = 3) => ({ name: 'ip', key: 'ip', limit, windowSeconds: 3600 });
+
+const transactionCanceled = (reasons) => Object.assign(
+  new Error(`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`),
+  { code: 'TransactionCanceledException' }
+);
+
+describe('RateLimiterService', () => {
+  let database;
+  let now;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    now = WINDOW_START + 15 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createLimiter = (options = {}) => new RateLimiterService({ database, policies: [ipPolicy()], failMode: FAIL_MODES.OPEN, ...options });
+
+  const getCount = async (rateLimitKey) => (await database.storage.get({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { rateLimitKey }
+  })).Item?.requestCount || 0;
+
+  const setCount = (rateLimitKey, requestCount) => database.storage.put({
+    TableName: RATE_LIMIT_TABLE,
+    Item: { rateLimitKey, requestCount }
+  });
+
+  describe('limits', () => {
+    test('allows requests up to the limit and refuses the next one', async () => {
+      const limiter = createLimiter();
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await limiter.consume({ ip: '203.0.113.7' }));
+      }
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+      expect(results[0].headers).toEqual({
+        'RateLimit-Limit': '3',
+        'RateLimit-Remaining': '2',
+        'RateLimit-Reset': '2700',
+        'RateLimit-Policy': '3;w=3600'
+      });
+      expect(results[3].headers['RateLimit-Remaining']).toBe('0');
+      expect(results[3].headers['Retry-After']).toBe(String(results[3].retryAfter));
+      expect(await getCount(`ip#203.0.113.7#${WINDOW_INDEX}`)).toBe(3);
+    });
+
+    test('lets exactly the limit through when requests arrive at the same time', async () => {
+      const limiter = createLimiter({ policies: [ipPolicy(5)] });
+
+      const results = await Promise.all(Array.from({ length: 12 }, () => limiter.consume({ ip: '203.0.113.7' })));
+
+      expect(results.filter(result => result.allowed)).toHaveLength(5);
+      expect(results.every(result => !result.unavailable)).toBe(true);
+      expect(await getCount(`ip#203.0.113.7#${WINDOW_INDEX}`)).toBe(5);
+    });
+
+    test('counts clients apart and skips policies whose key the request lacks', async () => {
+      const limiter = createLimiter({ policies: [ipPolicy(1), { name: 'email', key: 'email', limit: 1, windowSeconds: 3600 }] });
+
+      expect((await limiter.consume({ ip: '203.0.113.7' })).allowed).toBe(true);
+      expect((await limiter.consume({ ip: '203.0.113.8' })).allowed).toBe(true);
+      expect((await limiter.consume({ ip: '203.0.113.7' })).allowed).toBe(false);
+    });
+
+    test('counts nothing when one policy refuses', async () => {
+      const limiter = createLimiter({ policies: [ipPolicy(5), { name: 'email', key: 'email', limit: 1, windowSeconds: 3600 }] });
+      const emailHash = crypto.createHash('sha256').update('ada@example.com').digest('hex');
+
+      expect((await limiter.consume({ ip: '203.0.113.7', email: 'Ada@Example.com ' })).allowed).toBe(true);
+      const refused = await limiter.consume({ ip: '203.0.113.7', email: 'ada@example.com' });
+
+      expect(refused.allowed).toBe(false);
+      expect(await getCount(`email#${emailHash}#${WINDOW_INDEX}`)).toBe(1);
+      expect(await getCount(`ip#203.0.113.7#${WINDOW_INDEX}`)).toBe(1);
+    });
+  });
+
+  describe('sliding window', () => {
+    test('weighs the previous window by how much of it still overlaps', async () => {
+      const limiter = createLimiter({ policies: [ipPolicy(10)] });
+      await setCount(`ip#203.0.113.7#${WINDOW_INDEX - 1}`, 8);
+
+      // 15 minutes in, 75% of the previous window counts: floor(10 - 8 * 0.75) = 4 requests left
+      const results = [];
+      for (let i = 0; i < 5; i++) {
+        results.push(await limiter.consume({ ip: '203.0.113.7' }));
+      }
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, true, true, false]);
+    });
+
+    test('admits more requests as the previous window slides out', async () => {
+      const limiter = createLimiter({ policies: [ipPolicy(10)] });
+      await setCount(`ip#203.0.113.7#${WINDOW_INDEX - 1}`, 8);
+      await setCount(`ip#203.0.113.7#${WINDOW_INDEX}`, 4);
+
+      const refused = await limiter.consume({ ip: '203.0.113.7' });
+      expect(refused.allowed).toBe(false);
+
+      // The next request fits once 10 - 4 - 1 >= 8 * weight, i.e. 22.5 minutes into the window
+      expect(refused.retryAfter).toBe(7.5 * 60);
+      now += refused.retryAfter * 1000 - 1000;
+      expect((await limiter.consume({ ip: '203.0.113.7' })).allowed).toBe(false);
+      now += 1000;
+      expect((await limiter.consume({ ip: '203.0.113.7' })).allowed).toBe(true);
+    });
+
+    test('refuses without writing when the previous window alone exhausts the limit', async () => {
+      const limiter = createLimiter();
+      await setCount(`ip#203.0.113.7#${WINDOW_INDEX - 1}`, 10);
+      const consume = jest.spyOn(database, 'consumeRateLimitCounters');
+
+      expect((await limiter.consume({ ip: '203.0.113.7' })).allowed).toBe(false);
+      expect(consume).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failures', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('fails open when the counters cannot be read', async () => {
+      jest.spyOn(database, 'getRateLimitCounters').mockRejectedValue(new Error('Throttled'));
+
+      expect(await createLimiter().consume({ ip: '203.0.113.7' })).toEqual({
+        allowed: true,
+        retryAfter: 0,
+        unavailable: true,
+        headers: {}
+      });
+    });
+
+    test('fails closed when configured to', async () => {
+      jest.spyOn(database, 'getRateLimitCounters').mockRejectedValue(new Error('Throttled'));
+
+      expect(await createLimiter({ failMode: FAIL_MODES.CLOSED }).consume({ ip: '203.0.113.7' })).toEqual({
+        allowed: false,
+        retryAfter: 60,
+        unavailable: true,
+        headers: { 'Retry-After': '60' }
+      });
+    });
+
+    test('retries a transaction that conflicted with another request', async () => {
+      const transactWrite = database.storage.transactWrite.bind(database.storage);
+      jest.spyOn(database.storage, 'transactWrite')
+        .mockRejectedValueOnce(transactionCanceled(['TransactionConflict']))
+        .mockImplementation(transactWrite);
+
+      const result = await createLimiter().consume({ ip: '203.0.113.7' });
+
+      expect(result.allowed).toBe(true);
+      expect(database.storage.transactWrite).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after repeated conflicts', async () => {
+      jest.spyOn(database.storage, 'transactWrite').mockRejectedValue(transactionCanceled(['TransactionConflict']));
+
+      const result = await createLimiter({ failMode: FAIL_MODES.CLOSED }).consume({ ip: '203.0.113.7' });
+
+      expect(result.unavailable).toBe(true);
+      expect(database.storage.transactWrite).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('configuration', () => {
+    test.each([
+      [{ failMode: 'sometimes' }, 'Unknown rate limit fail mode: sometimes'],
+      [{ policies: [ipPolicy(), ipPolicy()] }, 'Rate limit policy names must be unique'],
+      [{ policies: [{ ...ipPolicy(), key: 'cookie' }] }, 'Rate limit policy ip has unknown key: cookie'],
+      [{ policies: [{ ...ipPolicy(), limit: 0 }] }, 'Rate limit policy ip needs a positive integer limit'],
+      [{ policies: [{ ...ipPolicy(), name: 'ip#1' }] }, 'Invalid rate limit policy name: ip#1']
+    ])('rejects %p', (options, error) => {
+      expect(() => createLimiter(options)).toThrow(error);
+    });
+
+    test('names the counter prefixes of a person for erasure', () => {
+      const limiter = createLimiter({ policies: [ipPolicy(), { name: 'email', key: 'email', limit: 1, windowSeconds: 60 }] });
+      const emailHash = crypto.createHash('sha256').update('ada@example.com').digest('hex');
+
+      expect(limiter.getKeyPrefixes({ ip: ['203.0.113.7', '2001:db8::1'], email: 'Ada@example.com' })).toEqual([
+        'ip#203.0.113.7#',
+        'ip#2001%3Adb8%3A%3A1#',
+        `email#${emailHash}#`
+      ]);
+    });
+  });
+});
+
+describe('DatabaseService.consumeRateLimitCounters', () => {
+  let database;
+
+  beforeEach(() => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const counters = [
+    { key: 'ip#a#1', threshold: 1, expiresAt: 0 },
+    { key: 'email#b#1', threshold: 1, expiresAt: 0 }
+  ];
+
+  test('reports which counters were full from the cancellation reasons', async () => {
+    await database.consumeRateLimitCounters([counters[1]]);
+
+    expect(await database.consumeRateLimitCounters(counters)).toEqual({ consumed: false, rejected: [1] });
+    expect(await database.getRateLimitCounters(['ip#a#1', 'email#b#1'])).toEqual({ 'ip#a#1': 0, 'email#b#1': 1 });
+  });
+
+  test('parses the reasons DynamoDB reports for a transaction', async () => {
+    jest.spyOn(database.storage, 'transactWrite').mockRejectedValue(
+      transactionCanceled(['ConditionalCheckFailed', 'ConditionalCheckFailed'])
+    );
+
+    expect(await database.consumeRateLimitCounters(counters)).toEqual({ consumed: false, rejected: [0, 1] });
+  });
+
+  test('tells conflicts from other failures', async () => {
+    jest.spyOn(database.storage, 'transactWrite').mockRejectedValueOnce(transactionCanceled(['None', 'TransactionConflict']));
+    await expect(database.consumeRateLimitCounters(counters)).rejects.toThrow('Rate limit counters were modified concurrently');
+
+    database.storage.transactWrite.mockRejectedValueOnce(transactionCanceled(['ThrottlingError', 'None']));
+    await expect(database.consumeRateLimitCounters(counters)).rejects.toThrow(/^Failed to consume rate limit counters/);
+  });
+});
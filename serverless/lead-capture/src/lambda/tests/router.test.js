@@ -0,0 +1,138 @@
+describe('createRouter', () => {
+  let router;
+  let apiKeys;
+  let apiKey;
+  const environment = { ...process.env };
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      STORAGE_ADAPTER: 'memory',
+      ALLOWED_ORIGINS: 'https://app.example.com,https://admin.example.com'
+    });
+    delete process.env.API_KEY;
+    jest.isolateModules(() => {
+      router = require('../utils/router');
+      apiKeys = require('../utils/api-keys');
+    });
+
+    apiKey = (await apiKeys.issueKey({ name: 'Sales', scopes: [apiKeys.SCOPES.LEADS_WRITE] })).apiKey;
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createHandler = (handlers = {}) => router.createRouter({
+    description: 'testing the router',
+    routes: [
+      { method: 'GET', path: '/things', scope: apiKeys.SCOPES.LEADS_WRITE, handler: handlers.get || (() => router.createSuccessResponse({ data: [] })) },
+      { method: 'POST', path: '/things', scope: apiKeys.SCOPES.LEADS_WRITE, handler: handlers.post || (request => router.createSuccessResponse({ data: request.body }, 201)) },
+      { method: 'DELETE', path: '/things', scope: apiKeys.SCOPES.LEADS_DELETE, handler: () => router.createSuccessResponse({}) }
+    ],
+    errors: {
+      'Thing not found': { statusCode: 404, code: 'THING_NOT_FOUND' }
+    }
+  });
+
+  const call = (handler, httpMethod, { path = '/things', headers = { 'x-api-key': apiKey }, body = null, query = null } = {}) => handler({
+    httpMethod,
+    resource: path,
+    path,
+    headers,
+    queryStringParameters: query,
+    body,
+    requestContext: { identity: { sourceIp: '203.0.113.7' } }
+  }).then(response => ({ ...response, body: JSON.parse(response.body) }));
+
+  test('hands the route the parsed request and the caller', async () => {
+    const post = jest.fn(() => router.createSuccessResponse({ created: true }, 201));
+    const handler = createHandler({ post });
+
+    const response = await call(handler, 'POST', { body: '{"name":"widget"}', query: { dryRun: 'true' } });
+
+    expect(response.statusCode).toBe(201);
+    expect(response.body).toEqual({ success: true, created: true });
+    expect(post).toHaveBeenCalledWith(expect.objectContaining({
+      query: { dryRun: 'true' },
+      body: { name: 'widget' },
+      principal: expect.objectContaining({ type: 'api_key', name: 'Sales' }),
+      sourceIp: '203.0.113.7'
+    }));
+  });
+
+  test('answers preflights with the methods of the path and the allowed origin', async () => {
+    const response = await call(createHandler(), 'OPTIONS', { headers: { origin: 'https://admin.example.com' } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Access-Control-Allow-Methods']).toBe('GET,POST,DELETE,OPTIONS');
+    expect(response.headers['Access-Control-Allow-Origin']).toBe('https://admin.example.com');
+  });
+
+  test('falls back to the first allowed origin for other origins and without headers', async () => {
+    expect((await call(createHandler(), 'OPTIONS', { headers: { Origin: 'https://evil.example.com' } })).headers['Access-Control-Allow-Origin'])
+      .toBe('https://app.example.com');
+    expect((await call(createHandler(), 'OPTIONS', { headers: null })).headers['Access-Control-Allow-Origin'])
+      .toBe('https://app.example.com');
+  });
+
+  test.each([
+    ['PUT', '/things', 405, 'METHOD_NOT_ALLOWED', 'Only GET, POST, DELETE methods are allowed'],
+    ['GET', '/other', 404, 'ROUTE_NOT_FOUND', 'No route matches this path']
+  ])('answers %s %s with %i', async (method, path, statusCode, code, message) => {
+    const response = await call(createHandler(), method, { path });
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(response.body).toEqual({ success: false, error: { code, message } });
+  });
+
+  test('authenticates against the scope of the route before running it', async () => {
+    const get = jest.fn();
+    const handler = createHandler({ get });
+
+    expect((await call(handler, 'GET', { headers: null })).statusCode).toBe(401);
+    expect((await call(handler, 'GET', { headers: { 'X-Api-Key': 'lc_forged' } })).statusCode).toBe(401);
+    expect((await call(handler, 'DELETE')).body.error).toEqual({ code: 'FORBIDDEN', message: 'API key lacks the leads:delete scope' });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['{"name":', 'Invalid JSON in request body'],
+    ['[1, 2]', 'Request body must be a JSON object'],
+    ['null', 'Request body must be a JSON object']
+  ])('refuses body %p', async (body, message) => {
+    const response = await call(createHandler(), 'POST', { body });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toEqual({ code: 'INVALID_JSON', message });
+  });
+
+  test('maps known errors to their responses and hides the others', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const handler = createHandler({
+      get: async () => { throw new Error('Thing not found'); },
+      post: async () => { throw new Error('connect ECONNREFUSED 10.0.0.5:8000'); }
+    });
+
+    const notFound = await call(handler, 'GET');
+    expect(notFound.statusCode).toBe(404);
+    expect(notFound.body.error).toEqual({ code: 'THING_NOT_FOUND', message: 'Thing not found' });
+
+    const failed = await call(handler, 'POST', { body: '{}' });
+    expect(failed.statusCode).toBe(500);
+    expect(failed.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'An internal error occurred while testing the router' });
+    expect(console.error).toHaveBeenCalledWith('Error testing the router:', expect.any(Error));
+  });
+
+  test('adds the field to error responses only when there is one', () => {
+    expect(router.createErrorResponse(400, 'VALIDATION_ERROR', 'name is required', 'name').payload.error.field).toBe('name');
+    expect(router.createErrorResponse(400, 'VALIDATION_ERROR', 'Invalid input').payload.error).not.toHaveProperty('field');
+  });
+});
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryAdapter, FileAdapter } = require('../utils/storage');
+const { TABLE_SCHEMAS } = require('../utils/database');
+
+// Same key layout as the leads table in terraform, plus a hash-only table
+const TABLES = {
+  leads: {
+    hashKey: 'leadId',
+    rangeKey: 'timestamp',
+    indexes: {
+      'email-index': { hashKey: 'email', rangeKey: 'timestamp' },
+      'timeBucket-index': { hashKey: 'timeBucket', rangeKey: 'timestamp' }
+    }
+  },
+  counters: { hashKey: 'counterKey' }
+};
+
+const lead = (leadId, timestamp, extra = {}) => ({
+  leadId,
+  timestamp,
+  email: `${leadId}@example.com`,
+  timeBucket: timestamp.slice(0, 7),
+  ...extra
+});
+
+describe('TABLE_SCHEMAS', () => {
+  test('keys the leads table by leadId and timestamp, as terraform does', () => {
+    const schema = TABLE_SCHEMAS[process.env.LEADS_TABLE || 'serverless-leads'];
+
+    expect(schema.hashKey).toBe('leadId');
+    expect(schema.rangeKey).toBe('timestamp');
+    expect(Object.keys(schema.indexes).sort()).toEqual(['email-index', 'source-index', 'timeBucket-index']);
+  });
+});
+
+describe.each([
+  ['MemoryAdapter', () => new MemoryAdapter({ tables: TABLES })],
+  ['FileAdapter', directory => new FileAdapter({ tables: TABLES, directory })]
+])('%s', (name, createAdapter) => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-storage-'));
+    storage = createAdapter(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('composite key', () => {
+    test('reads, updates and deletes an item by hash and range key', async () => {
+      await storage.put({ TableName: 'leads', Item: lead('a', '2025-01-01T00:00:00.000Z') });
+      const Key = { leadId: 'a', timestamp: '2025-01-01T00:00:00.000Z' };
+
+      expect((await storage.get({ TableName: 'leads', Key })).Item.email).toBe('a@example.com');
+
+      await storage.update({
+        TableName: 'leads',
+        Key,
+        UpdateExpression: 'SET #status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': 'contacted' }
+      });
+      expect((await storage.get({ TableName: 'leads', Key })).Item.status).toBe('contacted');
+
+      await storage.delete({ TableName: 'leads', Key });
+      expect((await storage.get({ TableName: 'leads', Key })).Item).toBeUndefined();
+    });
+
+    test('keeps items with the same hash key and different range keys apart', async () => {
+      await storage.put({ TableName: 'leads', Item: lead('a', '2025-01-01T00:00:00.000Z') });
+      await storage.put({ TableName: 'leads', Item: lead('a', '2025-02-01T00:00:00.000Z') });
+
+      const result = await storage.query({
+        TableName: 'leads',
+        KeyConditionExpression: 'leadId = :leadId',
+        ExpressionAttributeValues: { ':leadId': 'a' },
+        ScanIndexForward: false
+      });
+
+      expect(result.Items.map(item => item.timestamp)).toEqual(['2025-02-01T00:00:00.000Z', '2025-01-01T00:00:00.000Z']);
+    });
+
+    test.each([
+      ['get', params => storage.get(params)],
+      ['update', params => storage.update({ ...params, UpdateExpression: 'SET a = :a', ExpressionAttributeValues: { ':a': 1 } })],
+      ['delete', params => storage.delete(params)],
+      ['batchGet', params => storage.batchGet({ RequestItems: { leads: { Keys: [params.Key] } } })],
+      ['batchWrite delete', params => storage.batchWrite({ RequestItems: { leads: [{ DeleteRequest: { Key: params.Key } }] } })]
+    ])('%s rejects a key without the range key', async (operation, run) => {
+      await expect(run({ TableName: 'leads', Key: { leadId: 'a' } }))
+        .rejects.toMatchObject({ code: 'ValidationException' });
+    });
+
+    test('rejects a key with attributes outside the key schema', async () => {
+      await storage.put({ TableName: 'counters', Item: { counterKey: 'c', count: 1 } });
+
+      await expect(storage.get({ TableName: 'counters', Key: { counterKey: 'c', count: 1 } }))
+        .rejects.toMatchObject({ code: 'ValidationException' });
+    });
+
+    test('rejects an item without its key attributes', async () => {
+      await expect(storage.put({ TableName: 'leads', Item: { leadId: 'a' } }))
+        .rejects.toMatchObject({ code: 'ValidationException' });
+    });
+
+    test('fails on unknown tables', async () => {
+      await expect(storage.get({ TableName: 'missing', Key: { id: 'a' } }))
+        .rejects.toMatchObject({ code: 'ResourceNotFoundException' });
+    });
+  });
+
+  describe('condition expressions', () => {
+    const put = (item, condition = {}) => storage.put({ TableName: 'counters', Item: item, ...condition });
+
+    test('attribute_not_exists guards against overwriting an item', async () => {
+      const condition = { ConditionExpression: 'attribute_not_exists(counterKey)' };
+      await put({ counterKey: 'c', count: 1 }, condition);
+
+      await expect(put({ counterKey: 'c', count: 2 }, condition))
+        .rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+      expect((await storage.get({ TableName: 'counters', Key: { counterKey: 'c' } })).Item.count).toBe(1);
+    });
+
+    test('compares attribute values for optimistic locking', async () => {
+      await put({ counterKey: 'c', version: 1 });
+      const condition = version => ({
+        ConditionExpression: '#version = :version',
+        ExpressionAttributeNames: { '#version': 'version' },
+        ExpressionAttributeValues: { ':version': version }
+      });
+
+      await expect(put({ counterKey: 'c', version: 2 }, condition(0)))
+        .rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+      await put({ counterKey: 'c', version: 2 }, condition(1));
+
+      expect((await storage.get({ TableName: 'counters', Key: { counterKey: 'c' } })).Item.version).toBe(2);
+    });
+
+    test('attribute_exists makes updates and deletes of missing items fail', async () => {
+      const Key = { leadId: 'a', timestamp: '2025-01-01T00:00:00.000Z' };
+
+      await expect(storage.update({
+        TableName: 'leads',
+        Key,
+        UpdateExpression: 'SET a = :a',
+        ConditionExpression: 'attribute_exists(leadId)',
+        ExpressionAttributeValues: { ':a': 1 }
+      })).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+      await expect(storage.delete({ TableName: 'leads', Key, ConditionExpression: 'attribute_exists(leadId)' }))
+        .rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+    });
+  });
+
+  describe('update expressions', () => {
+    const Key = { counterKey: 'c' };
+    const update = (UpdateExpression, values = {}, names = undefined) => storage.update({
+      TableName: 'counters',
+      Key,
+      UpdateExpression,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    });
+
+    test('creates the item on the first update', async () => {
+      const result = await update('SET #count = if_not_exists(#count, :zero) + :one', { ':zero': 0, ':one': 1 }, { '#count': 'count' });
+
+      expect(result.Attributes).toEqual({ counterKey: 'c', count: 1 });
+    });
+
+    test('applies SET, REMOVE, ADD and DELETE in one expression', async () => {
+      await storage.put({ TableName: 'counters', Item: { counterKey: 'c', ttl: 1, tags: ['a', 'b'], history: [1], nested: { x: 1 } } });
+
+      const result = await update(
+        'SET nested.y = :y, history = list_append(history, :entry) REMOVE #ttl ADD version :one, labels :labels DELETE tags :tags',
+        { ':y': 2, ':entry': [2], ':one': 1, ':labels': ['new'], ':tags': ['a'] },
+        { '#ttl': 'ttl' }
+      );
+
+      expect(result.Attributes).toEqual({
+        counterKey: 'c',
+        tags: ['b'],
+        history: [1, 2],
+        nested: { x: 1, y: 2 },
+        version: 1,
+        labels: ['new']
+      });
+    });
+
+    test('evaluates right-hand sides against the item before the update', async () => {
+      await storage.put({ TableName: 'counters', Item: { counterKey: 'c', a: 1, b: 2 } });
+
+      const result = await update('SET a = b, b = a');
+
+      expect(result.Attributes).toMatchObject({ a: 2, b: 1 });
+    });
+
+    test('returns the changed attributes with UPDATED_NEW', async () => {
+      await storage.put({ TableName: 'counters', Item: { counterKey: 'c', a: 1, b: 2 } });
+
+      const result = await storage.update({
+        TableName: 'counters',
+        Key,
+        UpdateExpression: 'SET b = :b',
+        ExpressionAttributeValues: { ':b': 3 },
+        ReturnValues: 'UPDATED_NEW'
+      });
+
+      expect(result.Attributes).toEqual({ b: 3 });
+    });
+  });
+
+  describe('global secondary indexes', () => {
+    beforeEach(async () => {
+      await storage.put({ TableName: 'leads', Item: lead('a', '2025-01-10T00:00:00.000Z', { status: 'new' }) });
+      await storage.put({ TableName: 'leads', Item: lead('b', '2025-01-20T00:00:00.000Z', { status: 'won' }) });
+      await storage.put({ TableName: 'leads', Item: lead('c', '2025-01-30T00:00:00.000Z', { status: 'new' }) });
+      await storage.put({ TableName: 'leads', Item: lead('d', '2025-02-05T00:00:00.000Z') });
+      // Not in the time bucket index, which only holds items with both of its key attributes
+      await storage.put({ TableName: 'leads', Item: { leadId: 'e', timestamp: '2025-01-15T00:00:00.000Z' } });
+    });
+
+    const queryBucket = (params = {}) => storage.query({
+      TableName: 'leads',
+      IndexName: 'timeBucket-index',
+      KeyConditionExpression: 'timeBucket = :bucket',
+      ExpressionAttributeValues: { ':bucket': '2025-01', ...params.values },
+      ...params.extra
+    });
+
+    test('queries an index in range key order', async () => {
+      expect((await queryBucket()).Items.map(item => item.leadId)).toEqual(['a', 'b', 'c']);
+      expect((await queryBucket({ extra: { ScanIndexForward: false } })).Items.map(item => item.leadId)).toEqual(['c', 'b', 'a']);
+    });
+
+    test('applies range conditions on the index range key', async () => {
+      const result = await storage.query({
+        TableName: 'leads',
+        IndexName: 'timeBucket-index',
+        KeyConditionExpression: 'timeBucket = :bucket AND #timestamp BETWEEN :from AND :to',
+        ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+        ExpressionAttributeValues: { ':bucket': '2025-01', ':from': '2025-01-15', ':to': '2025-01-25' }
+      });
+
+      expect(result.Items.map(item => item.leadId)).toEqual(['b']);
+    });
+
+    test('counts Limit before the filter and pages with LastEvaluatedKey', async () => {
+      const extra = {
+        Limit: 2,
+        FilterExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' }
+      };
+
+      const first = await queryBucket({ values: { ':status': 'new' }, extra });
+      expect(first.Items.map(item => item.leadId)).toEqual(['a']);
+      expect(first.ScannedCount).toBe(2);
+      expect(first.LastEvaluatedKey).toEqual({ leadId: 'b', timestamp: '2025-01-20T00:00:00.000Z', timeBucket: '2025-01' });
+
+      const second = await queryBucket({ values: { ':status': 'new' }, extra: { ...extra, ExclusiveStartKey: first.LastEvaluatedKey } });
+      expect(second.Items.map(item => item.leadId)).toEqual(['c']);
+      expect(second.LastEvaluatedKey).toBeUndefined();
+    });
+
+    test('projects attributes and counts with Select COUNT', async () => {
+      const projected = await queryBucket({ extra: { ProjectionExpression: 'leadId, email', Limit: 1 } });
+      expect(projected.Items).toEqual([{ leadId: 'a', email: 'a@example.com' }]);
+
+      const counted = await queryBucket({ extra: { Select: 'COUNT' } });
+      expect(counted.Count).toBe(3);
+      expect(counted.Items).toBeUndefined();
+    });
+
+    test('rejects unknown indexes', async () => {
+      await expect(storage.query({
+        TableName: 'leads',
+        IndexName: 'missing-index',
+        KeyConditionExpression: 'leadId = :leadId',
+        ExpressionAttributeValues: { ':leadId': 'a' }
+      })).rejects.toMatchObject({ code: 'ValidationException' });
+    });
+  });
+
+  describe('transactions', () => {
+    test('writes nothing when one condition fails', async () => {
+      await storage.put({ TableName: 'counters', Item: { counterKey: 'taken' } });
+
+      await expect(storage.transactWrite({
+        TransactItems: [
+          { Put: { TableName: 'counters', Item: { counterKey: 'new' } } },
+          { Put: { TableName: 'counters', Item: { counterKey: 'taken' }, ConditionExpression: 'attribute_not_exists(counterKey)' } }
+        ]
+      })).rejects.toMatchObject({
+        code: 'TransactionCanceledException',
+        message: expect.stringContaining('[None, ConditionalCheckFailed]')
+      });
+      expect((await storage.get({ TableName: 'counters', Key: { counterKey: 'new' } })).Item).toBeUndefined();
+    });
+  });
+
+  if (name === 'FileAdapter') {
+    test('shares tables with other processes through the directory', async () => {
+      await storage.put({ TableName: 'leads', Item: lead('a', '2025-01-01T00:00:00.000Z') });
+
+      const other = createAdapter(directory);
+      const Key = { leadId: 'a', timestamp: '2025-01-01T00:00:00.000Z' };
+      expect((await other.get({ TableName: 'leads', Key })).Item.leadId).toBe('a');
+
+      await other.delete({ TableName: 'leads', Key });
+      expect((await storage.get({ TableName: 'leads', Key })).Item).toBeUndefined();
+    });
+  }
+});
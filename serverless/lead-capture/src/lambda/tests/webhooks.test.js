@@ -0,0 +1,325 @@
+const dns = require('dns');
+const http = require('http');
+const { WebhookService, DELIVERY_STATUS, isBlockedHost } = require('../utils/webhooks');
+const { DatabaseService, TABLE_SCHEMAS } = require('../utils/database');
+const { MemoryAdapter } = require('../utils/storage');
+
+const LEAD = { leadId: '0b6a3f0e-8d47-5c59-9a6e-2f5d1c4b7a10', contact: { email: 'ada@example.com', name: 'Ada Lovelace' } };
+
+/**
+ * Local webhook receiver
+ * Records every request with its raw body and answers with the queued status codes, then 200
+ */
+function createReceiver() {
+  const receiver = { requests: [], statusCodes: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statusCodes.length > 0 ? receiver.statusCodes.shift() : 200);
+      res.end();
+    });
+  });
+
+  receiver.start = () => new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve();
+    });
+  });
+
+  receiver.stop = () => new Promise(resolve => {
+    receiver.server.closeAllConnections();
+    receiver.server.close(() => resolve());
+  });
+
+  receiver.reset = () => {
+    receiver.requests = [];
+    receiver.statusCodes = [];
+  };
+
+  return receiver;
+}
+
+const receiver = createReceiver();
+
+beforeAll(() => receiver.start());
+afterAll(() => receiver.stop());
+beforeEach(() => receiver.reset());
+
+describe('WebhookService', () => {
+  let database;
+  let sqs;
+  let service;
+  let webhook;
+
+  beforeEach(async () => {
+    database = new DatabaseService({ storage: new MemoryAdapter({ tables: TABLE_SCHEMAS }) });
+    sqs = { sendMessage: jest.fn(() => ({ promise: async () => ({}) })) };
+    // The receiver listens on 127.0.0.1, which endpoints may only use with private targets allowed
+    service = new WebhookService({
+      database,
+      maxAttempts: 3,
+      baseDelay: 30000,
+      timeout: 1000,
+      disableAfterFailures: 2,
+      runner: 'sqs',
+      sqs,
+      queueUrl: 'https://sqs.example.com/retries',
+      allowPrivateTargets: true
+    });
+    webhook = await database.storeWebhook({
+      webhookId: 'wh-1',
+      url: receiver.url,
+      secret: service.generateSecret(),
+      events: ['lead.created', 'lead.deleted'],
+      active: true,
+      consecutiveFailures: 0
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getWebhook = () => database.getWebhookById('wh-1');
+
+  describe('signatures', () => {
+    test('signs "<timestamp>.<raw body>" with the endpoint secret', async () => {
+      const delivery = await service.deliver(webhook, 'lead.created', LEAD);
+
+      expect(delivery.status).toBe(DELIVERY_STATUS.DELIVERED);
+      const [{ headers, body }] = receiver.requests;
+      expect(headers['x-webhook-id']).toBe(delivery.deliveryId);
+      expect(headers['x-webhook-event']).toBe('lead.created');
+      expect(headers['x-webhook-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(service.verifySignature(webhook.secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+      expect(JSON.parse(body)).toEqual({ id: delivery.deliveryId, event: 'lead.created', createdAt: delivery.createdAt, data: LEAD });
+    });
+
+    test('rejects a signature for another timestamp, body or secret', () => {
+      const signature = service.sign('whsec_a', 1700000000, '{"a":1}');
+
+      expect(service.verifySignature('whsec_a', 1700000000, '{"a":1}', signature)).toBe(true);
+      expect(service.verifySignature('whsec_a', 1700000001, '{"a":1}', signature)).toBe(false);
+      expect(service.verifySignature('whsec_a', 1700000000, '{"a":2}', signature)).toBe(false);
+      expect(service.verifySignature('whsec_b', 1700000000, '{"a":1}', signature)).toBe(false);
+      expect(service.verifySignature('whsec_a', 1700000000, '{"a":1}', undefined)).toBe(false);
+    });
+  });
+
+  describe('retries', () => {
+    test('schedules a retry with exponential backoff and stores no lead fields', async () => {
+      receiver.statusCodes.push(503, 500);
+
+      const first = await service.deliver(webhook, 'lead.created', LEAD);
+
+      expect(first.status).toBe(DELIVERY_STATUS.PENDING);
+      expect(first.nextAttemptAt).toEqual(expect.any(String));
+      expect(sqs.sendMessage).toHaveBeenLastCalledWith({
+        QueueUrl: 'https://sqs.example.com/retries',
+        MessageBody: JSON.stringify({ deliveryId: first.deliveryId }),
+        DelaySeconds: 30
+      });
+      expect(JSON.stringify(await database.getWebhookDelivery(first.deliveryId))).not.toContain('Lovelace');
+
+      await database.storeLead({ ...LEAD, timestamp: '2025-03-01T10:00:00.000Z' });
+      const second = await service.retry(first.deliveryId);
+
+      expect(second.status).toBe(DELIVERY_STATUS.PENDING);
+      expect(sqs.sendMessage).toHaveBeenLastCalledWith(expect.objectContaining({ DelaySeconds: 60 }));
+
+      const third = await service.retry(first.deliveryId);
+      expect(third.status).toBe(DELIVERY_STATUS.DELIVERED);
+      expect(third.attempts.map(attempt => attempt.statusCode)).toEqual([503, 500, 200]);
+      expect(new Set(receiver.requests.map(request => JSON.parse(request.body).id))).toEqual(new Set([first.deliveryId]));
+      expect(await service.retry(first.deliveryId)).toBeNull();
+    });
+
+    test('caps the queue delay at 15 minutes', async () => {
+      service.baseDelay = 60 * 60 * 1000;
+      receiver.statusCodes.push(500);
+
+      await service.deliver(webhook, 'lead.created', LEAD);
+
+      expect(sqs.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ DelaySeconds: 900 }));
+    });
+
+    test('retries network errors, 408 and 429 but not other client errors', async () => {
+      receiver.statusCodes.push(429, 400);
+
+      const first = await service.deliver(webhook, 'lead.deleted', { leadId: LEAD.leadId });
+      expect(first.status).toBe(DELIVERY_STATUS.PENDING);
+
+      const second = await service.retry(first.deliveryId);
+      expect(second.status).toBe(DELIVERY_STATUS.DEAD_LETTER);
+      expect(second.responseCode).toBe(400);
+      expect(sqs.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('stores a delivery as dead letter after the last attempt', async () => {
+      receiver.statusCodes.push(500, 500, 500);
+
+      const first = await service.deliver(webhook, 'lead.deleted', { leadId: LEAD.leadId });
+      await service.retry(first.deliveryId);
+      const last = await service.retry(first.deliveryId);
+
+      expect(last.status).toBe(DELIVERY_STATUS.DEAD_LETTER);
+      expect(last.attempts).toHaveLength(3);
+      expect(last.nextAttemptAt).toBeUndefined();
+      expect(sqs.sendMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('abandons a retry whose lead or endpoint is gone', async () => {
+      receiver.statusCodes.push(500, 500);
+      const deletedLead = await service.deliver(webhook, 'lead.created', LEAD);
+      const disabledEndpoint = await service.deliver(webhook, 'lead.deleted', { leadId: LEAD.leadId });
+
+      expect((await service.retry(deletedLead.deliveryId)).error).toBe('Lead was deleted before the retry');
+
+      await database.updateWebhook('wh-1', { active: false });
+      const abandoned = await service.retry(disabledEndpoint.deliveryId);
+      expect(abandoned.status).toBe(DELIVERY_STATUS.DEAD_LETTER);
+      expect(abandoned.error).toBe('Webhook was disabled before the retry');
+      expect(receiver.requests).toHaveLength(2);
+    });
+  });
+
+  describe('auto-disable', () => {
+    test('disables an endpoint after consecutive failed deliveries', async () => {
+      receiver.statusCodes.push(400, 400);
+
+      await service.deliver(webhook, 'lead.created', LEAD);
+      expect((await getWebhook()).consecutiveFailures).toBe(1);
+      expect((await getWebhook()).active).toBe(true);
+
+      await service.deliver(await getWebhook(), 'lead.created', LEAD);
+      const disabled = await getWebhook();
+      expect(disabled.active).toBe(false);
+      expect(disabled.disabledReason).toBe('Disabled after 2 consecutive failed deliveries');
+
+      expect(await service.dispatch('lead.created', LEAD)).toEqual([]);
+    });
+
+    test('resets the failure count after a successful delivery', async () => {
+      receiver.statusCodes.push(400);
+
+      await service.deliver(webhook, 'lead.created', LEAD);
+      await service.deliver(await getWebhook(), 'lead.created', LEAD);
+      await service.deliver(await getWebhook(), 'lead.created', LEAD);
+
+      expect((await getWebhook()).consecutiveFailures).toBe(0);
+      expect((await getWebhook()).active).toBe(true);
+    });
+  });
+
+  describe('private targets', () => {
+    beforeEach(() => {
+      service.allowPrivateTargets = false;
+      service.maxAttempts = 1;
+    });
+
+    test('refuses to send to a private address', async () => {
+      const delivery = await service.deliver(webhook, 'lead.created', LEAD);
+
+      expect(delivery.status).toBe(DELIVERY_STATUS.DEAD_LETTER);
+      expect(delivery.error).toBe('Webhook URL host 127.0.0.1 is a private address');
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    test('refuses a name that resolves to a private address', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (options.all) {
+          callback(null, [{ address: '169.254.169.254', family: 4 }]);
+        } else {
+          callback(null, '169.254.169.254', 4);
+        }
+      });
+
+      const delivery = await service.deliver({ ...webhook, url: 'https://hooks.example.com/leads' }, 'lead.created', LEAD);
+
+      expect(delivery.error).toBe('Webhook URL host hooks.example.com resolves to a private address (169.254.169.254)');
+      expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', expect.any(Object), expect.any(Function));
+    });
+
+    test.each([
+      ['127.0.0.1', true],
+      ['10.0.0.5', true],
+      ['172.20.1.1', true],
+      ['192.168.1.10', true],
+      ['169.254.169.254', true],
+      ['100.64.0.1', true],
+      ['0.0.0.0', true],
+      ['[::1]', true],
+      ['[fd00::1]', true],
+      ['[fe80::1]', true],
+      ['[::ffff:169.254.169.254]', true],
+      ['localhost', true],
+      ['api.localhost', true],
+      ['hooks.example.com', false],
+      ['93.184.216.34', false],
+      ['[2606:4700::1111]', false]
+    ])('treats host %s as private: %s', (hostname, blocked) => {
+      expect(isBlockedHost(hostname)).toBe(blocked);
+    });
+  });
+});
+
+describe('webhooks handler', () => {
+  let handler;
+  let apiKey;
+  const environment = { ...process.env };
+
+  beforeAll(async () => {
+    Object.assign(process.env, { STORAGE_ADAPTER: 'memory', WEBHOOK_ALLOW_HTTP: 'false', API_KEY: '' });
+    let apiKeys;
+    jest.isolateModules(() => {
+      handler = require('../handlers/webhooks').handler;
+      apiKeys = require('../utils/api-keys');
+    });
+    ({ apiKey } = await apiKeys.issueKey({ name: 'Webhook admin', scopes: [apiKeys.SCOPES.WEBHOOKS_MANAGE] }));
+  });
+
+  afterAll(() => {
+    process.env = environment;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const register = (url) => handler({
+    httpMethod: 'POST',
+    headers: { 'x-api-key': apiKey },
+    body: JSON.stringify({ url, events: ['lead.created'] })
+  });
+
+  test.each([
+    ['http://hooks.example.com/leads', 'A valid https URL is required'],
+    ['https://169.254.169.254/latest/meta-data', 'url must not point to a private, loopback or link-local address'],
+    ['https://127.0.0.1:8443/hooks', 'url must not point to a private, loopback or link-local address'],
+    ['https://[::1]/hooks', 'url must not point to a private, loopback or link-local address'],
+    ['https://localhost/hooks', 'url must not point to a private, loopback or link-local address'],
+    ['https://10.0.0.5/hooks', 'url must not point to a private, loopback or link-local address']
+  ])('refuses to register %s', async (url, message) => {
+    const response = await register(url);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatchObject({ code: 'VALIDATION_ERROR', message, field: 'url' });
+  });
+
+  test('registers a public https endpoint and returns its secret once', async () => {
+    const response = await register('https://hooks.example.com/leads');
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).data.secret).toMatch(/^whsec_/);
+  });
+});
@@ -0,0 +1,192 @@
+const database = require('./database');
+const { SPAM_STATUS } = require('./spam-scoring');
+
+// Analytics settings from environment variables
+const ANALYTICS_MAX_DAYS = parseInt(process.env.ANALYTICS_MAX_DAYS) || 366; // Longest range one stats request may cover
+
+const INTERVALS = ['day', 'week'];
+
+// Breakdowns available through groupBy
+const DIMENSIONS = ['source', 'formId', 'utmCampaign', 'spam'];
+
+const TOTAL_COUNTER = 'submissions';
+const EMPTY_VALUE = '(none)';
+const MAX_VALUE_LENGTH = 100;
+const QUERY_CONCURRENCY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Submission counters aggregated at write time
+ * Every day (UTC) is one partition of the analytics table with a counter item per metric:
+ * `submissions`, `spam#<outcome>` and, for accepted submissions, `source#<origin>`,
+ * `formId#<id>` and `utmCampaign#<campaign>`. Weeks are summed from days when read.
+ */
+class AnalyticsService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {number} options.maxDays - Longest range one stats request may cover
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.maxDays = options.maxDays || ANALYTICS_MAX_DAYS;
+  }
+
+  /**
+   * Count a scored submission; failures are logged, never thrown
+   * @param {Object} submission - Submission attributes
+   * @param {string} submission.timestamp - Submission time (ISO string)
+   * @param {string} submission.spamStatus - accepted, quarantined or rejected
+   * @param {string} submission.source - Submitting origin
+   * @param {string} submission.formId - Form ID from the tracking data
+   * @param {string} submission.utmCampaign - utm_campaign of the page
+   * @returns {Promise<boolean>} - Whether the counters were updated
+   */
+  async recordSubmission(submission) {
+    const counters = [TOTAL_COUNTER, `spam#${submission.spamStatus}`];
+
+    // Marketing breakdowns only count submissions that became leads
+    if (submission.spamStatus === SPAM_STATUS.ACCEPTED) {
+      counters.push(
+        `source#${normalizeValue(submission.source).toLowerCase()}`,
+        `formId#${normalizeValue(submission.formId)}`,
+        `utmCampaign#${normalizeValue(submission.utmCampaign)}`
+      );
+    }
+
+    try {
+      await this.database.incrementAnalyticsCounters(submission.timestamp.slice(0, 10), counters);
+      return true;
+    } catch (error) {
+      console.error('Error updating analytics counters:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Time series of submission counts, ready to chart
+   * @param {Object} options - Stats options
+   * @param {string} options.startDate - First day (ISO string)
+   * @param {string} options.endDate - Last day (ISO string)
+   * @param {string} options.interval - day or week (weeks start on Monday)
+   * @param {string} options.groupBy - Optional dimension to break the series down by
+   * @returns {Promise<Object>} - { interval, groupBy, labels, series: [{ key, total, data }], total }
+   */
+  async getStats(options) {
+    const { startDate, endDate, interval = 'day', groupBy = null } = options;
+
+    if (!INTERVALS.includes(interval)) {
+      throw new Error(`Unknown interval: ${interval}`);
+    }
+    if (groupBy && !DIMENSIONS.includes(groupBy)) {
+      throw new Error(`Unknown groupBy dimension: ${groupBy}`);
+    }
+
+    const days = listDays(startDate, endDate);
+    if (days.length > this.maxDays) {
+      throw new Error(`Date range must not exceed ${this.maxDays} days`);
+    }
+
+    const dailyCounters = await mapWithConcurrency(days, day => this.database.getAnalyticsCounters(day));
+
+    // Map each day to the position of its day or week in the output
+    const labels = [];
+    const positions = days.map(day => {
+      const label = interval === 'week' ? getWeekStart(day) : day;
+      if (labels[labels.length - 1] !== label) {
+        labels.push(label);
+      }
+      return labels.length - 1;
+    });
+
+    const seriesByKey = new Map();
+    const addCount = (key, position, count) => {
+      if (!seriesByKey.has(key)) {
+        seriesByKey.set(key, { key, total: 0, data: new Array(labels.length).fill(0) });
+      }
+      const series = seriesByKey.get(key);
+      series.data[position] += count;
+      series.total += count;
+    };
+
+    dailyCounters.forEach((counters, dayIndex) => {
+      Object.entries(counters).forEach(([counter, count]) => {
+        if (!groupBy && counter === TOTAL_COUNTER) {
+          addCount(TOTAL_COUNTER, positions[dayIndex], count);
+        } else if (groupBy && counter.startsWith(`${groupBy}#`)) {
+          addCount(counter.slice(groupBy.length + 1), positions[dayIndex], count);
+        }
+      });
+    });
+
+    if (!groupBy && !seriesByKey.has(TOTAL_COUNTER)) {
+      seriesByKey.set(TOTAL_COUNTER, { key: TOTAL_COUNTER, total: 0, data: new Array(labels.length).fill(0) });
+    }
+
+    const series = [...seriesByKey.values()].sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+
+    return {
+      interval,
+      groupBy,
+      labels,
+      series,
+      total: series.reduce((sum, entry) => sum + entry.total, 0)
+    };
+  }
+}
+
+/**
+ * Trim a dimension value, falling back to EMPTY_VALUE
+ */
+function normalizeValue(value) {
+  const normalized = typeof value === 'string' ? value.trim().slice(0, MAX_VALUE_LENGTH) : '';
+  return normalized || EMPTY_VALUE;
+}
+
+/**
+ * Days (YYYY-MM-DD, UTC) from startDate to endDate inclusive
+ */
+function listDays(startDate, endDate) {
+  const days = [];
+  const last = Date.parse(endDate.slice(0, 10));
+
+  for (let time = Date.parse(startDate.slice(0, 10)); time <= last; time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  return days;
+}
+
+/**
+ * Monday of the ISO week a day belongs to
+ */
+function getWeekStart(day) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Map over items with at most QUERY_CONCURRENCY calls in flight, keeping order
+ */
+async function mapWithConcurrency(items, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(QUERY_CONCURRENCY, items.length) }, worker));
+  return results;
+}
+
+// Export singleton instance
+module.exports = new AnalyticsService();
+module.exports.AnalyticsService = AnalyticsService;
+module.exports.INTERVALS = INTERVALS;
+module.exports.DIMENSIONS = DIMENSIONS;
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+// API key settings from environment variables
+const API_KEY = process.env.API_KEY || ''; // Deprecated single key; issue scoped keys instead
+const API_KEY_SCOPES = process.env.API_KEY_SCOPES || 'leads:read,leads:export,stats:read'; // Scopes of API_KEY
+const API_KEY_LAST_USED_RESOLUTION_SECONDS = parseInt(process.env.API_KEY_LAST_USED_RESOLUTION_SECONDS) || 300;
+const API_KEY_ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+// Permissions a key can be given; handlers declare which one each route needs
+const SCOPES = {
+  LEADS_READ: 'leads:read',
+  LEADS_WRITE: 'leads:write',
+  LEADS_EXPORT: 'leads:export',
+  LEADS_DELETE: 'leads:delete',
+  LEADS_REVIEW: 'leads:review',
+  STATS_READ: 'stats:read',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  KEYS_MANAGE: 'keys:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+/**
+ * Parse API_KEY_SCOPES, the comma-separated scopes granted to the deprecated API_KEY
+ * @param {string} value - Comma-separated scope names
+ * @returns {Array<string>}
+ */
+function parseLegacyScopes(value) {
+  const knownScopes = Object.values(SCOPES);
+  const scopes = value.split(',').map(scope => scope.trim()).filter(Boolean);
+  const unknown = scopes.filter(scope => !knownScopes.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid API_KEY_SCOPES: unknown scopes ${unknown.join(', ')}; expected a list of: ${knownScopes.join(', ')}`);
+  }
+  return scopes;
+}
+
+const KEY_PREFIX = 'lc';
+const KEY_PATTERN = /^lc_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const LEGACY_KEY_ID = 'legacy';
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Scoped API keys for the admin and read API
+ * Keys look like `lc_<keyId>_<secret>`. Only a SHA-256 hash of the whole key is stored,
+ * looked up by keyId and compared in constant time. Keys can expire, be revoked, and be
+ * rotated: the replacement is issued at once and the old key keeps working for a grace period.
+ */
+class ApiKeyService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {string} options.legacyKey - Deprecated plain API_KEY
+   * @param {Array<string>} options.legacyScopes - Scopes of the legacy key (API_KEY_SCOPES)
+   * @param {number} options.lastUsedResolutionSeconds - Minimum time between lastUsedAt writes
+   * @param {number} options.rotationGraceHours - How long a rotated key keeps working
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.legacyKey = options.legacyKey !== undefined ? options.legacyKey : API_KEY;
+    this.legacyScopes = options.legacyScopes || parseLegacyScopes(API_KEY_SCOPES);
+    this.lastUsedResolutionSeconds = options.lastUsedResolutionSeconds || API_KEY_LAST_USED_RESOLUTION_SECONDS;
+    this.rotationGraceHours = options.rotationGraceHours !== undefined ? options.rotationGraceHours : API_KEY_ROTATION_GRACE_HOURS;
+    this.legacyWarningLogged = false;
+  }
+
+  /**
+   * Check a presented key and the scope the route needs
+   * @param {string} presentedKey - Value of the X-Api-Key header
+   * @param {string} requiredScope - Scope the route needs (null: any valid key)
+   * @returns {Promise<Object>} - { isValid, key, principal } or { isValid: false, statusCode, code, error }
+   */
+  async authenticate(presentedKey, requiredScope = null) {
+    if (!presentedKey) {
+      return unauthorized('API key is required. Include X-Api-Key header.');
+    }
+
+    const key = await this.findKey(presentedKey);
+    if (!key) {
+      return unauthorized('Invalid API key');
+    }
+
+    if (key.revokedAt) {
+      return unauthorized('API key has been revoked');
+    }
+
+    if (key.expiresAt && key.expiresAt <= new Date().toISOString()) {
+      return unauthorized('API key has expired');
+    }
+
+    if (requiredScope && !key.scopes.includes(requiredScope)) {
+      return {
+        isValid: false,
+        statusCode: 403,
+        code: 'FORBIDDEN',
+        error: `API key lacks the ${requiredScope} scope`
+      };
+    }
+
+    await this.recordUse(key);
+
+    return {
+      isValid: true,
+      key: toPublicKey(key),
+      principal: { type: 'api_key', id: key.keyId, name: key.name }
+    };
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} input - Key settings
+   * @param {string} input.name - Who or what the key is for
+   * @param {Array<string>} input.scopes - Scopes from SCOPES
+   * @param {string} input.expiresAt - Expiry (ISO string), or null for none
+   * @param {string} input.rotatedFrom - Key this one replaces
+   * @param {Object} input.createdBy - Who issued it ({ type, id, name })
+   * @returns {Promise<Object>} - { apiKey, key }; apiKey is the secret and is not stored
+   */
+  async issueKey(input) {
+    const error = validateKeyInput(input);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const apiKey = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const key = await this.database.storeApiKey({
+      keyId,
+      name: input.name.trim(),
+      scopes: [...new Set(input.scopes)],
+      keyHash: hashKey(apiKey),
+      expiresAt: input.expiresAt || null,
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedFrom: input.rotatedFrom || null,
+      rotatedTo: null,
+      createdBy: input.createdBy || null
+    });
+
+    return { apiKey, key: toPublicKey(key) };
+  }
+
+  /**
+   * Replace a key with a new one that has the same name, scopes and expiry
+   * The old key stops working after the grace period (or at its own expiry, if sooner)
+   * @param {string} keyId - Key to rotate
+   * @param {Object} options - Rotation options
+   * @param {number} options.graceHours - Hours the old key keeps working (0: stop now)
+   * @param {Object} options.rotatedBy - Who rotated it ({ type, id, name })
+   * @returns {Promise<Object>} - { apiKey, key, previousKey }
+   */
+  async rotateKey(keyId, options = {}) {
+    const graceHours = options.graceHours !== undefined ? options.graceHours : this.rotationGraceHours;
+    const existing = await this.database.getApiKey(keyId);
+
+    if (!existing || existing.revokedAt) {
+      throw new Error('API key not found');
+    }
+    if (existing.rotatedTo) {
+      throw new Error('API key has already been rotated');
+    }
+
+    const issued = await this.issueKey({
+      name: existing.name,
+      scopes: existing.scopes,
+      expiresAt: existing.expiresAt,
+      rotatedFrom: keyId,
+      createdBy: options.rotatedBy || null
+    });
+
+    const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000).toISOString();
+    const previousKey = await this.database.updateApiKey(keyId, {
+      rotatedTo: issued.key.keyId,
+      expiresAt: existing.expiresAt && existing.expiresAt < graceEnd ? existing.expiresAt : graceEnd
+    });
+
+    return { ...issued, previousKey: toPublicKey(previousKey) };
+  }
+
+  /**
+   * Revoke a key; it stays listed with revokedAt set
+   * @param {string} keyId - Key to revoke
+   * @param {Object} options - Revocation options
+   * @param {Object} options.revokedBy - Who revoked it ({ type, id, name })
+   * @returns {Promise<Object>} - The revoked key
+   */
+  async revokeKey(keyId, options = {}) {
+    const existing = await this.database.getApiKey(keyId);
+    if (!existing) {
+      throw new Error('API key not found');
+    }
+    if (existing.revokedAt) {
+      return toPublicKey(existing);
+    }
+
+    return toPublicKey(await this.database.updateApiKey(keyId, {
+      revokedAt: new Date().toISOString(),
+      revokedBy: options.revokedBy || null
+    }));
+  }
+
+  /**
+   * All keys, without their hashes
+   * @returns {Promise<Array>}
+   */
+  async listKeys() {
+    const keys = await this.database.listApiKeys();
+    return keys.map(toPublicKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * A key without its hash
+   * @param {string} keyId - Key to return
+   * @returns {Promise<Object|null>}
+   */
+  async getKey(keyId) {
+    const key = await this.database.getApiKey(keyId);
+    return key ? toPublicKey(key) : null;
+  }
+
+  /**
+   * Look up the stored key matching a presented key
+   * @private
+   */
+  async findKey(presentedKey) {
+    const presentedHash = hashKey(presentedKey);
+    const match = KEY_PATTERN.exec(presentedKey);
+
+    if (!match) {
+      if (this.legacyKey && safeEqual(presentedHash, hashKey(this.legacyKey))) {
+        if (!this.legacyWarningLogged) {
+          console.warn('API_KEY is deprecated; issue scoped keys with scripts/api-keys.js');
+          this.legacyWarningLogged = true;
+        }
+        return { keyId: LEGACY_KEY_ID, name: 'API_KEY', scopes: this.legacyScopes, expiresAt: null, revokedAt: null };
+      }
+      return null;
+    }
+
+    const key = await this.database.getApiKey(match[1]);
+    return key && safeEqual(presentedHash, key.keyHash) ? key : null;
+  }
+
+  /**
+   * Update lastUsedAt, at most once per resolution window; failures are only logged
+   * @private
+   */
+  async recordUse(key) {
+    if (key.keyId === LEGACY_KEY_ID) {
+      return;
+    }
+
+    const now = new Date();
+    if (key.lastUsedAt && now - new Date(key.lastUsedAt) < this.lastUsedResolutionSeconds * 1000) {
+      return;
+    }
+
+    try {
+      await this.database.updateApiKey(key.keyId, { lastUsedAt: now.toISOString() });
+    } catch (error) {
+      console.error('Error recording API key use:', error);
+    }
+  }
+}
+
+/**
+ * Check the settings of a new key; returns an error message or null
+ * @param {Object} input - { name, scopes, expiresAt }
+ * @returns {string|null}
+ */
+function validateKeyInput(input) {
+  const { name, scopes, expiresAt } = input || {};
+  const knownScopes = Object.values(SCOPES);
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `name must be a string of 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => knownScopes.includes(scope))) {
+    return `scopes must be a non-empty list of: ${knownScopes.join(', ')}`;
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || isNaN(date) || date.toISOString() !== expiresAt) {
+      return 'expiresAt must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)';
+    }
+    if (expiresAt <= new Date().toISOString()) {
+      return 'expiresAt must be in the future';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * SHA-256 of a key; keys are random, so a fast hash is enough
+ * @private
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ * @private
+ */
+function safeEqual(a, b) {
+  const expected = Buffer.from(String(b || ''), 'hex');
+  const actual = Buffer.from(a, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strip the hash from a stored key
+ * @private
+ */
+function toPublicKey(key) {
+  const publicKey = { ...key };
+  delete publicKey.keyHash;
+  return publicKey;
+}
+
+/**
+ * @private
+ */
+function unauthorized(error) {
+  return { isValid: false, statusCode: 401, code: 'UNAUTHORIZED', error };
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
+module.exports.ApiKeyService = ApiKeyService;
+module.exports.SCOPES = SCOPES;
+module.exports.validateKeyInput = validateKeyInput;
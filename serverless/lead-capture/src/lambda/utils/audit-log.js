@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { CUSTOM_FIELD_PREFIX, normalizeSearchText } = require('./lead-search');
+
+// Settings from environment variables
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 0; // 0 keeps entries forever
+const AUDIT_LOG_HASH_KEY = process.env.AUDIT_LOG_HASH_KEY || ''; // HMAC key for contact filter values; without it they are dropped
+
+// Filters whose values are contact data; entries keep them only as keyed hashes
+const CONTACT_FILTERS = ['email', 'q', 'companyPrefix'];
+
+// Actions recorded in an entry's action attribute
+const AUDIT_ACTIONS = {
+  READ: 'lead.read',
+  LIST: 'lead.list',
+  EXPORT: 'lead.export',
+  UPDATE: 'lead.update',
+  DELETE: 'lead.delete'
+};
+
+// Lead IDs kept on the entry itself; every lead is still findable through the lead lookup table
+const MAX_ENTRY_LEAD_IDS = 100;
+
+/**
+ * Append-only record of who read, listed, exported, changed or deleted which leads
+ */
+class AuditLogService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {number} options.retentionDays - Days before DynamoDB TTL removes an entry (0 keeps them)
+   * @param {string} options.hashKey - HMAC key for contact filter values (AUDIT_LOG_HASH_KEY)
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : AUDIT_LOG_RETENTION_DAYS;
+    this.hashKey = options.hashKey !== undefined ? options.hashKey : AUDIT_LOG_HASH_KEY;
+  }
+
+  /**
+   * Record an access to leads
+   * Failures are thrown so callers do not hand out data that was not audited.
+   * @param {Object} access - What happened
+   * @param {string} access.action - One of AUDIT_ACTIONS
+   * @param {Object} access.actor - Authenticated caller ({ type, id, name })
+   * @param {string} access.sourceIp - IP address the request came from
+   * @param {Object} access.filters - Filters of a listing or export
+   * @param {Array<string>} access.leadIds - Leads returned or affected
+   * @param {Object} access.details - Anything else worth keeping (route, counts, job ID)
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async record(access) {
+    const { action, actor, sourceIp = null, filters = null, leadIds = [], details = null } = access;
+
+    if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+
+    const uniqueLeadIds = [...new Set(leadIds.filter(Boolean))];
+    const entry = {
+      auditId: uuidv4(),
+      timestamp: new Date().toISOString(),
+      action,
+      actor: actor ? { type: actor.type, id: actor.id, name: actor.name || null } : null,
+      actorKey: toActorKey(actor),
+      sourceIp: sourceIp || 'unknown',
+      filters: this.sanitizeFilters(filters),
+      leadIds: uniqueLeadIds.slice(0, MAX_ENTRY_LEAD_IDS),
+      leadCount: uniqueLeadIds.length,
+      details
+    };
+
+    if (this.retentionDays > 0) {
+      entry.expiresAt = Math.floor(Date.now() / 1000) + this.retentionDays * 24 * 60 * 60;
+    }
+
+    return this.database.storeAuditEntry(entry, uniqueLeadIds);
+  }
+
+  /**
+   * Drop empty filters and replace contact filter values (email, search, company, custom fields)
+   * The log is append-only and outlives erasure requests, so those values are kept only as an
+   * HMAC under AUDIT_LOG_HASH_KEY in `<name>Hash`, or, without a key, listed by name in `redacted`
+   * @param {Object} filters - Filters of a listing, export or data-subject request
+   * @returns {Object|null}
+   */
+  sanitizeFilters(filters) {
+    if (!filters) {
+      return null;
+    }
+
+    const sanitized = {};
+    const redacted = [];
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      if (!CONTACT_FILTERS.includes(name) && !name.startsWith(CUSTOM_FIELD_PREFIX)) {
+        sanitized[name] = value;
+        return;
+      }
+
+      if (this.hashKey) {
+        sanitized[`${name}Hash`] = this.hashFilterValue(value);
+      } else {
+        redacted.push(name);
+      }
+    });
+
+    if (redacted.length > 0) {
+      sanitized.redacted = redacted;
+    }
+    return Object.keys(sanitized).length > 0 ? sanitized : null;
+  }
+
+  /**
+   * Keyed hash of a filter value, normalized like the search attributes
+   * Lets an auditor check whether a given address was looked up without storing it
+   * @param {string} value - Filter value
+   * @returns {string} - Hex HMAC-SHA256
+   */
+  hashFilterValue(value) {
+    return crypto.createHmac('sha256', this.hashKey).update(normalizeSearchText(String(value))).digest('hex');
+  }
+
+  /**
+   * Look up entries by lead, actor and time range
+   * @param {Object} query - { leadId, actor ("<type>:<id>"), action, startDate, endDate, limit, nextToken }
+   * @returns {Promise<Object>} - { entries, count, nextToken, hasMore }
+   */
+  async query(query = {}) {
+    return this.database.getAuditEntries({
+      leadId: query.leadId || null,
+      actorKey: query.actor || null,
+      action: query.action || null,
+      startDate: query.startDate || null,
+      endDate: query.endDate || null,
+      limit: query.limit,
+      lastEvaluatedKey: query.nextToken || null
+    });
+  }
+}
+
+/**
+ * Key entries are looked up by actor with, e.g. "api_key:3f2a9c1d0b8e7f6a" or "jwt:00u1ab"
+ * @param {Object} actor - { type, id }
+ * @returns {string}
+ */
+function toActorKey(actor) {
+  return actor ? `${actor.type}:${actor.id}` : 'anonymous:unknown';
+}
+
+// Export singleton instance
+module.exports = new AuditLogService();
+module.exports.AuditLogService = AuditLogService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.toActorKey = toActorKey;
@@ -0,0 +1,70 @@
+const apiKeys = require('./api-keys');
+const jwtAuth = require('./jwt-auth');
+const { SCOPES } = require('./api-keys');
+const { getHeader } = require('./headers');
+
+/**
+ * Authentication for the admin and read API
+ * A request carries either `Authorization: Bearer <JWT>` (staff, see jwt-auth.js) or
+ * `X-Api-Key` (integrations, see api-keys.js). Both grant the same SCOPES, and both
+ * identify the caller as a principal ({ type, id, name }) that is logged and recorded on changes.
+ */
+class AuthService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.apiKeys - API key service
+   * @param {Object} options.jwtAuth - JWT service
+   */
+  constructor(options = {}) {
+    this.apiKeys = options.apiKeys || apiKeys;
+    this.jwtAuth = options.jwtAuth || jwtAuth;
+  }
+
+  /**
+   * Authenticate a request against the scope the route needs
+   * @param {Object|null} headers - Request headers as passed by API Gateway
+   * @param {string} requiredScope - Scope the route needs (null: any valid credentials)
+   * @returns {Promise<Object>} - { isValid, principal } or { isValid: false, statusCode, code, error }
+   */
+  async authenticate(headers, requiredScope = null) {
+    const authorization = getHeader(headers, 'Authorization') || '';
+    const bearer = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+    const apiKey = getHeader(headers, 'X-Api-Key');
+
+    let result;
+    if (bearer) {
+      result = await this.jwtAuth.authenticate(bearer[1], requiredScope);
+    } else if (!apiKey && this.jwtAuth.enabled) {
+      result = {
+        isValid: false,
+        statusCode: 401,
+        code: 'UNAUTHORIZED',
+        error: 'Authentication is required. Include an Authorization: Bearer or X-Api-Key header.'
+      };
+    } else {
+      result = await this.apiKeys.authenticate(apiKey, requiredScope);
+    }
+
+    if (result.isValid) {
+      console.log(`Authenticated ${describePrincipal(result.principal)}${requiredScope ? ` for ${requiredScope}` : ''}`);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * A principal for log lines, e.g. `jwt 00u1ab (ana@example.com)`
+ * @param {Object} principal - { type, id, name }
+ * @returns {string}
+ */
+function describePrincipal(principal) {
+  return `${principal.type} ${principal.id}${principal.name ? ` (${principal.name})` : ''}`;
+}
+
+// Export singleton instance
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
+module.exports.SCOPES = SCOPES;
+module.exports.describePrincipal = describePrincipal;
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Double opt-in settings from environment variables
+const DOUBLE_OPT_IN_ENABLED = process.env.DOUBLE_OPT_IN_ENABLED === 'true';
+const CONFIRMATION_SECRET = process.env.CONFIRMATION_SECRET || '';
+const CONFIRMATION_URL = process.env.CONFIRMATION_URL || '';
+const CONFIRMATION_EXPIRY_HOURS = parseInt(process.env.CONFIRMATION_EXPIRY_HOURS) || 72;
+
+// Values stored in a lead's confirmationStatus attribute
+const CONFIRMATION_STATUS = {
+  NOT_REQUIRED: 'not_required',
+  PENDING: 'pending_confirmation',
+  CONFIRMED: 'confirmed'
+};
+
+/**
+ * Signed, expiring confirmation links for double opt-in
+ * Token format: base64url("<leadId>:<expiresAt>") + "." + base64url(HMAC-SHA256)
+ */
+class ConfirmationService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {boolean} options.enabled - Whether new leads require confirmation
+   * @param {string} options.secret - HMAC secret for signing tokens
+   * @param {string} options.confirmationUrl - Public URL of the confirm route
+   * @param {number} options.expiryHours - Hours until a link (and the unconfirmed lead) expires
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : DOUBLE_OPT_IN_ENABLED;
+    this.secret = options.secret !== undefined ? options.secret : CONFIRMATION_SECRET;
+    this.confirmationUrl = options.confirmationUrl !== undefined ? options.confirmationUrl : CONFIRMATION_URL;
+    this.expiryHours = options.expiryHours || CONFIRMATION_EXPIRY_HOURS;
+  }
+
+  /**
+   * Expiry for a new confirmation request
+   * @returns {number} - Unix timestamp in seconds
+   */
+  getExpiry() {
+    return Math.floor(Date.now() / 1000) + (this.expiryHours * 60 * 60);
+  }
+
+  /**
+   * Create a signed token for a lead
+   * @param {string} leadId - Lead to confirm
+   * @param {number} expiresAt - Unix timestamp in seconds
+   * @returns {string} - Token
+   */
+  createToken(leadId, expiresAt) {
+    const payload = Buffer.from(`${leadId}:${expiresAt}`).toString('base64url');
+    return `${payload}.${this.signPayload(payload)}`;
+  }
+
+  /**
+   * Verify a token's signature and expiry
+   * @param {string} token - Token from the confirmation link
+   * @returns {Object} - { isValid, leadId, expiresAt } or { isValid: false, error }
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return { isValid: false, error: 'Malformed confirmation token' };
+    }
+
+    const expected = Buffer.from(this.signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { isValid: false, error: 'Invalid confirmation token' };
+    }
+
+    const [leadId, expiresAt] = Buffer.from(payload, 'base64url').toString().split(':');
+    if (!leadId || !expiresAt || parseInt(expiresAt) < Math.floor(Date.now() / 1000)) {
+      return { isValid: false, error: 'Confirmation link has expired' };
+    }
+
+    return { isValid: true, leadId, expiresAt: parseInt(expiresAt) };
+  }
+
+  /**
+   * Build the confirmation link sent to the submitter
+   * @param {string} leadId - Lead to confirm
+   * @param {number} expiresAt - Unix timestamp in seconds
+   * @returns {string} - Confirmation URL
+   */
+  buildConfirmationUrl(leadId, expiresAt) {
+    if (!this.confirmationUrl) {
+      throw new Error('CONFIRMATION_URL is not configured');
+    }
+
+    const url = new URL(this.confirmationUrl);
+    url.searchParams.set('token', this.createToken(leadId, expiresAt));
+    return url.toString();
+  }
+
+  /**
+   * HMAC signature of a token payload
+   * @private
+   */
+  signPayload(payload) {
+    if (!this.secret) {
+      throw new Error('CONFIRMATION_SECRET is not configured');
+    }
+
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+// Export singleton instance
+module.exports = new ConfirmationService();
+module.exports.ConfirmationService = ConfirmationService;
+module.exports.CONFIRMATION_STATUS = CONFIRMATION_STATUS;
@@ -0,0 +1,273 @@
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const database = require('./database');
+const { CONFIRMATION_STATUS } = require('./confirmation');
+const { SPAM_STATUS } = require('./spam-scoring');
+const { LEAD_STATUS } = require('./lead-admin');
+
+// Contact settings from environment variables
+const CONTACT_ID_NAMESPACE = process.env.CONTACT_ID_NAMESPACE || '6f1d8a3e-2c4b-4f7e-9a51-3b8e0c7d2f64';
+const CONTACT_MERGE_STRATEGY = process.env.CONTACT_MERGE_STRATEGY || 'last_write_wins';
+const CONTACT_MERGE_RULES = process.env.CONTACT_MERGE_RULES || ''; // JSON: { "company": "first_write_wins" }
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Forms a contact keeps track of having submitted (for the formId filter)
+const MAX_FORM_IDS = 50;
+
+// How a field value from a new submission is merged into the contact
+const MERGE_STRATEGIES = {
+  LAST_WRITE_WINS: 'last_write_wins', // A non-empty new value replaces the stored one
+  FIRST_WRITE_WINS: 'first_write_wins' // The stored value is kept once set
+};
+
+/**
+ * Contact-centric lead storage
+ * One contact per normalized email (leadId derived from the email), with every
+ * form submission appended to the submissions table
+ */
+class ContactService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {string} options.namespace - UUID namespace for contact IDs
+   * @param {string} options.defaultStrategy - Merge strategy for fields without a rule
+   * @param {Object} options.mergeRules - Merge strategy per field name
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.namespace = options.namespace || CONTACT_ID_NAMESPACE;
+    this.defaultStrategy = options.defaultStrategy || CONTACT_MERGE_STRATEGY;
+    this.mergeRules = options.mergeRules || parseMergeRules(CONTACT_MERGE_RULES);
+
+    const strategies = Object.values(MERGE_STRATEGIES);
+    [this.defaultStrategy, ...Object.values(this.mergeRules)].forEach(strategy => {
+      if (!strategies.includes(strategy)) {
+        throw new Error(`Unknown contact merge strategy: ${strategy}`);
+      }
+    });
+  }
+
+  /**
+   * Contact ID for an email address
+   * @param {string} email - Email address
+   * @returns {string} - UUID v5 of the normalized email
+   */
+  getContactId(email) {
+    return uuidv5(email.trim().toLowerCase(), this.namespace);
+  }
+
+  /**
+   * Merge a submission into the contact for its email and append it to the history
+   * Retries when the contact is changed between reading and writing it
+   * @param {Object} input - Validated submission
+   * @param {Object} input.contact - Contact fields
+   * @param {Object} input.customFields - Custom fields
+   * @param {Object} input.consent - Consent record, if any
+   * @param {Object} input.metadata - Request metadata (userAgent, ipAddress, referrer)
+   * @param {Object} input.page - Page context (pageUrl, referrer, formId)
+   * @param {Object} input.attribution - { sessionId, firstTouch, lastTouch } from the tracking data
+   * @param {string} input.source - Submitting origin
+   * @param {number} input.schemaVersion - Payload schema version
+   * @param {Object} input.spam - Spam scoring result
+   * @param {Object} options - Submission options
+   * @param {boolean} options.confirmationRequired - Whether new contacts need double opt-in
+   * @param {number} options.expiresAt - TTL for contacts that are still unconfirmed
+   * @returns {Promise<Object>} - { lead, submission, isNewContact }
+   */
+  async recordSubmission(input, options = {}) {
+    const leadId = this.getContactId(input.contact.email);
+    const submittedAt = new Date().toISOString();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const existing = await this.database.getLeadById(leadId);
+
+      // Suspicious submissions from known contacts are kept in the history without touching the contact
+      if (existing && input.spam?.status === SPAM_STATUS.QUARANTINED) {
+        const submission = await this.database.storeSubmission(this.buildSubmission(existing, input, submittedAt));
+        return { lead: existing, submission, isNewContact: false };
+      }
+
+      const lead = this.mergeContact(existing, { ...input, leadId, submittedAt }, options);
+      const isPending = lead.confirmationStatus === CONFIRMATION_STATUS.PENDING;
+
+      try {
+        const savedLead = await this.database.saveContact(lead, {
+          isNew: !existing,
+          expectedVersion: existing ? existing.version : undefined,
+          expiresAt: isPending ? options.expiresAt : null
+        });
+
+        const submission = await this.database.storeSubmission(this.buildSubmission(savedLead, input, submittedAt));
+
+        return { lead: savedLead, submission, isNewContact: !existing };
+      } catch (error) {
+        if (error.message !== 'Contact was modified concurrently') {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Build the submission history entry
+   * @private
+   */
+  buildSubmission(lead, input, submittedAt) {
+    return {
+      submissionId: uuidv4(),
+      leadId: lead.leadId,
+      submittedAt,
+      email: lead.email,
+      source: input.source,
+      schemaVersion: input.schemaVersion,
+      contact: input.contact,
+      customFields: input.customFields,
+      consent: input.consent || null,
+      page: input.page,
+      attribution: input.attribution || null,
+      metadata: input.metadata,
+      spam: input.spam || null
+    };
+  }
+
+  /**
+   * Merge a submission into a stored contact (or start a new one)
+   * @param {Object|null} existing - Stored contact
+   * @param {Object} input - Validated submission with leadId and submittedAt
+   * @param {Object} options - Submission options (confirmationRequired)
+   * @returns {Object} - Contact record to store
+   */
+  mergeContact(existing, input, options = {}) {
+    if (!existing) {
+      return {
+        leadId: input.leadId,
+        timestamp: input.submittedAt,
+        schemaVersion: input.schemaVersion,
+        source: input.source,
+        contact: { ...input.contact },
+        customFields: { ...input.customFields },
+        consent: input.consent || null,
+        metadata: input.metadata,
+        attribution: this.mergeAttribution(null, input.attribution),
+        formIds: mergeFormIds([], input.page),
+        submissionCount: 1,
+        lastSubmittedAt: input.submittedAt,
+        spam: input.spam || null,
+        spamStatus: input.spam?.status || SPAM_STATUS.ACCEPTED,
+        syncStatus: 'pending', // Updated by the Mautic sync worker
+        status: LEAD_STATUS.NEW, // Sales lifecycle, changed through the lead admin API
+        confirmationStatus: options.confirmationRequired
+          ? CONFIRMATION_STATUS.PENDING
+          : CONFIRMATION_STATUS.NOT_REQUIRED
+      };
+    }
+
+    // Leads stored before contacts existed count as one submission
+    const previousCount = existing.submissionCount || 1;
+    let confirmationStatus = existing.confirmationStatus || CONFIRMATION_STATUS.NOT_REQUIRED;
+    if (confirmationStatus === CONFIRMATION_STATUS.NOT_REQUIRED && options.confirmationRequired) {
+      confirmationStatus = CONFIRMATION_STATUS.PENDING;
+    }
+
+    return {
+      ...existing,
+      schemaVersion: input.schemaVersion,
+      contact: this.mergeFields(existing.contact, input.contact),
+      customFields: this.mergeFields(existing.customFields, input.customFields),
+      // The latest consent decision replaces the earlier one; forms without the checkbox keep it
+      consent: input.consent || existing.consent || null,
+      metadata: input.metadata,
+      attribution: this.mergeAttribution(existing.attribution, input.attribution),
+      formIds: mergeFormIds(existing.formIds || [], input.page),
+      submissionCount: previousCount + 1,
+      lastSubmittedAt: input.submittedAt,
+      spam: input.spam || existing.spam || null,
+      // A contact awaiting review stays quarantined
+      spamStatus: existing.spamStatus || SPAM_STATUS.ACCEPTED,
+      confirmationStatus
+    };
+  }
+
+  /**
+   * Merge a submission's attribution into the contact's
+   * The contact keeps its first touch (or the earlier of the two); the latest submission sets the last touch
+   * @param {Object|null} stored - Stored attribution
+   * @param {Object|null} incoming - Submission attribution
+   * @returns {Object|null} - { firstTouch, lastTouch }
+   */
+  mergeAttribution(stored, incoming) {
+    if (!incoming) {
+      return stored || null;
+    }
+    if (!stored) {
+      return { firstTouch: incoming.firstTouch, lastTouch: incoming.lastTouch };
+    }
+
+    const storedTime = stored.firstTouch?.timestamp;
+    const incomingTime = incoming.firstTouch?.timestamp;
+    const keepStored = stored.firstTouch && (!incomingTime || (storedTime && storedTime <= incomingTime));
+
+    return {
+      firstTouch: keepStored ? stored.firstTouch : incoming.firstTouch,
+      lastTouch: incoming.lastTouch
+    };
+  }
+
+  /**
+   * Merge field values according to the configured strategies
+   * Empty values never replace stored ones
+   * @param {Object} stored - Stored field values
+   * @param {Object} incoming - Submitted field values
+   * @returns {Object} - Merged field values
+   */
+  mergeFields(stored = {}, incoming = {}) {
+    const merged = { ...stored };
+
+    Object.entries(incoming || {}).forEach(([fieldName, value]) => {
+      if (value === undefined || value === null || value === '') return;
+
+      const strategy = this.mergeRules[fieldName] || this.defaultStrategy;
+      const hasStoredValue = merged[fieldName] !== undefined && merged[fieldName] !== null && merged[fieldName] !== '';
+
+      if (strategy === MERGE_STRATEGIES.LAST_WRITE_WINS || !hasStoredValue) {
+        merged[fieldName] = value;
+      }
+    });
+
+    return merged;
+  }
+}
+
+/**
+ * Add the submitting form to the contact's form IDs, keeping the most recent ones
+ */
+function mergeFormIds(formIds, page) {
+  const formId = page?.formId;
+  if (!formId || formIds.includes(formId)) {
+    return formIds;
+  }
+
+  return [...formIds, formId].slice(-MAX_FORM_IDS);
+}
+
+/**
+ * Parse CONTACT_MERGE_RULES
+ */
+function parseMergeRules(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid CONTACT_MERGE_RULES: ${error.message}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new ContactService();
+module.exports.ContactService = ContactService;
+module.exports.MERGE_STRATEGIES = MERGE_STRATEGIES;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const mauticClient = require('./mautic-client');
+const rateLimiter = require('./rate-limiter');
+
+// Outcome stored in an erasure tombstone's status attribute
+const ERASURE_STATUS = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial'
+};
+
+/**
+ * GDPR data-subject requests (right of access and right to erasure) by email address
+ */
+class DataSubjectService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {Object} options.client - Mautic API client
+   * @param {Object} options.rateLimiter - Rate limiter (knows the counter keys)
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.client = options.client || mauticClient;
+    this.rateLimiter = options.rateLimiter || rateLimiter;
+  }
+
+  /**
+   * Hash an email address for tombstones, so erasures stay auditable without keeping the address
+   * @param {string} email - Email address
+   * @returns {string} - Hex SHA-256 of the normalized email
+   */
+  hashEmail(email) {
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+  }
+
+  /**
+   * Collect everything stored about an email address
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} - Access document with all leads, their submissions and previous erasures
+   */
+  async exportData(email) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const leads = await this.database.getLeadsByEmail(normalizedEmail);
+    for (const lead of leads) {
+      lead.submissions = await this.database.getSubmissionsForLead(lead.leadId);
+    }
+    const erasures = await this.database.getErasureTombstones(this.hashEmail(normalizedEmail));
+
+    return {
+      email: normalizedEmail,
+      generatedAt: new Date().toISOString(),
+      leadCount: leads.length,
+      leads,
+      erasures
+    };
+  }
+
+  /**
+   * Erase everything stored about an email address and leave a tombstone
+   * Leads and their submissions are deleted; rate limit counters for their IPs, webhook delivery records
+   * and synced Mautic contacts are removed as well
+   * @param {string} email - Email address
+   * @param {Object} request - Request details recorded on the tombstone
+   * @param {string} request.reason - Free-text reason or ticket reference
+   * @param {string} request.requestedFrom - IP address the request came from
+   * @param {Object} request.requestedBy - Authenticated caller ({ type, id, name })
+   * @returns {Promise<Object>} - The stored tombstone
+   */
+  async eraseData(email, request = {}) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const leads = await this.database.getLeadsByEmail(normalizedEmail);
+    const leadIds = leads.map(lead => lead.leadId);
+    const errors = [];
+
+    let mauticContactsDeleted = 0;
+    const contactIds = [...new Set(leads.map(lead => lead.mauticContactId).filter(Boolean))];
+    for (const contactId of contactIds) {
+      try {
+        if (await this.client.deleteContact(contactId)) {
+          mauticContactsDeleted++;
+        }
+      } catch (error) {
+        console.error('Error deleting Mautic contact:', contactId, error);
+        errors.push(`Mautic contact ${contactId}: ${error.message}`);
+      }
+    }
+
+    let rateLimitRecordsDeleted = 0;
+    const submissions = [];
+    for (const lead of leads) {
+      submissions.push(...await this.database.getSubmissionsForLead(lead.leadId));
+    }
+    const clientIPs = [...new Set([...leads, ...submissions]
+      .map(record => record.metadata?.ipAddress)
+      .filter(ip => ip && ip !== 'unknown'))];
+    // Policy counters by IP and email, plus per-IP burst counters
+    const rateLimitPrefixes = [
+      ...this.rateLimiter.getKeyPrefixes({ ip: clientIPs, email: normalizedEmail }),
+      ...clientIPs.map(clientIP => `${clientIP}-`)
+    ];
+    try {
+      rateLimitRecordsDeleted = await this.database.deleteRateLimitRecords(rateLimitPrefixes);
+    } catch (error) {
+      errors.push(`Rate limit records: ${error.message}`);
+    }
+
+    let submissionsDeleted = 0;
+    for (const lead of leads) {
+      try {
+        submissionsDeleted += await this.database.deleteSubmissionsForLead(lead.leadId);
+      } catch (error) {
+        errors.push(`Submissions of lead ${lead.leadId}: ${error.message}`);
+      }
+    }
+
+    let leadsDeleted = 0;
+    for (const lead of leads) {
+      try {
+        await this.database.deleteLead(lead.leadId, lead.timestamp);
+        leadsDeleted++;
+      } catch (error) {
+        if (error.message !== 'Lead not found') {
+          errors.push(`Lead ${lead.leadId}: ${error.message}`);
+        }
+      }
+    }
+
+    // After the leads, so no delivery made for them in the meantime is left behind
+    let webhookDeliveriesDeleted = 0;
+    try {
+      webhookDeliveriesDeleted = await this.database.deleteWebhookDeliveriesForLeads(leadIds);
+    } catch (error) {
+      errors.push(`Webhook deliveries: ${error.message}`);
+    }
+
+    const tombstone = {
+      emailHash: this.hashEmail(normalizedEmail),
+      erasedAt: new Date().toISOString(),
+      tombstoneId: uuidv4(),
+      status: errors.length > 0 ? ERASURE_STATUS.PARTIAL : ERASURE_STATUS.COMPLETED,
+      reason: request.reason || null,
+      requestedFrom: request.requestedFrom || null,
+      requestedBy: request.requestedBy || null,
+      leadIds,
+      leadsDeleted,
+      submissionsDeleted,
+      rateLimitRecordsDeleted,
+      webhookDeliveriesDeleted,
+      mauticContactsDeleted,
+      errors
+    };
+
+    return this.database.storeErasureTombstone(tombstone);
+  }
+}
+
+// Export singleton instance
+module.exports = new DataSubjectService();
+module.exports.DataSubjectService = DataSubjectService;
+module.exports.ERASURE_STATUS = ERASURE_STATUS;
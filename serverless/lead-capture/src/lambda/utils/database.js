@@ -1,38 +1,115 @@
-const AWS = require('aws-sdk');
+const { createStorageAdapter } = require('./storage');
+const fieldEncryption = require('./field-encryption');
+const { SEARCH_ATTRIBUTES, buildSearchAttributes, describeSearch, normalizeSearchText } = require('./lead-search');
 
-// Initialize DynamoDB client
-const dynamodb = new AWS.DynamoDB.DocumentClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+// Storage adapter: dynamodb (default), memory or file
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'dynamodb';
 
 // Table names from environment variables
 const LEADS_TABLE = process.env.LEADS_TABLE || 'serverless-leads';
 const RATE_LIMIT_TABLE = process.env.RATE_LIMIT_TABLE || 'rate-limits';
+const LEADS_TTL_ATTRIBUTE = process.env.LEADS_TTL_ATTRIBUTE || 'expiresAt'; // Matches the dynamodb module's ttl_attribute
+const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE || 'webhooks';
+const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE || 'webhook-deliveries';
+const SUBMISSIONS_TABLE = process.env.SUBMISSIONS_TABLE || 'lead-submissions';
+const ERASURE_TOMBSTONES_TABLE = process.env.ERASURE_TOMBSTONES_TABLE || 'erasure-tombstones';
+const POW_CHALLENGES_TABLE = process.env.POW_CHALLENGES_TABLE || 'pow-challenges';
+const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE || 'lead-analytics';
+const EXPORT_JOBS_TABLE = process.env.EXPORT_JOBS_TABLE || 'export-jobs';
+const API_KEYS_TABLE = process.env.API_KEYS_TABLE || 'api-keys';
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE || 'audit-log';
+const AUDIT_LOG_LEADS_TABLE = process.env.AUDIT_LOG_LEADS_TABLE || 'audit-log-leads';
+
+// Leads and submissions carry their month (YYYY-MM) in `timeBucket`, the hash key of this GSI,
+// so date ranges and newest-first listings are queries instead of scans
+const TIME_BUCKET_INDEX = 'timeBucket-index';
+const TIME_BUCKET_START = process.env.TIME_BUCKET_START || '2024-01'; // Earliest month listings and counts look at
+const LEAD_QUERY_CONCURRENCY = 25; // Leads looked up at once by getLeadsByIds
+
+// Key schema of every table, for the memory and file adapters (DynamoDB reads it from the tables)
+const TABLE_SCHEMAS = {
+  [LEADS_TABLE]: {
+    hashKey: 'leadId',
+    rangeKey: 'timestamp',
+    indexes: {
+      'email-index': { hashKey: 'email', rangeKey: 'timestamp' },
+      'source-index': { hashKey: 'source', rangeKey: 'timestamp' },
+      [TIME_BUCKET_INDEX]: { hashKey: 'timeBucket', rangeKey: 'timestamp' }
+    }
+  },
+  [RATE_LIMIT_TABLE]: { hashKey: 'rateLimitKey' },
+  [WEBHOOKS_TABLE]: { hashKey: 'webhookId' },
+  [WEBHOOK_DELIVERIES_TABLE]: {
+    hashKey: 'deliveryId',
+    indexes: {
+      'webhookId-index': { hashKey: 'webhookId', rangeKey: 'createdAt' }
+    }
+  },
+  [SUBMISSIONS_TABLE]: {
+    hashKey: 'submissionId',
+    indexes: {
+      'leadId-index': { hashKey: 'leadId', rangeKey: 'submittedAt' },
+      [TIME_BUCKET_INDEX]: { hashKey: 'timeBucket', rangeKey: 'submittedAt' }
+    }
+  },
+  [ERASURE_TOMBSTONES_TABLE]: { hashKey: 'emailHash', rangeKey: 'erasedAt' },
+  [POW_CHALLENGES_TABLE]: { hashKey: 'challengeId' },
+  [ANALYTICS_TABLE]: { hashKey: 'period', rangeKey: 'counter' },
+  [EXPORT_JOBS_TABLE]: { hashKey: 'jobId' },
+  [API_KEYS_TABLE]: { hashKey: 'keyId' },
+  [AUDIT_LOG_TABLE]: {
+    hashKey: 'auditId',
+    indexes: {
+      'actorKey-index': { hashKey: 'actorKey', rangeKey: 'timestamp' },
+      [TIME_BUCKET_INDEX]: { hashKey: 'timeBucket', rangeKey: 'timestamp' }
+    }
+  },
+  // One item per lead an audit entry touched; entryKey is "<timestamp>#<auditId>"
+  [AUDIT_LOG_LEADS_TABLE]: { hashKey: 'leadId', rangeKey: 'entryKey' }
+};
 
 /**
  * Database operations for the serverless lead capture system
  * Provides abstraction layer for DynamoDB operations with error handling
  */
 class DatabaseService {
-  
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.storage - Storage adapter (see storage.js); defaults to STORAGE_ADAPTER
+   * @param {Object} options.encryption - Field encryption service (see field-encryption.js)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || createStorageAdapter(STORAGE_ADAPTER, { tables: TABLE_SCHEMAS });
+    this.encryption = options.encryption || fieldEncryption;
+  }
+
   /**
    * Store a new lead in the database
    * @param {Object} leadData - The lead data to store
+   * @param {Object} options - Store options
+   * @param {number} options.expiresAt - Unix timestamp (seconds) after which DynamoDB TTL removes the lead
    * @returns {Promise<Object>} - Success confirmation with leadId
    */
-  async storeLead(leadData) {
+  async storeLead(leadData, options = {}) {
     const params = {
       TableName: LEADS_TABLE,
-      Item: {
+      Item: await this.encryption.encryptItem(withSearchAttributes({
         ...leadData,
+        email: leadData.contact.email.toLowerCase(), // Hash key of email-index (blind index when encrypted)
+        timeBucket: getTimeBucket(leadData.timestamp),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
-      },
+      }, this.encryption.enabled)),
       ConditionExpression: 'attribute_not_exists(leadId)' // Prevent duplicates
     };
 
+    if (options.expiresAt) {
+      params.Item[LEADS_TTL_ATTRIBUTE] = options.expiresAt;
+    }
+
     try {
-      await dynamodb.put(params).promise();
+      await this.storage.put(params);
       console.log('Lead stored successfully:', leadData.leadId);
       
       return {
@@ -56,14 +133,9 @@ class DatabaseService {
    * @returns {Promise<Object|null>} - The lead data or null if not found
    */
   async getLeadById(leadId) {
-    const params = {
-      TableName: LEADS_TABLE,
-      Key: { leadId }
-    };
-
     try {
-      const result = await dynamodb.get(params).promise();
-      return result.Item || null;
+      const item = await this._queryLead(leadId);
+      return item ? await this.encryption.decryptItem(item) : null;
     } catch (error) {
       console.error('Error retrieving lead:', error);
       throw new Error(`Failed to retrieve lead: ${error.message}`);
@@ -71,81 +143,150 @@ class DatabaseService {
   }
 
   /**
-   * Retrieve leads with pagination and filtering
+   * Read the stored item of a lead
+   * The table is keyed by leadId and timestamp, so a lead is queried by its partition rather than read by key
+   * @param {string} leadId - Lead ID
+   * @param {boolean} keyOnly - Project the key attributes only
+   * @returns {Promise<Object|null>} - The stored (encrypted) item, or null if there is none
+   * @private
+   */
+  async _queryLead(leadId, keyOnly = false) {
+    const result = await this.storage.query({
+      TableName: LEADS_TABLE,
+      KeyConditionExpression: 'leadId = :leadId',
+      ExpressionAttributeValues: { ':leadId': leadId },
+      ...(keyOnly ? {
+        ProjectionExpression: 'leadId, #timestamp',
+        ExpressionAttributeNames: { '#timestamp': 'timestamp' }
+      } : {}),
+      ScanIndexForward: false,
+      Limit: 1
+    });
+
+    return result.Items?.[0] || null;
+  }
+
+  /**
+   * Full table key of a lead
+   * @param {string} leadId - Lead ID
+   * @param {string} timestamp - The lead's timestamp (range key), looked up when not given
+   * @returns {Promise<Object|null>} - { leadId, timestamp }, or null if the lead does not exist
+   * @private
+   */
+  async _getLeadKey(leadId, timestamp = null) {
+    if (timestamp) {
+      return { leadId, timestamp };
+    }
+
+    const item = await this._queryLead(leadId, true);
+    return item ? { leadId, timestamp: item.timestamp } : null;
+  }
+
+  /**
+   * Retrieve leads with pagination and filtering, most recent first
    * @param {Object} options - Query options
    * @param {number} options.limit - Maximum number of items to return
    * @param {string} options.lastEvaluatedKey - Pagination token
    * @param {string} options.email - Filter by email address
+   * @param {string} options.source - Filter by source (submitting origin)
    * @param {string} options.startDate - Filter by start date (ISO string)
    * @param {string} options.endDate - Filter by end date (ISO string)
-   * @returns {Promise<Object>} - Paginated results with leads and pagination info
+   * @param {string} options.confirmationStatus - Filter by double opt-in status
+   * @param {string} options.spamStatus - Filter by spam review status (accepted includes leads scored before spam scoring)
+   * @param {Object} options.utm - Filter by attribution UTM values ({ utmCampaign, utmSource, utmMedium, utmTerm, utmContent })
+   * @param {string} options.touch - Attribution touch the UTM filter applies to (firstTouch or lastTouch)
+   * @param {string} options.status - Filter by lifecycle status (new includes leads stored before statuses)
+   * @param {string} options.tag - Filter by tag (normalized)
+   * @param {string} options.formId - Filter by a form the contact submitted
+   * @param {string} options.companyPrefix - Filter by the start of the company name (case-insensitive)
+   * @param {string} options.search - Case-insensitive substring of the name, company or email; when fields are
+   *   encrypted, an exact email address or a substring of the company (see describeSearch)
+   * @param {Object} options.customFields - Filter by custom field values ({ key: value })
+   * @returns {Promise<Object>} - Paginated results with leads and pagination info, and how `search` was matched;
+   *   every lead of an email is returned on one page
    */
   async getLeads(options = {}) {
     const {
       limit = 50,
       lastEvaluatedKey = null,
       email = null,
+      source = null,
       startDate = null,
-      endDate = null
+      endDate = null,
+      confirmationStatus = null,
+      spamStatus = null,
+      utm = null,
+      touch = 'lastTouch',
+      status = null,
+      tag = null,
+      formId = null,
+      companyPrefix = null,
+      search = null,
+      customFields = null
     } = options;
 
-    let params = {
+    // With encrypted fields, an email address searched for is looked up exactly through email-index
+    const searchScope = search ? describeSearch(search, { encrypted: this.encryption.enabled }) : null;
+    const emailSearch = searchScope && searchScope.match === 'exact' ? normalizeSearchText(search) : null;
+    if (emailSearch && email && email.trim().toLowerCase() !== emailSearch) {
+      return { leads: [], count: 0, scannedCount: 0, nextToken: null, hasMore: false, search: searchScope };
+    }
+    const lookupEmail = email || emailSearch;
+
+    const params = {
       TableName: LEADS_TABLE,
       Limit: Math.min(limit, 100), // Cap at 100 items per request
       ScanIndexForward: false // Most recent first
     };
 
-    // Add pagination token if provided
-    if (lastEvaluatedKey) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(lastEvaluatedKey, 'base64').toString());
-    }
+    // An email lookup is narrower than a source one, so source becomes a filter then
+    this._applyFilters(params, {
+      confirmationStatus,
+      spamStatus,
+      source: lookupEmail ? source : null,
+      utm,
+      touch,
+      status,
+      tag,
+      formId,
+      companyPrefix,
+      search: emailSearch ? null : search,
+      customFields
+    });
 
-    // If filtering by email, use GSI
-    if (email) {
-      params.IndexName = 'email-index';
-      params.KeyConditionExpression = 'email = :email';
-      params.ExpressionAttributeValues = {
-        ':email': email.toLowerCase()
-      };
-      
-      // Use Query instead of Scan for GSI
-      return this._queryWithFilters(params, startDate, endDate);
-    }
+    try {
+      if (!lookupEmail && !source) {
+        const result = await this._queryTimeBuckets(params, { rangeKey: 'timestamp', startDate, endDate, lastEvaluatedKey });
+        return {
+          leads: await this.encryption.decryptItems(result.items),
+          count: result.count,
+          scannedCount: result.scannedCount,
+          nextToken: result.nextToken,
+          hasMore: result.hasMore,
+          search: searchScope
+        };
+      }
 
-    // For general queries, use Scan with filters
-    return this._scanWithFilters(params, startDate, endDate);
-  }
+      const range = buildRangeCondition('timestamp', startDate, endDate);
 
-  /**
-   * Query leads using GSI with additional filters
-   * @private
-   */
-  async _queryWithFilters(params, startDate, endDate) {
-    // Add date range filters if provided
-    if (startDate || endDate) {
-      const filterExpressions = [];
-      
-      if (startDate) {
-        filterExpressions.push('#timestamp >= :startDate');
-        params.ExpressionAttributeValues[':startDate'] = startDate;
-      }
-      
-      if (endDate) {
-        filterExpressions.push('#timestamp <= :endDate');
-        params.ExpressionAttributeValues[':endDate'] = endDate;
+      // An email is looked up under each of its index values, which between them match a handful of leads
+      if (lookupEmail) {
+        delete params.Limit;
+        const { items, scannedCount } = await this._queryEmailIndex(lookupEmail, params, range);
+        return { leads: items, count: items.length, scannedCount, nextToken: null, hasMore: false, search: searchScope };
       }
-      
-      if (filterExpressions.length > 0) {
-        params.FilterExpression = filterExpressions.join(' AND ');
-        params.ExpressionAttributeNames = {
-          '#timestamp': 'timestamp'
-        };
+
+      params.IndexName = 'source-index';
+      params.KeyConditionExpression = ['#hashKey = :hashKey', range.expression].filter(Boolean).join(' AND ');
+      params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, '#hashKey': 'source', ...range.names };
+      params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ':hashKey': source, ...range.values };
+
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = decodeToken(lastEvaluatedKey);
       }
-    }
 
-    try {
-      const result = await dynamodb.query(params).promise();
-      return this._formatLeadsResponse(result);
+      const result = await this.storage.query(params);
+      return { ...(await this._formatLeadsResponse(result)), search: searchScope };
     } catch (error) {
       console.error('Error querying leads:', error);
       throw new Error(`Failed to query leads: ${error.message}`);
@@ -153,56 +294,210 @@ class DatabaseService {
   }
 
   /**
-   * Scan leads with filters
+   * Page through the time bucket index, newest bucket first
+   * A page ends when it is full or DynamoDB stops inside a bucket; empty buckets are skipped over.
+   * The pagination token holds the current bucket and the position inside it.
    * @private
+   * @param {Object} params - Query params (TableName, Limit and any filter)
+   * @param {Object} range - { rangeKey, startDate, endDate, lastEvaluatedKey }
+   * @returns {Promise<Object>} - { items, count, scannedCount, nextToken, hasMore }
    */
-  async _scanWithFilters(params, startDate, endDate) {
-    // Add date range filters if provided
-    if (startDate || endDate) {
-      const filterExpressions = [];
-      params.ExpressionAttributeValues = params.ExpressionAttributeValues || {};
-      
-      if (startDate) {
-        filterExpressions.push('#timestamp >= :startDate');
-        params.ExpressionAttributeValues[':startDate'] = startDate;
+  async _queryTimeBuckets(params, { rangeKey, startDate, endDate, lastEvaluatedKey }) {
+    const buckets = listTimeBuckets(startDate, endDate);
+    const range = buildRangeCondition(rangeKey, startDate, endDate);
+    const position = lastEvaluatedKey ? decodeToken(lastEvaluatedKey) : { bucket: buckets[0], key: null };
+
+    let bucketIndex = buckets.indexOf(position.bucket);
+    let exclusiveStartKey = position.key;
+    if (lastEvaluatedKey && bucketIndex === -1) {
+      throw new Error('Pagination token does not match the date range');
+    }
+
+    const items = [];
+    let scannedCount = 0;
+
+    while (bucketIndex !== -1 && bucketIndex < buckets.length && items.length < params.Limit) {
+      const query = {
+        ...params,
+        IndexName: TIME_BUCKET_INDEX,
+        KeyConditionExpression: ['timeBucket = :timeBucket', range.expression].filter(Boolean).join(' AND '),
+        ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':timeBucket': buckets[bucketIndex], ...range.values },
+        ScanIndexForward: false,
+        Limit: params.Limit - items.length
+      };
+      if (params.ExpressionAttributeNames || range.expression) {
+        query.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...range.names };
       }
-      
-      if (endDate) {
-        filterExpressions.push('#timestamp <= :endDate');
-        params.ExpressionAttributeValues[':endDate'] = endDate;
+      if (exclusiveStartKey) {
+        query.ExclusiveStartKey = exclusiveStartKey;
       }
-      
-      if (filterExpressions.length > 0) {
-        params.FilterExpression = filterExpressions.join(' AND ');
-        params.ExpressionAttributeNames = {
-          '#timestamp': 'timestamp'
-        };
+
+      const result = await this.storage.query(query);
+      items.push(...(result.Items || []));
+      scannedCount += result.ScannedCount || 0;
+
+      if (result.LastEvaluatedKey) {
+        exclusiveStartKey = result.LastEvaluatedKey;
+        break;
       }
+      bucketIndex++;
+      exclusiveStartKey = null;
     }
 
-    try {
-      const result = await dynamodb.scan(params).promise();
-      return this._formatLeadsResponse(result);
-    } catch (error) {
-      console.error('Error scanning leads:', error);
-      throw new Error(`Failed to scan leads: ${error.message}`);
+    const hasMore = bucketIndex !== -1 && bucketIndex < buckets.length;
+
+    return {
+      items,
+      count: items.length,
+      scannedCount,
+      nextToken: hasMore ? encodeToken({ bucket: buckets[bucketIndex], key: exclusiveStartKey }) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Query email-index for every value an email address is stored under (see FieldEncryptionService.emailLookupValues)
+   * @private
+   * @param {string} email - Email address
+   * @param {Object} params - Query params (TableName and any filter)
+   * @param {Object} range - Optional range condition from buildRangeCondition
+   * @returns {Promise<Object>} - { items, scannedCount } with decrypted items, most recent first
+   */
+  async _queryEmailIndex(email, params, range = {}) {
+    const items = [];
+    let scannedCount = 0;
+
+    for (const value of await this.encryption.emailLookupValues(email)) {
+      const query = {
+        ...params,
+        IndexName: 'email-index',
+        KeyConditionExpression: ['#email = :email', range.expression].filter(Boolean).join(' AND '),
+        ExpressionAttributeNames: { ...params.ExpressionAttributeNames, '#email': 'email', ...range.names },
+        ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':email': value, ...range.values },
+        ScanIndexForward: false
+      };
+
+      do {
+        const result = await this.storage.query(query);
+        items.push(...(result.Items || []));
+        scannedCount += result.ScannedCount || 0;
+        query.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (query.ExclusiveStartKey);
     }
+
+    items.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+
+    return { items: await this.encryption.decryptItems(items), scannedCount };
   }
 
   /**
-   * Format leads response with pagination info
+   * Add status, source, attribution and search filters to query params
+   * Every filter must match (AND); they are evaluated by DynamoDB, after the key condition
    * @private
    */
-  _formatLeadsResponse(result) {
-    const nextToken = result.LastEvaluatedKey 
-      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
-      : null;
+  _applyFilters(params, filters = {}) {
+    const { confirmationStatus, spamStatus, source, utm, touch, status, tag, formId, companyPrefix, search, customFields } = filters;
+    const filterExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    if (confirmationStatus) {
+      filterExpressions.push('#confirmationStatus = :confirmationStatus');
+      expressionAttributeNames['#confirmationStatus'] = 'confirmationStatus';
+      expressionAttributeValues[':confirmationStatus'] = confirmationStatus;
+    }
+
+    if (spamStatus) {
+      filterExpressions.push(spamStatus === 'accepted'
+        ? '(attribute_not_exists(#spamStatus) OR #spamStatus = :spamStatus)'
+        : '#spamStatus = :spamStatus');
+      expressionAttributeNames['#spamStatus'] = 'spamStatus';
+      expressionAttributeValues[':spamStatus'] = spamStatus;
+    }
+
+    if (status) {
+      filterExpressions.push(status === 'new'
+        ? '(attribute_not_exists(#status) OR #status = :status)'
+        : '#status = :status');
+      expressionAttributeNames['#status'] = 'status';
+      expressionAttributeValues[':status'] = status;
+    }
 
+    if (tag) {
+      filterExpressions.push('contains(#tags, :tag)');
+      expressionAttributeNames['#tags'] = 'tags';
+      expressionAttributeValues[':tag'] = tag;
+    }
+
+    if (source) {
+      filterExpressions.push('#source = :source');
+      expressionAttributeNames['#source'] = 'source';
+      expressionAttributeValues[':source'] = source;
+    }
+
+    Object.entries(utm || {}).forEach(([key, value]) => {
+      if (!value) return;
+
+      filterExpressions.push(`#attribution.#touch.#${key} = :${key}`);
+      expressionAttributeNames['#attribution'] = 'attribution';
+      expressionAttributeNames['#touch'] = touch;
+      expressionAttributeNames[`#${key}`] = key;
+      expressionAttributeValues[`:${key}`] = value;
+    });
+
+    if (formId) {
+      filterExpressions.push('contains(#formIds, :formId)');
+      expressionAttributeNames['#formIds'] = 'formIds';
+      expressionAttributeValues[':formId'] = formId;
+    }
+
+    if (companyPrefix) {
+      filterExpressions.push('begins_with(#searchCompany, :companyPrefix)');
+      expressionAttributeNames['#searchCompany'] = SEARCH_ATTRIBUTES.company;
+      expressionAttributeValues[':companyPrefix'] = normalizeSearchText(companyPrefix);
+    }
+
+    // Encrypted names and emails can't be matched, so the search then covers the company only
+    // (getLeads turns the search for a whole email address into an email-index lookup first)
+    if (search && this.encryption.enabled) {
+      filterExpressions.push('contains(#searchCompany, :search)');
+      expressionAttributeNames['#searchCompany'] = SEARCH_ATTRIBUTES.company;
+      expressionAttributeValues[':search'] = normalizeSearchText(search);
+    } else if (search) {
+      filterExpressions.push('(contains(#searchName, :search) OR contains(#searchCompany, :search) OR contains(#searchEmail, :search))');
+      expressionAttributeNames['#searchName'] = SEARCH_ATTRIBUTES.name;
+      expressionAttributeNames['#searchCompany'] = SEARCH_ATTRIBUTES.company;
+      expressionAttributeNames['#searchEmail'] = 'email'; // Stored lowercased
+      expressionAttributeValues[':search'] = normalizeSearchText(search);
+    }
+
+    // Custom field names are arbitrary, so they only appear as placeholders
+    Object.entries(customFields || {}).forEach(([key, value], index) => {
+      filterExpressions.push(`#customFields.#customField${index} = :customField${index}`);
+      expressionAttributeNames['#customFields'] = 'customFields';
+      expressionAttributeNames[`#customField${index}`] = key;
+      expressionAttributeValues[`:customField${index}`] = value;
+    });
+
+    if (filterExpressions.length > 0) {
+      params.FilterExpression = filterExpressions.join(' AND ');
+      params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...expressionAttributeNames };
+      params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...expressionAttributeValues };
+    }
+
+    return params;
+  }
+
+  /**
+   * Format leads response with pagination info
+   * @private
+   */
+  async _formatLeadsResponse(result) {
     return {
-      leads: result.Items || [],
+      leads: await this.encryption.decryptItems(result.Items || []),
       count: result.Count || 0,
       scannedCount: result.ScannedCount || 0,
-      nextToken,
+      nextToken: result.LastEvaluatedKey ? encodeToken(result.LastEvaluatedKey) : null,
       hasMore: !!result.LastEvaluatedKey
     };
   }
@@ -213,20 +508,23 @@ class DatabaseService {
    * @returns {Promise<boolean>} - True if email exists
    */
   async emailExists(email) {
-    const params = {
-      TableName: LEADS_TABLE,
-      IndexName: 'email-index',
-      KeyConditionExpression: 'email = :email',
-      ExpressionAttributeValues: {
-        ':email': email.toLowerCase()
-      },
-      Limit: 1,
-      Select: 'COUNT'
-    };
-
     try {
-      const result = await dynamodb.query(params).promise();
-      return result.Count > 0;
+      for (const value of await this.encryption.emailLookupValues(email)) {
+        const result = await this.storage.query({
+          TableName: LEADS_TABLE,
+          IndexName: 'email-index',
+          KeyConditionExpression: 'email = :email',
+          ExpressionAttributeValues: {
+            ':email': value
+          },
+          Limit: 1,
+          Select: 'COUNT'
+        });
+        if (result.Count > 0) {
+          return true;
+        }
+      }
+      return false;
     } catch (error) {
       console.error('Error checking email existence:', error);
       return false; // Assume doesn't exist if check fails
@@ -237,10 +535,54 @@ class DatabaseService {
    * Update lead data (for future use)
    * @param {string} leadId - The lead ID to update
    * @param {Object} updateData - Data to update
+   * @param {string} timestamp - The lead's timestamp (range key), if known
    * @returns {Promise<Object>} - Updated lead data
    */
-  async updateLead(leadId, updateData) {
-    // Build update expression dynamically
+  async updateLead(leadId, updateData, timestamp = null) {
+    try {
+      const key = await this._getLeadKey(leadId, timestamp);
+      if (!key) {
+        throw new Error('Lead not found');
+      }
+
+      const params = {
+        TableName: LEADS_TABLE,
+        Key: key,
+        ...this._buildVersionedUpdateExpression(await this.encryption.encryptItem(updateData)),
+        ReturnValues: 'ALL_NEW',
+        ConditionExpression: 'attribute_exists(leadId)' // Ensure lead exists
+      };
+
+      const result = await this.storage.update(params);
+      return await this.encryption.decryptItem(result.Attributes);
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException' || error.message === 'Lead not found') {
+        throw new Error('Lead not found');
+      }
+      
+      console.error('Error updating lead:', error);
+      throw new Error(`Failed to update lead: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a SET update expression that also bumps the lead's version
+   * Lets saveContact detect writes made between its read and its put
+   * @private
+   */
+  _buildVersionedUpdateExpression(updateData) {
+    const update = this._buildUpdateExpression(updateData);
+    update.UpdateExpression += ' ADD #version :one';
+    update.ExpressionAttributeNames['#version'] = 'version';
+    update.ExpressionAttributeValues[':one'] = 1;
+    return update;
+  }
+
+  /**
+   * Build a SET update expression from a plain object
+   * @private
+   */
+  _buildUpdateExpression(updateData) {
     const updateExpressions = [];
     const expressionAttributeNames = {};
     const expressionAttributeValues = {};
@@ -257,47 +599,86 @@ class DatabaseService {
       expressionAttributeValues[attributeValue] = updateData[key];
     });
 
-    const params = {
-      TableName: LEADS_TABLE,
-      Key: { leadId },
+    return {
       UpdateExpression: `SET ${updateExpressions.join(', ')}`,
       ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
+      ExpressionAttributeValues: expressionAttributeValues
+    };
+  }
+
+  /**
+   * Mark a lead as confirmed (double opt-in) and clear its expiry
+   * @param {string} leadId - The lead ID to confirm
+   * @param {Object} details - Confirmation evidence
+   * @param {string} details.ipAddress - IP address the confirmation came from
+   * @param {string} details.userAgent - User agent of the confirming browser
+   * @param {string} timestamp - The lead's timestamp (range key), if known
+   * @returns {Promise<Object>} - Updated lead data
+   */
+  async confirmLead(leadId, details = {}, timestamp = null) {
+    const now = new Date().toISOString();
+    const confirmedIp = await this.encryption.encryptField('confirmedIp', details.ipAddress || 'unknown');
+    const params = {
+      TableName: LEADS_TABLE,
+      UpdateExpression: 'SET #status = :confirmed, confirmedAt = :now, confirmedIp = :ip, ' +
+        'confirmedUserAgent = :userAgent, updatedAt = :now REMOVE #ttl ADD #version :one',
+      ExpressionAttributeNames: {
+        '#status': 'confirmationStatus',
+        '#ttl': LEADS_TTL_ATTRIBUTE,
+        '#version': 'version'
+      },
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':confirmed': 'confirmed',
+        ':now': now,
+        ':ip': confirmedIp,
+        ':userAgent': details.userAgent || 'unknown'
+      },
       ReturnValues: 'ALL_NEW',
-      ConditionExpression: 'attribute_exists(leadId)' // Ensure lead exists
+      ConditionExpression: 'attribute_exists(leadId)'
     };
 
     try {
-      const result = await dynamodb.update(params).promise();
-      return result.Attributes;
+      params.Key = await this._getLeadKey(leadId, timestamp);
+      if (!params.Key) {
+        throw new Error('Lead not found');
+      }
+
+      const result = await this.storage.update(params);
+      return await this.encryption.decryptItem(result.Attributes);
     } catch (error) {
-      if (error.code === 'ConditionalCheckFailedException') {
+      if (error.code === 'ConditionalCheckFailedException' || error.message === 'Lead not found') {
         throw new Error('Lead not found');
       }
-      
-      console.error('Error updating lead:', error);
-      throw new Error(`Failed to update lead: ${error.message}`);
+
+      console.error('Error confirming lead:', error);
+      throw new Error(`Failed to confirm lead: ${error.message}`);
     }
   }
 
   /**
    * Delete a lead (for GDPR compliance)
    * @param {string} leadId - The lead ID to delete
+   * @param {string} timestamp - The lead's timestamp (range key), if known
    * @returns {Promise<boolean>} - True if deleted successfully
    */
-  async deleteLead(leadId) {
+  async deleteLead(leadId, timestamp = null) {
     const params = {
       TableName: LEADS_TABLE,
-      Key: { leadId },
       ConditionExpression: 'attribute_exists(leadId)'
     };
 
     try {
-      await dynamodb.delete(params).promise();
+      params.Key = await this._getLeadKey(leadId, timestamp);
+      if (!params.Key) {
+        throw new Error('Lead not found');
+      }
+
+      await this.storage.delete(params);
       console.log('Lead deleted successfully:', leadId);
       return true;
     } catch (error) {
-      if (error.code === 'ConditionalCheckFailedException') {
+      if (error.code === 'ConditionalCheckFailedException' || error.message === 'Lead not found') {
         throw new Error('Lead not found');
       }
       
@@ -307,154 +688,1465 @@ class DatabaseService {
   }
 
   /**
-   * Get leads count by date range
-   * @param {string} startDate - Start date (ISO string)
-   * @param {string} endDate - End date (ISO string)
-   * @returns {Promise<number>} - Count of leads in date range
+   * Retrieve several leads by ID
+   * A batch get needs full keys, which the timestamp range key makes unknown here, so the leads are queried a few at a time
+   * @param {Array<string>} leadIds - Lead IDs
+   * @returns {Promise<Array>} - The leads that exist, in no particular order
    */
-  async getLeadsCount(startDate = null, endDate = null) {
-    let params = {
-      TableName: LEADS_TABLE,
-      Select: 'COUNT'
-    };
+  async getLeadsByIds(leadIds) {
+    const leads = [];
 
-    // Add date range filters if provided
-    if (startDate || endDate) {
-      const filterExpressions = [];
-      params.ExpressionAttributeValues = {};
-      
-      if (startDate) {
-        filterExpressions.push('#timestamp >= :startDate');
-        params.ExpressionAttributeValues[':startDate'] = startDate;
-      }
-      
-      if (endDate) {
-        filterExpressions.push('#timestamp <= :endDate');
-        params.ExpressionAttributeValues[':endDate'] = endDate;
-      }
-      
-      if (filterExpressions.length > 0) {
-        params.FilterExpression = filterExpressions.join(' AND ');
-        params.ExpressionAttributeNames = {
-          '#timestamp': 'timestamp'
-        };
+    try {
+      for (let i = 0; i < leadIds.length; i += LEAD_QUERY_CONCURRENCY) {
+        const items = await Promise.all(leadIds.slice(i, i + LEAD_QUERY_CONCURRENCY).map(leadId => this._queryLead(leadId)));
+        leads.push(...items.filter(Boolean));
       }
-    }
 
-    try {
-      const result = await dynamodb.scan(params).promise();
-      return result.Count || 0;
+      return await this.encryption.decryptItems(leads);
     } catch (error) {
-      console.error('Error getting leads count:', error);
-      throw new Error(`Failed to get leads count: ${error.message}`);
+      console.error('Error retrieving leads:', error);
+      throw new Error(`Failed to retrieve leads: ${error.message}`);
     }
   }
 
   /**
-   * Export leads in Mautic-compatible format
-   * @param {Object} options - Export options
-   * @returns {Promise<Array>} - Array of leads in Mautic format
+   * Replace several leads with batch writes, bumping each one's version
+   * Batch writes take no condition, so a change made since the leads were read is overwritten
+   * @param {Array<Object>} leads - Complete lead records
+   * @returns {Promise<Object>} - { written, failed } lead IDs; failed are the writes still unprocessed after retries
    */
-  async exportLeadsForMautic(options = {}) {
-    const leadsResult = await this.getLeads(options);
-    
-    return leadsResult.leads.map(lead => ({
-      // Mautic standard fields
-      email: lead.contact.email,
-      firstname: lead.contact.name.split(' ')[0],
-      lastname: lead.contact.name.split(' ').slice(1).join(' ') || '',
-      company: lead.contact.company || '',
-      phone: lead.contact.phone || '',
-      
-      // Custom fields with mautic_ prefix
-      ...Object.keys(lead.customFields || {}).reduce((acc, key) => {
-        acc[`mautic_${key}`] = lead.customFields[key];
-        return acc;
-      }, {}),
-      
-      // Metadata
-      source: lead.source,
-      created_at: lead.timestamp,
-      ip_address: lead.metadata?.ipAddress,
-      user_agent: lead.metadata?.userAgent,
-      referrer: lead.metadata?.referrer
-    }));
-  }
+  async putLeads(leads) {
+    const now = new Date().toISOString();
 
-  /**
-   * Rate limiting operations
-   */
+    try {
+      const requests = [];
+      for (const lead of leads) {
+        const item = withSearchAttributes({ ...lead, updatedAt: now, version: (lead.version || 0) + 1 }, this.encryption.enabled);
+        requests.push({ PutRequest: { Item: await this.encryption.encryptItem(item) } });
+      }
+
+      const unprocessed = await this._batchWrite(LEADS_TABLE, requests);
+      const failed = unprocessed.map(request => request.PutRequest.Item.leadId);
+
+      return {
+        written: leads.map(lead => lead.leadId).filter(leadId => !failed.includes(leadId)),
+        failed
+      };
+    } catch (error) {
+      console.error('Error writing leads:', error);
+      throw new Error(`Failed to write leads: ${error.message}`);
+    }
+  }
 
   /**
-   * Check rate limit for a client
-   * @param {string} clientIP - Client IP address
-   * @param {number} maxRequests - Maximum requests per hour
-   * @returns {Promise<Object>} - Rate limit status
+   * Delete several leads with batch writes
+   * @param {Array<Object>} keys - Full table keys ({ leadId, timestamp }) of the leads; missing leads are not reported
+   * @returns {Promise<Object>} - { deleted, failed } lead IDs; failed are the deletes still unprocessed after retries
    */
-  async checkRateLimit(clientIP, maxRequests = 10) {
-    const currentHour = Math.floor(Date.now() / (1000 * 60 * 60));
-    const rateLimitKey = `${clientIP}-${currentHour}`;
+  async deleteLeads(keys) {
+    const requests = keys.map(({ leadId, timestamp }) => ({ DeleteRequest: { Key: { leadId, timestamp } } }));
 
     try {
-      const result = await dynamodb.get({
-        TableName: RATE_LIMIT_TABLE,
-        Key: { rateLimitKey }
-      }).promise();
+      const unprocessed = await this._batchWrite(LEADS_TABLE, requests);
+      const failed = unprocessed.map(request => request.DeleteRequest.Key.leadId);
 
-      const currentCount = result.Item ? result.Item.requestCount : 0;
-      const allowed = currentCount < maxRequests;
-      
       return {
-        allowed,
-        currentCount,
-        maxRequests,
-        resetTime: 60 - (Math.floor(Date.now() / (1000 * 60)) % 60) // Minutes until next hour
+        deleted: keys.map(key => key.leadId).filter(leadId => !failed.includes(leadId)),
+        failed
       };
     } catch (error) {
-      console.error('Error checking rate limit:', error);
-      // Allow request if rate limit check fails
-      return { allowed: true, currentCount: 0, maxRequests, resetTime: 60 };
+      console.error('Error deleting leads:', error);
+      throw new Error(`Failed to delete leads: ${error.message}`);
     }
   }
 
   /**
-   * Update rate limiting counter
-   * @param {string} clientIP - Client IP address
-   * @returns {Promise<void>}
+   * Get leads count by date range
+   * Counts each month of the range through the time bucket index
+   * @param {string} startDate - Start date (ISO string)
+   * @param {string} endDate - End date (ISO string)
+   * @returns {Promise<number>} - Count of leads in date range
    */
-  async updateRateLimit(clientIP) {
-    const currentHour = Math.floor(Date.now() / (1000 * 60 * 60));
-    const rateLimitKey = `${clientIP}-${currentHour}`;
-    const ttl = Math.floor(Date.now() / 1000) + (2 * 60 * 60); // TTL 2 hours from now
+  async getLeadsCount(startDate = null, endDate = null) {
+    const range = buildRangeCondition('timestamp', startDate, endDate);
+
+    const countBucket = async (bucket) => {
+      const params = {
+        TableName: LEADS_TABLE,
+        IndexName: TIME_BUCKET_INDEX,
+        KeyConditionExpression: ['timeBucket = :timeBucket', range.expression].filter(Boolean).join(' AND '),
+        ExpressionAttributeValues: { ':timeBucket': bucket, ...range.values },
+        Select: 'COUNT'
+      };
+      if (range.expression) {
+        params.ExpressionAttributeNames = range.names;
+      }
+
+      let count = 0;
+      do {
+        const result = await this.storage.query(params);
+        count += result.Count || 0;
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (params.ExclusiveStartKey);
+
+      return count;
+    };
 
     try {
-      await dynamodb.update({
-        TableName: RATE_LIMIT_TABLE,
-        Key: { rateLimitKey },
-        UpdateExpression: 'ADD requestCount :inc SET #ttl = :ttl',
-        ExpressionAttributeNames: {
-          '#ttl': 'ttl'
-        },
-        ExpressionAttributeValues: {
-          ':inc': 1,
-          ':ttl': ttl
-        }
-      }).promise();
+      const counts = await Promise.all(listTimeBuckets(startDate, endDate).map(countBucket));
+      return counts.reduce((total, count) => total + count, 0);
     } catch (error) {
-      console.error('Error updating rate limit:', error);
-      // Don't fail the request if rate limit update fails
+      console.error('Error getting leads count:', error);
+      throw new Error(`Failed to get leads count: ${error.message}`);
     }
   }
 
   /**
-   * Health check for database connectivity
-   * @returns {Promise<Object>} - Health status
+   * Contact and submission operations
    */
-  async healthCheck() {
+
+  /**
+   * Write a merged contact record, guarded by its version number
+   * @param {Object} contact - Complete contact record (replaces the stored item)
+   * @param {Object} options - Save options
+   * @param {boolean} options.isNew - Whether the contact must not exist yet
+   * @param {number} options.expectedVersion - Version read before merging (unset for leads stored before versioning)
+   * @param {number} options.expiresAt - Unix timestamp (seconds) after which DynamoDB TTL removes the contact
+   * @returns {Promise<Object>} - The stored contact, with plaintext fields
+   */
+  async saveContact(contact, options = {}) {
+    const { isNew = false, expectedVersion, expiresAt = null } = options;
+    const now = new Date().toISOString();
+    const item = withSearchAttributes({
+      ...contact,
+      email: contact.contact.email.toLowerCase(), // Hash key of email-index (blind index when encrypted)
+      timeBucket: getTimeBucket(contact.timestamp),
+      createdAt: contact.createdAt || now,
+      updatedAt: now,
+      version: (expectedVersion || 0) + 1
+    }, this.encryption.enabled);
+
+    delete item[LEADS_TTL_ATTRIBUTE];
+    if (expiresAt) {
+      item[LEADS_TTL_ATTRIBUTE] = expiresAt;
+    }
+
+    const params = {
+      TableName: LEADS_TABLE
+    };
+
+    if (isNew) {
+      params.ConditionExpression = 'attribute_not_exists(leadId)';
+    } else if (expectedVersion === undefined) {
+      // Leads stored before versioning
+      params.ConditionExpression = 'attribute_exists(leadId) AND attribute_not_exists(#version)';
+      params.ExpressionAttributeNames = { '#version': 'version' };
+    } else {
+      params.ConditionExpression = '#version = :expectedVersion';
+      params.ExpressionAttributeNames = { '#version': 'version' };
+      params.ExpressionAttributeValues = { ':expectedVersion': expectedVersion };
+    }
+
     try {
-      // Simple operation to test connectivity
-      await dynamodb.describeTable({ TableName: LEADS_TABLE }).promise();
-      
+      params.Item = await this.encryption.encryptItem(item);
+      await this.storage.put(params);
+      return item;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new Error('Contact was modified concurrently');
+      }
+
+      console.error('Error saving contact:', error);
+      throw new Error(`Failed to save contact: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a form submission
+   * @param {Object} submission - Submission entry including submissionId and leadId
+   * @returns {Promise<Object>} - The stored submission
+   */
+  async storeSubmission(submission) {
+    try {
+      await this.storage.put({
+        TableName: SUBMISSIONS_TABLE,
+        Item: await this.encryption.encryptItem({ ...submission, timeBucket: getTimeBucket(submission.submittedAt) }),
+        ConditionExpression: 'attribute_not_exists(submissionId)'
+      });
+
+      return submission;
+    } catch (error) {
+      console.error('Error storing submission:', error);
+      throw new Error(`Failed to store submission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve submissions with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of items to return
+   * @param {string} options.lastEvaluatedKey - Pagination token
+   * @param {string} options.leadId - Only submissions of this contact (most recent first)
+   * @param {string} options.startDate - Filter by start date (ISO string)
+   * @param {string} options.endDate - Filter by end date (ISO string)
+   * @param {string} options.spamStatus - Filter by the submission's spam status
+   * @returns {Promise<Object>} - Paginated results with submissions and pagination info
+   */
+  async getSubmissions(options = {}) {
+    const {
+      limit = 50,
+      lastEvaluatedKey = null,
+      leadId = null,
+      startDate = null,
+      endDate = null,
+      spamStatus = null
+    } = options;
+
+    const params = {
+      TableName: SUBMISSIONS_TABLE,
+      Limit: Math.min(limit, 100),
+      ScanIndexForward: false // Most recent first
+    };
+
+    if (spamStatus) {
+      params.FilterExpression = spamStatus === 'accepted'
+        ? '(attribute_not_exists(spam) OR spam.#spamStatus = :spamStatus)'
+        : 'spam.#spamStatus = :spamStatus';
+      params.ExpressionAttributeNames = { '#spamStatus': 'status' };
+      params.ExpressionAttributeValues = { ':spamStatus': spamStatus };
+    }
+
+    try {
+      if (!leadId) {
+        const result = await this._queryTimeBuckets(params, { rangeKey: 'submittedAt', startDate, endDate, lastEvaluatedKey });
+        return {
+          submissions: await this.encryption.decryptItems(result.items),
+          count: result.count,
+          scannedCount: result.scannedCount,
+          nextToken: result.nextToken,
+          hasMore: result.hasMore
+        };
+      }
+
+      // Query the contact's submissions through the GSI
+      const range = buildRangeCondition('submittedAt', startDate, endDate);
+      params.IndexName = 'leadId-index';
+      params.KeyConditionExpression = ['leadId = :leadId', range.expression].filter(Boolean).join(' AND ');
+      params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ':leadId': leadId, ...range.values };
+      if (range.expression) {
+        params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...range.names };
+      }
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = decodeToken(lastEvaluatedKey);
+      }
+
+      const result = await this.storage.query(params);
+
+      return {
+        submissions: await this.encryption.decryptItems(result.Items || []),
+        count: result.Count || 0,
+        scannedCount: result.ScannedCount || 0,
+        nextToken: result.LastEvaluatedKey ? encodeToken(result.LastEvaluatedKey) : null,
+        hasMore: !!result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error retrieving submissions:', error);
+      throw new Error(`Failed to retrieve submissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve every submission of a contact, most recent first
+   * @param {string} leadId - Contact lead ID
+   * @returns {Promise<Array>} - All submissions
+   */
+  async getSubmissionsForLead(leadId) {
+    const params = {
+      TableName: SUBMISSIONS_TABLE,
+      IndexName: 'leadId-index',
+      KeyConditionExpression: 'leadId = :leadId',
+      ExpressionAttributeValues: { ':leadId': leadId },
+      ScanIndexForward: false
+    };
+
+    try {
+      const submissions = [];
+      do {
+        const result = await this.storage.query(params);
+        submissions.push(...(result.Items || []));
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (params.ExclusiveStartKey);
+
+      return await this.encryption.decryptItems(submissions);
+    } catch (error) {
+      console.error('Error retrieving submissions for lead:', error);
+      throw new Error(`Failed to retrieve submissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete every submission of a contact
+   * @param {string} leadId - Contact lead ID
+   * @returns {Promise<number>} - Number of submissions deleted
+   */
+  async deleteSubmissionsForLead(leadId) {
+    const submissions = await this.getSubmissionsForLead(leadId);
+
+    try {
+      await this._batchDelete(SUBMISSIONS_TABLE, submissions.map(({ submissionId }) => ({ submissionId })));
+      return submissions.length;
+    } catch (error) {
+      console.error('Error deleting submissions:', error);
+      throw new Error(`Failed to delete submissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rate limiting operations
+   */
+
+  /**
+   * Read rate limit counters
+   * @param {Array<string>} keys - Counter keys
+   * @returns {Promise<Object>} - Request count per key (0 for counters that do not exist yet)
+   */
+  async getRateLimitCounters(keys) {
+    const counts = Object.fromEntries(keys.map(key => [key, 0]));
+    let requestKeys = keys.map(rateLimitKey => ({ rateLimitKey }));
+
+    try {
+      while (requestKeys.length > 0) {
+        const result = await this.storage.batchGet({
+          RequestItems: {
+            [RATE_LIMIT_TABLE]: {
+              Keys: requestKeys,
+              ConsistentRead: true,
+              ProjectionExpression: 'rateLimitKey, requestCount'
+            }
+          }
+        });
+
+        (result.Responses[RATE_LIMIT_TABLE] || []).forEach(item => {
+          counts[item.rateLimitKey] = item.requestCount || 0;
+        });
+        requestKeys = result.UnprocessedKeys?.[RATE_LIMIT_TABLE]?.Keys || [];
+      }
+
+      return counts;
+    } catch (error) {
+      console.error('Error reading rate limit counters:', error);
+      throw new Error(`Failed to read rate limit counters: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increment rate limit counters in one transaction
+   * Each counter is only incremented while it is below its threshold; if any counter is at its
+   * threshold nothing is written
+   * @param {Array<Object>} counters - { key, threshold, expiresAt } per counter
+   * @returns {Promise<Object>} - { consumed: true } or { consumed: false, rejected } with the indexes of full counters
+   */
+  async consumeRateLimitCounters(counters) {
+    try {
+      await this.storage.transactWrite({
+        TransactItems: counters.map(counter => ({
+          Update: {
+            TableName: RATE_LIMIT_TABLE,
+            Key: { rateLimitKey: counter.key },
+            UpdateExpression: 'ADD requestCount :inc SET #ttl = :ttl',
+            ConditionExpression: 'attribute_not_exists(requestCount) OR requestCount < :threshold',
+            ExpressionAttributeNames: {
+              '#ttl': 'ttl'
+            },
+            ExpressionAttributeValues: {
+              ':inc': 1,
+              ':ttl': counter.expiresAt,
+              ':threshold': counter.threshold
+            }
+          }
+        }))
+      });
+
+      return { consumed: true };
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        // The SDK only reports cancellation reasons in the message: "... [ConditionalCheckFailed, None]"
+        const reasons = (error.message.match(/\[([^\]]*)\]/)?.[1] || '').split(',').map(reason => reason.trim());
+        const rejected = reasons
+          .map((reason, index) => reason === 'ConditionalCheckFailed' ? index : -1)
+          .filter(index => index >= 0);
+
+        if (rejected.length > 0) {
+          return { consumed: false, rejected };
+        }
+        if (reasons.includes('TransactionConflict')) {
+          throw new Error('Rate limit counters were modified concurrently');
+        }
+      }
+
+      console.error('Error consuming rate limit counters:', error);
+      throw new Error(`Failed to consume rate limit counters: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a client's submission count for the current burst window
+   * @param {string} clientIP - Client IP address
+   * @param {number} windowMinutes - Length of the window
+   * @returns {Promise<number>} - Submissions in the window
+   */
+  async getBurstCount(clientIP, windowMinutes) {
+    const window = Math.floor(Date.now() / (1000 * 60 * windowMinutes));
+    const rateLimitKey = `${clientIP}-burst-${window}`;
+
+    try {
+      const result = await this.storage.get({
+        TableName: RATE_LIMIT_TABLE,
+        Key: { rateLimitKey }
+      });
+
+      return result.Item ? result.Item.requestCount : 0;
+    } catch (error) {
+      console.error('Error reading burst counter:', error);
+      // Fall back to the base difficulty if the counter cannot be read
+      return 0;
+    }
+  }
+
+  /**
+   * Count a submission towards a client's burst window
+   * @param {string} clientIP - Client IP address
+   * @param {number} windowMinutes - Length of the window
+   * @returns {Promise<void>}
+   */
+  async incrementBurstCount(clientIP, windowMinutes) {
+    const window = Math.floor(Date.now() / (1000 * 60 * windowMinutes));
+    const rateLimitKey = `${clientIP}-burst-${window}`;
+    const ttl = Math.floor(Date.now() / 1000) + (2 * windowMinutes * 60);
+
+    try {
+      await this.storage.update({
+        TableName: RATE_LIMIT_TABLE,
+        Key: { rateLimitKey },
+        UpdateExpression: 'ADD requestCount :inc SET #ttl = :ttl',
+        ExpressionAttributeNames: {
+          '#ttl': 'ttl'
+        },
+        ExpressionAttributeValues: {
+          ':inc': 1,
+          ':ttl': ttl
+        }
+      });
+    } catch (error) {
+      console.error('Error updating burst counter:', error);
+      // Don't fail the request if the burst counter update fails
+    }
+  }
+
+  /**
+   * Proof-of-work operations
+   */
+
+  /**
+   * Record a proof-of-work challenge as used
+   * @param {string} challengeId - Challenge ID
+   * @param {number} expiresAt - Unix timestamp (seconds) when the challenge expires; used as TTL
+   * @returns {Promise<boolean>} - False if the challenge was already used
+   */
+  async consumeChallenge(challengeId, expiresAt) {
+    try {
+      await this.storage.put({
+        TableName: POW_CHALLENGES_TABLE,
+        Item: {
+          challengeId,
+          usedAt: new Date().toISOString(),
+          expiresAt
+        },
+        ConditionExpression: 'attribute_not_exists(challengeId)'
+      });
+
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      console.error('Error consuming proof-of-work challenge:', error);
+      throw new Error(`Failed to consume proof-of-work challenge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Webhook operations
+   */
+
+  /**
+   * Store a new webhook endpoint registration
+   * @param {Object} webhook - The webhook registration to store
+   * @returns {Promise<Object>} - The stored webhook
+   */
+  async storeWebhook(webhook) {
+    const item = {
+      ...webhook,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.storage.put({
+        TableName: WEBHOOKS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(webhookId)'
+      });
+
+      return item;
+    } catch (error) {
+      console.error('Error storing webhook:', error);
+      throw new Error(`Failed to store webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve a webhook by ID
+   * @param {string} webhookId - The webhook ID to retrieve
+   * @returns {Promise<Object|null>} - The webhook or null if not found
+   */
+  async getWebhookById(webhookId) {
+    try {
+      const result = await this.storage.get({
+        TableName: WEBHOOKS_TABLE,
+        Key: { webhookId }
+      });
+
+      return result.Item || null;
+    } catch (error) {
+      console.error('Error retrieving webhook:', error);
+      throw new Error(`Failed to retrieve webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * List registered webhooks
+   * The webhooks table only holds endpoint registrations, so a scan is cheap
+   * @param {Object} options - List options
+   * @param {string} options.eventType - Only webhooks subscribed to this event
+   * @param {boolean} options.activeOnly - Skip disabled webhooks
+   * @returns {Promise<Array>} - Matching webhooks
+   */
+  async listWebhooks(options = {}) {
+    const { eventType = null, activeOnly = false } = options;
+    const params = { TableName: WEBHOOKS_TABLE };
+    const filterExpressions = [];
+
+    if (eventType) {
+      filterExpressions.push('contains(events, :eventType)');
+      params.ExpressionAttributeValues = { ':eventType': eventType };
+    }
+
+    if (activeOnly) {
+      filterExpressions.push('active = :active');
+      params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ':active': true };
+    }
+
+    if (filterExpressions.length > 0) {
+      params.FilterExpression = filterExpressions.join(' AND ');
+    }
+
+    try {
+      const webhooks = [];
+      let result;
+
+      do {
+        result = await this.storage.scan(params);
+        webhooks.push(...(result.Items || []));
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (result.LastEvaluatedKey);
+
+      return webhooks;
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a webhook registration
+   * @param {string} webhookId - The webhook ID to update
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} - Updated webhook
+   */
+  async updateWebhook(webhookId, updateData) {
+    const params = {
+      TableName: WEBHOOKS_TABLE,
+      Key: { webhookId },
+      ...this._buildUpdateExpression(updateData),
+      ReturnValues: 'ALL_NEW',
+      ConditionExpression: 'attribute_exists(webhookId)'
+    };
+
+    try {
+      const result = await this.storage.update(params);
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new Error('Webhook not found');
+      }
+
+      console.error('Error updating webhook:', error);
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a webhook registration
+   * @param {string} webhookId - The webhook ID to delete
+   * @returns {Promise<boolean>} - True if deleted successfully
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      await this.storage.delete({
+        TableName: WEBHOOKS_TABLE,
+        Key: { webhookId },
+        ConditionExpression: 'attribute_exists(webhookId)'
+      });
+
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new Error('Webhook not found');
+      }
+
+      console.error('Error deleting webhook:', error);
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a webhook delivery, replacing its earlier state
+   * @param {Object} delivery - Delivery record including attempts and status
+   * @returns {Promise<void>}
+   */
+  async storeWebhookDelivery(delivery) {
+    try {
+      // Only deliveries recorded before bodies were built at send time carry a payload with the lead's fields
+      await this.storage.put({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Item: delivery.payload
+          ? { ...delivery, payload: await this.encryption.encryptField('payload', delivery.payload) }
+          : delivery
+      });
+    } catch (error) {
+      console.error('Error storing webhook delivery:', error);
+      throw new Error(`Failed to store webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve a webhook delivery by ID
+   * @param {string} deliveryId - The delivery ID to retrieve
+   * @returns {Promise<Object|null>} - The delivery or null if not found
+   */
+  async getWebhookDelivery(deliveryId) {
+    try {
+      const result = await this.storage.get({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Key: { deliveryId }
+      });
+
+      const delivery = result.Item;
+      if (!delivery) {
+        return null;
+      }
+      return delivery.payload
+        ? { ...delivery, payload: await this.encryption.decryptField('payload', delivery.payload) }
+        : delivery;
+    } catch (error) {
+      console.error('Error retrieving webhook delivery:', error);
+      throw new Error(`Failed to retrieve webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve recent deliveries for a webhook, most recent first
+   * @param {string} webhookId - The webhook ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of items to return
+   * @param {string} options.lastEvaluatedKey - Pagination token
+   * @param {string} options.status - Filter by delivery status
+   * @returns {Promise<Object>} - Paginated deliveries
+   */
+  async getWebhookDeliveries(webhookId, options = {}) {
+    const { limit = 25, lastEvaluatedKey = null, status = null } = options;
+
+    const params = {
+      TableName: WEBHOOK_DELIVERIES_TABLE,
+      IndexName: 'webhookId-index',
+      KeyConditionExpression: 'webhookId = :webhookId',
+      ExpressionAttributeValues: {
+        ':webhookId': webhookId
+      },
+      Limit: Math.min(limit, 100),
+      ScanIndexForward: false // Most recent first
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(lastEvaluatedKey, 'base64').toString());
+    }
+
+    if (status) {
+      params.FilterExpression = '#status = :status';
+      params.ExpressionAttributeNames = { '#status': 'status' };
+      params.ExpressionAttributeValues[':status'] = status;
+    }
+
+    try {
+      const result = await this.storage.query(params);
+      const nextToken = result.LastEvaluatedKey
+        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+        : null;
+
+      const deliveries = [];
+      for (const delivery of result.Items || []) {
+        deliveries.push(delivery.payload
+          ? { ...delivery, payload: await this.encryption.decryptField('payload', delivery.payload) }
+          : delivery);
+      }
+
+      return {
+        deliveries,
+        count: result.Count || 0,
+        nextToken,
+        hasMore: !!result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error querying webhook deliveries:', error);
+      throw new Error(`Failed to query webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * GDPR operations
+   */
+
+  /**
+   * Retrieve every lead stored for an email address
+   * @param {string} email - Email address
+   * @returns {Promise<Array>} - All leads for the email, most recent first
+   */
+  async getLeadsByEmail(email) {
+    try {
+      const { items } = await this._queryEmailIndex(email, { TableName: LEADS_TABLE });
+      return items;
+    } catch (error) {
+      console.error('Error retrieving leads by email:', error);
+      throw new Error(`Failed to retrieve leads by email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete rate limit counters by key prefix
+   * @param {string|Array<string>} prefixes - Key prefixes (e.g. the counters of one IP address)
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async deleteRateLimitRecords(prefixes) {
+    const prefixList = Array.isArray(prefixes) ? prefixes : [prefixes];
+    if (prefixList.length === 0) {
+      return 0;
+    }
+
+    try {
+      const expressionAttributeValues = {};
+      const conditions = prefixList.map((prefix, index) => {
+        expressionAttributeValues[`:prefix${index}`] = prefix;
+        return `begins_with(rateLimitKey, :prefix${index})`;
+      });
+
+      const items = await this._scanAll({
+        TableName: RATE_LIMIT_TABLE,
+        ProjectionExpression: 'rateLimitKey',
+        FilterExpression: conditions.join(' OR '),
+        ExpressionAttributeValues: expressionAttributeValues
+      });
+
+      await this._batchDelete(RATE_LIMIT_TABLE, items);
+      return items.length;
+    } catch (error) {
+      console.error('Error deleting rate limit records:', error);
+      throw new Error(`Failed to delete rate limit records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete webhook delivery records (including dead-letter payloads) for leads
+   * @param {Array<string>} leadIds - Lead IDs
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async deleteWebhookDeliveriesForLeads(leadIds) {
+    if (leadIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      let deleted = 0;
+
+      // IN accepts at most 100 operands
+      for (let i = 0; i < leadIds.length; i += 100) {
+        const expressionAttributeValues = {};
+        leadIds.slice(i, i + 100).forEach((leadId, index) => {
+          expressionAttributeValues[`:leadId${index}`] = leadId;
+        });
+
+        const items = await this._scanAll({
+          TableName: WEBHOOK_DELIVERIES_TABLE,
+          ProjectionExpression: 'deliveryId',
+          FilterExpression: `leadId IN (${Object.keys(expressionAttributeValues).join(', ')})`,
+          ExpressionAttributeValues: expressionAttributeValues
+        });
+
+        await this._batchDelete(WEBHOOK_DELIVERIES_TABLE, items);
+        deleted += items.length;
+      }
+
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting webhook deliveries:', error);
+      throw new Error(`Failed to delete webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the tombstone left by an erasure request
+   * @param {Object} tombstone - Erasure record keyed by emailHash and erasedAt
+   * @returns {Promise<Object>} - The stored tombstone
+   */
+  async storeErasureTombstone(tombstone) {
+    try {
+      await this.storage.put({
+        TableName: ERASURE_TOMBSTONES_TABLE,
+        Item: tombstone
+      });
+
+      return tombstone;
+    } catch (error) {
+      console.error('Error storing erasure tombstone:', error);
+      throw new Error(`Failed to store erasure tombstone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve erasure tombstones for an email hash, most recent first
+   * @param {string} emailHash - SHA-256 hash of the normalized email
+   * @returns {Promise<Array>} - Tombstones
+   */
+  async getErasureTombstones(emailHash) {
+    try {
+      const result = await this.storage.query({
+        TableName: ERASURE_TOMBSTONES_TABLE,
+        KeyConditionExpression: 'emailHash = :emailHash',
+        ExpressionAttributeValues: {
+          ':emailHash': emailHash
+        },
+        ScanIndexForward: false
+      });
+
+      return result.Items || [];
+    } catch (error) {
+      console.error('Error retrieving erasure tombstones:', error);
+      throw new Error(`Failed to retrieve erasure tombstones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Analytics operations
+   */
+
+  /**
+   * Add one to each analytics counter of a day
+   * @param {string} period - Day (YYYY-MM-DD)
+   * @param {Array<string>} counters - Counter names
+   * @returns {Promise<void>}
+   */
+  async incrementAnalyticsCounters(period, counters) {
+    try {
+      await Promise.all(counters.map(counter => this.storage.update({
+        TableName: ANALYTICS_TABLE,
+        Key: { period, counter },
+        UpdateExpression: 'ADD #count :one',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':one': 1 }
+      })));
+    } catch (error) {
+      console.error('Error incrementing analytics counters:', error);
+      throw new Error(`Failed to increment analytics counters: ${error.message}`);
+    }
+  }
+
+  /**
+   * All analytics counters of a day
+   * @param {string} period - Day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Count per counter name
+   */
+  async getAnalyticsCounters(period) {
+    const params = {
+      TableName: ANALYTICS_TABLE,
+      KeyConditionExpression: '#period = :period',
+      ExpressionAttributeNames: { '#period': 'period' },
+      ExpressionAttributeValues: { ':period': period }
+    };
+    const counters = {};
+
+    try {
+      do {
+        const result = await this.storage.query(params);
+        (result.Items || []).forEach(item => {
+          counters[item.counter] = item.count;
+        });
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (params.ExclusiveStartKey);
+
+      return counters;
+    } catch (error) {
+      console.error('Error reading analytics counters:', error);
+      throw new Error(`Failed to read analytics counters: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export job operations
+   */
+
+  /**
+   * Store a new export job
+   * @param {Object} job - The export job to store
+   * @returns {Promise<Object>} - The stored job
+   */
+  async storeExportJob(job) {
+    const item = {
+      ...job,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.storage.put({
+        TableName: EXPORT_JOBS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(jobId)'
+      });
+
+      return item;
+    } catch (error) {
+      console.error('Error storing export job:', error);
+      throw new Error(`Failed to store export job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve an export job by ID
+   * @param {string} jobId - The job ID to retrieve
+   * @returns {Promise<Object|null>} - The job or null if not found
+   */
+  async getExportJob(jobId) {
+    try {
+      const result = await this.storage.get({
+        TableName: EXPORT_JOBS_TABLE,
+        Key: { jobId }
+      });
+
+      return result.Item || null;
+    } catch (error) {
+      console.error('Error retrieving export job:', error);
+      throw new Error(`Failed to retrieve export job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an export job, optionally only while it has a given status
+   * @param {string} jobId - The job ID to update
+   * @param {Object} updateData - Data to update
+   * @param {string} expectedStatus - Status the job must currently have
+   * @returns {Promise<Object>} - Updated job
+   */
+  async updateExportJob(jobId, updateData, expectedStatus = null) {
+    const params = {
+      TableName: EXPORT_JOBS_TABLE,
+      Key: { jobId },
+      ...this._buildUpdateExpression(updateData),
+      ReturnValues: 'ALL_NEW',
+      ConditionExpression: 'attribute_exists(jobId)'
+    };
+
+    if (expectedStatus) {
+      params.ConditionExpression += ' AND #jobStatus = :expectedStatus';
+      params.ExpressionAttributeNames['#jobStatus'] = 'status';
+      params.ExpressionAttributeValues[':expectedStatus'] = expectedStatus;
+    }
+
+    try {
+      const result = await this.storage.update(params);
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new Error(expectedStatus ? `Export job is not ${expectedStatus}` : 'Export job not found');
+      }
+
+      console.error('Error updating export job:', error);
+      throw new Error(`Failed to update export job: ${error.message}`);
+    }
+  }
+
+  /**
+   * API key operations
+   */
+
+  /**
+   * Store a new API key
+   * @param {Object} key - The key record to store (hash only, never the key itself)
+   * @returns {Promise<Object>} - The stored key
+   */
+  async storeApiKey(key) {
+    const item = {
+      ...key,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.storage.put({
+        TableName: API_KEYS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(keyId)'
+      });
+
+      return item;
+    } catch (error) {
+      console.error('Error storing API key:', error);
+      throw new Error(`Failed to store API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve an API key by ID
+   * @param {string} keyId - The key ID to retrieve
+   * @returns {Promise<Object|null>} - The key or null if not found
+   */
+  async getApiKey(keyId) {
+    try {
+      const result = await this.storage.get({
+        TableName: API_KEYS_TABLE,
+        Key: { keyId }
+      });
+
+      return result.Item || null;
+    } catch (error) {
+      console.error('Error retrieving API key:', error);
+      throw new Error(`Failed to retrieve API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all API keys
+   * The keys table only holds a handful of items, so a scan is cheap
+   * @returns {Promise<Array>} - Stored keys
+   */
+  async listApiKeys() {
+    try {
+      return await this._scanAll({ TableName: API_KEYS_TABLE });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw new Error(`Failed to list API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an API key
+   * @param {string} keyId - The key ID to update
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} - Updated key
+   */
+  async updateApiKey(keyId, updateData) {
+    const params = {
+      TableName: API_KEYS_TABLE,
+      Key: { keyId },
+      ...this._buildUpdateExpression(updateData),
+      ReturnValues: 'ALL_NEW',
+      ConditionExpression: 'attribute_exists(keyId)'
+    };
+
+    try {
+      const result = await this.storage.update(params);
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new Error('API key not found');
+      }
+
+      console.error('Error updating API key:', error);
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Audit log operations
+   * Entries are only ever added; nothing here updates or deletes them
+   */
+
+  /**
+   * Append an audit entry, with one lookup item per lead it touched
+   * @param {Object} entry - Entry including auditId, timestamp and actorKey
+   * @param {Array<string>} leadIds - Every lead the action touched
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async storeAuditEntry(entry, leadIds = []) {
+    const item = { ...entry, timeBucket: getTimeBucket(entry.timestamp) };
+
+    try {
+      await this.storage.put({
+        TableName: AUDIT_LOG_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(auditId)'
+      });
+
+      const unprocessed = await this._batchWrite(AUDIT_LOG_LEADS_TABLE, leadIds.map(leadId => ({
+        PutRequest: {
+          Item: {
+            leadId,
+            entryKey: `${entry.timestamp}#${entry.auditId}`,
+            auditId: entry.auditId,
+            timestamp: entry.timestamp,
+            action: entry.action,
+            actorKey: entry.actorKey,
+            ...(entry.expiresAt ? { expiresAt: entry.expiresAt } : {})
+          }
+        }
+      })));
+      if (unprocessed.length > 0) {
+        throw new Error(`${unprocessed.length} lead references were not written`);
+      }
+
+      return item;
+    } catch (error) {
+      console.error('Error storing audit entry:', error);
+      throw new Error(`Failed to store audit entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve audit entries, most recent first
+   * By lead through the lead lookup table, by actor through actorKey-index, otherwise by month
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of entries to return
+   * @param {string} options.lastEvaluatedKey - Pagination token
+   * @param {string} options.leadId - Only entries that touched this lead
+   * @param {string} options.actorKey - Only entries of this actor ("<type>:<id>")
+   * @param {string} options.action - Only entries with this action
+   * @param {string} options.startDate - Filter by start date (ISO string)
+   * @param {string} options.endDate - Filter by end date (ISO string)
+   * @returns {Promise<Object>} - { entries, count, nextToken, hasMore }
+   */
+  async getAuditEntries(options = {}) {
+    const {
+      limit = 50,
+      lastEvaluatedKey = null,
+      leadId = null,
+      actorKey = null,
+      action = null,
+      startDate = null,
+      endDate = null
+    } = options;
+
+    const params = {
+      Limit: Math.min(limit, 100),
+      ScanIndexForward: false // Most recent first
+    };
+
+    // The actor is part of the key condition unless the lead is
+    const filters = { '#action': ['action', action], '#actorKey': ['actorKey', leadId ? actorKey : null] };
+    const filterNames = Object.keys(filters).filter(name => filters[name][1]);
+    if (filterNames.length > 0) {
+      params.FilterExpression = filterNames.map(name => `${name} = :${name.slice(1)}`).join(' AND ');
+      params.ExpressionAttributeNames = Object.fromEntries(filterNames.map(name => [name, filters[name][0]]));
+      params.ExpressionAttributeValues = Object.fromEntries(filterNames.map(name => [`:${name.slice(1)}`, filters[name][1]]));
+    }
+
+    try {
+      if (!leadId && !actorKey) {
+        const result = await this._queryTimeBuckets({ ...params, TableName: AUDIT_LOG_TABLE },
+          { rangeKey: 'timestamp', startDate, endDate, lastEvaluatedKey });
+        return { entries: result.items, count: result.count, nextToken: result.nextToken, hasMore: result.hasMore };
+      }
+
+      // Lookup items sort by "<timestamp>#<auditId>", so the end of the range takes every entry of that instant
+      const range = leadId
+        ? buildRangeCondition('entryKey', startDate, endDate ? `${endDate}~` : null)
+        : buildRangeCondition('timestamp', startDate, endDate);
+      const [hashKey, hashValue] = leadId ? ['leadId', leadId] : ['actorKey', actorKey];
+
+      params.TableName = leadId ? AUDIT_LOG_LEADS_TABLE : AUDIT_LOG_TABLE;
+      if (!leadId) {
+        params.IndexName = 'actorKey-index';
+      }
+      params.KeyConditionExpression = ['#hashKey = :hashKey', range.expression].filter(Boolean).join(' AND ');
+      params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, '#hashKey': hashKey, ...range.names };
+      params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ':hashKey': hashValue, ...range.values };
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = decodeToken(lastEvaluatedKey);
+      }
+
+      const result = await this.storage.query(params);
+      const items = result.Items || [];
+      const entries = leadId ? await this._getAuditEntriesByIds(items.map(item => item.auditId)) : items;
+
+      return {
+        entries,
+        count: entries.length,
+        nextToken: result.LastEvaluatedKey ? encodeToken(result.LastEvaluatedKey) : null,
+        hasMore: !!result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error retrieving audit entries:', error);
+      throw new Error(`Failed to retrieve audit entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load audit entries by ID, in the order given
+   * @private
+   */
+  async _getAuditEntriesByIds(auditIds) {
+    if (auditIds.length === 0) {
+      return [];
+    }
+
+    let requestKeys = auditIds.map(auditId => ({ auditId }));
+    const found = new Map();
+
+    while (requestKeys.length > 0) {
+      const result = await this.storage.batchGet({
+        RequestItems: { [AUDIT_LOG_TABLE]: { Keys: requestKeys } }
+      });
+
+      (result.Responses[AUDIT_LOG_TABLE] || []).forEach(entry => found.set(entry.auditId, entry));
+      requestKeys = result.UnprocessedKeys?.[AUDIT_LOG_TABLE]?.Keys || [];
+    }
+
+    return auditIds.map(auditId => found.get(auditId)).filter(Boolean);
+  }
+
+  /**
+   * Scan all pages of a table
+   * @private
+   */
+  async _scanAll(params) {
+    const items = [];
+    const scanParams = { ...params };
+
+    do {
+      const result = await this.storage.scan(scanParams);
+      items.push(...(result.Items || []));
+      scanParams.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (scanParams.ExclusiveStartKey);
+
+    return items;
+  }
+
+  /**
+   * Delete items by key in batches of 25, retrying unprocessed items
+   * @private
+   */
+  async _batchDelete(tableName, keys) {
+    const unprocessed = await this._batchWrite(tableName, keys.map(key => ({ DeleteRequest: { Key: key } })));
+
+    if (unprocessed.length > 0) {
+      throw new Error(`Unprocessed deletes remain for ${tableName}`);
+    }
+  }
+
+  /**
+   * Send write requests in batches of 25, retrying unprocessed items
+   * @returns {Promise<Array>} - Requests still unprocessed after the retries
+   * @private
+   */
+  async _batchWrite(tableName, requests) {
+    const unprocessed = [];
+
+    for (let i = 0; i < requests.length; i += 25) {
+      let requestItems = { [tableName]: requests.slice(i, i + 25) };
+
+      for (let attempt = 0; attempt < 5 && Object.keys(requestItems).length > 0; attempt++) {
+        const result = await this.storage.batchWrite({ RequestItems: requestItems });
+        requestItems = result.UnprocessedItems || {};
+      }
+
+      unprocessed.push(...(requestItems[tableName] || []));
+    }
+
+    return unprocessed;
+  }
+
+  /**
+   * Set `timeBucket` on leads and submissions stored before the time bucket index existed
+   * @returns {Promise<Object>} - { leads, submissions, earliestBucket } updated counts and oldest month found
+   */
+  async backfillTimeBuckets() {
+    const sources = [
+      // rangeKey is the attribute the bucket comes from; only on leads is it also part of the table key
+      { name: 'leads', tableName: LEADS_TABLE, hashKey: 'leadId', rangeKey: 'timestamp', keyIncludesRange: true },
+      { name: 'submissions', tableName: SUBMISSIONS_TABLE, hashKey: 'submissionId', rangeKey: 'submittedAt', keyIncludesRange: false }
+    ];
+    const summary = { leads: 0, submissions: 0, earliestBucket: null };
+
+    for (const { name, tableName, hashKey, rangeKey, keyIncludesRange } of sources) {
+      const items = await this._scanAll({
+        TableName: tableName,
+        FilterExpression: 'attribute_not_exists(timeBucket) AND attribute_exists(#rangeKey)',
+        ProjectionExpression: '#hashKey, #rangeKey',
+        ExpressionAttributeNames: { '#hashKey': hashKey, '#rangeKey': rangeKey }
+      });
+
+      for (const item of items) {
+        const bucket = getTimeBucket(item[rangeKey]);
+        await this.storage.update({
+          TableName: tableName,
+          Key: keyIncludesRange ? { [hashKey]: item[hashKey], [rangeKey]: item[rangeKey] } : { [hashKey]: item[hashKey] },
+          UpdateExpression: 'SET timeBucket = :timeBucket',
+          ConditionExpression: 'attribute_exists(#hashKey)',
+          ExpressionAttributeNames: { '#hashKey': hashKey },
+          ExpressionAttributeValues: { ':timeBucket': bucket }
+        });
+
+        summary[name]++;
+        if (!summary.earliestBucket || bucket < summary.earliestBucket) {
+          summary.earliestBucket = bucket;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Add the search attributes and form IDs to leads written before they existed
+   * Form IDs are collected from each lead's submission history
+   * @returns {Promise<Object>} - { leads } number of leads updated
+   */
+  async backfillSearchAttributes() {
+    // Names are not searchable when encrypted, so searchName is not looked for then
+    const includeName = !this.encryption.enabled;
+    const items = await this._scanAll({
+      TableName: LEADS_TABLE,
+      FilterExpression: includeName ? 'attribute_not_exists(#searchName) OR attribute_not_exists(#formIds)' : 'attribute_not_exists(#formIds)',
+      ProjectionExpression: '#leadId, #timestamp, #contact, #formIds',
+      ExpressionAttributeNames: {
+        '#leadId': 'leadId',
+        '#timestamp': 'timestamp',
+        '#contact': 'contact',
+        '#formIds': 'formIds',
+        ...(includeName ? { '#searchName': SEARCH_ATTRIBUTES.name } : {})
+      }
+    });
+    const summary = { leads: 0 };
+
+    for (const item of items) {
+      const submissions = item.formIds ? [] : await this.getSubmissionsForLead(item.leadId);
+      const formIds = item.formIds ||
+        [...new Set(submissions.map(submission => submission.page?.formId).filter(Boolean))];
+      const update = { ...buildSearchAttributes(await this.encryption.decryptItem(item), { includeName }), formIds };
+
+      // Empty search attributes (no company) are left out instead of stored
+      const setNames = Object.keys(update).filter(name => update[name] !== null);
+      await this.storage.update({
+        TableName: LEADS_TABLE,
+        Key: { leadId: item.leadId, timestamp: item.timestamp },
+        UpdateExpression: 'SET ' + setNames.map((name, index) => `#attr${index} = :val${index}`).join(', '),
+        ConditionExpression: 'attribute_exists(leadId)',
+        ExpressionAttributeNames: Object.fromEntries(setNames.map((name, index) => [`#attr${index}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(setNames.map((name, index) => [`:val${index}`, update[name]]))
+      });
+
+      summary.leads++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Encrypt leads, submissions and dead-letter payloads stored in plaintext or under rotated-out keys
+   * with the current keys, and drop the name search attribute of leads
+   * Leads are rewritten only if their version is unchanged, so a concurrent update wins and is picked up by a rerun.
+   * @returns {Promise<Object>} - { leads, submissions, deliveries, skipped } rewritten counts and leads changed meanwhile
+   */
+  async reencryptItems() {
+    if (!this.encryption.enabled) {
+      throw new Error('FIELD_ENCRYPTION_PROVIDER is none');
+    }
+
+    const summary = { leads: 0, submissions: 0, deliveries: 0, skipped: 0 };
+
+    for (const stored of await this._scanAll({ TableName: LEADS_TABLE })) {
+      if (!(await this.encryption.needsReencryption(stored)) && stored[SEARCH_ATTRIBUTES.name] === undefined) {
+        continue;
+      }
+
+      const item = withSearchAttributes(await this.encryption.decryptItem(stored), true);
+      try {
+        await this.storage.put({
+          TableName: LEADS_TABLE,
+          Item: await this.encryption.encryptItem(item),
+          ConditionExpression: stored.version === undefined ? 'attribute_not_exists(#version)' : '#version = :version',
+          ExpressionAttributeNames: { '#version': 'version' },
+          ...(stored.version === undefined ? {} : { ExpressionAttributeValues: { ':version': stored.version } })
+        });
+        summary.leads++;
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        summary.skipped++;
+      }
+    }
+
+    for (const stored of await this._scanAll({ TableName: SUBMISSIONS_TABLE })) {
+      if (!(await this.encryption.needsReencryption(stored))) {
+        continue;
+      }
+
+      await this.storage.put({
+        TableName: SUBMISSIONS_TABLE,
+        Item: await this.encryption.encryptItem(await this.encryption.decryptItem(stored)),
+        ConditionExpression: 'attribute_exists(submissionId)'
+      });
+      summary.submissions++;
+    }
+
+    const deliveries = await this._scanAll({
+      TableName: WEBHOOK_DELIVERIES_TABLE,
+      FilterExpression: 'attribute_exists(payload)'
+    });
+    for (const stored of deliveries) {
+      if (!this.encryption.needsFieldReencryption(stored.payload)) {
+        continue;
+      }
+
+      const payload = await this.encryption.decryptField('payload', stored.payload);
+      await this.storage.put({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Item: { ...stored, payload: await this.encryption.encryptField('payload', payload) }
+      });
+      summary.deliveries++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Health check for database connectivity
+   * @returns {Promise<Object>} - Health status
+   */
+  async healthCheck() {
+    try {
+      // Simple operation to test connectivity
+      await this.storage.healthCheck([LEADS_TABLE, RATE_LIMIT_TABLE]);
+
       return {
         status: 'healthy',
         timestamp: new Date().toISOString(),
@@ -475,5 +2167,83 @@ class DatabaseService {
   }
 }
 
+/**
+ * Set the search attributes of a lead item, removing the ones that are empty
+ * With encrypted fields the name is left out, since searchName would hold it in plaintext
+ */
+function withSearchAttributes(item, fieldsEncrypted = false) {
+  Object.entries(buildSearchAttributes(item, { includeName: !fieldsEncrypted })).forEach(([name, value]) => {
+    if (value) {
+      item[name] = value;
+    } else {
+      delete item[name];
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Month bucket (YYYY-MM) of an ISO timestamp
+ */
+function getTimeBucket(timestamp) {
+  return timestamp.slice(0, 7);
+}
+
+/**
+ * Month buckets covering a date range, newest first
+ * Starts at endDate (or now) and stops at startDate or TIME_BUCKET_START, whichever is later
+ */
+function listTimeBuckets(startDate, endDate) {
+  const now = new Date().toISOString();
+  const last = getTimeBucket(endDate && endDate < now ? endDate : now);
+  const first = startDate && getTimeBucket(startDate) > TIME_BUCKET_START ? getTimeBucket(startDate) : TIME_BUCKET_START;
+  const buckets = [];
+
+  let [year, month] = last.split('-').map(Number);
+  for (let bucket = last; bucket >= first; bucket = `${year}-${String(month).padStart(2, '0')}`) {
+    buckets.push(bucket);
+    month--;
+    if (month === 0) {
+      month = 12;
+      year--;
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Key condition on an index's range key for a date range
+ */
+function buildRangeCondition(rangeKey, startDate, endDate) {
+  const names = { '#rangeKey': rangeKey };
+
+  if (startDate && endDate) {
+    return { expression: '#rangeKey BETWEEN :startDate AND :endDate', names, values: { ':startDate': startDate, ':endDate': endDate } };
+  }
+  if (startDate) {
+    return { expression: '#rangeKey >= :startDate', names, values: { ':startDate': startDate } };
+  }
+  if (endDate) {
+    return { expression: '#rangeKey <= :endDate', names, values: { ':endDate': endDate } };
+  }
+  return { expression: null, names: {}, values: {} };
+}
+
+/**
+ * Pagination tokens are base64 JSON
+ */
+function encodeToken(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function decodeToken(token) {
+  return JSON.parse(Buffer.from(token, 'base64').toString());
+}
+
 // Export singleton instance
-module.exports = new DatabaseService();
\ No newline at end of file
+module.exports = new DatabaseService();
+module.exports.DatabaseService = DatabaseService;
+module.exports.LEADS_TTL_ATTRIBUTE = LEADS_TTL_ATTRIBUTE;
+module.exports.TABLE_SCHEMAS = TABLE_SCHEMAS;
\ No newline at end of file
@@ -0,0 +1,329 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const auditLog = require('./audit-log');
+const { AUDIT_ACTIONS } = require('./audit-log');
+const leadExport = require('./lead-export');
+const { createObjectStorage, EXPORT_STORAGE } = require('./object-storage');
+const { SPAM_STATUS } = require('./spam-scoring');
+const { normalizeTag } = require('./lead-admin');
+const { parseCustomFieldFilters } = require('./lead-search');
+
+// Export job settings from environment variables
+const EXPORT_RUNNER = process.env.EXPORT_RUNNER || 'lambda'; // lambda or inline (local development only)
+const EXPORT_WORKER_FUNCTION = process.env.EXPORT_WORKER_FUNCTION || '';
+const EXPORT_JOB_RETENTION_DAYS = parseInt(process.env.EXPORT_JOB_RETENTION_DAYS) || 7;
+
+const EXPORT_PAGE_SIZE = 100;
+
+// Values stored in a job's status attribute
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Exports the whole leads table to a file in object storage
+ * A job is stored as queued and handed to a worker, which pages through the leads,
+ * uploads the file and records the outcome; clients poll the job for a download URL.
+ */
+class ExportJobService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {Object} options.objectStorage - Where finished files go (see object-storage.js)
+   * @param {string} options.runner - lambda (async invoke of the worker) or inline (same process)
+   * @param {Object} options.lambda - Lambda client for the lambda runner
+   * @param {string} options.workerFunction - Name of the run-export function
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.objectStorage = options.objectStorage || createObjectStorage(EXPORT_STORAGE);
+    this.runner = options.runner || EXPORT_RUNNER;
+    this.lambda = options.lambda || new AWS.Lambda({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.workerFunction = options.workerFunction !== undefined ? options.workerFunction : EXPORT_WORKER_FUNCTION;
+    this.retentionDays = options.retentionDays || EXPORT_JOB_RETENTION_DAYS;
+  }
+
+  /**
+   * Queue an export and start its worker
+   * @param {Object} request - Export request
+   * @param {string} request.format - csv or ndjson
+   * @param {Array<string>} request.columns - CSV columns (defaults to DEFAULT_COLUMNS)
+   * @param {Object} request.filters - Lead filters (startDate, endDate, source, formId, companyPrefix, q,
+   *   confirmationStatus, spamStatus, utm*, touch, status, tag, customFields.<key>)
+   * @param {Object} request.requestedBy - Authenticated caller ({ type, id, name })
+   * @param {string} request.requestedFrom - IP address the request came from, for the audit log
+   * @returns {Promise<Object>} - The queued job
+   */
+  async createJob(request) {
+    const { format, columns = null, filters = {}, requestedBy = null, requestedFrom = null } = request;
+
+    if (!leadExport.EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const job = await this.database.storeExportJob({
+      jobId: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      format,
+      columns: format === 'csv' ? (columns || leadExport.DEFAULT_COLUMNS) : null,
+      filters,
+      requestedBy,
+      requestedFrom,
+      // Removed by DynamoDB TTL; the file itself is expired by the bucket's lifecycle rule
+      expiresAt: Math.floor(Date.now() / 1000) + this.retentionDays * 24 * 60 * 60
+    });
+
+    try {
+      await this.dispatch(job.jobId);
+    } catch (error) {
+      console.error(`Error starting export job ${job.jobId}:`, error);
+      await this.database.updateExportJob(job.jobId, {
+        status: JOB_STATUS.FAILED,
+        error: 'Export worker could not be started',
+        completedAt: new Date().toISOString()
+      });
+      throw new Error(`Failed to start export job: ${error.message}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Hand a queued job to the configured runner
+   * @param {string} jobId - Job to run
+   * @returns {Promise<void>}
+   */
+  async dispatch(jobId) {
+    switch (this.runner) {
+      case 'inline':
+        // Runs after the response; only suitable for a long-lived process such as the dev server
+        setImmediate(() => {
+          this.runJob(jobId).catch(error => console.error(`Export job ${jobId} crashed:`, error));
+        });
+        return;
+      case 'lambda':
+        if (!this.workerFunction) {
+          throw new Error('EXPORT_WORKER_FUNCTION is not configured');
+        }
+        await this.lambda.invoke({
+          FunctionName: this.workerFunction,
+          InvocationType: 'Event',
+          Payload: JSON.stringify({ jobId })
+        }).promise();
+        return;
+      default:
+        throw new Error(`Unknown export runner: ${this.runner}`);
+    }
+  }
+
+  /**
+   * Run a queued job to completion
+   * The export is recorded in the audit log before the job is marked completed, so no file is handed out unaudited.
+   * Failures are recorded on the job rather than thrown, so the worker is not retried
+   * @param {string} jobId - Job to run
+   * @returns {Promise<Object|null>} - The finished job, or null if it was not queued
+   */
+  async runJob(jobId) {
+    let job;
+    try {
+      job = await this.database.updateExportJob(jobId, {
+        status: JOB_STATUS.RUNNING,
+        startedAt: new Date().toISOString()
+      }, JOB_STATUS.QUEUED);
+    } catch (error) {
+      // Already picked up by another invocation, or gone
+      console.warn(`Export job ${jobId} not started: ${error.message}`);
+      return null;
+    }
+
+    const { extension, contentType } = leadExport.EXPORT_FORMATS[job.format];
+    const workFile = path.join(os.tmpdir(), `export-${jobId}.ndjson`);
+    const csvFile = path.join(os.tmpdir(), `export-${jobId}.csv`);
+
+    try {
+      const { rowCount, wildcardKeys, leadIds } = await this.writeLeads(job, workFile);
+
+      let outputFile = workFile;
+      if (job.format === 'csv') {
+        await writeCsv(workFile, csvFile, leadExport.expandColumns(job.columns, wildcardKeys));
+        outputFile = csvFile;
+      }
+
+      const objectKey = `exports/${jobId}.${extension}`;
+      await this.objectStorage.putFile(objectKey, outputFile, contentType);
+
+      await auditLog.record({
+        action: AUDIT_ACTIONS.EXPORT,
+        actor: job.requestedBy,
+        sourceIp: job.requestedFrom,
+        filters: job.filters,
+        leadIds,
+        details: { jobId, format: job.format, rowCount }
+      });
+
+      return await this.database.updateExportJob(jobId, {
+        status: JOB_STATUS.COMPLETED,
+        rowCount,
+        objectKey,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Export job ${jobId} failed:`, error);
+
+      return await this.database.updateExportJob(jobId, {
+        status: JOB_STATUS.FAILED,
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+    } finally {
+      await Promise.all([workFile, csvFile].map(file => fs.promises.rm(file, { force: true })));
+    }
+  }
+
+  /**
+   * Page through every matching lead into an NDJSON file
+   * Keys under wildcard columns are collected on the way so the CSV header is known before its first row.
+   * @param {Object} job - Running job
+   * @param {string} filePath - File to write
+   * @returns {Promise<Object>} - { rowCount, wildcardKeys, leadIds }
+   */
+  async writeLeads(job, filePath) {
+    const output = fs.createWriteStream(filePath);
+    const wildcardKeys = {};
+    const leadIds = [];
+    let rowCount = 0;
+    let nextToken = null;
+
+    try {
+      do {
+        const page = await this.database.getLeads({
+          ...toLeadQuery(job.filters),
+          limit: EXPORT_PAGE_SIZE,
+          lastEvaluatedKey: nextToken
+        });
+
+        for (const lead of page.leads) {
+          if (job.columns) {
+            leadExport.collectWildcardKeys(job.columns, lead, wildcardKeys);
+          }
+          if (!output.write(JSON.stringify(lead) + '\n')) {
+            await once(output, 'drain');
+          }
+          leadIds.push(lead.leadId);
+          rowCount++;
+        }
+
+        nextToken = page.hasMore ? page.nextToken : null;
+      } while (nextToken);
+    } finally {
+      output.end();
+      await once(output, 'close');
+    }
+
+    return { rowCount, wildcardKeys, leadIds };
+  }
+
+  /**
+   * A job as returned to API clients, with a fresh download URL once it has completed
+   * @param {string} jobId - Job to look up
+   * @returns {Promise<Object|null>} - The job or null if not found
+   */
+  async getJob(jobId) {
+    const job = await this.database.getExportJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const publicJob = {
+      jobId: job.jobId,
+      status: job.status,
+      format: job.format,
+      columns: job.columns,
+      filters: job.filters,
+      requestedBy: job.requestedBy || null,
+      rowCount: job.rowCount,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+
+    if (job.status === JOB_STATUS.COMPLETED) {
+      const download = await this.objectStorage.getDownloadUrl(job.objectKey);
+      publicJob.downloadUrl = download.url;
+      publicJob.downloadUrlExpiresAt = download.expiresAt;
+    }
+
+    return publicJob;
+  }
+}
+
+/**
+ * Turn stored job filters into getLeads options, with the same defaults as the listing
+ * @private
+ */
+function toLeadQuery(filters = {}) {
+  const { spamStatus = SPAM_STATUS.ACCEPTED, touch = 'last' } = filters;
+
+  return {
+    source: filters.source || null,
+    startDate: filters.startDate || null,
+    endDate: filters.endDate || null,
+    confirmationStatus: filters.confirmationStatus || null,
+    spamStatus: spamStatus === 'all' ? null : spamStatus,
+    utm: {
+      utmCampaign: filters.utmCampaign || null,
+      utmSource: filters.utmSource || null,
+      utmMedium: filters.utmMedium || null,
+      utmTerm: filters.utmTerm || null,
+      utmContent: filters.utmContent || null
+    },
+    touch: `${touch}Touch`,
+    status: filters.status || null,
+    tag: filters.tag ? normalizeTag(filters.tag) : null,
+    formId: filters.formId || null,
+    companyPrefix: filters.companyPrefix || null,
+    search: filters.q || null,
+    customFields: parseCustomFieldFilters(filters)
+  };
+}
+
+/**
+ * Convert an NDJSON work file into CSV, one line at a time
+ * @private
+ */
+async function writeCsv(sourceFile, targetFile, columns) {
+  const input = readline.createInterface({ input: fs.createReadStream(sourceFile), crlfDelay: Infinity });
+  const output = fs.createWriteStream(targetFile);
+
+  try {
+    output.write(leadExport.toCsvHeader(columns));
+
+    for await (const line of input) {
+      if (line && !output.write(leadExport.toCsvRow(JSON.parse(line), columns))) {
+        await once(output, 'drain');
+      }
+    }
+  } finally {
+    input.close();
+    output.end();
+    await once(output, 'close');
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportJobService();
+module.exports.ExportJobService = ExportJobService;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,545 @@
+/**
+ * DynamoDB expression evaluation for the local storage adapters
+ * Supports the condition, key condition, filter, update and projection expression syntax
+ * (comparisons, BETWEEN, IN, AND/OR/NOT, attribute_exists, attribute_not_exists, begins_with,
+ * contains, size; SET with + / - / if_not_exists / list_append, REMOVE, ADD and DELETE)
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+/**
+ * Create an error shaped like the ones the AWS SDK throws
+ * @param {string} code - AWS error code (e.g. ConditionalCheckFailedException)
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code and statusCode
+ */
+function awsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z0-9_]+)/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw awsError('ValidationException', `Invalid expression near: ${expression.slice(position)}`);
+    }
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+  constructor(expression, names = {}, values = {}) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token !== undefined && token.toUpperCase() === keyword;
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual === undefined || actual.toUpperCase() !== token) {
+      throw awsError('ValidationException', `Invalid expression "${this.expression}": expected ${token}, got ${actual}`);
+    }
+  }
+
+  done() {
+    if (this.position < this.tokens.length) {
+      throw awsError('ValidationException', `Invalid expression "${this.expression}": unexpected ${this.peek()}`);
+    }
+  }
+
+  /**
+   * condition := or
+   */
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.isKeyword('OR')) {
+      this.next();
+      const right = this.parseAnd();
+      const previous = left;
+      left = item => previous(item) || right(item);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('AND')) {
+      this.next();
+      const right = this.parseNot();
+      const previous = left;
+      left = item => previous(item) && right(item);
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      const condition = this.parseNot();
+      return item => !condition(item);
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    if (this.peek() === '(') {
+      this.next();
+      const condition = this.parseCondition();
+      this.expect(')');
+      return condition;
+    }
+
+    if (CONDITION_FUNCTIONS.includes(this.peek()) && this.peek(1) === '(') {
+      return this.parseConditionFunction();
+    }
+
+    const left = this.parseOperand();
+
+    if (this.isKeyword('BETWEEN')) {
+      this.next();
+      const low = this.parseOperand();
+      this.expect('AND');
+      const high = this.parseOperand();
+      return item => compare(left(item), low(item)) >= 0 && compare(left(item), high(item)) <= 0;
+    }
+
+    if (this.isKeyword('IN')) {
+      this.next();
+      this.expect('(');
+      const candidates = [this.parseOperand()];
+      while (this.peek() === ',') {
+        this.next();
+        candidates.push(this.parseOperand());
+      }
+      this.expect(')');
+      return item => candidates.some(candidate => isEqual(left(item), candidate(item)));
+    }
+
+    const comparator = this.next();
+    if (!COMPARATORS.includes(comparator)) {
+      throw awsError('ValidationException', `Invalid expression "${this.expression}": unexpected ${comparator}`);
+    }
+    const right = this.parseOperand();
+
+    return item => {
+      const a = left(item);
+      const b = right(item);
+      switch (comparator) {
+        case '=': return isEqual(a, b);
+        case '<>': return !isEqual(a, b);
+        case '<': return compare(a, b) < 0;
+        case '<=': return compare(a, b) <= 0;
+        case '>': return compare(a, b) > 0;
+        default: return compare(a, b) >= 0;
+      }
+    };
+  }
+
+  parseConditionFunction() {
+    const name = this.next();
+    this.expect('(');
+    const path = this.parsePath();
+    let argument = null;
+    if (this.peek() === ',') {
+      this.next();
+      argument = this.parseOperand();
+    }
+    this.expect(')');
+
+    switch (name) {
+      case 'attribute_exists':
+        return item => getPath(item, path) !== undefined;
+      case 'attribute_not_exists':
+        return item => getPath(item, path) === undefined;
+      case 'attribute_type':
+        return item => typeOf(getPath(item, path)) === argument(item);
+      case 'begins_with':
+        return item => {
+          const value = getPath(item, path);
+          const prefix = argument(item);
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        };
+      default: // contains
+        return item => {
+          const value = getPath(item, path);
+          const operand = argument(item);
+          if (typeof value === 'string') return typeof operand === 'string' && value.includes(operand);
+          if (Array.isArray(value)) return value.some(element => isEqual(element, operand));
+          return false;
+        };
+    }
+  }
+
+  /**
+   * operand := :value | path | size(path)
+   */
+  parseOperand() {
+    const token = this.peek();
+
+    if (token !== undefined && token.startsWith(':')) {
+      this.next();
+      if (!(token in this.values)) {
+        throw awsError('ValidationException', `Value ${token} is not defined in ExpressionAttributeValues`);
+      }
+      const value = this.values[token];
+      return () => value;
+    }
+
+    if (token === 'size' && this.peek(1) === '(') {
+      this.next();
+      this.expect('(');
+      const path = this.parsePath();
+      this.expect(')');
+      return item => {
+        const value = getPath(item, path);
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return undefined;
+      };
+    }
+
+    const path = this.parsePath();
+    return item => getPath(item, path);
+  }
+
+  /**
+   * path := name ( '.' name | '[' index ']' )*
+   */
+  parsePath() {
+    const segments = [this.parseName()];
+
+    while (this.peek() === '.' || this.peek() === '[') {
+      if (this.next() === '.') {
+        segments.push(this.parseName());
+      } else {
+        segments.push(parseInt(this.next()));
+        this.expect(']');
+      }
+    }
+
+    return segments;
+  }
+
+  parseName() {
+    const token = this.next();
+    if (token === undefined || !/^#?[A-Za-z0-9_]+$/.test(token) || KEYWORDS.includes(token.toUpperCase())) {
+      throw awsError('ValidationException', `Invalid expression "${this.expression}": unexpected ${token}`);
+    }
+
+    if (token.startsWith('#')) {
+      if (!(token in this.names)) {
+        throw awsError('ValidationException', `Name ${token} is not defined in ExpressionAttributeNames`);
+      }
+      return this.names[token];
+    }
+    return token;
+  }
+
+  /**
+   * update := ( SET action, ... | REMOVE path, ... | ADD path value, ... | DELETE path value, ... )+
+   */
+  parseUpdate() {
+    const actions = [];
+
+    while (this.position < this.tokens.length) {
+      const clause = this.next().toUpperCase();
+      if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+        throw awsError('ValidationException', `Invalid update expression "${this.expression}"`);
+      }
+
+      actions.push(this.parseUpdateAction(clause));
+      while (this.peek() === ',') {
+        this.next();
+        actions.push(this.parseUpdateAction(clause));
+      }
+    }
+
+    return actions;
+  }
+
+  parseUpdateAction(clause) {
+    const path = this.parsePath();
+
+    if (clause === 'SET') {
+      this.expect('=');
+      return { type: 'SET', path, value: this.parseSetValue() };
+    }
+    if (clause === 'REMOVE') {
+      return { type: 'REMOVE', path };
+    }
+    return { type: clause, path, value: this.parseOperand() };
+  }
+
+  parseSetValue() {
+    const left = this.parseSetOperand();
+
+    if (this.peek() === '+' || this.peek() === '-') {
+      const operator = this.next();
+      const right = this.parseSetOperand();
+      return item => {
+        const a = left(item);
+        const b = right(item);
+        if (typeof a !== 'number' || typeof b !== 'number') {
+          throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+        }
+        return operator === '+' ? a + b : a - b;
+      };
+    }
+
+    return left;
+  }
+
+  parseSetOperand() {
+    if (this.peek() === 'if_not_exists' && this.peek(1) === '(') {
+      this.next();
+      this.expect('(');
+      const path = this.parsePath();
+      this.expect(',');
+      const fallback = this.parseSetOperand();
+      this.expect(')');
+      return item => {
+        const value = getPath(item, path);
+        return value === undefined ? fallback(item) : value;
+      };
+    }
+
+    if (this.peek() === 'list_append' && this.peek(1) === '(') {
+      this.next();
+      this.expect('(');
+      const first = this.parseSetOperand();
+      this.expect(',');
+      const second = this.parseSetOperand();
+      this.expect(')');
+      return item => [...(first(item) || []), ...(second(item) || [])];
+    }
+
+    return this.parseOperand();
+  }
+}
+
+/**
+ * Compile a condition, key condition or filter expression
+ * @param {string} expression - Expression
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - ExpressionAttributeValues
+ * @returns {Function} - (item) => boolean
+ */
+function compileCondition(expression, names, values) {
+  const parser = new Parser(expression, names, values);
+  const condition = parser.parseCondition();
+  parser.done();
+  return item => condition(item || {});
+}
+
+/**
+ * Apply an update expression to an item
+ * Right-hand sides are evaluated against the item as it was before the update
+ * @param {Object} item - Current item (not modified)
+ * @param {string} expression - UpdateExpression
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - ExpressionAttributeValues
+ * @returns {Object} - Updated copy of the item
+ */
+function applyUpdate(item, expression, names, values) {
+  const actions = new Parser(expression, names, values).parseUpdate();
+  const resolved = actions.map(action => ({
+    ...action,
+    resolvedValue: action.value ? action.value(item) : undefined
+  }));
+  const updated = structuredClone(item);
+
+  resolved.forEach(action => {
+    const current = getPath(updated, action.path);
+
+    switch (action.type) {
+      case 'SET':
+        setPath(updated, action.path, structuredClone(action.resolvedValue));
+        break;
+      case 'REMOVE':
+        removePath(updated, action.path);
+        break;
+      case 'ADD':
+        if (typeof action.resolvedValue === 'number') {
+          if (current !== undefined && typeof current !== 'number') {
+            throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+          }
+          setPath(updated, action.path, (current || 0) + action.resolvedValue);
+        } else if (Array.isArray(action.resolvedValue)) {
+          const merged = [...(current || [])];
+          action.resolvedValue.forEach(element => {
+            if (!merged.some(existing => isEqual(existing, element))) merged.push(element);
+          });
+          setPath(updated, action.path, merged);
+        } else {
+          throw awsError('ValidationException', 'ADD only supports numbers and sets');
+        }
+        break;
+      default: // DELETE
+        if (Array.isArray(current) && Array.isArray(action.resolvedValue)) {
+          const remaining = current.filter(element => !action.resolvedValue.some(value => isEqual(value, element)));
+          if (remaining.length > 0) {
+            setPath(updated, action.path, remaining);
+          } else {
+            removePath(updated, action.path);
+          }
+        }
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Apply a projection expression to an item
+ * @param {Object} item - Item
+ * @param {string} expression - ProjectionExpression
+ * @param {Object} names - ExpressionAttributeNames
+ * @returns {Object} - Item with only the projected attributes
+ */
+function project(item, expression, names) {
+  const parser = new Parser(expression, names, {});
+  const paths = [parser.parsePath()];
+  while (parser.peek() === ',') {
+    parser.next();
+    paths.push(parser.parsePath());
+  }
+  parser.done();
+
+  const projected = {};
+  paths.forEach(path => {
+    const value = getPath(item, path);
+    if (value === undefined) return;
+
+    let target = projected;
+    path.slice(0, -1).forEach((segment, index) => {
+      if (target[segment] === undefined) {
+        target[segment] = typeof path[index + 1] === 'number' ? [] : {};
+      }
+      target = target[segment];
+    });
+    target[path[path.length - 1]] = structuredClone(value);
+  });
+
+  return projected;
+}
+
+/**
+ * Read a document path
+ */
+function getPath(item, path) {
+  let value = item;
+  for (const segment of path) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Write a document path; the parent must exist, as in DynamoDB
+ */
+function setPath(item, path, value) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent === null || typeof parent !== 'object') {
+    throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update');
+  }
+  parent[path[path.length - 1]] = value;
+}
+
+/**
+ * Remove a document path if it exists
+ */
+function removePath(item, path) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent === null || typeof parent !== 'object') return;
+
+  if (Array.isArray(parent)) {
+    parent.splice(path[path.length - 1], 1);
+  } else {
+    delete parent[path[path.length - 1]];
+  }
+}
+
+/**
+ * DynamoDB type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'NULL';
+  if (Array.isArray(value)) return 'L';
+  switch (typeof value) {
+    case 'string': return 'S';
+    case 'number': return 'N';
+    case 'boolean': return 'BOOL';
+    case 'object': return 'M';
+    default: return undefined;
+  }
+}
+
+/**
+ * Order two scalar values of the same type; values of different types do not compare
+ */
+function compare(a, b) {
+  if (a === undefined || b === undefined || typeof a !== typeof b || typeof a === 'object') {
+    return NaN;
+  }
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+/**
+ * Deep equality of attribute values
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+
+  return keys.every(key => isEqual(a[key], b[key]));
+}
+
+module.exports = {
+  awsError,
+  compileCondition,
+  applyUpdate,
+  project,
+  compare
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const { createKeyProvider, seal, open, FIELD_ENCRYPTION_PROVIDER } = require('./key-provider');
+
+// Settings from environment variables
+const DATA_KEY_REUSE_SECONDS = parseInt(process.env.FIELD_ENCRYPTION_DATA_KEY_REUSE_SECONDS) || 300;
+
+// Attributes of leads and submissions stored encrypted, as paths from the item root
+const ENCRYPTED_FIELDS = [
+  'contact.email',
+  'contact.name',
+  'contact.lastname',
+  'contact.phone',
+  'metadata.ipAddress',
+  'metadata.referrer',
+  'consent.ipAddress',
+  'page.referrer',
+  'attribution.firstTouch.referrer',
+  'attribution.lastTouch.referrer',
+  'confirmedIp'
+];
+
+// Attribute holding the email blind index (hash key of the leads table's email-index)
+const BLIND_INDEX_ATTRIBUTE = 'email';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const BLIND_INDEX_PREFIX = 'bidx:';
+
+// Unwrapped data keys kept per process
+const MAX_CACHED_DATA_KEYS = 1000;
+
+/**
+ * Envelope encryption of personal data in lead and submission items
+ * Each write encrypts the ENCRYPTED_FIELDS with AES-256-GCM under a data key that the key provider
+ * wraps (see key-provider.js); the wrapped key and its wrapping key ID are stored with every value.
+ * Email addresses are looked up through a keyed-hash blind index instead of the plaintext.
+ * Without a key provider items are stored and returned as they are.
+ */
+class FieldEncryptionService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object|null} options.keyProvider - Key provider; defaults to FIELD_ENCRYPTION_PROVIDER, null turns encryption off
+   * @param {number} options.dataKeyReuseSeconds - How long one data key is used for new writes
+   */
+  constructor(options = {}) {
+    this.keyProvider = options.keyProvider !== undefined ? options.keyProvider : createKeyProvider(FIELD_ENCRYPTION_PROVIDER);
+    this.dataKeyReuseSeconds = options.dataKeyReuseSeconds || DATA_KEY_REUSE_SECONDS;
+    this.activeDataKey = null;
+    this.dataKeys = new Map();
+  }
+
+  get enabled() {
+    return !!this.keyProvider;
+  }
+
+  /**
+   * Encrypt the personal fields of an item and replace its email with the blind index
+   * Also used for partial items such as update data; fields that are absent are skipped.
+   * @param {Object} item - Lead or submission item (not modified)
+   * @returns {Promise<Object>} - Item to store
+   */
+  async encryptItem(item) {
+    if (!this.enabled) {
+      return item;
+    }
+
+    const encrypted = cloneFieldPaths(item);
+    const dataKey = await this.getActiveDataKey();
+
+    for (const field of ENCRYPTED_FIELDS) {
+      const parent = getParent(encrypted, field);
+      const name = lastSegment(field);
+      if (parent && parent[name] !== undefined && parent[name] !== null && !isEncrypted(parent[name])) {
+        parent[name] = encryptValue(dataKey, field, parent[name]);
+      }
+    }
+
+    const email = encrypted[BLIND_INDEX_ATTRIBUTE];
+    if (typeof email === 'string' && !email.startsWith(BLIND_INDEX_PREFIX)) {
+      encrypted[BLIND_INDEX_ATTRIBUTE] = await this.blindIndex(email);
+    }
+
+    return encrypted;
+  }
+
+  /**
+   * Decrypt the personal fields of a stored item
+   * The email attribute is given back as the lowercased contact email, as it was stored before encryption.
+   * Values stored before encryption was turned on are returned as they are.
+   * @param {Object} item - Stored item (not modified)
+   * @returns {Promise<Object>} - Item with plaintext fields
+   */
+  async decryptItem(item) {
+    if (!item || !hasEncryptedValues(item)) {
+      return item;
+    }
+    if (!this.enabled) {
+      throw new Error('Item has encrypted fields but FIELD_ENCRYPTION_PROVIDER is none');
+    }
+
+    const decrypted = cloneFieldPaths(item);
+
+    for (const field of ENCRYPTED_FIELDS) {
+      const parent = getParent(decrypted, field);
+      const name = lastSegment(field);
+      if (parent && isEncrypted(parent[name])) {
+        parent[name] = await this.decryptField(field, parent[name]);
+      }
+    }
+
+    const email = decrypted[BLIND_INDEX_ATTRIBUTE];
+    if (typeof email === 'string' && email.startsWith(BLIND_INDEX_PREFIX) && typeof decrypted.contact?.email === 'string') {
+      decrypted[BLIND_INDEX_ATTRIBUTE] = decrypted.contact.email.toLowerCase();
+    }
+
+    return decrypted;
+  }
+
+  /**
+   * Decrypt a list of items
+   * @param {Array<Object>} items - Stored items
+   * @returns {Promise<Array<Object>>}
+   */
+  async decryptItems(items) {
+    const decrypted = [];
+    for (const item of items) {
+      decrypted.push(await this.decryptItem(item));
+    }
+    return decrypted;
+  }
+
+  /**
+   * Encrypt one value outside an item (an update expression value)
+   * @param {string} field - Field path, one of ENCRYPTED_FIELDS
+   * @param {*} value - Plaintext value
+   * @returns {Promise<*>} - Encrypted value, or the value itself when encryption is off
+   */
+  async encryptField(field, value) {
+    if (!this.enabled || value === undefined || value === null) {
+      return value;
+    }
+
+    return encryptValue(await this.getActiveDataKey(), field, value);
+  }
+
+  /**
+   * Decrypt one value outside an item
+   * @param {string} field - Field path the value was encrypted for
+   * @param {*} value - Stored value; anything that is not encrypted is returned as it is
+   * @returns {Promise<*>} - Plaintext value
+   */
+  async decryptField(field, value) {
+    if (!isEncrypted(value)) {
+      return value;
+    }
+    if (!this.enabled) {
+      throw new Error('Value is encrypted but FIELD_ENCRYPTION_PROVIDER is none');
+    }
+
+    const { keyId, encryptedKey, sealed } = parseEncrypted(value);
+
+    let key = this.dataKeys.get(encryptedKey);
+    if (!key) {
+      key = await this.keyProvider.decryptDataKey(keyId, encryptedKey);
+      this.cacheDataKey(encryptedKey, key);
+    }
+
+    return JSON.parse(open(key, Buffer.from(sealed, 'base64url'), field).toString('utf8'));
+  }
+
+  /**
+   * Blind index of an email address under the newest blind index key
+   * @param {string} email - Email address
+   * @returns {Promise<string>} - "bidx:<keyId>:<hex HMAC-SHA256 of the normalized address>"
+   */
+  async blindIndex(email) {
+    const [key] = await this.keyProvider.getBlindIndexKeys();
+    return computeBlindIndex(key, email);
+  }
+
+  /**
+   * Values to look an email address up by on email-index: the blind index under every key,
+   * newest first, and the plaintext address for items written before encryption was turned on
+   * @param {string} email - Email address
+   * @returns {Promise<Array<string>>}
+   */
+  async emailLookupValues(email) {
+    const normalized = email.trim().toLowerCase();
+    if (!this.enabled) {
+      return [normalized];
+    }
+
+    const keys = await this.keyProvider.getBlindIndexKeys();
+    return [...keys.map(key => computeBlindIndex(key, normalized)), normalized];
+  }
+
+  /**
+   * Whether an item has personal fields in plaintext, under an older wrapping key
+   * or an email blind index under an older blind index key
+   * @param {Object} item - Stored item
+   * @returns {Promise<boolean>}
+   */
+  async needsReencryption(item) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const stale = ENCRYPTED_FIELDS.some(field => {
+      const parent = getParent(item, field);
+      return parent ? this.needsFieldReencryption(parent[lastSegment(field)]) : false;
+    });
+    if (stale) {
+      return true;
+    }
+
+    const email = item[BLIND_INDEX_ATTRIBUTE];
+    if (typeof email !== 'string') {
+      return false;
+    }
+    const [key] = await this.keyProvider.getBlindIndexKeys();
+    return !email.startsWith(`${BLIND_INDEX_PREFIX}${key.id}:`);
+  }
+
+  /**
+   * Whether one value is in plaintext or under an older wrapping key
+   * @param {*} value - Stored value; absent values need nothing
+   * @returns {boolean}
+   */
+  needsFieldReencryption(value) {
+    if (!this.enabled || value === undefined || value === null) {
+      return false;
+    }
+
+    return !isEncrypted(value) || parseEncrypted(value).keyId !== this.keyProvider.activeKeyId;
+  }
+
+  /**
+   * Current data key for new writes, replaced after dataKeyReuseSeconds
+   * @private
+   */
+  async getActiveDataKey() {
+    if (!this.activeDataKey || this.activeDataKey.expiresAt <= Date.now()) {
+      const dataKey = await this.keyProvider.generateDataKey();
+      this.activeDataKey = { ...dataKey, expiresAt: Date.now() + this.dataKeyReuseSeconds * 1000 };
+      this.cacheDataKey(dataKey.encryptedKey, dataKey.key);
+    }
+
+    return this.activeDataKey;
+  }
+
+  /**
+   * Keep an unwrapped data key, so reading a page of items unwraps each key once
+   * @private
+   */
+  cacheDataKey(encryptedKey, key) {
+    if (this.dataKeys.size >= MAX_CACHED_DATA_KEYS) {
+      this.dataKeys.clear();
+    }
+    this.dataKeys.set(encryptedKey, key);
+  }
+}
+
+/**
+ * Whether a value is an encrypted field value
+ * @param {*} value - Attribute value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt a value as "enc:v1:<keyId>:<wrapped data key>:<iv | tag | ciphertext>" (base64url parts)
+ * The field path is authenticated with the value, so ciphertexts can't be moved between fields.
+ * @private
+ */
+function encryptValue(dataKey, field, value) {
+  const sealed = seal(dataKey.key, Buffer.from(JSON.stringify(value), 'utf8'), field);
+
+  return ENCRYPTED_PREFIX + [
+    Buffer.from(dataKey.keyId).toString('base64url'),
+    Buffer.from(dataKey.encryptedKey, 'base64').toString('base64url'),
+    sealed.toString('base64url')
+  ].join(':');
+}
+
+/**
+ * Split an encrypted value into its parts
+ * @private
+ */
+function parseEncrypted(value) {
+  const [keyId, encryptedKey, sealed] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  if (!keyId || !encryptedKey || !sealed) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  return {
+    keyId: Buffer.from(keyId, 'base64url').toString(),
+    encryptedKey: Buffer.from(encryptedKey, 'base64url').toString('base64'),
+    sealed
+  };
+}
+
+/**
+ * HMAC-SHA256 blind index of a normalized email address
+ * @private
+ */
+function computeBlindIndex(key, email) {
+  const digest = crypto.createHmac('sha256', key.key).update(email.trim().toLowerCase()).digest('hex');
+  return `${BLIND_INDEX_PREFIX}${key.id}:${digest}`;
+}
+
+/**
+ * Whether any encrypted field or the blind index is present
+ * @private
+ */
+function hasEncryptedValues(item) {
+  if (typeof item[BLIND_INDEX_ATTRIBUTE] === 'string' && item[BLIND_INDEX_ATTRIBUTE].startsWith(BLIND_INDEX_PREFIX)) {
+    return true;
+  }
+
+  return ENCRYPTED_FIELDS.some(field => {
+    const parent = getParent(item, field);
+    return parent ? isEncrypted(parent[lastSegment(field)]) : false;
+  });
+}
+
+/**
+ * Copy an item along the encrypted field paths, so they can be replaced without touching the original
+ * @private
+ */
+function cloneFieldPaths(item) {
+  const copy = { ...item };
+
+  ENCRYPTED_FIELDS.forEach(field => {
+    let source = item;
+    let target = copy;
+    for (const segment of field.split('.').slice(0, -1)) {
+      if (!source[segment] || typeof source[segment] !== 'object') {
+        return;
+      }
+      if (target[segment] === source[segment]) {
+        target[segment] = { ...source[segment] };
+      }
+      source = source[segment];
+      target = target[segment];
+    }
+  });
+
+  return copy;
+}
+
+/**
+ * Object holding the last segment of a path, or null
+ * @private
+ */
+function getParent(item, field) {
+  let current = item;
+  for (const segment of field.split('.').slice(0, -1)) {
+    current = current[segment];
+    if (!current || typeof current !== 'object') {
+      return null;
+    }
+  }
+  return current;
+}
+
+/**
+ * @private
+ */
+function lastSegment(field) {
+  return field.slice(field.lastIndexOf('.') + 1);
+}
+
+// Export singleton instance
+module.exports = new FieldEncryptionService();
+module.exports.FieldEncryptionService = FieldEncryptionService;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+module.exports.isEncrypted = isEncrypted;
@@ -0,0 +1,42 @@
+/**
+ * Request header lookup
+ * API Gateway passes headers as the client sent them, so `Origin`, `origin` and `ORIGIN` all occur
+ * (HTTP/2 clients and some proxies lowercase them, browsers over HTTP/1.1 and the dev server do not).
+ * Requests without any headers arrive with `headers: null`.
+ */
+
+/**
+ * Read a header regardless of its case
+ * @param {Object} headers - Event headers (may be null)
+ * @param {string} name - Header name, in any case
+ * @returns {string|undefined} - Header value, or undefined when it is absent
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (headers[name] !== undefined) {
+    return headers[name];
+  }
+
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === lowerName);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Client IP address of an API Gateway request
+ * @param {Object} event - API Gateway event
+ * @returns {string}
+ */
+function getClientIP(event) {
+  return event.requestContext?.identity?.sourceIp ||
+         getHeader(event.headers, 'X-Forwarded-For')?.split(',')[0]?.trim() ||
+         getHeader(event.headers, 'X-Real-IP') ||
+         'unknown';
+}
+
+module.exports = {
+  getHeader,
+  getClientIP
+};
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const { SCOPES } = require('./api-keys');
+
+// JWT settings from environment variables
+const JWT_ISSUER = process.env.JWT_ISSUER || '';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || '';
+const JWT_JWKS_URL = process.env.JWT_JWKS_URL || '';
+const JWT_JWKS_FILE = process.env.JWT_JWKS_FILE || '';
+const JWT_SCOPE_CLAIM = process.env.JWT_SCOPE_CLAIM || 'scope'; // Dotted path, e.g. realm_access.roles
+const JWT_SCOPE_MAP = process.env.JWT_SCOPE_MAP || ''; // JSON: { "lead-admins": ["leads:read"] }
+const JWT_NAME_CLAIM = process.env.JWT_NAME_CLAIM || 'email';
+const JWT_CLOCK_TOLERANCE_SECONDS = parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS) || 60;
+const JWT_JWKS_CACHE_SECONDS = parseInt(process.env.JWT_JWKS_CACHE_SECONDS) || 3600;
+
+// Unknown key IDs trigger a JWKS reload, at most this often
+const JWKS_MIN_REFRESH_SECONDS = 60;
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+
+// Accepted signature algorithms; symmetric (HS*) and unsigned tokens are rejected
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', pss: true },
+  PS384: { hash: 'sha384', kty: 'RSA', pss: true },
+  PS512: { hash: 'sha512', kty: 'RSA', pss: true },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' },
+  ES512: { hash: 'sha512', kty: 'EC' }
+};
+
+/**
+ * Parse JWT_SCOPE_MAP, which grants scopes for other claim values (groups, roles)
+ * @param {string} value - JSON object of claim value → scopes
+ * @returns {Object}
+ */
+function parseScopeMap(value) {
+  if (!value) {
+    return {};
+  }
+
+  let scopeMap;
+  try {
+    scopeMap = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JWT_SCOPE_MAP: ${error.message}`);
+  }
+
+  if (!scopeMap || typeof scopeMap !== 'object' || Array.isArray(scopeMap)) {
+    throw new Error('Invalid JWT_SCOPE_MAP: expected an object of claim value → scopes');
+  }
+
+  const knownScopes = Object.values(SCOPES);
+  for (const [claimValue, scopes] of Object.entries(scopeMap)) {
+    if (!Array.isArray(scopes) || !scopes.every(scope => knownScopes.includes(scope))) {
+      throw new Error(`Invalid JWT_SCOPE_MAP: "${claimValue}" must map to a list of: ${knownScopes.join(', ')}`);
+    }
+  }
+
+  return scopeMap;
+}
+
+/**
+ * Bearer token authentication for staff signed in through an OIDC provider
+ * Tokens are verified against the provider's JWKS (from a URL or a local file) and must carry
+ * the configured issuer and audience. Scopes come from a claim whose values are either scope
+ * names themselves or mapped to scopes through JWT_SCOPE_MAP.
+ */
+class JwtAuthService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.issuer - Required `iss`
+   * @param {string} options.audience - Required `aud` (or one of them)
+   * @param {string} options.jwksUrl - https URL of the JWKS
+   * @param {string} options.jwksFile - Local JWKS file (takes precedence over jwksUrl)
+   * @param {string} options.scopeClaim - Claim holding scopes, groups or roles
+   * @param {Object} options.scopeMap - Claim value → scopes
+   * @param {string} options.nameClaim - Claim recorded as the caller's name
+   * @param {number} options.clockToleranceSeconds - Allowed clock skew for exp and nbf
+   * @param {number} options.jwksCacheSeconds - How long a loaded JWKS is used
+   */
+  constructor(options = {}) {
+    this.issuer = options.issuer !== undefined ? options.issuer : JWT_ISSUER;
+    this.audience = options.audience !== undefined ? options.audience : JWT_AUDIENCE;
+    this.jwksUrl = options.jwksUrl !== undefined ? options.jwksUrl : JWT_JWKS_URL;
+    this.jwksFile = options.jwksFile !== undefined ? options.jwksFile : JWT_JWKS_FILE;
+    this.scopeClaim = options.scopeClaim || JWT_SCOPE_CLAIM;
+    this.scopeMap = options.scopeMap || parseScopeMap(JWT_SCOPE_MAP);
+    this.nameClaim = options.nameClaim || JWT_NAME_CLAIM;
+    this.clockToleranceSeconds = options.clockToleranceSeconds !== undefined
+      ? options.clockToleranceSeconds
+      : JWT_CLOCK_TOLERANCE_SECONDS;
+    this.jwksCacheSeconds = options.jwksCacheSeconds || JWT_JWKS_CACHE_SECONDS;
+
+    const configured = [this.issuer, this.audience, this.jwksUrl || this.jwksFile].filter(Boolean).length;
+    if (configured > 0 && configured < 3) {
+      throw new Error('Invalid JWT configuration: JWT_ISSUER, JWT_AUDIENCE and JWT_JWKS_URL or JWT_JWKS_FILE must all be set');
+    }
+    if (this.jwksUrl && !this.jwksFile && !this.jwksUrl.startsWith('https://')) {
+      throw new Error('Invalid JWT_JWKS_URL: must be an https URL');
+    }
+
+    this.enabled = configured === 3;
+    this.keys = null;
+    this.keysLoadedAt = 0;
+  }
+
+  /**
+   * Verify a bearer token and the scope the route needs
+   * @param {string} token - Token from the Authorization header
+   * @param {string} requiredScope - Scope the route needs (null: any valid token)
+   * @returns {Promise<Object>} - { isValid, principal, scopes } or { isValid: false, statusCode, code, error }
+   */
+  async authenticate(token, requiredScope = null) {
+    if (!this.enabled) {
+      return unauthorized('Bearer tokens are not accepted; use the X-Api-Key header');
+    }
+
+    let claims;
+    try {
+      claims = await this.verify(token);
+    } catch (error) {
+      if (error.message === 'Token keys could not be loaded') {
+        return { isValid: false, statusCode: 503, code: 'AUTH_UNAVAILABLE', error: error.message };
+      }
+      return unauthorized(error.message);
+    }
+
+    const scopes = this.getScopes(claims);
+    if (requiredScope && !scopes.includes(requiredScope)) {
+      return {
+        isValid: false,
+        statusCode: 403,
+        code: 'FORBIDDEN',
+        error: `Token lacks the ${requiredScope} scope`
+      };
+    }
+
+    return {
+      isValid: true,
+      scopes,
+      principal: {
+        type: 'jwt',
+        id: claims.sub,
+        name: typeof claims[this.nameClaim] === 'string' ? claims[this.nameClaim] : null,
+        issuer: claims.iss
+      }
+    };
+  }
+
+  /**
+   * Check a token's signature and registered claims
+   * @param {string} token - Compact JWS
+   * @returns {Promise<Object>} - The token's claims
+   */
+  async verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new Error('Invalid token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid token');
+    }
+
+    if (!header || !claims || typeof claims !== 'object') {
+      throw new Error('Invalid token');
+    }
+
+    const algorithm = Object.prototype.hasOwnProperty.call(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+    if (!algorithm) {
+      throw new Error(`Token algorithm ${String(header.alg).slice(0, 10)} is not accepted`);
+    }
+
+    const key = await this.findKey(header);
+    if (!key) {
+      throw new Error('Token signing key is not known');
+    }
+
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    const verifyKey = algorithm.kty === 'EC'
+      ? { key: key.publicKey, dsaEncoding: 'ieee-p1363' }
+      : algorithm.pss
+        ? { key: key.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+        : key.publicKey;
+
+    let valid = false;
+    try {
+      valid = crypto.verify(algorithm.hash, signed, verifyKey, signature);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error('Token signature is invalid');
+    }
+
+    this.checkClaims(claims);
+    return claims;
+  }
+
+  /**
+   * Check iss, aud, exp, nbf and sub
+   * @private
+   */
+  checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== this.issuer) {
+      throw new Error('Token issuer is not accepted');
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(this.audience)) {
+      throw new Error('Token audience is not accepted');
+    }
+
+    if (typeof claims.exp !== 'number') {
+      throw new Error('Token has no expiry');
+    }
+    if (claims.exp <= now - this.clockToleranceSeconds) {
+      throw new Error('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now + this.clockToleranceSeconds) {
+      throw new Error('Token is not valid yet');
+    }
+
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+      throw new Error('Token has no subject');
+    }
+  }
+
+  /**
+   * Scopes granted by a token's scope claim
+   * @param {Object} claims - Verified claims
+   * @returns {Array<string>}
+   */
+  getScopes(claims) {
+    const value = this.scopeClaim.split('.').reduce((current, key) => (current == null ? undefined : current[key]), claims);
+    const claimValues = typeof value === 'string'
+      ? value.split(/\s+/).filter(Boolean)
+      : Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+
+    const knownScopes = Object.values(SCOPES);
+    const scopes = new Set();
+    claimValues.forEach(claimValue => {
+      if (knownScopes.includes(claimValue)) {
+        scopes.add(claimValue);
+      }
+      if (Object.prototype.hasOwnProperty.call(this.scopeMap, claimValue)) {
+        this.scopeMap[claimValue].forEach(scope => scopes.add(scope));
+      }
+    });
+
+    return [...scopes];
+  }
+
+  /**
+   * Find the JWKS key for a token header, reloading the JWKS once for an unknown kid
+   * @private
+   */
+  async findKey(header) {
+    const match = keys => keys.find(key =>
+      (!header.kid || key.kid === header.kid) &&
+      key.kty === ALGORITHMS[header.alg].kty &&
+      (!key.alg || key.alg === header.alg) &&
+      (!key.use || key.use === 'sig')
+    );
+
+    const found = match(await this.loadKeys(false));
+    if (found || Date.now() - this.keysLoadedAt < JWKS_MIN_REFRESH_SECONDS * 1000) {
+      return found || null;
+    }
+
+    // The provider may have rotated its signing keys since the JWKS was loaded
+    return match(await this.loadKeys(true)) || null;
+  }
+
+  /**
+   * Load and cache the JWKS as public keys
+   * @private
+   */
+  async loadKeys(forceReload) {
+    if (this.keys && !forceReload && Date.now() - this.keysLoadedAt < this.jwksCacheSeconds * 1000) {
+      return this.keys;
+    }
+
+    let jwks;
+    try {
+      jwks = this.jwksFile
+        ? JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'))
+        : await fetchJson(this.jwksUrl);
+    } catch (error) {
+      console.error('Error loading JWKS:', error.message);
+      if (this.keys) {
+        // Keep using the last good JWKS
+        return this.keys;
+      }
+      throw new Error('Token keys could not be loaded');
+    }
+
+    const keys = (Array.isArray(jwks && jwks.keys) ? jwks.keys : []).map(jwk => {
+      try {
+        return { kid: jwk.kid, kty: jwk.kty, alg: jwk.alg, use: jwk.use, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+      } catch (error) {
+        console.warn(`Skipping JWKS key ${jwk && jwk.kid}: ${error.message}`);
+        return null;
+      }
+    }).filter(Boolean);
+
+    this.keys = keys;
+    this.keysLoadedAt = Date.now();
+    return keys;
+  }
+}
+
+/**
+ * GET a JSON document over https
+ * @private
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { headers: { Accept: 'application/json' }, timeout: JWKS_FETCH_TIMEOUT_MS }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`JWKS request failed with status ${response.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('JWKS request timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * @private
+ */
+function unauthorized(error) {
+  return { isValid: false, statusCode: 401, code: 'UNAUTHORIZED', error };
+}
+
+// Export singleton instance
+module.exports = new JwtAuthService();
+module.exports.JwtAuthService = JwtAuthService;
+module.exports.ALGORITHMS = ALGORITHMS;
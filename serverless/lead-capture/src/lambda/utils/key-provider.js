@@ -0,0 +1,284 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Key settings from environment variables
+const FIELD_ENCRYPTION_PROVIDER = process.env.FIELD_ENCRYPTION_PROVIDER || 'none'; // kms, local or none
+const FIELD_ENCRYPTION_KMS_KEY_ID = process.env.FIELD_ENCRYPTION_KMS_KEY_ID || '';
+const FIELD_ENCRYPTION_BLIND_INDEX_KEYS = process.env.FIELD_ENCRYPTION_BLIND_INDEX_KEYS || ''; // JSON, see KmsKeyProvider
+const FIELD_ENCRYPTION_KEY_FILE = process.env.FIELD_ENCRYPTION_KEY_FILE ||
+  path.join(process.cwd(), 'tmp', 'field-encryption-keys.json');
+
+// Binds KMS ciphertexts to their use, so a data key can't be passed off as a blind index key
+const KMS_CONTEXT = {
+  dataKey: { purpose: 'lead-field-encryption' },
+  blindIndexKey: { purpose: 'lead-blind-index' }
+};
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Key providers for FieldEncryptionService
+ * Every provider generates and unwraps data keys and holds the HMAC keys of the email blind index.
+ * Key lists are ordered newest first: the first key is used for new writes, the others stay
+ * available for reading until scripts/field-encryption.js reencrypt has moved every item over.
+ */
+
+/**
+ * AWS KMS: data keys come from GenerateDataKey under FIELD_ENCRYPTION_KMS_KEY_ID and are unwrapped with Decrypt;
+ * blind index keys are KMS-encrypted in FIELD_ENCRYPTION_BLIND_INDEX_KEYS ([{ "id", "key" }], newest first)
+ */
+class KmsKeyProvider {
+  constructor(options = {}) {
+    this.kms = options.kms || new AWS.KMS({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.keyId = options.keyId !== undefined ? options.keyId : FIELD_ENCRYPTION_KMS_KEY_ID;
+    this.blindIndexKeyConfig = options.blindIndexKeys !== undefined
+      ? options.blindIndexKeys
+      : parseKeyList(FIELD_ENCRYPTION_BLIND_INDEX_KEYS, 'FIELD_ENCRYPTION_BLIND_INDEX_KEYS');
+    this.blindIndexKeys = null;
+  }
+
+  get activeKeyId() {
+    return this.keyId;
+  }
+
+  async generateDataKey() {
+    if (!this.keyId) {
+      throw new Error('FIELD_ENCRYPTION_KMS_KEY_ID is not configured');
+    }
+
+    const result = await this.kms.generateDataKey({
+      KeyId: this.keyId,
+      KeySpec: 'AES_256',
+      EncryptionContext: KMS_CONTEXT.dataKey
+    }).promise();
+
+    return { keyId: this.keyId, key: result.Plaintext, encryptedKey: result.CiphertextBlob.toString('base64') };
+  }
+
+  async decryptDataKey(keyId, encryptedKey) {
+    // Symmetric KMS ciphertexts name their key, so data keys of rotated-out keys still decrypt
+    const result = await this.kms.decrypt({
+      CiphertextBlob: Buffer.from(encryptedKey, 'base64'),
+      EncryptionContext: KMS_CONTEXT.dataKey
+    }).promise();
+
+    return result.Plaintext;
+  }
+
+  async getBlindIndexKeys() {
+    if (!this.blindIndexKeys) {
+      if (this.blindIndexKeyConfig.length === 0) {
+        throw new Error('FIELD_ENCRYPTION_BLIND_INDEX_KEYS is not configured');
+      }
+
+      this.blindIndexKeys = await Promise.all(this.blindIndexKeyConfig.map(async ({ id, key }) => {
+        const result = await this.kms.decrypt({
+          CiphertextBlob: Buffer.from(key, 'base64'),
+          EncryptionContext: KMS_CONTEXT.blindIndexKey
+        }).promise();
+        return { id, key: result.Plaintext };
+      }));
+    }
+
+    return this.blindIndexKeys;
+  }
+
+  /**
+   * Create a blind index key entry for FIELD_ENCRYPTION_BLIND_INDEX_KEYS
+   * @param {string} id - Key ID, e.g. "bi-2"
+   * @returns {Promise<Object>} - { id, key } with the key encrypted under FIELD_ENCRYPTION_KMS_KEY_ID
+   */
+  async createBlindIndexKey(id) {
+    if (!this.keyId) {
+      throw new Error('FIELD_ENCRYPTION_KMS_KEY_ID is not configured');
+    }
+
+    const result = await this.kms.encrypt({
+      KeyId: this.keyId,
+      Plaintext: crypto.randomBytes(KEY_BYTES),
+      EncryptionContext: KMS_CONTEXT.blindIndexKey
+    }).promise();
+
+    return { id, key: result.CiphertextBlob.toString('base64') };
+  }
+}
+
+/**
+ * Local key file for development and tests; never use it in production
+ * The file holds { "wrappingKeys": [{ "id", "key" }], "blindIndexKeys": [{ "id", "key" }] } with base64 keys,
+ * newest first. Data keys are wrapped with AES-256-GCM under the first wrapping key.
+ */
+class LocalKeyProvider {
+  constructor(options = {}) {
+    this.filePath = options.filePath || FIELD_ENCRYPTION_KEY_FILE;
+    this.keys = options.keys || null;
+  }
+
+  get activeKeyId() {
+    return this.load().wrappingKeys[0].id;
+  }
+
+  async generateDataKey() {
+    const wrappingKey = this.load().wrappingKeys[0];
+    const key = crypto.randomBytes(KEY_BYTES);
+
+    return { keyId: wrappingKey.id, key, encryptedKey: seal(wrappingKey.key, key).toString('base64') };
+  }
+
+  async decryptDataKey(keyId, encryptedKey) {
+    const wrappingKey = this.load().wrappingKeys.find(candidate => candidate.id === keyId);
+    if (!wrappingKey) {
+      throw new Error(`Unknown wrapping key: ${keyId}`);
+    }
+
+    return open(wrappingKey.key, Buffer.from(encryptedKey, 'base64'));
+  }
+
+  async getBlindIndexKeys() {
+    return this.load().blindIndexKeys;
+  }
+
+  /**
+   * Read the key file once
+   * @private
+   */
+  load() {
+    if (!this.keys) {
+      let content;
+      try {
+        content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read key file ${this.filePath}: ${error.message}`);
+      }
+
+      this.keys = {
+        wrappingKeys: parseKeyList(content.wrappingKeys, 'wrappingKeys').map(decodeKey),
+        blindIndexKeys: parseKeyList(content.blindIndexKeys, 'blindIndexKeys').map(decodeKey)
+      };
+      if (this.keys.wrappingKeys.length === 0 || this.keys.blindIndexKeys.length === 0) {
+        throw new Error(`Key file ${this.filePath} needs at least one wrapping key and one blind index key`);
+      }
+    }
+
+    return this.keys;
+  }
+}
+
+/**
+ * Create the key provider selected by FIELD_ENCRYPTION_PROVIDER
+ * @param {string} name - kms, local or none
+ * @returns {Object|null} - Provider, or null when field encryption is off
+ */
+function createKeyProvider(name) {
+  switch (name) {
+    case 'kms':
+      return new KmsKeyProvider();
+    case 'local':
+      return new LocalKeyProvider();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown field encryption provider: ${name}`);
+  }
+}
+
+/**
+ * Add a new wrapping key and blind index key to the front of a local key file, creating it if needed
+ * @param {string} filePath - Key file
+ * @returns {Object} - { wrappingKeyId, blindIndexKeyId } of the new keys
+ */
+function rotateLocalKeyFile(filePath) {
+  const content = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : { wrappingKeys: [], blindIndexKeys: [] };
+  const version = Math.max(content.wrappingKeys.length, content.blindIndexKeys.length) + 1;
+  const wrappingKey = { id: `local-${version}`, key: crypto.randomBytes(KEY_BYTES).toString('base64') };
+  const blindIndexKey = { id: `bi-${version}`, key: crypto.randomBytes(KEY_BYTES).toString('base64') };
+
+  content.wrappingKeys.unshift(wrappingKey);
+  content.blindIndexKeys.unshift(blindIndexKey);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2) + '\n', { mode: 0o600 });
+
+  return { wrappingKeyId: wrappingKey.id, blindIndexKeyId: blindIndexKey.id };
+}
+
+/**
+ * Check a [{ id, key }] key list
+ * @private
+ */
+function parseKeyList(value, name) {
+  let keys = value || [];
+  if (typeof keys === 'string') {
+    try {
+      keys = JSON.parse(keys);
+    } catch (error) {
+      throw new Error(`${name} must be a JSON array of { id, key }`);
+    }
+  }
+
+  if (!Array.isArray(keys) || keys.some(entry => !entry || typeof entry.id !== 'string' || typeof entry.key !== 'string')) {
+    throw new Error(`${name} must be a JSON array of { id, key }`);
+  }
+
+  return keys;
+}
+
+/**
+ * Decode a base64 key of a local key file
+ * @private
+ */
+function decodeKey({ id, key }) {
+  const bytes = Buffer.from(key, 'base64');
+  if (bytes.length !== KEY_BYTES) {
+    throw new Error(`Key ${id} must be ${KEY_BYTES} bytes`);
+  }
+  return { id, key: bytes };
+}
+
+/**
+ * AES-256-GCM encrypt, returning iv | tag | ciphertext
+ * @private
+ */
+function seal(key, plaintext, aad = null) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad));
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * AES-256-GCM decrypt of iv | tag | ciphertext
+ * @private
+ */
+function open(key, sealed, aad = null) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad));
+  }
+
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+module.exports = {
+  KmsKeyProvider,
+  LocalKeyProvider,
+  createKeyProvider,
+  rotateLocalKeyFile,
+  seal,
+  open,
+  FIELD_ENCRYPTION_PROVIDER,
+  FIELD_ENCRYPTION_KEY_FILE
+};
@@ -0,0 +1,497 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { LEADS_TTL_ATTRIBUTE } = require('./database');
+const schema = require('../../shared/lead-schema');
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Most leads a batch request may name
+const MAX_BATCH_ITEMS = 100;
+
+// Sections of a lead an admin update may change
+const UPDATABLE_SECTIONS = ['contact', 'customFields'];
+
+// The email is the contact's identity (its leadId is derived from it), so it is never edited
+const IMMUTABLE_FIELDS = ['email'];
+
+// Where a lead stands in the sales process; leads stored before statuses existed count as new
+const LEAD_STATUS = {
+  NEW: 'new',
+  CONTACTED: 'contacted',
+  QUALIFIED: 'qualified',
+  DISQUALIFIED: 'disqualified',
+  CONVERTED: 'converted'
+};
+
+// Status changes kept on a lead, most recent last
+const MAX_STATUS_HISTORY = 50;
+
+// Tags are lowercased, so filters match regardless of case
+const MAX_TAGS = 50;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _.:-]{0,49}$/;
+
+// Notes are stored on the lead item, which DynamoDB limits to 400 KB
+const MAX_NOTES = 100;
+const MAX_NOTE_LENGTH = 2000;
+
+// Outcome of each item in a batch request
+const ITEM_STATUS = {
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  NOT_FOUND: 'not_found',
+  INVALID: 'invalid',
+  FAILED: 'failed'
+};
+
+/**
+ * Admin changes to stored leads: field updates and deletion, one at a time or in batches,
+ * and the sales workflow (lifecycle status, tags and internal notes)
+ * Updates go through the same field rules as form submissions. Single-lead changes are guarded by
+ * the lead's version and retried; batches use DynamoDB batch writes and report every item.
+ */
+class LeadAdminService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+  }
+
+  /**
+   * Apply validated changes to one lead
+   * @param {string} leadId - Lead to update
+   * @param {Object} changes - Output of validateLeadChanges
+   * @param {Object} options - Update options
+   * @param {Object} options.editedBy - Authenticated caller ({ type, id, name })
+   * @returns {Promise<Object>} - The updated lead
+   */
+  async updateLead(leadId, changes, options = {}) {
+    return this._modifyLead(leadId, existing => applyChanges(existing, changes, options.editedBy));
+  }
+
+  /**
+   * Move a lead to another lifecycle status
+   * @param {string} leadId - Lead to update
+   * @param {string} status - One of LEAD_STATUS
+   * @param {Object} options - Update options
+   * @param {Object} options.changedBy - Authenticated caller ({ type, id, name })
+   * @returns {Promise<Object>} - The updated lead (unchanged when it already has the status)
+   */
+  async changeStatus(leadId, status, options = {}) {
+    return this._modifyLead(leadId, existing => {
+      const previousStatus = existing.status || LEAD_STATUS.NEW;
+      if (previousStatus === status) {
+        return null;
+      }
+
+      const change = {
+        status,
+        previousStatus,
+        changedAt: new Date().toISOString(),
+        changedBy: options.changedBy || null
+      };
+
+      return {
+        ...existing,
+        status,
+        statusChangedAt: change.changedAt,
+        statusChangedBy: change.changedBy,
+        statusHistory: [...(existing.statusHistory || []), change].slice(-MAX_STATUS_HISTORY)
+      };
+    });
+  }
+
+  /**
+   * Add and remove tags on a lead
+   * @param {string} leadId - Lead to update
+   * @param {Object} changes - Output of validateTagChanges ({ add, remove })
+   * @returns {Promise<Object>} - The updated lead
+   */
+  async updateTags(leadId, changes) {
+    return this._modifyLead(leadId, existing => {
+      const current = existing.tags || [];
+      const tags = [...new Set([...current, ...changes.add])].filter(tag => !changes.remove.includes(tag));
+
+      if (tags.length > MAX_TAGS) {
+        throw new Error('Lead has too many tags');
+      }
+      if (tags.length === current.length && tags.every((tag, index) => tag === current[index])) {
+        return null;
+      }
+
+      return { ...existing, tags };
+    });
+  }
+
+  /**
+   * Add an internal note to a lead
+   * @param {string} leadId - Lead to annotate
+   * @param {string} text - Output of validateNote
+   * @param {Object} options - Note options
+   * @param {Object} options.author - Authenticated caller ({ type, id, name })
+   * @returns {Promise<Object>} - The stored note ({ noteId, text, author, createdAt })
+   */
+  async addNote(leadId, text, options = {}) {
+    const note = {
+      noteId: uuidv4(),
+      text,
+      author: options.author || null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this._modifyLead(leadId, existing => {
+      const notes = existing.notes || [];
+      if (notes.length >= MAX_NOTES) {
+        throw new Error('Lead has too many notes');
+      }
+
+      return { ...existing, notes: [...notes, note] };
+    });
+
+    return note;
+  }
+
+  /**
+   * Remove a note from a lead
+   * @param {string} leadId - Lead the note belongs to
+   * @param {string} noteId - Note to remove
+   * @returns {Promise<Object>} - The removed note
+   */
+  async deleteNote(leadId, noteId) {
+    let removed = null;
+
+    await this._modifyLead(leadId, existing => {
+      const notes = existing.notes || [];
+      removed = notes.find(note => note.noteId === noteId);
+      if (!removed) {
+        throw new Error('Note not found');
+      }
+
+      return { ...existing, notes: notes.filter(note => note.noteId !== noteId) };
+    });
+
+    return removed;
+  }
+
+  /**
+   * Delete one lead and its submission history
+   * @param {string} leadId - Lead to delete
+   * @returns {Promise<Object>} - { leadId, submissionsDeleted }
+   */
+  async deleteLead(leadId) {
+    const existing = await this.database.getLeadById(leadId);
+    if (!existing) {
+      throw new Error('Lead not found');
+    }
+
+    const submissionsDeleted = await this.database.deleteSubmissionsForLead(leadId);
+    await this.database.deleteLead(leadId, existing.timestamp);
+
+    return { leadId, submissionsDeleted };
+  }
+
+  /**
+   * Update several leads with batch writes
+   * @param {Array<Object>} items - { leadId, changes } where changes is validateLeadChanges output,
+   *   or { leadId, error, field } for items that failed validation
+   * @param {Object} options - Update options
+   * @param {Object} options.editedBy - Authenticated caller ({ type, id, name })
+   * @returns {Promise<Array>} - { leadId, status, error?, field? } per item, in request order
+   */
+  async batchUpdate(items, options = {}) {
+    const results = new Map(items.filter(item => item.error).map(item => [item.leadId, {
+      leadId: item.leadId,
+      status: ITEM_STATUS.INVALID,
+      error: item.error,
+      field: item.field || null
+    }]));
+
+    const valid = items.filter(item => !item.error);
+    const existing = new Map((await this.database.getLeadsByIds(valid.map(item => item.leadId)))
+      .map(lead => [lead.leadId, lead]));
+
+    const updated = [];
+    valid.forEach(item => {
+      const lead = existing.get(item.leadId);
+      if (!lead) {
+        results.set(item.leadId, { leadId: item.leadId, status: ITEM_STATUS.NOT_FOUND });
+        return;
+      }
+
+      updated.push(applyChanges(lead, item.changes, options.editedBy));
+    });
+
+    if (updated.length > 0) {
+      const { written, failed } = await this.database.putLeads(updated);
+      written.forEach(leadId => results.set(leadId, { leadId, status: ITEM_STATUS.UPDATED }));
+      failed.forEach(leadId => results.set(leadId, { leadId, status: ITEM_STATUS.FAILED, error: 'Write was not processed; retry this lead' }));
+    }
+
+    return items.map(item => results.get(item.leadId));
+  }
+
+  /**
+   * Delete several leads and their submission histories with batch writes
+   * @param {Array<string>} leadIds - Leads to delete
+   * @returns {Promise<Array>} - { leadId, status, submissionsDeleted?, error? } per lead, in request order
+   */
+  async batchDelete(leadIds) {
+    const found = new Map((await this.database.getLeadsByIds(leadIds)).map(lead => [lead.leadId, lead]));
+    const results = new Map(leadIds.filter(leadId => !found.has(leadId))
+      .map(leadId => [leadId, { leadId, status: ITEM_STATUS.NOT_FOUND }]));
+
+    // Submissions first, so a lead is only removed once its history is gone
+    const deletable = [];
+    for (const [leadId, lead] of found) {
+      try {
+        const submissionsDeleted = await this.database.deleteSubmissionsForLead(leadId);
+        results.set(leadId, { leadId, status: ITEM_STATUS.DELETED, submissionsDeleted });
+        deletable.push({ leadId, timestamp: lead.timestamp });
+      } catch (error) {
+        console.error('Error deleting submissions of lead:', leadId, error);
+        results.set(leadId, { leadId, status: ITEM_STATUS.FAILED, error: 'Submissions could not be deleted; retry this lead' });
+      }
+    }
+
+    if (deletable.length > 0) {
+      const { failed } = await this.database.deleteLeads(deletable);
+      failed.forEach(leadId => results.set(leadId, {
+        ...results.get(leadId),
+        status: ITEM_STATUS.FAILED,
+        error: 'Delete was not processed; retry this lead'
+      }));
+    }
+
+    return leadIds.map(leadId => results.get(leadId));
+  }
+
+  /**
+   * Read, change and write back one lead, retrying when it changes in between
+   * @private
+   * @param {string} leadId - Lead to change
+   * @param {Function} modify - Gets the stored lead, returns the lead to store (or null to leave it as is)
+   * @returns {Promise<Object>} - The stored lead
+   */
+  async _modifyLead(leadId, modify) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const existing = await this.database.getLeadById(leadId);
+      if (!existing) {
+        throw new Error('Lead not found');
+      }
+
+      const updated = modify(existing);
+      if (!updated) {
+        return existing;
+      }
+
+      try {
+        return await this.database.saveContact(updated, {
+          expectedVersion: existing.version,
+          expiresAt: existing[LEADS_TTL_ATTRIBUTE] || null
+        });
+      } catch (error) {
+        if (error.message !== 'Contact was modified concurrently') {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+/**
+ * Validate the changes an admin update asks for, with the submission field rules
+ * Fields set to null or '' are removed; required fields can't be removed.
+ * @param {Object} data - { contact: { ... }, customFields: { ... } }
+ * @returns {Object} - { isValid, data: { contact, customFields, remove } } or { isValid: false, error, field }
+ */
+function validateLeadChanges(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { isValid: false, error: 'Changes must be an object' };
+  }
+
+  const unknownSection = Object.keys(data).find(key => !UPDATABLE_SECTIONS.includes(key));
+  if (unknownSection) {
+    return { isValid: false, error: `Only ${UPDATABLE_SECTIONS.join(' and ')} can be updated`, field: unknownSection.slice(0, 50) };
+  }
+
+  const changes = { contact: {}, customFields: {}, remove: { contact: [], customFields: [] } };
+
+  for (const section of UPDATABLE_SECTIONS) {
+    const values = data[section];
+    if (values === undefined) continue;
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { isValid: false, error: `${section} must be an object`, field: section };
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const fieldPath = `${section}.${key.slice(0, 50)}`;
+      const field = Object.prototype.hasOwnProperty.call(schema.FIELDS, key) ? schema.FIELDS[key] : null;
+
+      if (IMMUTABLE_FIELDS.includes(key)) {
+        return { isValid: false, error: `${fieldPath} cannot be changed`, field: fieldPath };
+      }
+
+      if (field && field.section !== section) {
+        return { isValid: false, error: `${key} belongs in ${field.section}`, field: fieldPath };
+      }
+
+      if (!field && section === 'contact') {
+        return { isValid: false, error: `${fieldPath} is not a contact field`, field: fieldPath };
+      }
+
+      if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+        return { isValid: false, error: `${fieldPath} must be a string or null`, field: fieldPath };
+      }
+
+      if (field) {
+        const error = schema.validateField(key, value);
+        if (error) {
+          return { isValid: false, error, field: fieldPath };
+        }
+
+        const normalized = schema.normalizeValue(key, value);
+        if (normalized) {
+          changes[section][key] = field.type === 'email' ? normalized : sanitizeString(normalized, field.maxLength);
+        } else {
+          changes.remove[section].push(key);
+        }
+        continue;
+      }
+
+      // Additional custom fields, with the same limits as on submission
+      const { maxKeyLength, maxValueLength } = schema.CUSTOM_FIELD_LIMITS;
+      if (key.length > maxKeyLength || (value !== null && typeof value !== 'string')) {
+        return { isValid: false, error: `${fieldPath} must be a string or null, with a name of at most ${maxKeyLength} characters`, field: fieldPath };
+      }
+
+      const sanitized = value === null ? '' : sanitizeString(value, maxValueLength);
+      if (sanitized) {
+        changes.customFields[key] = sanitized;
+      } else {
+        changes.remove.customFields.push(key);
+      }
+    }
+  }
+
+  const changeCount = UPDATABLE_SECTIONS.reduce((count, section) =>
+    count + Object.keys(changes[section]).length + changes.remove[section].length, 0);
+  if (changeCount === 0) {
+    return { isValid: false, error: 'No updatable fields provided' };
+  }
+
+  return { isValid: true, data: changes };
+}
+
+/**
+ * Validate a tag change request
+ * @param {Object} data - { add: [...], remove: [...] }
+ * @returns {Object} - { isValid, data: { add, remove } } or { isValid: false, error, field }
+ */
+function validateTagChanges(data) {
+  const changes = { add: [], remove: [] };
+
+  for (const field of ['add', 'remove']) {
+    const values = data[field];
+    if (values === undefined) continue;
+
+    if (!Array.isArray(values) || values.length > MAX_TAGS) {
+      return { isValid: false, error: `${field} must be an array of at most ${MAX_TAGS} tags`, field };
+    }
+
+    for (const value of values) {
+      const tag = normalizeTag(value);
+      if (!tag) {
+        return {
+          isValid: false,
+          error: `${field} contains an invalid tag; tags are 1-50 letters, digits, spaces or _.:- and start with a letter or digit`,
+          field
+        };
+      }
+      changes[field].push(tag);
+    }
+  }
+
+  if (changes.add.length === 0 && changes.remove.length === 0) {
+    return { isValid: false, error: 'Provide tags to add or remove' };
+  }
+
+  if (changes.add.some(tag => changes.remove.includes(tag))) {
+    return { isValid: false, error: 'A tag cannot be both added and removed', field: 'add' };
+  }
+
+  return { isValid: true, data: changes };
+}
+
+/**
+ * Normalize a tag for storage and filtering
+ * @param {*} value - Submitted tag
+ * @returns {string|null} - Lowercased tag, or null when it is not a valid tag
+ */
+function normalizeTag(value) {
+  if (typeof value !== 'string') return null;
+
+  const tag = value.trim().toLowerCase().replace(/\s+/g, ' ');
+  return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+/**
+ * Validate the text of a note
+ * @param {*} text - Submitted note text
+ * @returns {Object} - { isValid, data: text } or { isValid: false, error, field }
+ */
+function validateNote(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NOTE_LENGTH) {
+    return { isValid: false, error: `text must be between 1 and ${MAX_NOTE_LENGTH} characters`, field: 'text' };
+  }
+
+  return { isValid: true, data: trimmed };
+}
+
+/**
+ * Merge validated changes into a stored lead
+ * @private
+ */
+function applyChanges(lead, changes, editedBy) {
+  const updated = { ...lead, editedAt: new Date().toISOString(), editedBy: editedBy || null };
+
+  UPDATABLE_SECTIONS.forEach(section => {
+    const values = { ...(lead[section] || {}), ...changes[section] };
+    changes.remove[section].forEach(key => delete values[key]);
+    updated[section] = values;
+  });
+
+  return updated;
+}
+
+/**
+ * Sanitize string input
+ * @private
+ */
+function sanitizeString(input, maxLength = 255) {
+  if (typeof input !== 'string') return '';
+
+  return input
+    .trim()
+    .replace(/[<>"'&]/g, '') // Remove potentially dangerous characters
+    .substring(0, maxLength);
+}
+
+// Export singleton instance
+module.exports = new LeadAdminService();
+module.exports.LeadAdminService = LeadAdminService;
+module.exports.LEAD_STATUS = LEAD_STATUS;
+module.exports.ITEM_STATUS = ITEM_STATUS;
+module.exports.MAX_BATCH_ITEMS = MAX_BATCH_ITEMS;
+module.exports.validateLeadChanges = validateLeadChanges;
+module.exports.validateTagChanges = validateTagChanges;
+module.exports.validateNote = validateNote;
+module.exports.normalizeTag = normalizeTag;
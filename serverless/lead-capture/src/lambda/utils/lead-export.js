@@ -0,0 +1,198 @@
+const schema = require('../../shared/lead-schema');
+
+// File formats leads can be exported in
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' }
+};
+
+// CSV columns when none are requested; `section.*` expands to every field of that section
+const DEFAULT_COLUMNS = [
+  'leadId',
+  'timestamp',
+  'contact.*',
+  'customFields.*',
+  'source',
+  'spamStatus',
+  'confirmationStatus',
+  'status',
+  'tags',
+  'submissionCount',
+  'lastSubmittedAt',
+  'consent.given',
+  'consent.policyVersion',
+  'attribution.firstTouch.utmSource',
+  'attribution.firstTouch.utmMedium',
+  'attribution.firstTouch.utmCampaign',
+  'attribution.lastTouch.utmSource',
+  'attribution.lastTouch.utmMedium',
+  'attribution.lastTouch.utmCampaign'
+];
+
+const MAX_COLUMNS = 50;
+const COLUMN_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*(\.\*)?$/;
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Split a comma-separated columns parameter
+ * @param {string|Array} value - "leadId,contact.email,customFields.*" or a list
+ * @returns {Array<string>} - Column paths
+ */
+function parseColumns(value) {
+  const columns = Array.isArray(value) ? value : String(value).split(',');
+  return columns.map(column => String(column).trim()).filter(Boolean);
+}
+
+/**
+ * Check requested columns
+ * @param {Array<string>} columns - Column paths
+ * @returns {Object} - { isValid, error }
+ */
+function validateColumns(columns) {
+  if (columns.length === 0 || columns.length > MAX_COLUMNS) {
+    return { isValid: false, error: `columns must list between 1 and ${MAX_COLUMNS} fields` };
+  }
+
+  const invalid = columns.find(column => !COLUMN_PATTERN.test(column));
+  if (invalid) {
+    return {
+      isValid: false,
+      error: `Invalid column "${invalid.slice(0, 100)}"; use dot paths such as contact.email or customFields.*`
+    };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Record the keys found under the wildcard columns of one lead
+ * Exports that stream their leads call this per lead, then expandColumns once.
+ * @param {Array<string>} columns - Column paths
+ * @param {Object} lead - Stored lead record
+ * @param {Object} found - Keys seen so far, per wildcard prefix (updated in place)
+ * @returns {Object} - found
+ */
+function collectWildcardKeys(columns, lead, found = {}) {
+  columns.filter(isWildcard).forEach(column => {
+    const prefix = column.slice(0, -2);
+    const value = getPath(lead, prefix);
+
+    found[prefix] = found[prefix] || new Set();
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(key => found[prefix].add(key));
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Replace wildcard columns with concrete ones
+ * Schema fields of the section come first, in schema order, then any other keys found
+ * @param {Array<string>} columns - Column paths
+ * @param {Object} found - Keys per wildcard prefix from collectWildcardKeys
+ * @returns {Array<string>} - Column paths without wildcards, without duplicates
+ */
+function expandColumns(columns, found = {}) {
+  const expanded = [];
+
+  columns.forEach(column => {
+    if (!isWildcard(column)) {
+      expanded.push(column);
+      return;
+    }
+
+    const prefix = column.slice(0, -2);
+    const schemaKeys = Object.keys(schema.FIELDS).filter(name => schema.FIELDS[name].section === prefix);
+    const otherKeys = [...(found[prefix] || [])].filter(key => !schemaKeys.includes(key)).sort();
+
+    [...schemaKeys, ...otherKeys].forEach(key => expanded.push(`${prefix}.${key}`));
+  });
+
+  return [...new Set(expanded)];
+}
+
+/**
+ * CSV header line for concrete columns
+ */
+function toCsvHeader(columns) {
+  return columns.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+/**
+ * CSV line for one lead
+ */
+function toCsvRow(lead, columns) {
+  return columns.map(column => escapeCsvValue(getPath(lead, column))).join(',') + '\r\n';
+}
+
+/**
+ * Leads as a CSV document (RFC 4180, CRLF line endings)
+ * @param {Array<Object>} leads - Stored lead records
+ * @param {Array<string>} columns - Column paths, wildcards allowed
+ * @returns {string} - CSV with a header line
+ */
+function toCsv(leads, columns = DEFAULT_COLUMNS) {
+  const found = {};
+  leads.forEach(lead => collectWildcardKeys(columns, lead, found));
+
+  const expanded = expandColumns(columns, found);
+  return toCsvHeader(expanded) + leads.map(lead => toCsvRow(lead, expanded)).join('');
+}
+
+/**
+ * Leads as newline-delimited JSON, one record per line
+ */
+function toNdjson(leads) {
+  return leads.map(lead => JSON.stringify(lead) + '\n').join('');
+}
+
+/**
+ * Render one CSV cell
+ * Objects and lists become JSON; text that a spreadsheet would run as a formula gets a leading quote
+ * @private
+ */
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read a dot path from a record
+ * @private
+ */
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+}
+
+/**
+ * @private
+ */
+function isWildcard(column) {
+  return column.endsWith('.*');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  MAX_COLUMNS,
+  parseColumns,
+  validateColumns,
+  collectWildcardKeys,
+  expandColumns,
+  toCsvHeader,
+  toCsvRow,
+  toCsv,
+  toNdjson
+};
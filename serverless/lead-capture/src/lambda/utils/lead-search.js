@@ -0,0 +1,150 @@
+const schema = require('../../shared/lead-schema');
+
+// Search terms and company prefixes are matched case-insensitively against these lead attributes,
+// which the database service keeps up to date on every write
+const SEARCH_ATTRIBUTES = {
+  name: 'searchName', // name and last name, lowercased
+  company: 'searchCompany' // company, lowercased
+};
+
+// Contact fields q= is matched against; with field encryption, names and emails are ciphertext
+const SEARCHED_FIELDS = ['name', 'company', 'email'];
+const ENCRYPTED_SEARCHED_FIELDS = ['company'];
+
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 100;
+
+// Query parameters of the form customFields.<key>=<value>
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+const MAX_CUSTOM_FIELD_FILTERS = 5;
+
+// Form IDs are the embed container's ID (see get-challenge.js)
+const FORM_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Lowercase text and collapse its whitespace, the form search attributes are stored in
+ * @param {string} value - Text to normalize
+ * @returns {string} - Normalized text ('' for anything that is not a string)
+ */
+function normalizeSearchText(value) {
+  if (typeof value !== 'string') return '';
+
+  return value.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Derive the search attributes of a lead from its contact fields
+ * Empty values are returned as null so the caller can remove the attribute
+ * @param {Object} lead - Lead record with `contact`
+ * @param {Object} options - Build options
+ * @param {boolean} options.includeName - Whether to derive searchName (off when names are encrypted)
+ * @returns {Object} - { searchName, searchCompany }
+ */
+function buildSearchAttributes(lead, options = {}) {
+  const { includeName = true } = options;
+  const contact = lead.contact || {};
+  const name = includeName ? normalizeSearchText([contact.name, contact.lastname].filter(Boolean).join(' ')) : '';
+  const company = normalizeSearchText(contact.company);
+
+  return {
+    [SEARCH_ATTRIBUTES.name]: name || null,
+    [SEARCH_ATTRIBUTES.company]: company || null
+  };
+}
+
+/**
+ * Describe how a search term is matched, for the caller and the API response
+ * With encrypted fields a whole email address is looked up exactly through the email blind index,
+ * and any other term matches the company only; name search is not available
+ * @param {string} q - Search term
+ * @param {Object} options - Options
+ * @param {boolean} options.encrypted - Whether lead fields are encrypted
+ * @returns {Object} - { match: 'exact' or 'substring', fields, unsupported }
+ */
+function describeSearch(q, options = {}) {
+  const { encrypted = false } = options;
+
+  if (!encrypted) {
+    return { match: 'substring', fields: SEARCHED_FIELDS, unsupported: [] };
+  }
+  if (schema.FIELDS.email.pattern.test(normalizeSearchText(q))) {
+    return { match: 'exact', fields: ['email'], unsupported: [] };
+  }
+  return {
+    match: 'substring',
+    fields: ENCRYPTED_SEARCHED_FIELDS,
+    unsupported: SEARCHED_FIELDS.filter(field => !ENCRYPTED_SEARCHED_FIELDS.includes(field))
+  };
+}
+
+/**
+ * Collect customFields.<key> query parameters
+ * @param {Object} params - Query string parameters
+ * @returns {Object} - { key: value }
+ */
+function parseCustomFieldFilters(params = {}) {
+  const filters = {};
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (name.startsWith(CUSTOM_FIELD_PREFIX)) {
+      filters[name.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * Validate the search filters shared by the listing and exports
+ * @param {Object} filters - { formId, companyPrefix, q, customFields }
+ * @returns {Object} - { isValid } or { isValid: false, error, field }
+ */
+function validateSearchFilters(filters) {
+  const { formId, companyPrefix, q, customFields = {} } = filters;
+
+  if (formId && !FORM_ID_PATTERN.test(formId)) {
+    return { isValid: false, error: 'formId must be 1-100 letters, digits, - or _', field: 'formId' };
+  }
+
+  if (companyPrefix !== undefined && companyPrefix !== null) {
+    const prefix = normalizeSearchText(companyPrefix);
+    if (!prefix || prefix.length > MAX_SEARCH_LENGTH) {
+      return { isValid: false, error: `companyPrefix must be 1 to ${MAX_SEARCH_LENGTH} characters`, field: 'companyPrefix' };
+    }
+  }
+
+  if (q !== undefined && q !== null) {
+    const term = normalizeSearchText(q);
+    if (term.length < MIN_SEARCH_LENGTH || term.length > MAX_SEARCH_LENGTH) {
+      return { isValid: false, error: `q must be ${MIN_SEARCH_LENGTH} to ${MAX_SEARCH_LENGTH} characters`, field: 'q' };
+    }
+  }
+
+  const entries = Object.entries(customFields);
+  if (entries.length > MAX_CUSTOM_FIELD_FILTERS) {
+    return { isValid: false, error: `At most ${MAX_CUSTOM_FIELD_FILTERS} customFields filters can be combined`, field: 'customFields' };
+  }
+
+  const { maxKeyLength, maxValueLength } = schema.CUSTOM_FIELD_LIMITS;
+  for (const [key, value] of entries) {
+    const field = `${CUSTOM_FIELD_PREFIX}${key.slice(0, maxKeyLength)}`;
+    if (!key || key.length > maxKeyLength) {
+      return { isValid: false, error: `customFields filters need a field name of 1 to ${maxKeyLength} characters`, field };
+    }
+    if (typeof value !== 'string' || !value || value.length > maxValueLength) {
+      return { isValid: false, error: `${field} must be a value of 1 to ${maxValueLength} characters`, field };
+    }
+  }
+
+  return { isValid: true };
+}
+
+module.exports = {
+  SEARCH_ATTRIBUTES,
+  CUSTOM_FIELD_PREFIX,
+  normalizeSearchText,
+  buildSearchAttributes,
+  describeSearch,
+  parseCustomFieldFilters,
+  validateSearchFilters
+};
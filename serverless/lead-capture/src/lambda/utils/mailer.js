@@ -0,0 +1,280 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+
+// Mail settings from environment variables
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'ses';
+const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail');
+const SES_FROM_EMAIL = process.env.SES_FROM_EMAIL || '';
+const SES_CONFIGURATION_SET = process.env.SES_CONFIGURATION_SET || '';
+const NOTIFICATION_EMAIL = process.env.NOTIFICATION_EMAIL || '';
+const LEAD_NOTIFICATION_TEMPLATE = process.env.LEAD_NOTIFICATION_TEMPLATE || 'lead-notification';
+const WELCOME_EMAIL_TEMPLATE = process.env.WELCOME_EMAIL_TEMPLATE || 'welcome-email';
+const CONFIRMATION_EMAIL_TEMPLATE = process.env.CONFIRMATION_EMAIL_TEMPLATE || 'confirmation-email';
+const SEND_WELCOME_EMAIL = process.env.SEND_WELCOME_EMAIL === 'true';
+
+/**
+ * Sends templated emails through Amazon SES
+ * Templates are created by the terraform `ses` module and rendered by SES
+ */
+class SesTransport {
+  constructor(options = {}) {
+    this.ses = options.ses || new AWS.SES({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.configurationSet = options.configurationSet !== undefined ? options.configurationSet : SES_CONFIGURATION_SET;
+  }
+
+  async send(message) {
+    const params = {
+      Source: message.from,
+      Destination: { ToAddresses: message.to },
+      Template: message.template,
+      TemplateData: JSON.stringify(message.data)
+    };
+
+    if (this.configurationSet) {
+      params.ConfigurationSetName = this.configurationSet;
+    }
+
+    const result = await this.ses.sendTemplatedEmail(params).promise();
+    return { messageId: result.MessageId };
+  }
+}
+
+/**
+ * Keeps sent messages in memory (tests)
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `memory-${this.messages.length + 1}`;
+    this.messages.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Writes each message as a JSON file (local development)
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.directory = options.directory || MAIL_OUTPUT_DIR;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const filePath = path.join(this.directory, `${messageId}-${message.template}.json`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, messageId }, null, 2));
+
+    return { messageId, filePath };
+  }
+}
+
+/**
+ * Create a transport by name
+ * @param {string} name - ses, memory or file
+ */
+function createTransport(name) {
+  switch (name) {
+    case 'memory':
+      return new MemoryTransport();
+    case 'file':
+      return new FileTransport();
+    case 'ses':
+      return new SesTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+}
+
+/**
+ * Lead email notifications
+ * Sends the internal lead notification, the optional welcome email and double opt-in confirmations
+ */
+class Mailer {
+
+  /**
+   * @param {Object} options - Mailer options
+   * @param {Object} options.transport - Object with an async send(message) method
+   * @param {string} options.from - Sender address (must be verified in SES)
+   * @param {Array<string>} options.notificationRecipients - Internal recipients of lead notifications
+   * @param {boolean} options.sendWelcomeEmail - Whether submitters receive the welcome email
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || createTransport(MAIL_TRANSPORT);
+    this.from = options.from !== undefined ? options.from : SES_FROM_EMAIL;
+    this.notificationRecipients = options.notificationRecipients ||
+      NOTIFICATION_EMAIL.split(',').map(email => email.trim()).filter(Boolean);
+    this.sendWelcomeEmail = options.sendWelcomeEmail !== undefined ? options.sendWelcomeEmail : SEND_WELCOME_EMAIL;
+    this.templates = {
+      leadNotification: LEAD_NOTIFICATION_TEMPLATE,
+      welcomeEmail: WELCOME_EMAIL_TEMPLATE,
+      confirmationEmail: CONFIRMATION_EMAIL_TEMPLATE,
+      ...options.templates
+    };
+  }
+
+  /**
+   * Replace the transport (tests and local development)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Build template data for a lead
+   * Variable names match the templates in the terraform `ses` module
+   * @param {Object} lead - Stored lead record
+   * @returns {Object} - Template data
+   */
+  buildTemplateData(lead) {
+    const customFields = lead.customFields || {};
+
+    return {
+      leadId: lead.leadId,
+      name: lead.contact.name,
+      email: lead.contact.email,
+      company: lead.contact.company || '',
+      phone: lead.contact.phone || '',
+      source: lead.source,
+      timestamp: lead.timestamp,
+      // Omitted when empty so {{#if customFields}} stays false
+      customFields: Object.keys(customFields).length > 0 ? customFields : null
+    };
+  }
+
+  /**
+   * Send all emails for a newly captured lead
+   * With double opt-in the submitter gets the confirmation email instead of the welcome email
+   * A failure of one email does not prevent the other
+   * @param {Object} lead - Stored lead record
+   * @param {Object} options - Send options
+   * @param {string} options.confirmationUrl - Signed confirmation link (double opt-in)
+   * @param {number} options.expiresAt - Link expiry as a Unix timestamp in seconds
+   * @param {boolean} options.skipWelcome - Don't send the welcome email (returning contacts)
+   * @returns {Promise<Object>} - Result per email
+   */
+  async sendLeadEmails(lead, options = {}) {
+    const results = {};
+
+    try {
+      results.notification = await this.sendLeadNotification(lead);
+    } catch (error) {
+      console.error('Error sending lead notification:', error);
+      results.notification = { sent: false, error: error.message };
+    }
+
+    if (options.confirmationUrl) {
+      try {
+        results.confirmation = await this.sendConfirmation(lead, options.confirmationUrl, options.expiresAt);
+      } catch (error) {
+        console.error('Error sending confirmation email:', error);
+        results.confirmation = { sent: false, error: error.message };
+      }
+
+      return results;
+    }
+
+    if (options.skipWelcome) {
+      return results;
+    }
+
+    try {
+      results.welcome = await this.sendWelcome(lead);
+    } catch (error) {
+      console.error('Error sending welcome email:', error);
+      results.welcome = { sent: false, error: error.message };
+    }
+
+    return results;
+  }
+
+  /**
+   * Send the internal lead notification to the configured recipients
+   * @param {Object} lead - Stored lead record
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendLeadNotification(lead) {
+    if (this.notificationRecipients.length === 0) {
+      return { sent: false, reason: 'No notification recipients configured' };
+    }
+
+    const result = await this.send({
+      template: this.templates.leadNotification,
+      to: this.notificationRecipients,
+      data: this.buildTemplateData(lead)
+    });
+
+    return { sent: true, ...result };
+  }
+
+  /**
+   * Send the welcome email to the submitter (if enabled)
+   * @param {Object} lead - Stored lead record
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendWelcome(lead) {
+    if (!this.sendWelcomeEmail) {
+      return { sent: false, reason: 'Welcome email disabled' };
+    }
+
+    const result = await this.send({
+      template: this.templates.welcomeEmail,
+      to: [lead.contact.email],
+      data: this.buildTemplateData(lead)
+    });
+
+    return { sent: true, ...result };
+  }
+
+  /**
+   * Send the double opt-in confirmation link to the submitter
+   * @param {Object} lead - Stored lead record
+   * @param {string} confirmationUrl - Signed confirmation link
+   * @param {number} expiresAt - Link expiry as a Unix timestamp in seconds
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendConfirmation(lead, confirmationUrl, expiresAt) {
+    const result = await this.send({
+      template: this.templates.confirmationEmail,
+      to: [lead.contact.email],
+      data: {
+        ...this.buildTemplateData(lead),
+        confirmationUrl,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+      }
+    });
+
+    return { sent: true, ...result };
+  }
+
+  /**
+   * Send a templated message through the transport
+   * @private
+   */
+  async send(message) {
+    if (!this.from) {
+      throw new Error('SES_FROM_EMAIL is not configured');
+    }
+
+    return this.transport.send({ from: this.from, ...message });
+  }
+}
+
+// Export singleton instance
+module.exports = new Mailer();
+module.exports.Mailer = Mailer;
+module.exports.SesTransport = SesTransport;
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.createTransport = createTransport;
@@ -0,0 +1,157 @@
+const http = require('http');
+const https = require('https');
+
+// Mautic API settings from environment variables
+const MAUTIC_BASE_URL = process.env.MAUTIC_BASE_URL || 'http://localhost:8080';
+const MAUTIC_USERNAME = process.env.MAUTIC_USERNAME || '';
+const MAUTIC_PASSWORD = process.env.MAUTIC_PASSWORD || '';
+const MAUTIC_TIMEOUT_MS = parseInt(process.env.MAUTIC_TIMEOUT_MS) || 10000;
+
+/**
+ * Minimal client for the Mautic contacts REST API
+ * Uses HTTP basic authentication, which must be enabled in Mautic's API settings
+ */
+class MauticClient {
+
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Mautic base URL (e.g. https://mautic.example.com)
+   * @param {string} options.username - API user name
+   * @param {string} options.password - API user password
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || MAUTIC_BASE_URL).replace(/\/+$/, '');
+    this.username = options.username !== undefined ? options.username : MAUTIC_USERNAME;
+    this.password = options.password !== undefined ? options.password : MAUTIC_PASSWORD;
+    this.timeout = options.timeout || MAUTIC_TIMEOUT_MS;
+  }
+
+  /**
+   * Create a contact, or update the existing one with the same email
+   * Mautic merges on unique identifier fields (email by default)
+   * @param {Object} fields - Mautic contact fields keyed by alias
+   * @returns {Promise<Object>} - The Mautic contact
+   */
+  async createContact(fields) {
+    const result = await this.request('POST', '/api/contacts/new', fields);
+    return result.contact;
+  }
+
+  /**
+   * Update an existing contact
+   * @param {number|string} contactId - Mautic contact ID
+   * @param {Object} fields - Mautic contact fields keyed by alias
+   * @returns {Promise<Object>} - The Mautic contact
+   */
+  async updateContact(contactId, fields) {
+    const result = await this.request('PATCH', `/api/contacts/${encodeURIComponent(contactId)}/edit`, fields);
+    return result.contact;
+  }
+
+  /**
+   * Delete a contact
+   * A contact that no longer exists is treated as deleted
+   * @param {number|string} contactId - Mautic contact ID
+   * @returns {Promise<boolean>} - True if Mautic deleted the contact
+   */
+  async deleteContact(contactId) {
+    try {
+      await this.request('DELETE', `/api/contacts/${encodeURIComponent(contactId)}/delete`);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a contact
+   * Falls back to creating when a known contact ID no longer exists in Mautic
+   * @param {Object} fields - Mautic contact fields keyed by alias
+   * @param {number|string} contactId - Known Mautic contact ID, if any
+   * @returns {Promise<Object>} - The Mautic contact
+   */
+  async upsertContact(fields, contactId = null) {
+    if (contactId) {
+      try {
+        return await this.updateContact(contactId, fields);
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+    }
+
+    return this.createContact(fields);
+  }
+
+  /**
+   * Send a JSON request to the Mautic API
+   * Errors carry statusCode (when a response was received) and retryable flags
+   * @private
+   */
+  request(method, path, body = null) {
+    const url = new URL(this.baseUrl + path);
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = body ? JSON.stringify(body) : null;
+
+    const headers = {
+      'Accept': 'application/json'
+    };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    if (this.username) {
+      headers['Authorization'] = 'Basic ' + Buffer.from(`${this.username}:${this.password}`).toString('base64');
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers, timeout: this.timeout }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            parsed = {};
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsed);
+            return;
+          }
+
+          const apiMessage = parsed.errors && parsed.errors[0] && parsed.errors[0].message;
+          const error = new Error(`Mautic API ${method} ${path} failed with ${res.statusCode}${apiMessage ? `: ${apiMessage}` : ''}`);
+          error.statusCode = res.statusCode;
+          error.retryable = res.statusCode === 429 || res.statusCode >= 500;
+          reject(error);
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Mautic API ${method} ${path} timed out after ${this.timeout}ms`));
+      });
+
+      req.on('error', (error) => {
+        error.retryable = true;
+        reject(error);
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+}
+
+// Export singleton instance configured from the environment
+module.exports = new MauticClient();
+module.exports.MauticClient = MauticClient;
@@ -0,0 +1,443 @@
+const schema = require('../../shared/lead-schema');
+
+// Mapping settings from environment variables
+const MAUTIC_MAPPING_PROFILES = process.env.MAUTIC_MAPPING_PROFILES || ''; // JSON: { "crm": { "extends": "standard", "fields": [...] } }
+const MAUTIC_MAPPING_PROFILE = process.env.MAUTIC_MAPPING_PROFILE || 'standard'; // Profile used when none is picked
+
+const VALUE_TYPES = ['string', 'number', 'boolean'];
+const ALIAS_PATTERN = /^[A-Za-z0-9_]+$/;
+const PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+// Sections whose keys must each be mapped, or are reported as unmapped
+const CHECKED_SECTIONS = ['contact', 'customFields'];
+
+// Fields shared by the built-in profiles
+const CONSENT_FIELDS = [
+  { alias: 'marketing_consent', from: 'consent.given', type: 'boolean', default: false }, // 1/0 for Mautic boolean fields
+  { alias: 'consent_policy_version', from: 'consent.policyVersion', default: '' },
+  { alias: 'consent_date', from: 'consent.timestamp', default: '' }
+];
+
+const METADATA_FIELDS = [
+  { alias: 'source', from: 'source' },
+  { alias: 'created_at', from: 'timestamp' },
+  { alias: 'ip_address', from: 'metadata.ipAddress' },
+  { alias: 'user_agent', from: 'metadata.userAgent' },
+  { alias: 'referrer', from: 'metadata.referrer' }
+];
+
+/**
+ * Profiles available without configuration
+ * standard: every schema field under its `mauticField` alias, with the name split into first and last name
+ * legacy: the mapping used before profiles existed (custom fields sent as mautic_<key>)
+ */
+const BUILT_IN_PROFILES = {
+  standard: {
+    description: 'Schema fields under their Mautic aliases',
+    fields: [
+      { alias: 'email', from: 'contact.email', required: true },
+      { alias: 'firstname', from: 'contact.name', split: { separator: ' ', index: 0 } },
+      {
+        alias: 'lastname',
+        from: 'contact.lastname',
+        fallback: { from: 'contact.name', split: { separator: ' ', index: 1, rest: true } }
+      },
+      ...Object.keys(schema.FIELDS)
+        .filter(name => !['name', 'lastname', 'email'].includes(name) && schema.FIELDS[name].mauticField)
+        .map(name => schemaFieldMapping(name)),
+      ...CONSENT_FIELDS,
+      ...touchMappings('lastTouch', ''),
+      ...touchMappings('firstTouch', 'first_'),
+      ...METADATA_FIELDS
+    ]
+  },
+  legacy: {
+    description: 'Custom fields prefixed with mautic_, as exported before mapping profiles',
+    fields: [
+      { alias: 'email', from: 'contact.email', required: true },
+      { alias: 'firstname', from: 'contact.name', split: { separator: ' ', index: 0 } },
+      { alias: 'lastname', from: 'contact.name', split: { separator: ' ', index: 1, rest: true }, default: '' },
+      { alias: 'company', from: 'contact.company', default: '' },
+      { alias: 'phone', from: 'contact.phone', default: '' },
+      ...CONSENT_FIELDS,
+      ...touchMappings('lastTouch', ''),
+      ...touchMappings('firstTouch', 'first_'),
+      ...METADATA_FIELDS
+    ],
+    customFieldPrefix: 'mautic_'
+  }
+};
+
+/**
+ * Maps stored leads to Mautic contact fields through named profiles
+ *
+ * A profile lists one mapping per Mautic alias:
+ *   { alias, from, join, split, values, type, default, fallback, required }
+ * - from: dot path into the lead, or a list of paths (first non-empty value, or all joined with `join`)
+ * - split: { separator, index, rest } - take one part of the value, or that part and the rest
+ * - values: value map for select fields; a value missing from the map is invalid
+ * - type: string (default), number or boolean (sent as 1/0)
+ * - default: Mautic value sent when the value is empty; fallback: another mapping tried first
+ * A profile may `extends` another one; its fields replace those with the same alias.
+ * `customFieldPrefix` sends every custom field without a mapping as <prefix><key>.
+ */
+class MauticMappingService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.profiles - Extra profiles by name (default: MAUTIC_MAPPING_PROFILES)
+   * @param {string} options.defaultProfile - Profile used when none is picked
+   */
+  constructor(options = {}) {
+    const configured = options.profiles || parseProfiles(MAUTIC_MAPPING_PROFILES);
+    const definitions = { ...BUILT_IN_PROFILES, ...configured };
+
+    this.profiles = {};
+    Object.keys(definitions).forEach(name => {
+      this.profiles[name] = resolveProfile(name, definitions, []);
+    });
+
+    this.defaultProfile = options.defaultProfile || MAUTIC_MAPPING_PROFILE;
+    if (!this.profiles[this.defaultProfile]) {
+      throw new Error(`Unknown Mautic mapping profile: ${this.defaultProfile}`);
+    }
+  }
+
+  /**
+   * Names of the available profiles
+   * @returns {Array<string>}
+   */
+  listProfiles() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  hasProfile(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  /**
+   * Map a stored lead to Mautic contact fields
+   * @param {Object} lead - Stored lead record
+   * @param {string} profileName - Profile to apply (defaults to defaultProfile)
+   * @returns {Object} - { fields, report: { profile, unmapped, invalid } }
+   *   unmapped: lead fields (contact.x, customFields.x) with a value but no mapping
+   *   invalid: [{ alias, field, reason }] mappings whose value could not be sent
+   */
+  mapLead(lead, profileName = this.defaultProfile) {
+    if (!this.hasProfile(profileName)) {
+      throw new Error(`Unknown Mautic mapping profile: ${profileName}`);
+    }
+
+    const profile = this.profiles[profileName];
+    const fields = {};
+    const invalid = [];
+    const mappedPaths = new Set();
+
+    profile.fields.forEach(mapping => {
+      collectPaths(mapping, mappedPaths);
+
+      const result = resolveMapping(lead, mapping);
+      if (result.error) {
+        invalid.push({ alias: mapping.alias, field: describeSource(mapping), reason: result.error });
+      } else if (result.value !== undefined) {
+        fields[mapping.alias] = result.value;
+      }
+    });
+
+    const unmapped = [];
+    CHECKED_SECTIONS.forEach(section => {
+      Object.keys(lead[section] || {}).forEach(key => {
+        const path = `${section}.${key}`;
+        if (mappedPaths.has(path) || isEmpty(lead[section][key])) {
+          return;
+        }
+
+        if (section === 'customFields' && profile.customFieldPrefix) {
+          const alias = profile.customFieldPrefix + key;
+          if (!(alias in fields)) {
+            fields[alias] = lead[section][key];
+          }
+          return;
+        }
+
+        unmapped.push(path);
+      });
+    });
+
+    return {
+      fields,
+      report: { profile: profileName, unmapped, invalid }
+    };
+  }
+}
+
+/**
+ * Whether a mapping report lists any problem
+ * @param {Object} report - Report from mapLead
+ * @returns {boolean}
+ */
+function hasIssues(report) {
+  return report.unmapped.length > 0 || report.invalid.length > 0;
+}
+
+/**
+ * Mapping for a schema field with a mauticField alias
+ * Select fields only accept their options
+ * @private
+ */
+function schemaFieldMapping(name) {
+  const field = schema.FIELDS[name];
+  const mapping = { alias: field.mauticField, from: `${field.section}.${name}` };
+
+  if (field.type === 'number') {
+    mapping.type = 'number';
+  }
+  if (Array.isArray(field.options)) {
+    mapping.values = field.options.reduce((values, option) => ({ ...values, [option]: option }), {});
+  }
+
+  return mapping;
+}
+
+/**
+ * UTM and landing page mappings for one attribution touch
+ * @private
+ */
+function touchMappings(touch, prefix) {
+  return [
+    ...Object.keys(schema.UTM_PARAMETERS).map(key => ({
+      alias: `${prefix}${schema.UTM_PARAMETERS[key]}`,
+      from: `attribution.${touch}.${key}`,
+      default: ''
+    })),
+    { alias: `${prefix}landing_page`, from: `attribution.${touch}.landingPage`, default: '' }
+  ];
+}
+
+/**
+ * Resolve `extends` and check a profile definition
+ * @private
+ */
+function resolveProfile(name, definitions, chain) {
+  const definition = definitions[name];
+  const fail = (message) => {
+    throw new Error(`Invalid Mautic mapping profile "${name}": ${message}`);
+  };
+
+  if (chain.includes(name)) {
+    fail(`circular extends (${[...chain, name].join(' → ')})`);
+  }
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.fields)) {
+    fail('fields must be a list');
+  }
+
+  let fields = [];
+  let customFieldPrefix = definition.customFieldPrefix;
+
+  if (definition.extends !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(definitions, definition.extends)) {
+      fail(`extends unknown profile "${definition.extends}"`);
+    }
+    const parent = resolveProfile(definition.extends, definitions, [...chain, name]);
+    fields = parent.fields;
+    if (customFieldPrefix === undefined) {
+      customFieldPrefix = parent.customFieldPrefix;
+    }
+  }
+
+  definition.fields.forEach((mapping, index) => {
+    const error = validateMapping(mapping, true);
+    if (error) {
+      fail(`fields[${index}] ${error}`);
+    }
+  });
+
+  if (customFieldPrefix !== undefined && customFieldPrefix !== null &&
+      (typeof customFieldPrefix !== 'string' || !ALIAS_PATTERN.test(`${customFieldPrefix}x`))) {
+    fail('customFieldPrefix must contain only letters, digits and underscores');
+  }
+
+  // Fields of this profile replace inherited ones with the same alias
+  const aliases = new Set(definition.fields.map(mapping => mapping.alias));
+  fields = [...fields.filter(mapping => !aliases.has(mapping.alias)), ...definition.fields];
+
+  return {
+    description: definition.description || '',
+    fields,
+    customFieldPrefix: customFieldPrefix || null
+  };
+}
+
+/**
+ * Check one mapping; returns an error message or null
+ * @private
+ */
+function validateMapping(mapping, requireAlias) {
+  if (!mapping || typeof mapping !== 'object') {
+    return 'must be an object';
+  }
+  if (requireAlias && (typeof mapping.alias !== 'string' || !ALIAS_PATTERN.test(mapping.alias))) {
+    return 'alias must contain only letters, digits and underscores';
+  }
+
+  const sources = Array.isArray(mapping.from) ? mapping.from : [mapping.from];
+  if (sources.length === 0 || !sources.every(path => typeof path === 'string' && PATH_PATTERN.test(path))) {
+    return 'from must be a dot path or a list of dot paths';
+  }
+  if (mapping.join !== undefined && (typeof mapping.join !== 'string' || !Array.isArray(mapping.from))) {
+    return 'join must be a string and needs a list in from';
+  }
+  if (mapping.split !== undefined) {
+    const { separator, index = 0, rest = false } = mapping.split || {};
+    if (typeof separator !== 'string' || separator === '' || !Number.isInteger(index) || index < 0 || typeof rest !== 'boolean') {
+      return 'split must be { separator, index, rest } with a non-empty separator';
+    }
+  }
+  if (mapping.values !== undefined && (!mapping.values || typeof mapping.values !== 'object' || Array.isArray(mapping.values))) {
+    return 'values must map stored values to Mautic values';
+  }
+  if (mapping.type !== undefined && !VALUE_TYPES.includes(mapping.type)) {
+    return `type must be one of: ${VALUE_TYPES.join(', ')}`;
+  }
+  if (mapping.fallback !== undefined) {
+    const error = validateMapping(mapping.fallback, false);
+    if (error) {
+      return `fallback ${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Value of one mapping for a lead
+ * Order: source (from/join/split), fallback, value map or default, type
+ * @private
+ * @returns {Object} - { value } (undefined when there is nothing to send) or { error }
+ */
+function resolveMapping(lead, mapping) {
+  let value = readSource(lead, mapping);
+
+  if (isEmpty(value) && mapping.fallback) {
+    value = readSource(lead, mapping.fallback);
+  }
+  if (isEmpty(value)) {
+    if (mapping.default === undefined) {
+      return mapping.required ? { error: 'required value is missing' } : { value: undefined };
+    }
+    // A default is already a Mautic value
+    return convertValue(mapping.default, mapping.type || 'string');
+  }
+
+  if (mapping.values) {
+    if (!Object.prototype.hasOwnProperty.call(mapping.values, String(value))) {
+      return { error: `no value mapping for "${String(value).slice(0, 100)}"` };
+    }
+    value = mapping.values[String(value)];
+  }
+
+  return convertValue(value, mapping.type || 'string');
+}
+
+/**
+ * Read the from paths of a mapping and apply join and split
+ * @private
+ */
+function readSource(lead, mapping) {
+  let value;
+
+  if (Array.isArray(mapping.from)) {
+    const values = mapping.from.map(path => getPath(lead, path)).filter(item => !isEmpty(item));
+    value = mapping.join !== undefined ? (values.length ? values.join(mapping.join) : undefined) : values[0];
+  } else {
+    value = getPath(lead, mapping.from);
+  }
+
+  if (mapping.split && typeof value === 'string') {
+    const { separator, index = 0, rest = false } = mapping.split;
+    const parts = value.trim().split(separator).filter(Boolean);
+    value = rest ? parts.slice(index).join(separator) : parts[index];
+  }
+
+  return value;
+}
+
+/**
+ * Convert a value to the mapping's type
+ * @private
+ */
+function convertValue(value, type) {
+  if (type === 'boolean') {
+    if ([true, 'true', 1, '1'].includes(value)) return { value: 1 };
+    if ([false, 'false', 0, '0', ''].includes(value)) return { value: 0 };
+    return { error: 'not a boolean' };
+  }
+
+  if (type === 'number') {
+    if (value === '') return { value: '' };
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isFinite(number) && String(value).trim() !== '' ? { value: number } : { error: 'not a number' };
+  }
+
+  if (typeof value === 'object') {
+    return { error: 'not a single value' };
+  }
+  return { value: String(value) };
+}
+
+/**
+ * Every lead path a mapping reads
+ * @private
+ */
+function collectPaths(mapping, paths) {
+  (Array.isArray(mapping.from) ? mapping.from : [mapping.from]).forEach(path => paths.add(path));
+  if (mapping.fallback) {
+    collectPaths(mapping.fallback, paths);
+  }
+}
+
+/**
+ * Source paths of a mapping, for reports
+ * @private
+ */
+function describeSource(mapping) {
+  return Array.isArray(mapping.from) ? mapping.from.join(',') : mapping.from;
+}
+
+/**
+ * Read a dot path from a record
+ * @private
+ */
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+}
+
+/**
+ * @private
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Parse MAUTIC_MAPPING_PROFILES
+ */
+function parseProfiles(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid MAUTIC_MAPPING_PROFILES: ${error.message}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new MauticMappingService();
+module.exports.MauticMappingService = MauticMappingService;
+module.exports.BUILT_IN_PROFILES = BUILT_IN_PROFILES;
+module.exports.hasIssues = hasIssues;
@@ -0,0 +1,129 @@
+const database = require('./database');
+const mauticClient = require('./mautic-client');
+const mauticMapping = require('./mautic-mapping');
+
+// Retry settings from environment variables
+const MAX_ATTEMPTS = parseInt(process.env.MAUTIC_SYNC_MAX_ATTEMPTS) || 3;
+const BASE_DELAY_MS = parseInt(process.env.MAUTIC_SYNC_BASE_DELAY_MS) || 500;
+const MAUTIC_SYNC_PROFILE = process.env.MAUTIC_SYNC_PROFILE || ''; // Mapping profile; defaults to MAUTIC_MAPPING_PROFILE
+
+// Values stored in a lead's syncStatus attribute
+const SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed'
+};
+
+/**
+ * Pushes captured leads into Mautic as contacts
+ * Records the outcome (mauticContactId, syncStatus, lastSyncError, mappingIssues) back on the lead
+ */
+class MauticSyncService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.client - Mautic API client
+   * @param {Object} options.database - Database service
+   * @param {Object} options.mapping - Mautic mapping service
+   * @param {string} options.profile - Mapping profile for synced contacts
+   * @param {number} options.maxAttempts - Attempts per lead before giving up
+   * @param {number} options.baseDelay - First retry delay in milliseconds, doubled on each retry
+   */
+  constructor(options = {}) {
+    this.client = options.client || mauticClient;
+    this.database = options.database || database;
+    this.mapping = options.mapping || mauticMapping;
+    this.profile = options.profile || MAUTIC_SYNC_PROFILE || this.mapping.defaultProfile;
+    if (!this.mapping.hasProfile(this.profile)) {
+      throw new Error(`Unknown Mautic mapping profile: ${this.profile}`);
+    }
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : BASE_DELAY_MS;
+  }
+
+  /**
+   * Create or update the Mautic contact for a lead
+   * Retries network errors, 429 and 5xx responses with exponential backoff
+   * @param {Object} lead - Stored lead record
+   * @returns {Promise<Object>} - Sync result for the lead
+   */
+  async syncLead(lead) {
+    const { fields, report } = this.mapping.mapLead(lead, this.profile);
+
+    // Sync what maps; what does not is kept on the lead for review
+    const mappingIssues = mauticMapping.hasIssues(report)
+      ? { profile: report.profile, unmapped: report.unmapped, invalid: report.invalid }
+      : null;
+    if (mappingIssues) {
+      console.warn(`Mautic mapping issues for lead ${lead.leadId}:`, JSON.stringify(mappingIssues));
+    }
+
+    let lastError = null;
+    let attempts = 0;
+    let contact = null;
+
+    while (attempts < this.maxAttempts) {
+      attempts++;
+
+      try {
+        contact = await this.client.upsertContact(fields, lead.mauticContactId);
+        break;
+      } catch (error) {
+        lastError = error;
+        console.error(`Mautic sync attempt ${attempts} failed for lead ${lead.leadId}:`, error.message);
+
+        if (!error.retryable || attempts >= this.maxAttempts) {
+          break;
+        }
+
+        await sleep(this.baseDelay * Math.pow(2, attempts - 1));
+      }
+    }
+
+    const syncAttempts = (lead.syncAttempts || 0) + attempts;
+
+    if (contact) {
+      await this.database.updateLead(lead.leadId, {
+        mauticContactId: contact.id,
+        syncStatus: SYNC_STATUS.SYNCED,
+        lastSyncError: null,
+        lastSyncedAt: new Date().toISOString(),
+        syncAttempts,
+        mappingIssues
+      }, lead.timestamp);
+
+      return {
+        success: true,
+        leadId: lead.leadId,
+        mauticContactId: contact.id,
+        mappingIssues
+      };
+    }
+
+    await this.database.updateLead(lead.leadId, {
+      syncStatus: SYNC_STATUS.FAILED,
+      lastSyncError: lastError.message,
+      syncAttempts,
+      mappingIssues
+    }, lead.timestamp);
+
+    return {
+      success: false,
+      leadId: lead.leadId,
+      error: lastError.message,
+      mappingIssues
+    };
+  }
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Export singleton instance
+module.exports = new MauticSyncService();
+module.exports.MauticSyncService = MauticSyncService;
+module.exports.SYNC_STATUS = SYNC_STATUS;
@@ -0,0 +1,114 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Export file storage settings from environment variables
+const EXPORT_STORAGE = process.env.EXPORT_STORAGE || 's3';
+const EXPORT_BUCKET = process.env.EXPORT_BUCKET || '';
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(process.cwd(), 'tmp', 'exports');
+const EXPORT_BASE_URL = process.env.EXPORT_BASE_URL || ''; // Public URL of EXPORT_DIR, e.g. served by the dev server
+const EXPORT_URL_EXPIRY_SECONDS = parseInt(process.env.EXPORT_URL_EXPIRY_SECONDS) || 3600;
+
+/**
+ * Stores export files in S3 and hands out pre-signed download URLs
+ */
+class S3ObjectStorage {
+  constructor(options = {}) {
+    this.s3 = options.s3 || new AWS.S3({
+      region: process.env.AWS_REGION || 'us-east-1',
+      signatureVersion: 'v4'
+    });
+    this.bucket = options.bucket !== undefined ? options.bucket : EXPORT_BUCKET;
+    this.urlExpirySeconds = options.urlExpirySeconds || EXPORT_URL_EXPIRY_SECONDS;
+  }
+
+  async putFile(key, filePath, contentType) {
+    if (!this.bucket) {
+      throw new Error('EXPORT_BUCKET is not configured');
+    }
+
+    // Managed upload streams the file in parts, so large exports never sit in memory
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: contentType
+    }).promise();
+
+    return { key };
+  }
+
+  async getDownloadUrl(key) {
+    const url = await this.s3.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: this.urlExpirySeconds
+    });
+
+    return { url, expiresAt: new Date(Date.now() + this.urlExpirySeconds * 1000).toISOString() };
+  }
+}
+
+/**
+ * Stand-in for S3 during local development: copies files into a directory
+ * Download URLs point at EXPORT_BASE_URL when set, otherwise at the file itself
+ */
+class LocalObjectStorage {
+  constructor(options = {}) {
+    this.directory = options.directory || EXPORT_DIR;
+    this.baseUrl = options.baseUrl !== undefined ? options.baseUrl : EXPORT_BASE_URL;
+  }
+
+  async putFile(key, filePath) {
+    const target = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(filePath, target);
+
+    return { key, filePath: target };
+  }
+
+  async getDownloadUrl(key) {
+    const url = this.baseUrl
+      ? `${this.baseUrl.replace(/\/+$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`
+      : pathToFileURL(this.resolve(key)).href;
+
+    return { url, expiresAt: null };
+  }
+
+  /**
+   * Path of a key inside the directory
+   * @private
+   */
+  resolve(key) {
+    const target = path.resolve(this.directory, key);
+    if (!target.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return target;
+  }
+}
+
+/**
+ * Create the object storage selected by EXPORT_STORAGE
+ * @param {string} name - s3 or local
+ * @returns {Object} - Object with putFile(key, filePath, contentType) and getDownloadUrl(key)
+ */
+function createObjectStorage(name) {
+  switch (name) {
+    case 'local':
+      return new LocalObjectStorage();
+    case 's3':
+      return new S3ObjectStorage();
+    default:
+      throw new Error(`Unknown export storage: ${name}`);
+  }
+}
+
+module.exports = {
+  S3ObjectStorage,
+  LocalObjectStorage,
+  createObjectStorage,
+  EXPORT_STORAGE
+};
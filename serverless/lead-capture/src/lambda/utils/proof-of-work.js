@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+
+// Proof-of-work settings from environment variables
+const POW_ENABLED = process.env.POW_ENABLED === 'true';
+const POW_SECRET = process.env.POW_SECRET || '';
+const POW_DIFFICULTY = parseInt(process.env.POW_DIFFICULTY) || 16; // Leading zero bits of the SHA-256 hash
+const POW_MAX_DIFFICULTY = parseInt(process.env.POW_MAX_DIFFICULTY) || 24;
+const POW_FORM_DIFFICULTY = process.env.POW_FORM_DIFFICULTY || ''; // JSON: { "pricing-form": 20 }
+const POW_CHALLENGE_TTL_SECONDS = parseInt(process.env.POW_CHALLENGE_TTL_SECONDS) || 600;
+const POW_BURST_THRESHOLD = parseInt(process.env.POW_BURST_THRESHOLD) || 3; // Submissions per window before difficulty rises
+const POW_BURST_WINDOW_MINUTES = parseInt(process.env.POW_BURST_WINDOW_MINUTES) || 10;
+const POW_BURST_STEP = parseInt(process.env.POW_BURST_STEP) || 2; // Extra bits per threshold reached
+
+const DEFAULT_FORM_ID = 'lead-capture-form';
+
+/**
+ * Self-hosted proof-of-work challenges
+ * Token format: base64url(JSON { id, formId, difficulty, expiresAt }) + "." + base64url(HMAC-SHA256)
+ * A solution is a nonce for which SHA-256("<token>:<nonce>") starts with `difficulty` zero bits
+ */
+class ProofOfWorkService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {boolean} options.enabled - Whether submissions must carry a solution
+   * @param {string} options.secret - HMAC secret for signing challenges
+   * @param {number} options.difficulty - Default difficulty in bits
+   * @param {number} options.maxDifficulty - Upper bound after burst increases
+   * @param {Object} options.formDifficulty - Difficulty per form ID
+   * @param {number} options.ttlSeconds - Seconds a challenge stays valid
+   * @param {number} options.burstThreshold - Submissions per window from one IP before difficulty rises
+   * @param {number} options.burstWindowMinutes - Length of the burst window
+   * @param {number} options.burstStep - Bits added each time the threshold is reached
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.enabled = options.enabled !== undefined ? options.enabled : POW_ENABLED;
+    this.secret = options.secret !== undefined ? options.secret : POW_SECRET;
+    this.difficulty = options.difficulty || POW_DIFFICULTY;
+    this.maxDifficulty = options.maxDifficulty || POW_MAX_DIFFICULTY;
+    this.formDifficulty = options.formDifficulty || parseFormDifficulty(POW_FORM_DIFFICULTY);
+    this.ttlSeconds = options.ttlSeconds || POW_CHALLENGE_TTL_SECONDS;
+    this.burstThreshold = options.burstThreshold || POW_BURST_THRESHOLD;
+    this.burstWindowMinutes = options.burstWindowMinutes || POW_BURST_WINDOW_MINUTES;
+    this.burstStep = options.burstStep || POW_BURST_STEP;
+  }
+
+  /**
+   * Configured difficulty for a form
+   * @param {string} formId - Form ID (the embed container's ID)
+   * @returns {number} - Difficulty in bits
+   */
+  getFormDifficulty(formId) {
+    const difficulty = this.formDifficulty[formId || DEFAULT_FORM_ID];
+    return Math.min(Number.isInteger(difficulty) ? difficulty : this.difficulty, this.maxDifficulty);
+  }
+
+  /**
+   * Issue a challenge, harder when the client IP has been submitting in a burst
+   * @param {string} formId - Form ID
+   * @param {string} clientIP - Client IP address
+   * @returns {Promise<Object>} - { token, difficulty, expiresAt, algorithm }
+   */
+  async createChallenge(formId, clientIP) {
+    const recentSubmissions = await this.database.getBurstCount(clientIP, this.burstWindowMinutes);
+    const increase = Math.floor(recentSubmissions / this.burstThreshold) * this.burstStep;
+    const difficulty = Math.min(this.getFormDifficulty(formId) + increase, this.maxDifficulty);
+    const expiresAt = Math.floor(Date.now() / 1000) + this.ttlSeconds;
+
+    const payload = Buffer.from(JSON.stringify({
+      id: uuidv4(),
+      formId: formId || DEFAULT_FORM_ID,
+      difficulty,
+      expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${this.signPayload(payload)}`,
+      difficulty,
+      expiresAt,
+      algorithm: 'SHA-256'
+    };
+  }
+
+  /**
+   * Verify a solution and mark its challenge as used
+   * @param {Object} solution - { token, nonce } from the submission
+   * @param {string} formId - Form ID of the submission
+   * @returns {Promise<Object>} - { isValid, challengeId, difficulty } or { isValid: false, error }
+   */
+  async verifySolution(solution, formId) {
+    if (!solution || typeof solution.token !== 'string' || !isValidNonce(solution.nonce)) {
+      return { isValid: false, error: 'Proof-of-work solution is required' };
+    }
+
+    const [payload, signature] = solution.token.split('.');
+    if (!payload || !signature) {
+      return { isValid: false, error: 'Malformed proof-of-work challenge' };
+    }
+
+    const expected = Buffer.from(this.signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { isValid: false, error: 'Invalid proof-of-work challenge' };
+    }
+
+    const challenge = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (challenge.expiresAt < Math.floor(Date.now() / 1000)) {
+      return { isValid: false, error: 'Proof-of-work challenge has expired' };
+    }
+
+    // Nor can a challenge be spent on any form other than the one it was issued for
+    if (challenge.formId !== (formId || DEFAULT_FORM_ID)) {
+      return { isValid: false, error: 'Proof-of-work challenge was issued for another form' };
+    }
+
+    // A challenge issued for an easier form cannot be spent on this one
+    if (challenge.difficulty < this.getFormDifficulty(formId)) {
+      return { isValid: false, error: 'Proof-of-work challenge is too easy for this form' };
+    }
+
+    const hash = crypto.createHash('sha256').update(`${solution.token}:${solution.nonce}`).digest();
+    if (countLeadingZeroBits(hash) < challenge.difficulty) {
+      return { isValid: false, error: 'Invalid proof-of-work solution' };
+    }
+
+    const isFirstUse = await this.database.consumeChallenge(challenge.id, challenge.expiresAt);
+    if (!isFirstUse) {
+      return { isValid: false, error: 'Proof-of-work challenge has already been used' };
+    }
+
+    return { isValid: true, challengeId: challenge.id, difficulty: challenge.difficulty };
+  }
+
+  /**
+   * Count a submission towards the client IP's burst window
+   * @param {string} clientIP - Client IP address
+   * @returns {Promise<void>}
+   */
+  async recordSubmission(clientIP) {
+    await this.database.incrementBurstCount(clientIP, this.burstWindowMinutes);
+  }
+
+  /**
+   * HMAC signature of a challenge payload
+   * @private
+   */
+  signPayload(payload) {
+    if (!this.secret) {
+      throw new Error('POW_SECRET is not configured');
+    }
+
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+/**
+ * Count the leading zero bits of a hash
+ */
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+}
+
+/**
+ * Nonces are non-negative integers sent as numbers
+ */
+function isValidNonce(nonce) {
+  return Number.isSafeInteger(nonce) && nonce >= 0;
+}
+
+/**
+ * Parse POW_FORM_DIFFICULTY
+ */
+function parseFormDifficulty(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid POW_FORM_DIFFICULTY: ${error.message}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new ProofOfWorkService();
+module.exports.ProofOfWorkService = ProofOfWorkService;
+module.exports.countLeadingZeroBits = countLeadingZeroBits;
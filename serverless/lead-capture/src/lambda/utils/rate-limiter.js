@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+// Rate limit settings from environment variables
+const MAX_REQUESTS_PER_HOUR = parseInt(process.env.MAX_REQUESTS_PER_HOUR) || 10;
+const RATE_LIMIT_POLICIES = process.env.RATE_LIMIT_POLICIES || ''; // JSON: [{ "name": "email", "key": "email", "limit": 3, "windowSeconds": 3600 }]
+const RATE_LIMIT_FAIL_MODE = process.env.RATE_LIMIT_FAIL_MODE || 'open';
+const MAX_CONSUME_ATTEMPTS = 3;
+
+// What happens to a request when the counters cannot be read or written
+const FAIL_MODES = {
+  OPEN: 'open', // Allow the request
+  CLOSED: 'closed' // Refuse the request with 503
+};
+
+// Request attributes a policy can count by
+const POLICY_KEYS = ['ip', 'email', 'origin', 'formId'];
+
+// Applies when RATE_LIMIT_POLICIES is not set
+const DEFAULT_POLICIES = [
+  { name: 'ip', key: 'ip', limit: MAX_REQUESTS_PER_HOUR, windowSeconds: 3600 }
+];
+
+/**
+ * Sliding-window rate limiter with several simultaneous policies
+ * Each policy counts requests per identifier in fixed windows and weighs the previous window by how much
+ * of it still overlaps the sliding window. All policies are checked and consumed in one conditional
+ * transaction, so concurrent requests cannot get past a limit.
+ */
+class RateLimiterService {
+
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.database - Database service
+   * @param {Array<Object>} options.policies - Policies ({ name, key, limit, windowSeconds })
+   * @param {string} options.failMode - 'open' or 'closed'
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.policies = options.policies || parsePolicies(RATE_LIMIT_POLICIES);
+    this.failMode = options.failMode || RATE_LIMIT_FAIL_MODE;
+
+    if (!Object.values(FAIL_MODES).includes(this.failMode)) {
+      throw new Error(`Unknown rate limit fail mode: ${this.failMode}`);
+    }
+    this.policies.forEach(validatePolicy);
+    if (new Set(this.policies.map(policy => policy.name)).size !== this.policies.length) {
+      throw new Error('Rate limit policy names must be unique');
+    }
+  }
+
+  /**
+   * Check every policy and count the request if all of them allow it
+   * @param {Object} context - Request attributes
+   * @param {string} context.ip - Client IP address
+   * @param {string} context.email - Submitted email address
+   * @param {string} context.origin - Origin header
+   * @param {string} context.formId - Form ID from the tracking data
+   * @returns {Promise<Object>} - { allowed, retryAfter, unavailable, headers }
+   */
+  async consume(context) {
+    const now = Date.now();
+    const windows = this.policies
+      .map(policy => this.getWindow(policy, context, now))
+      .filter(Boolean);
+
+    if (windows.length === 0) {
+      return { allowed: true, retryAfter: 0, unavailable: false, headers: {} };
+    }
+
+    try {
+      for (let attempt = 1; attempt <= MAX_CONSUME_ATTEMPTS; attempt++) {
+        try {
+          return await this.tryConsume(windows, now);
+        } catch (error) {
+          if (error.message !== 'Rate limit counters were modified concurrently' || attempt === MAX_CONSUME_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Rate limiter unavailable (failing ${this.failMode}):`, error);
+
+      if (this.failMode === FAIL_MODES.CLOSED) {
+        return { allowed: false, retryAfter: 60, unavailable: true, headers: { 'Retry-After': '60' } };
+      }
+      return { allowed: true, retryAfter: 0, unavailable: true, headers: {} };
+    }
+  }
+
+  /**
+   * Read the counters, then consume all windows in one transaction
+   * @private
+   */
+  async tryConsume(windows, now) {
+    const counts = await this.database.getRateLimitCounters(
+      windows.flatMap(window => [window.currentKey, window.previousKey])
+    );
+
+    windows.forEach(window => {
+      window.current = counts[window.currentKey];
+      window.previous = counts[window.previousKey];
+      // The current window may still take `threshold` requests in total
+      window.threshold = Math.floor(window.policy.limit - (window.previous * window.previousWeight));
+    });
+
+    // A policy the previous window alone exhausts needs no write to refuse
+    let rejected = windows.filter(window => window.current >= window.threshold);
+
+    if (rejected.length === 0) {
+      const result = await this.database.consumeRateLimitCounters(windows.map(window => ({
+        key: window.currentKey,
+        threshold: window.threshold,
+        expiresAt: Math.floor(window.windowEnd / 1000) + window.policy.windowSeconds
+      })));
+
+      if (result.consumed) {
+        windows.forEach(window => window.current++);
+        return { allowed: true, retryAfter: 0, unavailable: false, headers: this.buildHeaders(windows, now) };
+      }
+      rejected = result.rejected.map(index => windows[index]);
+    }
+
+    const retryAfter = Math.max(...rejected.map(window => this.getRetryAfter(window, now)));
+    return {
+      allowed: false,
+      retryAfter,
+      unavailable: false,
+      headers: {
+        ...this.buildHeaders(windows, now),
+        'Retry-After': String(retryAfter)
+      }
+    };
+  }
+
+  /**
+   * Counter keys and window position for a policy, or null when the request lacks the policy's key
+   * @private
+   */
+  getWindow(policy, context, now) {
+    const identifier = this.getIdentifier(policy.key, context);
+    if (!identifier) {
+      return null;
+    }
+
+    const windowMs = policy.windowSeconds * 1000;
+    const index = Math.floor(now / windowMs);
+    const prefix = `${policy.name}#${encodeURIComponent(identifier)}#`;
+
+    return {
+      policy,
+      currentKey: `${prefix}${index}`,
+      previousKey: `${prefix}${index - 1}`,
+      previousWeight: 1 - ((now % windowMs) / windowMs),
+      windowEnd: (index + 1) * windowMs
+    };
+  }
+
+  /**
+   * Identifier a policy counts by; emails are hashed so counters hold no addresses
+   * @private
+   */
+  getIdentifier(key, context) {
+    const value = context[key];
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+
+    if (key === 'email') {
+      return hashEmail(value);
+    }
+    return key === 'origin' ? value.trim().toLowerCase() : value.trim();
+  }
+
+  /**
+   * Key prefixes of every counter kept for a person, for erasure requests
+   * @param {Object} identifiers - { ip: Array<string>, email: string }
+   * @returns {Array<string>} - Key prefixes
+   */
+  getKeyPrefixes(identifiers) {
+    const prefixes = [];
+
+    this.policies.forEach(policy => {
+      const values = [].concat(identifiers[policy.key] || []);
+      values.forEach(value => {
+        const identifier = this.getIdentifier(policy.key, { [policy.key]: value });
+        if (identifier) {
+          prefixes.push(`${policy.name}#${encodeURIComponent(identifier)}#`);
+        }
+      });
+    });
+
+    return prefixes;
+  }
+
+  /**
+   * Seconds until a refused window admits one more request
+   * @private
+   */
+  getRetryAfter(window, now) {
+    const windowMs = window.policy.windowSeconds * 1000;
+    const elapsed = windowMs - (window.windowEnd - now);
+    const { limit } = window.policy;
+
+    // Still room in this window once enough of the previous one has slid out
+    if (window.current + 1 <= limit && window.previous > 0) {
+      const requiredElapsed = (1 - ((limit - window.current - 1) / window.previous)) * windowMs;
+      return Math.max(1, Math.ceil((requiredElapsed - elapsed) / 1000));
+    }
+
+    // Otherwise wait for the next window, where this window becomes the weighted previous one
+    const nextWindowElapsed = window.current > 0 ? Math.max(0, 1 - ((limit - 1) / window.current)) * windowMs : 0;
+    return Math.max(1, Math.ceil((window.windowEnd - now + nextWindowElapsed) / 1000));
+  }
+
+  /**
+   * RateLimit-* headers for the most restrictive policy
+   * @private
+   */
+  buildHeaders(windows, now) {
+    const remaining = window => Math.max(0, window.threshold - window.current);
+    const tightest = windows.reduce((min, window) => remaining(window) < remaining(min) ? window : min);
+
+    return {
+      'RateLimit-Limit': String(tightest.policy.limit),
+      'RateLimit-Remaining': String(remaining(tightest)),
+      'RateLimit-Reset': String(Math.max(1, Math.ceil((tightest.windowEnd - now) / 1000))),
+      'RateLimit-Policy': windows.map(window => `${window.policy.limit};w=${window.policy.windowSeconds}`).join(', ')
+    };
+  }
+}
+
+/**
+ * SHA-256 of a normalized email address
+ */
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Check a policy definition
+ */
+function validatePolicy(policy) {
+  if (!policy.name || !/^[A-Za-z0-9_-]+$/.test(policy.name)) {
+    throw new Error(`Invalid rate limit policy name: ${policy.name}`);
+  }
+  if (!POLICY_KEYS.includes(policy.key)) {
+    throw new Error(`Rate limit policy ${policy.name} has unknown key: ${policy.key}`);
+  }
+  if (!Number.isInteger(policy.limit) || policy.limit < 1) {
+    throw new Error(`Rate limit policy ${policy.name} needs a positive integer limit`);
+  }
+  if (!Number.isInteger(policy.windowSeconds) || policy.windowSeconds < 1) {
+    throw new Error(`Rate limit policy ${policy.name} needs a positive integer windowSeconds`);
+  }
+}
+
+/**
+ * Parse RATE_LIMIT_POLICIES
+ */
+function parsePolicies(value) {
+  if (!value) return DEFAULT_POLICIES;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid RATE_LIMIT_POLICIES: ${error.message}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new RateLimiterService();
+module.exports.RateLimiterService = RateLimiterService;
+module.exports.FAIL_MODES = FAIL_MODES;
+module.exports.POLICY_KEYS = POLICY_KEYS;
@@ -0,0 +1,178 @@
+const auth = require('./auth');
+const { getHeader, getClientIP } = require('./headers');
+
+// Environment variables
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
+
+/**
+ * Build one Lambda handler that serves several API Gateway routes
+ * The router answers CORS preflights, authenticates each request against its route's scope,
+ * parses JSON bodies and turns thrown errors into responses, so route handlers only do their work.
+ *
+ * Route handlers get a request ({ event, query, body, principal, sourceIp }) and return
+ * createSuccessResponse(...) or createErrorResponse(...).
+ *
+ * @param {Object} config - Router configuration
+ * @param {Array<Object>} config.routes - { method, path, scope, handler } per route; path is the API Gateway resource
+ * @param {Object} config.errors - Error message → { statusCode, code } for errors route handlers throw
+ * @param {string} config.description - What the handler does, for the internal error message
+ * @returns {Function} - Lambda handler
+ */
+function createRouter(config) {
+  const { routes, errors = {}, description = 'handling the request' } = config;
+
+  return async (event) => {
+    console.log('Received event:', event.httpMethod, event.path, JSON.stringify(event.queryStringParameters));
+
+    const path = event.resource || event.path;
+    const pathRoutes = routes.filter(route => route.path === path);
+    const methods = [...new Set([...pathRoutes.map(route => route.method), 'OPTIONS'])];
+
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': getAllowedOrigin(getHeader(event.headers, 'Origin')),
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Methods': methods.join(','),
+      'Access-Control-Allow-Credentials': true,
+      'Content-Type': 'application/json'
+    };
+
+    try {
+      if (pathRoutes.length === 0) {
+        return toResponse(createErrorResponse(404, 'ROUTE_NOT_FOUND', 'No route matches this path'), corsHeaders);
+      }
+
+      // Handle preflight OPTIONS request
+      if (event.httpMethod === 'OPTIONS') {
+        return {
+          statusCode: 200,
+          headers: corsHeaders,
+          body: JSON.stringify({ message: 'CORS preflight successful' })
+        };
+      }
+
+      const route = pathRoutes.find(candidate => candidate.method === event.httpMethod);
+      if (!route) {
+        return toResponse(createErrorResponse(405, 'METHOD_NOT_ALLOWED',
+          `Only ${methods.filter(method => method !== 'OPTIONS').join(', ')} methods are allowed`), corsHeaders);
+      }
+
+      // Authenticate request
+      const authResult = await auth.authenticate(event.headers, route.scope);
+      if (!authResult.isValid) {
+        return toResponse(createErrorResponse(authResult.statusCode, authResult.code, authResult.error), corsHeaders);
+      }
+
+      let body = {};
+      if (event.body) {
+        try {
+          body = JSON.parse(event.body);
+        } catch (error) {
+          return toResponse(createErrorResponse(400, 'INVALID_JSON', 'Invalid JSON in request body'), corsHeaders);
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return toResponse(createErrorResponse(400, 'INVALID_JSON', 'Request body must be a JSON object'), corsHeaders);
+        }
+      }
+
+      const result = await route.handler({
+        event,
+        query: event.queryStringParameters || {},
+        body,
+        principal: authResult.principal,
+        sourceIp: getClientIP(event)
+      });
+
+      return toResponse(result, corsHeaders);
+
+    } catch (error) {
+      const mapped = errors[error.message];
+      if (mapped) {
+        return toResponse(createErrorResponse(mapped.statusCode, mapped.code, error.message), corsHeaders);
+      }
+
+      console.error(`Error ${description}:`, error);
+
+      return {
+        statusCode: 500,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          success: false,
+          error: {
+            code: 'INTERNAL_ERROR',
+            message: `An internal error occurred while ${description}`
+          }
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Create standardized success response
+ */
+function createSuccessResponse(payload, statusCode = 200) {
+  return {
+    statusCode,
+    payload: {
+      success: true,
+      ...payload
+    }
+  };
+}
+
+/**
+ * Create standardized error response
+ */
+function createErrorResponse(statusCode, errorCode, message, field = null) {
+  const errorResponse = {
+    success: false,
+    error: {
+      code: errorCode,
+      message: message
+    }
+  };
+
+  if (field) {
+    errorResponse.error.field = field;
+  }
+
+  return { statusCode, payload: errorResponse };
+}
+
+/**
+ * Turn a route result into an API Gateway response
+ * @private
+ */
+function toResponse(result, headers) {
+  return {
+    statusCode: result.statusCode,
+    headers,
+    body: JSON.stringify(result.payload)
+  };
+}
+
+/**
+ * Get allowed origin for CORS
+ * @private
+ */
+function getAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.includes('*')) {
+    return '*';
+  }
+
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    return origin;
+  }
+
+  return ALLOWED_ORIGINS[0] || '*';
+}
+
+module.exports = {
+  createRouter,
+  createSuccessResponse,
+  createErrorResponse
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { getHeader } = require('./headers');
+
+// Spam scoring settings from environment variables
+const SPAM_QUARANTINE_SCORE = parseInt(process.env.SPAM_QUARANTINE_SCORE) || 5;
+const SPAM_REJECT_SCORE = parseInt(process.env.SPAM_REJECT_SCORE) || 10;
+const SPAM_RULE_WEIGHTS = process.env.SPAM_RULE_WEIGHTS || ''; // JSON: { "suspicious_name": 0 }
+const SPAM_MIN_SUBMIT_MS = parseInt(process.env.SPAM_MIN_SUBMIT_MS) || 3000;
+const SPAM_MAX_LINKS = process.env.SPAM_MAX_LINKS !== undefined ? parseInt(process.env.SPAM_MAX_LINKS) : 2;
+const SPAM_DISPOSABLE_DOMAINS = process.env.SPAM_DISPOSABLE_DOMAINS || ''; // Comma-separated additions
+const DISPOSABLE_DOMAINS_FILE = path.join(__dirname, '..', 'data', 'disposable-domains.txt');
+
+// Outcome of scoring a submission
+const SPAM_STATUS = {
+  ACCEPTED: 'accepted',
+  QUARANTINED: 'quarantined',
+  REJECTED: 'rejected'
+};
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+const SUSPICIOUS_NAME_WORDS = ['test', 'spam', 'bot', 'fake', 'admin', 'root', 'asdf', 'qwerty'];
+
+/**
+ * Built-in rules
+ * Each rule returns false when it does not match, or true / a detail string when it does
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'honeypot_filled',
+    weight: 10,
+    description: 'The hidden honeypot field was filled in',
+    test: ({ signals }) => typeof signals.honeypot === 'string' && signals.honeypot.trim() !== ''
+  },
+  {
+    id: 'submitted_too_fast',
+    weight: 6,
+    description: 'The form was submitted faster than a person can fill it in',
+    test: ({ signals }, engine) => typeof signals.timeToSubmitMs === 'number' &&
+      signals.timeToSubmitMs < engine.minSubmitMs && `${signals.timeToSubmitMs}ms`
+  },
+  {
+    id: 'missing_form_signals',
+    weight: 2,
+    description: 'The submission did not come from the embedded form',
+    test: ({ signals }) => typeof signals.timeToSubmitMs !== 'number'
+  },
+  {
+    id: 'disposable_email_domain',
+    weight: 5,
+    description: 'The email address uses a disposable email provider',
+    test: ({ data }, engine) => engine.isDisposableEmail(data.contact.email) && data.contact.email.split('@')[1]
+  },
+  {
+    id: 'link_in_name',
+    weight: 8,
+    description: 'The name contains a link',
+    test: ({ data }) => countLinks([data.contact.name, data.contact.lastname]) > 0
+  },
+  {
+    id: 'excessive_links',
+    weight: 4,
+    description: 'Free-text fields contain more links than allowed',
+    test: ({ data }, engine) => {
+      // The website field is expected to hold a link
+      const contactValues = Object.entries(data.contact).filter(([name]) => name !== 'website').map(([, value]) => value);
+      const links = countLinks([...contactValues, ...Object.values(data.customFields || {})]);
+      return links > engine.maxLinks && `${links} links`;
+    }
+  },
+  {
+    id: 'suspicious_name',
+    weight: 2,
+    description: 'The name is a placeholder word',
+    test: ({ data }) => String(data.contact.name || '').toLowerCase().split(/[\s\-']+/)
+      .some(word => SUSPICIOUS_NAME_WORDS.includes(word))
+  },
+  {
+    id: 'missing_user_agent',
+    weight: 3,
+    description: 'The request has no User-Agent header',
+    test: ({ headers }) => !getHeader(headers, 'User-Agent')
+  },
+  {
+    id: 'too_many_fields',
+    weight: 3,
+    description: 'The submission has more than 10 custom fields',
+    test: ({ data }) => Object.keys(data.customFields || {}).length > 10
+  }
+];
+
+/**
+ * Weighted spam scoring
+ * Every matching rule adds its weight; the total decides accept, quarantine or reject
+ */
+class SpamScoringService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Array<Object>} options.rules - Rules ({ id, weight, description, test })
+   * @param {Object} options.weights - Weight overrides per rule ID (0 disables a rule)
+   * @param {number} options.quarantineScore - Score from which submissions are quarantined
+   * @param {number} options.rejectScore - Score from which submissions are rejected
+   * @param {number} options.minSubmitMs - Fastest plausible time-to-submit
+   * @param {number} options.maxLinks - Links allowed across free-text fields
+   * @param {Array<string>} options.disposableDomains - Disposable email domains
+   */
+  constructor(options = {}) {
+    const weights = options.weights || parseWeights(SPAM_RULE_WEIGHTS);
+
+    this.rules = (options.rules || DEFAULT_RULES).map(rule => ({
+      ...rule,
+      weight: weights[rule.id] !== undefined ? weights[rule.id] : rule.weight
+    }));
+    this.quarantineScore = options.quarantineScore || SPAM_QUARANTINE_SCORE;
+    this.rejectScore = options.rejectScore || SPAM_REJECT_SCORE;
+    this.minSubmitMs = options.minSubmitMs || SPAM_MIN_SUBMIT_MS;
+    this.maxLinks = options.maxLinks !== undefined ? options.maxLinks : SPAM_MAX_LINKS;
+    this.disposableDomains = new Set(options.disposableDomains || loadDisposableDomains());
+  }
+
+  /**
+   * Score a validated submission
+   * @param {Object} context - Scoring context
+   * @param {Object} context.data - Sanitized submission ({ contact, customFields })
+   * @param {Object} context.signals - Signals measured by the form ({ honeypot, timeToSubmitMs })
+   * @param {Object} context.headers - Request headers
+   * @returns {Object} - { score, status, reasons, evaluatedAt }
+   */
+  evaluate(context) {
+    const normalizedContext = {
+      data: context.data,
+      signals: isPlainObject(context.signals) ? context.signals : {},
+      headers: context.headers || {}
+    };
+    const reasons = [];
+    let score = 0;
+
+    for (const rule of this.rules) {
+      if (!rule.weight) continue;
+
+      const result = rule.test(normalizedContext, this);
+      if (!result) continue;
+
+      score += rule.weight;
+      reasons.push({
+        rule: rule.id,
+        weight: rule.weight,
+        ...(typeof result === 'string' ? { detail: result } : {})
+      });
+    }
+
+    let status = SPAM_STATUS.ACCEPTED;
+    if (score >= this.rejectScore) {
+      status = SPAM_STATUS.REJECTED;
+    } else if (score >= this.quarantineScore) {
+      status = SPAM_STATUS.QUARANTINED;
+    }
+
+    return {
+      score,
+      status,
+      reasons,
+      evaluatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check an email address (and its parent domains) against the disposable list
+   * @param {string} email - Email address
+   * @returns {boolean} - True for disposable providers
+   */
+  isDisposableEmail(email) {
+    const domainParts = String(email || '').toLowerCase().split('@')[1]?.split('.') || [];
+
+    for (let i = 0; i < domainParts.length - 1; i++) {
+      if (this.disposableDomains.has(domainParts.slice(i).join('.'))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Count links across string values
+ */
+function countLinks(values) {
+  return values
+    .filter(value => typeof value === 'string')
+    .reduce((count, value) => count + (value.match(LINK_PATTERN) || []).length, 0);
+}
+
+/**
+ * Load the bundled disposable domain list plus SPAM_DISPOSABLE_DOMAINS
+ */
+function loadDisposableDomains() {
+  const bundled = fs.readFileSync(DISPOSABLE_DOMAINS_FILE, 'utf8').split('\n');
+  const extra = SPAM_DISPOSABLE_DOMAINS.split(',');
+
+  return [...bundled, ...extra]
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Parse SPAM_RULE_WEIGHTS
+ */
+function parseWeights(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid SPAM_RULE_WEIGHTS: ${error.message}`);
+  }
+}
+
+/**
+ * Check for a plain object value
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Export singleton instance
+module.exports = new SpamScoringService();
+module.exports.SpamScoringService = SpamScoringService;
+module.exports.SPAM_STATUS = SPAM_STATUS;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
@@ -0,0 +1,483 @@
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const { awsError, compileCondition, applyUpdate, project, compare } = require('./expressions');
+
+// Storage settings from environment variables
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(process.cwd(), 'tmp', 'data');
+
+/**
+ * Storage adapters for DatabaseService
+ * Every adapter takes DocumentClient request parameters (get, put, update, delete, query, scan,
+ * batchGet, batchWrite, transactWrite) and resolves with DocumentClient-shaped results. Failed
+ * conditions reject with the same error codes as DynamoDB.
+ */
+
+/**
+ * Amazon DynamoDB through the DocumentClient
+ */
+class DynamoDbAdapter {
+  constructor(options = {}) {
+    const region = process.env.AWS_REGION || 'us-east-1';
+    this.client = options.client || new AWS.DynamoDB.DocumentClient({ region });
+    this.service = options.service || new AWS.DynamoDB({ region });
+  }
+
+  get(params) {
+    return this.client.get(params).promise();
+  }
+
+  put(params) {
+    return this.client.put(params).promise();
+  }
+
+  update(params) {
+    return this.client.update(params).promise();
+  }
+
+  delete(params) {
+    return this.client.delete(params).promise();
+  }
+
+  query(params) {
+    return this.client.query(params).promise();
+  }
+
+  scan(params) {
+    return this.client.scan(params).promise();
+  }
+
+  batchGet(params) {
+    return this.client.batchGet(params).promise();
+  }
+
+  batchWrite(params) {
+    return this.client.batchWrite(params).promise();
+  }
+
+  transactWrite(params) {
+    return this.client.transactWrite(params).promise();
+  }
+
+  async healthCheck(tableNames) {
+    await Promise.all(tableNames.map(TableName => this.service.describeTable({ TableName }).promise()));
+  }
+}
+
+/**
+ * Keeps tables in memory (tests and offline runs)
+ * Needs the key schema of every table: { [tableName]: { hashKey, rangeKey, indexes: { [name]: { hashKey, rangeKey } } } }
+ */
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.tables = options.tables || {};
+    this.data = {};
+  }
+
+  async get(params) {
+    const item = this.getTable(params.TableName).get(this.keyOf(params.TableName, params.Key, true));
+    return item ? { Item: this.output(item, params) } : {};
+  }
+
+  async put(params) {
+    const table = this.getTable(params.TableName);
+    const key = this.keyOf(params.TableName, params.Item);
+    const existing = table.get(key);
+
+    this.checkCondition(existing, params);
+    table.set(key, structuredClone(params.Item));
+    this.persist([params.TableName]);
+
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  async update(params) {
+    const table = this.getTable(params.TableName);
+    const key = this.keyOf(params.TableName, params.Key, true);
+    const existing = table.get(key);
+
+    this.checkCondition(existing, params);
+    const updated = applyUpdate(existing || { ...params.Key }, params.UpdateExpression,
+      params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+    table.set(key, updated);
+    this.persist([params.TableName]);
+
+    return { Attributes: structuredClone(returnValues(params.ReturnValues, existing, updated)) };
+  }
+
+  async delete(params) {
+    const table = this.getTable(params.TableName);
+    const key = this.keyOf(params.TableName, params.Key, true);
+    const existing = table.get(key);
+
+    this.checkCondition(existing, params);
+    table.delete(key);
+    this.persist([params.TableName]);
+
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  async query(params) {
+    const schema = this.getIndexSchema(params.TableName, params.IndexName);
+    const keyCondition = compileCondition(params.KeyConditionExpression,
+      params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+    const items = [...this.getTable(params.TableName).values()]
+      .filter(item => item[schema.hashKey] !== undefined)
+      .filter(item => !schema.rangeKey || item[schema.rangeKey] !== undefined)
+      .filter(keyCondition);
+
+    return this.paginate(params, schema, items, params.ScanIndexForward !== false);
+  }
+
+  async scan(params) {
+    const schema = this.getIndexSchema(params.TableName, params.IndexName);
+    const items = [...this.getTable(params.TableName).values()]
+      .filter(item => item[schema.hashKey] !== undefined);
+
+    // Scans have no sort key order; order by primary key so pagination is stable
+    return this.paginate(params, { ...schema, rangeKey: null }, items, true);
+  }
+
+  async batchGet(params) {
+    const responses = {};
+
+    Object.entries(params.RequestItems).forEach(([tableName, request]) => {
+      const table = this.getTable(tableName);
+      responses[tableName] = request.Keys
+        .map(key => table.get(this.keyOf(tableName, key, true)))
+        .filter(Boolean)
+        .map(item => this.output(item, request));
+    });
+
+    return { Responses: responses, UnprocessedKeys: {} };
+  }
+
+  async batchWrite(params) {
+    Object.entries(params.RequestItems).forEach(([tableName, requests]) => {
+      const table = this.getTable(tableName);
+      requests.forEach(request => {
+        if (request.PutRequest) {
+          table.set(this.keyOf(tableName, request.PutRequest.Item), structuredClone(request.PutRequest.Item));
+        } else {
+          table.delete(this.keyOf(tableName, request.DeleteRequest.Key, true));
+        }
+      });
+    });
+    this.persist(Object.keys(params.RequestItems));
+
+    return { UnprocessedItems: {} };
+  }
+
+  async transactWrite(params) {
+    const operations = params.TransactItems.map(transactItem => {
+      const [type, operation] = Object.entries(transactItem)[0];
+      const tableName = operation.TableName;
+      const key = operation.Key ? this.keyOf(tableName, operation.Key, true) : this.keyOf(tableName, operation.Item);
+      return { type, operation, tableName, key };
+    });
+
+    const targets = operations.map(({ tableName, key }) => `${tableName}/${key}`);
+    if (new Set(targets).size !== targets.length) {
+      throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+    }
+
+    const reasons = operations.map(({ operation, tableName, key }) => {
+      const existing = this.getTable(tableName).get(key);
+      try {
+        this.checkCondition(existing, operation);
+        return 'None';
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') throw error;
+        return 'ConditionalCheckFailed';
+      }
+    });
+
+    if (reasons.some(reason => reason !== 'None')) {
+      throw awsError('TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`);
+    }
+
+    operations.forEach(({ type, operation, tableName, key }) => {
+      const table = this.getTable(tableName);
+      if (type === 'Put') {
+        table.set(key, structuredClone(operation.Item));
+      } else if (type === 'Update') {
+        table.set(key, applyUpdate(table.get(key) || { ...operation.Key }, operation.UpdateExpression,
+          operation.ExpressionAttributeNames, operation.ExpressionAttributeValues));
+      } else if (type === 'Delete') {
+        table.delete(key);
+      }
+    });
+    this.persist([...new Set(operations.map(({ tableName }) => tableName))]);
+
+    return {};
+  }
+
+  async healthCheck(tableNames) {
+    tableNames.forEach(tableName => this.getTable(tableName));
+  }
+
+  /**
+   * Items of a table by primary key
+   * @protected
+   */
+  getTable(tableName) {
+    if (!this.tables[tableName]) {
+      throw tableNotFound(tableName);
+    }
+    if (!this.data[tableName]) {
+      this.data[tableName] = new Map();
+    }
+    return this.data[tableName];
+  }
+
+  /**
+   * Save changed tables (no-op in memory)
+   * @protected
+   */
+  persist() {}
+
+  /**
+   * Clear all tables
+   */
+  clear() {
+    this.data = {};
+  }
+
+  /**
+   * Key schema of a table or one of its indexes
+   * @private
+   */
+  getIndexSchema(tableName, indexName) {
+    this.getTable(tableName);
+    if (!indexName) {
+      return this.tables[tableName];
+    }
+
+    const index = this.tables[tableName].indexes?.[indexName];
+    if (!index) {
+      throw awsError('ValidationException', `The table does not have the specified index: ${indexName}`);
+    }
+    return index;
+  }
+
+  /**
+   * Primary key string of an item or key
+   * A Key parameter (isKey) must hold exactly the key attributes, as DynamoDB rejects extra ones
+   * @private
+   */
+  keyOf(tableName, item, isKey = false) {
+    if (!this.tables[tableName]) {
+      throw tableNotFound(tableName);
+    }
+
+    const { hashKey, rangeKey } = this.tables[tableName];
+    if (item[hashKey] === undefined || (rangeKey && item[rangeKey] === undefined) ||
+        (isKey && Object.keys(item).length !== (rangeKey ? 2 : 1))) {
+      throw awsError('ValidationException', 'The provided key element does not match the schema');
+    }
+    return JSON.stringify(rangeKey ? [item[hashKey], item[rangeKey]] : [item[hashKey]]);
+  }
+
+  /**
+   * Throw ConditionalCheckFailedException when a write's condition does not hold
+   * @private
+   */
+  checkCondition(existing, params) {
+    if (!params.ConditionExpression) return;
+
+    const condition = compileCondition(params.ConditionExpression,
+      params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+    if (!condition(existing)) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  }
+
+  /**
+   * Copy an item for a response, applying the projection
+   * @private
+   */
+  output(item, params) {
+    return params.ProjectionExpression
+      ? project(item, params.ProjectionExpression, params.ExpressionAttributeNames)
+      : structuredClone(item);
+  }
+
+  /**
+   * Order, page and filter query or scan results like DynamoDB
+   * Limit counts evaluated items (before the filter); LastEvaluatedKey holds the table and index keys
+   * @private
+   */
+  paginate(params, schema, items, ascending) {
+    const tableSchema = this.tables[params.TableName];
+    const orderOf = item => [
+      schema.rangeKey ? item[schema.rangeKey] : null,
+      this.keyOf(params.TableName, item)
+    ];
+    const direction = ascending ? 1 : -1;
+    const byOrder = (a, b) => direction * (compareTuples(orderOf(a), orderOf(b)));
+
+    let ordered = items.sort(byOrder);
+    if (params.ExclusiveStartKey) {
+      ordered = ordered.filter(item => byOrder(item, params.ExclusiveStartKey) > 0);
+    }
+
+    const evaluated = params.Limit ? ordered.slice(0, params.Limit) : ordered;
+    const filter = params.FilterExpression
+      ? compileCondition(params.FilterExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+      : () => true;
+    const matched = evaluated.filter(filter);
+
+    const result = {
+      Count: matched.length,
+      ScannedCount: evaluated.length
+    };
+    if (params.Select !== 'COUNT') {
+      result.Items = matched.map(item => this.output(item, params));
+    }
+
+    if (evaluated.length < ordered.length) {
+      const last = evaluated[evaluated.length - 1];
+      const keyAttributes = [tableSchema.hashKey, tableSchema.rangeKey, schema.hashKey, schema.rangeKey].filter(Boolean);
+      result.LastEvaluatedKey = Object.fromEntries(keyAttributes.map(attribute => [attribute, last[attribute]]));
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Keeps each table as a JSON file in a directory (local development)
+ * Files are re-read when another process changes them and replaced atomically on every write
+ */
+class FileAdapter extends MemoryAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory || STORAGE_DIR;
+    this.loadedAt = {};
+  }
+
+  getTable(tableName) {
+    const table = super.getTable(tableName);
+    const filePath = this.filePath(tableName);
+
+    let modifiedAt = null;
+    try {
+      modifiedAt = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (modifiedAt !== null && modifiedAt !== this.loadedAt[tableName]) {
+      const items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      table.clear();
+      items.forEach(item => table.set(this.keyOf(tableName, item), item));
+      this.loadedAt[tableName] = modifiedAt;
+    }
+
+    return table;
+  }
+
+  persist(tableNames) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    tableNames.forEach(tableName => {
+      const filePath = this.filePath(tableName);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      fs.writeFileSync(tempPath, JSON.stringify([...this.data[tableName].values()], null, 2));
+      fs.renameSync(tempPath, filePath);
+      this.loadedAt[tableName] = fs.statSync(filePath).mtimeMs;
+    });
+  }
+
+  async healthCheck(tableNames) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.accessSync(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+    await super.healthCheck(tableNames);
+  }
+
+  clear() {
+    super.clear();
+    this.loadedAt = {};
+    Object.keys(this.tables).forEach(tableName => fs.rmSync(this.filePath(tableName), { force: true }));
+  }
+
+  /**
+   * @private
+   */
+  filePath(tableName) {
+    return path.join(this.directory, `${tableName}.json`);
+  }
+}
+
+/**
+ * Error for a table without a schema
+ */
+function tableNotFound(tableName) {
+  return awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+}
+
+/**
+ * Attributes returned by an update for its ReturnValues setting
+ */
+function returnValues(setting, before, after) {
+  switch (setting) {
+    case 'ALL_NEW':
+      return after;
+    case 'ALL_OLD':
+      return before;
+    case 'UPDATED_NEW':
+    case 'UPDATED_OLD': {
+      const source = setting === 'UPDATED_NEW' ? after : (before || {});
+      const changed = Object.keys({ ...before, ...after })
+        .filter(attribute => JSON.stringify((before || {})[attribute]) !== JSON.stringify(after[attribute]));
+      return Object.fromEntries(changed.filter(attribute => source[attribute] !== undefined)
+        .map(attribute => [attribute, source[attribute]]));
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Compare [sortKey, primaryKey] tuples; missing sort keys order first
+ */
+function compareTuples(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === null || a[i] === undefined) return -1;
+    if (b[i] === null || b[i] === undefined) return 1;
+
+    const result = compare(a[i], b[i]);
+    if (!Number.isNaN(result) && result !== 0) return result;
+    if (Number.isNaN(result)) return String(a[i]) < String(b[i]) ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string} name - dynamodb, memory or file
+ * @param {Object} options - Adapter options (tables for memory and file)
+ */
+function createStorageAdapter(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryAdapter(options);
+    case 'file':
+      return new FileAdapter(options);
+    case 'dynamodb':
+      return new DynamoDbAdapter(options);
+    default:
+      throw new Error(`Unknown storage adapter: ${name}`);
+  }
+}
+
+module.exports = {
+  DynamoDbAdapter,
+  MemoryAdapter,
+  FileAdapter,
+  createStorageAdapter
+};
@@ -0,0 +1,418 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+
+// Delivery settings from environment variables
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4;
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_BASE_DELAY_MS) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 5;
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+const RETRY_RUNNER = process.env.WEBHOOK_RETRY_RUNNER || 'sqs'; // sqs or inline (local development only)
+const RETRY_QUEUE_URL = process.env.WEBHOOK_RETRY_QUEUE_URL || '';
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'; // Local development only
+
+const MAX_QUEUE_DELAY_SECONDS = 900; // Longest SQS message delay
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = ['lead.created', 'lead.updated', 'lead.deleted'];
+
+// Addresses no endpoint may reach: this host, private networks and link-local addresses
+// (which include the 169.254.169.254 instance metadata service), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Status of a delivery record
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD_LETTER: 'dead_letter'
+};
+
+/**
+ * Outbound webhook delivery for lead events
+ * Signs each payload with the endpoint's secret, records every delivery and disables endpoints
+ * that keep failing. Each invocation makes one attempt per delivery; retries are scheduled with
+ * exponential backoff on a queue, so no function waits them out.
+ * Delivery records hold no lead fields: the body is built from the lead at each attempt.
+ */
+class WebhookService {
+
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.database - Database service
+   * @param {number} options.maxAttempts - Attempts per delivery
+   * @param {number} options.baseDelay - First retry delay in milliseconds, doubled on each retry
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.disableAfterFailures - Consecutive failed deliveries before an endpoint is disabled
+   * @param {string} options.runner - sqs (delayed queue message) or inline (timer in the same process)
+   * @param {Object} options.sqs - SQS client for the sqs runner
+   * @param {string} options.queueUrl - Retry queue, consumed by the retry-webhooks function
+   * @param {boolean} options.allowPrivateTargets - Allow endpoints on private and loopback addresses
+   */
+  constructor(options = {}) {
+    this.database = options.database || database;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : BASE_DELAY_MS;
+    this.timeout = options.timeout || TIMEOUT_MS;
+    this.disableAfterFailures = options.disableAfterFailures || DISABLE_AFTER_FAILURES;
+    this.runner = options.runner || RETRY_RUNNER;
+    this.sqs = options.sqs || new AWS.SQS({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    this.queueUrl = options.queueUrl !== undefined ? options.queueUrl : RETRY_QUEUE_URL;
+    this.allowPrivateTargets = options.allowPrivateTargets !== undefined ? options.allowPrivateTargets : ALLOW_PRIVATE_TARGETS;
+  }
+
+  /**
+   * Generate a signing secret for a new webhook
+   * @returns {string} - Random secret
+   */
+  generateSecret() {
+    return 'whsec_' + crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Compute the signature header value for a payload
+   * The signed content is "<timestamp>.<raw body>" so receivers can reject replays
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Signature in the form "sha256=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Verify a signature header value (for receivers and tooling)
+   * @returns {boolean} - True if the signature matches
+   */
+  verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(this.sign(secret, timestamp, body));
+    const actual = Buffer.from(String(signature || ''));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Deliver an event to every active webhook subscribed to it
+   * @param {string} eventType - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data (the lead)
+   * @returns {Promise<Array>} - Delivery records
+   */
+  async dispatch(eventType, data) {
+    const webhooks = await this.database.listWebhooks({ eventType, activeOnly: true });
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+      deliveries.push(await this.deliver(webhook, eventType, data));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Deliver an event to a single webhook and record the outcome
+   * @param {Object} webhook - Webhook registration
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} - Delivery record (pending when a retry was scheduled)
+   */
+  async deliver(webhook, eventType, data) {
+    const delivery = {
+      deliveryId: uuidv4(),
+      webhookId: webhook.webhookId,
+      leadId: data.leadId || null, // Lets retries read the lead again and erasure requests find deliveries for a lead
+      event: eventType,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      ttl: Math.floor(Date.now() / 1000) + (DELIVERY_RETENTION_DAYS * 24 * 60 * 60)
+    };
+
+    return this.attempt(webhook, delivery, await this.buildBody(delivery, data));
+  }
+
+  /**
+   * Make the next attempt of a pending delivery scheduled by an earlier one
+   * @param {string} deliveryId - Delivery to retry
+   * @returns {Promise<Object|null>} - Delivery record, or null if it is no longer pending
+   */
+  async retry(deliveryId) {
+    const delivery = await this.database.getWebhookDelivery(deliveryId);
+
+    // Finished by an earlier run of this retry, or removed by an erasure request meanwhile
+    if (!delivery || delivery.status !== DELIVERY_STATUS.PENDING) {
+      return null;
+    }
+
+    const webhook = await this.database.getWebhookById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      return this.abandon(delivery, webhook ? 'Webhook was disabled before the retry' : 'Webhook was deleted before the retry');
+    }
+
+    const body = await this.buildBody(delivery);
+    if (!body) {
+      return this.abandon(delivery, 'Lead was deleted before the retry');
+    }
+
+    return this.attempt(webhook, delivery, body);
+  }
+
+  /**
+   * Build the request body of a delivery
+   * Retries read the lead as it is now; deleted leads are sent by ID only
+   * @private
+   * @param {Object} delivery - Delivery record
+   * @param {Object} data - Event data, when it is at hand
+   * @returns {Promise<string|null>} - JSON body, or null when the lead no longer exists
+   */
+  async buildBody(delivery, data = null) {
+    // Deliveries stored before payloads were dropped from the records
+    if (delivery.payload) {
+      return delivery.payload;
+    }
+
+    const eventData = data || (delivery.event === 'lead.deleted'
+      ? { leadId: delivery.leadId }
+      : await this.database.getLeadById(delivery.leadId));
+    if (!eventData) {
+      return null;
+    }
+
+    return JSON.stringify({ id: delivery.deliveryId, event: delivery.event, createdAt: delivery.createdAt, data: eventData });
+  }
+
+  /**
+   * Store a pending delivery as dead letter without sending it
+   * @private
+   */
+  async abandon(delivery, error) {
+    const abandoned = {
+      ...delivery,
+      status: DELIVERY_STATUS.DEAD_LETTER,
+      error,
+      completedAt: new Date().toISOString()
+    };
+    delete abandoned.nextAttemptAt;
+    delete abandoned.payload;
+
+    await this.database.storeWebhookDelivery(abandoned);
+    return abandoned;
+  }
+
+  /**
+   * Send a delivery once, then store it as delivered, pending a scheduled retry, or dead letter
+   * @private
+   */
+  async attempt(webhook, delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = {
+      attempt: delivery.attempts.length + 1,
+      attemptedAt: new Date(startedAt).toISOString()
+    };
+    let delivered = false;
+
+    try {
+      attempt.statusCode = await this.send(webhook.url, body, {
+        'X-Webhook-Id': delivery.deliveryId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+      });
+      delivered = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+
+    const updated = {
+      ...delivery,
+      url: webhook.url,
+      responseCode: attempt.statusCode || null,
+      error: attempt.error || null,
+      attempts: [...delivery.attempts, attempt]
+    };
+    delete updated.payload;
+
+    if (!delivered && isRetryable(attempt) && updated.attempts.length < this.maxAttempts) {
+      const delayMs = this.baseDelay * Math.pow(2, updated.attempts.length - 1);
+      updated.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+
+      await this.database.storeWebhookDelivery(updated);
+      await this.scheduleRetry(updated.deliveryId, delayMs);
+      return updated;
+    }
+
+    updated.status = delivered ? DELIVERY_STATUS.DELIVERED : DELIVERY_STATUS.DEAD_LETTER;
+    updated.completedAt = new Date().toISOString();
+    delete updated.nextAttemptAt;
+
+    await this.database.storeWebhookDelivery(updated);
+    await this.recordOutcome(webhook, delivered);
+
+    return updated;
+  }
+
+  /**
+   * Hand a pending delivery to the configured retry runner
+   * @private
+   */
+  async scheduleRetry(deliveryId, delayMs) {
+    switch (this.runner) {
+      case 'inline':
+        // Runs in this process after the delay; only suitable for a long-lived process such as the dev server
+        setTimeout(() => {
+          this.retry(deliveryId).catch(error => console.error(`Webhook retry ${deliveryId} failed:`, error));
+        }, delayMs).unref();
+        return;
+      case 'sqs':
+        if (!this.queueUrl) {
+          throw new Error('WEBHOOK_RETRY_QUEUE_URL is not configured');
+        }
+        await this.sqs.sendMessage({
+          QueueUrl: this.queueUrl,
+          MessageBody: JSON.stringify({ deliveryId }),
+          DelaySeconds: Math.min(MAX_QUEUE_DELAY_SECONDS, Math.ceil(delayMs / 1000))
+        }).promise();
+        return;
+      default:
+        throw new Error(`Unknown webhook retry runner: ${this.runner}`);
+    }
+  }
+
+  /**
+   * Track consecutive failures and disable endpoints that keep failing
+   * @private
+   */
+  async recordOutcome(webhook, delivered) {
+    if (delivered) {
+      await this.database.updateWebhook(webhook.webhookId, {
+        consecutiveFailures: 0,
+        lastDeliveryAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    const consecutiveFailures = (webhook.consecutiveFailures || 0) + 1;
+    const updateData = {
+      consecutiveFailures,
+      lastFailureAt: new Date().toISOString()
+    };
+
+    if (consecutiveFailures >= this.disableAfterFailures) {
+      updateData.active = false;
+      updateData.disabledAt = updateData.lastFailureAt;
+      updateData.disabledReason = `Disabled after ${consecutiveFailures} consecutive failed deliveries`;
+      console.warn('Webhook disabled:', webhook.webhookId, updateData.disabledReason);
+    }
+
+    await this.database.updateWebhook(webhook.webhookId, updateData);
+  }
+
+  /**
+   * POST a JSON body and resolve with the response status code
+   * The address is checked after DNS resolution, so a name can't be pointed at an internal host later
+   * @private
+   */
+  send(url, body, headers) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    if (!this.allowPrivateTargets && isBlockedHost(target.hostname)) {
+      return Promise.reject(new Error(`Webhook URL host ${target.hostname} is a private address`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method: 'POST',
+        timeout: this.timeout,
+        lookup: this.allowPrivateTargets ? undefined : lookupPublicAddress,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'serverless-lead-capture-webhooks/1.0',
+          ...headers
+        }
+      }, (res) => {
+        // Drain the response; only the status code is recorded
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`Request timed out after ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+
+      req.write(body);
+      req.end();
+    });
+  }
+}
+
+/**
+ * Whether a URL hostname is a blocked IP address or a name for this host
+ * Other names are checked once they resolve (see lookupPublicAddress)
+ * @param {string} hostname - Hostname of a parsed URL (IPv6 addresses in brackets)
+ * @returns {boolean}
+ */
+function isBlockedHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  const family = net.isIP(host);
+  return family !== 0 && BLOCKED_ADDRESSES.check(host, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup for outgoing requests that fails when a name resolves to a blocked address
+ * @private
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => BLOCKED_ADDRESSES.check(entry.address, entry.family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      return callback(new Error(`Webhook URL host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Network errors, timeouts, 408, 429 and 5xx responses are worth retrying
+ */
+function isRetryable(attempt) {
+  if (!attempt.statusCode) return true;
+  return attempt.statusCode === 408 || attempt.statusCode === 429 || attempt.statusCode >= 500;
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.isBlockedHost = isBlockedHost;
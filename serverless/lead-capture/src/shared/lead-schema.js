@@ -0,0 +1,341 @@
+/**
+ * Lead Submission Schema
+ * Shared by the embedded form (browser) and the Lambda handlers (Node.js)
+ * so both sides agree on field names, types, limits and Mautic mappings
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LeadCaptureSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Version written by the current form into every submission
+    const SCHEMA_VERSION = 2;
+
+    // Versions the backend can still accept and upgrade
+    // v1: unversioned payloads, either flat ({ name, email, ... }) or
+    //     everything nested under `contact` as the form sent it before v2
+    const SUPPORTED_VERSIONS = [1, 2];
+
+    // Field definitions - Mautic compatible
+    // section: where the value lives in the payload and in the stored lead
+    const FIELDS = {
+        // Standard contact fields (Mautic compatible)
+        name: {
+            section: 'contact',
+            type: 'string',
+            label: 'Name',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            pattern: /^[a-zA-Z\s\-'.]+$/,
+            message: 'Please enter a valid name (2-100 characters, letters only)',
+            mauticField: 'firstname' // Maps to Mautic firstname field
+        },
+        lastname: {
+            section: 'contact',
+            type: 'string',
+            label: 'Last name',
+            required: false,
+            minLength: 2,
+            maxLength: 50,
+            pattern: /^[a-zA-Z\s\-'.]+$/,
+            message: 'Please enter a valid last name',
+            mauticField: 'lastname'
+        },
+        email: {
+            section: 'contact',
+            type: 'email',
+            label: 'Email',
+            required: true,
+            maxLength: 254,
+            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            message: 'Please enter a valid email address',
+            mauticField: 'email'
+        },
+        company: {
+            section: 'contact',
+            type: 'string',
+            label: 'Company',
+            required: false,
+            maxLength: 200,
+            message: 'Company name must be less than 200 characters',
+            mauticField: 'company'
+        },
+        phone: {
+            section: 'contact',
+            type: 'phone',
+            label: 'Phone',
+            required: false,
+            pattern: /^[+]?[1-9][\d]{0,15}$/,
+            message: 'Please enter a valid phone number',
+            mauticField: 'phone'
+        },
+        website: {
+            section: 'contact',
+            type: 'url',
+            label: 'Website',
+            required: false,
+            maxLength: 255,
+            pattern: /^https?:\/\/.+/,
+            message: 'Please enter a valid website URL',
+            mauticField: 'website'
+        },
+        jobtitle: {
+            section: 'contact',
+            type: 'string',
+            label: 'Job title',
+            required: false,
+            maxLength: 100,
+            message: 'Job title must be less than 100 characters',
+            mauticField: 'position'
+        },
+        // Custom fields
+        details: {
+            section: 'customFields',
+            type: 'string',
+            label: 'Details',
+            required: false,
+            maxLength: 500,
+            message: 'Details must be less than 500 characters',
+            mauticField: 'details', // Custom field in Mautic
+            fieldType: 'textarea'
+        },
+        // Lead source tracking
+        leadsource: {
+            section: 'customFields',
+            type: 'string',
+            label: 'Lead source',
+            required: false,
+            maxLength: 100,
+            message: 'Lead source identifier',
+            mauticField: 'leadsource',
+            fieldType: 'hidden'
+        },
+        // Custom Mautic fields (can be extended)
+        industry: {
+            section: 'customFields',
+            type: 'string',
+            label: 'Industry',
+            required: false,
+            maxLength: 50,
+            message: 'Industry must be less than 50 characters',
+            mauticField: 'industry',
+            fieldType: 'select',
+            options: ['Technology', 'Healthcare', 'Finance', 'Education', 'Other']
+        },
+        budget: {
+            section: 'customFields',
+            type: 'number',
+            label: 'Budget',
+            required: false,
+            pattern: /^\d+$/,
+            message: 'Please enter a valid budget amount',
+            mauticField: 'budget',
+            fieldType: 'number'
+        }
+    };
+
+    // Limits for custom fields that are not defined above
+    const CUSTOM_FIELD_LIMITS = {
+        maxKeyLength: 50,
+        maxValueLength: 500
+    };
+
+    // Limits for the consent record sent alongside the fields
+    // consent: { given, text, policyVersion, policyUrl, required }
+    const CONSENT_LIMITS = {
+        maxTextLength: 1000,
+        maxVersionLength: 50,
+        maxUrlLength: 2048
+    };
+
+    // UTM parameters carried by each attribution touch (touch key → URL parameter)
+    // tracking.firstTouch / tracking.lastTouch: { utmSource, ..., landingPage, referrer, timestamp }
+    const UTM_PARAMETERS = {
+        utmSource: 'utm_source',
+        utmMedium: 'utm_medium',
+        utmCampaign: 'utm_campaign',
+        utmTerm: 'utm_term',
+        utmContent: 'utm_content'
+    };
+
+    const ATTRIBUTION_LIMITS = {
+        maxUtmLength: 100,
+        maxSessionIdLength: 100
+    };
+
+    /**
+     * Normalize a raw field value the same way on both sides
+     */
+    function normalizeValue(fieldName, value) {
+        if (value === undefined || value === null) return '';
+
+        let normalized = String(value).trim();
+        const field = FIELDS[fieldName];
+
+        if (field && field.type === 'email') {
+            normalized = normalized.toLowerCase();
+        }
+        if (field && field.type === 'phone') {
+            // Drop common formatting characters before validating
+            normalized = normalized.replace(/[\s\-().]/g, '');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a single field value
+     * @returns {string|null} - Error message, or null when the value is valid
+     */
+    function validateField(fieldName, value, required) {
+        const field = FIELDS[fieldName];
+        if (!field) return null;
+
+        const isRequired = required !== undefined ? required : field.required;
+        const normalized = normalizeValue(fieldName, value);
+
+        if (!normalized) {
+            return isRequired ? `${field.label} is required` : null;
+        }
+
+        if (field.minLength && normalized.length < field.minLength) {
+            return field.message;
+        }
+
+        if (field.maxLength && normalized.length > field.maxLength) {
+            return field.message;
+        }
+
+        if (field.pattern && !field.pattern.test(normalized)) {
+            return field.message;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate the consent record
+     * @returns {string|null} - Error message, or null when the consent is valid
+     */
+    function validateConsent(consent, required) {
+        if (consent === undefined || consent === null) {
+            return required ? 'Consent is required' : null;
+        }
+
+        if (typeof consent !== 'object' || Array.isArray(consent)) {
+            return 'Consent must be an object';
+        }
+
+        if (typeof consent.given !== 'boolean') {
+            return 'Consent must state whether it was given';
+        }
+
+        if (typeof consent.text !== 'string' || !consent.text.trim() ||
+            consent.text.length > CONSENT_LIMITS.maxTextLength) {
+            return `Consent text is required (up to ${CONSENT_LIMITS.maxTextLength} characters)`;
+        }
+
+        if (typeof consent.policyVersion !== 'string' || !consent.policyVersion.trim() ||
+            consent.policyVersion.length > CONSENT_LIMITS.maxVersionLength) {
+            return `Consent policy version is required (up to ${CONSENT_LIMITS.maxVersionLength} characters)`;
+        }
+
+        if (consent.policyUrl !== undefined && consent.policyUrl !== '' &&
+            (typeof consent.policyUrl !== 'string' || !/^https?:\/\/.+/.test(consent.policyUrl) ||
+             consent.policyUrl.length > CONSENT_LIMITS.maxUrlLength)) {
+            return 'Consent policy URL must be a valid URL';
+        }
+
+        if ((required || consent.required === true) && !consent.given) {
+            return 'Consent is required';
+        }
+
+        return null;
+    }
+
+    /**
+     * Map field values to their Mautic field aliases
+     */
+    function toMauticFields(values) {
+        const mauticFields = {};
+
+        Object.keys(values || {}).forEach(fieldName => {
+            const field = FIELDS[fieldName];
+            if (field && field.mauticField) {
+                mauticFields[field.mauticField] = values[fieldName];
+            }
+        });
+
+        return mauticFields;
+    }
+
+    /**
+     * Upgrade a submission payload to the current schema version
+     * @returns {Object} - { isValid, version, data } or { isValid: false, error }
+     */
+    function upgradePayload(data) {
+        const version = data.schemaVersion === undefined ? 1 : Number(data.schemaVersion);
+
+        if (!SUPPORTED_VERSIONS.includes(version)) {
+            return {
+                isValid: false,
+                error: `Unsupported schemaVersion: ${data.schemaVersion}`
+            };
+        }
+
+        if (version === SCHEMA_VERSION) {
+            return { isValid: true, version, data };
+        }
+
+        return { isValid: true, version, data: upgradeFromV1(data) };
+    }
+
+    /**
+     * Upgrade an unversioned payload to v2
+     * @private
+     */
+    function upgradeFromV1(data) {
+        const { contact, customFields } = data;
+        const rest = { ...data };
+        ['contact', 'customFields', 'mauticFields', 'schemaVersion'].forEach(name => delete rest[name]);
+        const values = contact && typeof contact === 'object' ? { ...rest, ...contact } : rest;
+
+        const upgraded = {
+            ...rest,
+            schemaVersion: SCHEMA_VERSION,
+            contact: {},
+            customFields: customFields && typeof customFields === 'object' ? { ...customFields } : {}
+        };
+
+        Object.keys(FIELDS).forEach(fieldName => {
+            delete upgraded[fieldName];
+
+            if (values[fieldName] !== undefined) {
+                upgraded[FIELDS[fieldName].section][fieldName] = values[fieldName];
+            }
+        });
+
+        return upgraded;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        SUPPORTED_VERSIONS,
+        FIELDS,
+        CUSTOM_FIELD_LIMITS,
+        CONSENT_LIMITS,
+        UTM_PARAMETERS,
+        ATTRIBUTION_LIMITS,
+        normalizeValue,
+        validateField,
+        validateConsent,
+        toMauticFields,
+        upgradePayload
+    };
+});
@@ -25,6 +25,118 @@ locals {
     Environment = local.environment
     ManagedBy   = "terraform"
   }
+
+  # API handler functions besides submit and get; every handler ships in one deployment package
+  api_handlers = merge(
+    {
+      confirm-lead  = "confirm-lead.handler"
+      data-subject  = "data-subject.handler"
+      review-lead   = "review-lead.handler"
+      get-challenge = "get-challenge.handler"
+      get-stats     = "get-stats.handler"
+      export-leads  = "export-leads.handler"
+      api-keys      = "api-keys.handler"
+      manage-leads  = "manage-leads.handler"
+      audit-log     = "audit-log.handler"
+    },
+    { for name, handler in {
+      webhooks           = "webhooks.handler"
+      webhook-deliveries = "webhooks.listDeliveries"
+    } : name => handler if var.enable_webhooks }
+  )
+
+  # Routes to the API handler functions (the handlers authenticate requests themselves)
+  api_routes = merge(
+    {
+      # Double opt-in links (CONFIRMATION_URL), opened in the browser
+      leads_confirm = {
+        path     = "leads/confirm"
+        methods  = ["GET"]
+        function = "confirm-lead"
+      }
+      # GDPR access and erasure by email address
+      data_subject = {
+        path     = "data-subject"
+        methods  = ["GET", "DELETE", "OPTIONS"]
+        function = "data-subject"
+      }
+      # Spam quarantine review
+      leads_review = {
+        path     = "leads/review"
+        methods  = ["POST", "OPTIONS"]
+        function = "review-lead"
+      }
+      # Proof-of-work challenges for the form (data-challenge-endpoint)
+      challenge = {
+        path     = "challenge"
+        methods  = ["GET", "OPTIONS"]
+        function = "get-challenge"
+      }
+      # Submission stats time series
+      leads_stats = {
+        path     = "leads/stats"
+        methods  = ["GET", "OPTIONS"]
+        function = "get-stats"
+      }
+      # Full-dataset export jobs, run by the export worker
+      leads_exports = {
+        path     = "leads/exports"
+        methods  = ["GET", "POST", "OPTIONS"]
+        function = "export-leads"
+      }
+      # API key issue, rotation and revocation
+      keys = {
+        path     = "keys"
+        methods  = ["GET", "POST", "DELETE", "OPTIONS"]
+        function = "api-keys"
+      }
+      # Lead updates and deletes, single and batched (OPTIONS /leads is the module's own)
+      leads_admin = {
+        path     = "leads"
+        methods  = ["PATCH", "DELETE"]
+        function = "manage-leads"
+      }
+      leads_batch = {
+        path     = "leads/batch"
+        methods  = ["PATCH", "DELETE", "OPTIONS"]
+        function = "manage-leads"
+      }
+      # Lifecycle status, tags and internal notes
+      leads_status = {
+        path     = "leads/status"
+        methods  = ["PUT", "OPTIONS"]
+        function = "manage-leads"
+      }
+      leads_tags = {
+        path     = "leads/tags"
+        methods  = ["PATCH", "OPTIONS"]
+        function = "manage-leads"
+      }
+      leads_notes = {
+        path     = "leads/notes"
+        methods  = ["POST", "DELETE", "OPTIONS"]
+        function = "manage-leads"
+      }
+      # Access audit log
+      audit_log = {
+        path     = "audit-log"
+        methods  = ["GET", "OPTIONS"]
+        function = "audit-log"
+      }
+    },
+    { for name, route in {
+      webhooks = {
+        path     = "webhooks"
+        methods  = ["GET", "POST", "PATCH", "DELETE", "OPTIONS"]
+        function = "webhooks"
+      }
+      webhook_deliveries = {
+        path     = "webhooks/deliveries"
+        methods  = ["GET", "OPTIONS"]
+        function = "webhook-deliveries"
+      }
+    } : name => route if var.enable_webhooks }
+  )
 }
 
 # DynamoDB Table for storing leads
@@ -36,6 +148,14 @@ module "dynamodb" {
   enable_encryption             = true
   enable_point_in_time_recovery = true
   enable_monitoring             = true
+
+  # Expires leads that never confirm their double opt-in link
+  enable_ttl    = true
+  ttl_attribute = "expiresAt"
+
+  # The stream feeds the webhook dispatch function
+  enable_streams   = var.enable_webhooks
+  stream_view_type = "NEW_AND_OLD_IMAGES"
   
   tags = local.common_tags
 }
@@ -57,6 +177,11 @@ module "lambda" {
   dynamodb_table_name = module.dynamodb.table_name
   dynamodb_table_arn  = module.dynamodb.table_arn
 
+  # The other tables (submission history, ...) and the table name variables
+  additional_dynamodb_table_arns = module.dynamodb.additional_table_arns
+  table_environment_variables    = module.dynamodb.table_environment_variables
+  audit_log_table_arns           = module.dynamodb.audit_log_table_arns
+
   # CORS configuration
   cors_allow_origin = var.cors_allow_origin
 
@@ -67,6 +192,23 @@ module "lambda" {
   enable_monitoring    = true
   log_retention_days   = 14
 
+  # Admin and integration endpoints, routed by the API Gateway module
+  api_functions = {
+    for name, handler in local.api_handlers : name => {
+      zip_path = var.handlers_lambda_zip_path
+      handler  = handler
+    }
+  }
+
+  # Export worker and the bucket for export files
+  enable_exports          = true
+  exports_lambda_zip_path = var.handlers_lambda_zip_path
+
+  # Webhook dispatch from the leads table stream, with queued retries
+  enable_webhooks          = var.enable_webhooks
+  webhooks_lambda_zip_path = var.handlers_lambda_zip_path
+  dynamodb_stream_arn      = module.dynamodb.table_stream_arn
+
   tags = local.common_tags
 }
 
@@ -84,6 +226,10 @@ module "api_gateway" {
   submit_lambda_function_name = module.lambda.submit_lambda_function_name
   get_lambda_function_name    = module.lambda.get_lambda_function_name
 
+  # Admin and integration endpoints
+  api_functions = module.lambda.api_functions
+  api_routes    = local.api_routes
+
   # CORS configuration
   cors_allow_origin = var.cors_allow_origin
 
@@ -18,6 +18,18 @@ variable "get_lambda_zip_path" {
   default     = "../../../dist/get-leads.zip"
 }
 
+variable "handlers_lambda_zip_path" {
+  description = "Path to the Lambda ZIP file holding every handler (webhook, admin and integration functions)"
+  type        = string
+  default     = "../../../dist/handlers.zip"
+}
+
+variable "enable_webhooks" {
+  description = "Deliver lead events to registered webhook endpoints (enables the leads table stream)"
+  type        = bool
+  default     = false
+}
+
 variable "cors_allow_origin" {
   description = "CORS allowed origin for API requests"
   type        = string
@@ -17,6 +17,12 @@ variable "get_lambda_zip_path" {
   type        = string
 }
 
+variable "handlers_lambda_zip_path" {
+  description = "Path to the Lambda ZIP file holding every handler (webhook, admin and integration functions)"
+  type        = string
+  default     = "./dist/handlers.zip"
+}
+
 variable "submit_lambda_environment_variables" {
   description = "Additional environment variables for submit Lambda function"
   type        = map(string)
@@ -96,6 +102,12 @@ variable "enable_real_time_processing" {
   default     = false
 }
 
+variable "enable_webhooks" {
+  description = "Deliver lead events to registered webhook endpoints (enables the leads table stream)"
+  type        = bool
+  default     = false
+}
+
 # API Gateway Configuration
 variable "cors_allow_origin" {
   description = "CORS allowed origin for API requests"
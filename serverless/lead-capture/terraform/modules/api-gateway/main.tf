@@ -19,6 +19,8 @@ resource "aws_api_gateway_deployment" "lead_capture_deployment" {
     aws_api_gateway_integration.leads_post_integration,
     aws_api_gateway_integration.leads_get_integration,
     aws_api_gateway_integration.leads_options_integration,
+    aws_api_gateway_method.route,
+    aws_api_gateway_integration.route,
   ]
 
   rest_api_id = aws_api_gateway_rest_api.lead_capture_api.id
@@ -32,6 +34,8 @@ resource "aws_api_gateway_deployment" "lead_capture_deployment" {
       aws_api_gateway_method.leads_get.id,
       aws_api_gateway_method.leads_get.api_key_required,
       aws_api_gateway_method.leads_options.id,
+      [for key, method in aws_api_gateway_method.route : method.id],
+      [for key, integration in aws_api_gateway_integration.route : integration.uri],
     ]))
   }
 
@@ -151,7 +155,7 @@ resource "aws_api_gateway_integration_response" "leads_options_integration_respo
 
   response_parameters = {
     "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"
-    "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Methods" = "'${join(",", distinct(concat(["GET", "POST"], local.leads_route_methods, ["OPTIONS"])))}'"
     "method.response.header.Access-Control-Allow-Origin"  = var.cors_allow_origin
   }
 
@@ -184,6 +188,72 @@ resource "aws_api_gateway_method_response" "leads_get_response" {
   }
 }
 
+# Routes to the api_functions: /<path> or /leads/<path>, one resource per path segment
+locals {
+  route_paths = distinct([for route in values(var.api_routes) : route.path])
+
+  # First segments below the API root besides the existing /leads resource
+  route_top_paths = distinct([
+    for path in local.route_paths : split("/", path)[0] if split("/", path)[0] != "leads"
+  ])
+  route_nested_paths = [for path in local.route_paths : path if length(split("/", path)) == 2]
+
+  route_resource_ids = merge(
+    { leads = aws_api_gateway_resource.leads.id },
+    { for path, resource in aws_api_gateway_resource.route_top : path => resource.id },
+    { for path, resource in aws_api_gateway_resource.route_nested : path => resource.id }
+  )
+
+  route_methods = merge([
+    for name, route in var.api_routes : {
+      for method in route.methods : "${method} /${route.path}" => {
+        path     = route.path
+        method   = method
+        function = route.function
+      }
+    }
+  ]...)
+
+  # Methods the api_functions add to /leads, announced by its OPTIONS response
+  leads_route_methods = flatten([for route in values(var.api_routes) : route.methods if route.path == "leads"])
+}
+
+resource "aws_api_gateway_resource" "route_top" {
+  for_each    = toset(local.route_top_paths)
+  rest_api_id = aws_api_gateway_rest_api.lead_capture_api.id
+  parent_id   = aws_api_gateway_rest_api.lead_capture_api.root_resource_id
+  path_part   = each.value
+}
+
+resource "aws_api_gateway_resource" "route_nested" {
+  for_each    = toset(local.route_nested_paths)
+  rest_api_id = aws_api_gateway_rest_api.lead_capture_api.id
+  parent_id = (split("/", each.value)[0] == "leads"
+    ? aws_api_gateway_resource.leads.id
+    : aws_api_gateway_resource.route_top[split("/", each.value)[0]].id)
+  path_part = split("/", each.value)[1]
+}
+
+# The handlers authenticate requests (API keys or bearer tokens) and answer CORS preflights themselves
+resource "aws_api_gateway_method" "route" {
+  for_each      = local.route_methods
+  rest_api_id   = aws_api_gateway_rest_api.lead_capture_api.id
+  resource_id   = local.route_resource_ids[each.value.path]
+  http_method   = each.value.method
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "route" {
+  for_each    = local.route_methods
+  rest_api_id = aws_api_gateway_rest_api.lead_capture_api.id
+  resource_id = local.route_resource_ids[each.value.path]
+  http_method = aws_api_gateway_method.route[each.key].http_method
+
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = var.api_functions[each.value.function].invoke_arn
+}
+
 # Custom Domain (optional)
 resource "aws_api_gateway_domain_name" "lead_capture_domain" {
   count           = var.custom_domain_name != "" ? 1 : 0
@@ -259,4 +329,13 @@ resource "aws_lambda_permission" "api_gateway_get_lambda" {
   function_name = var.get_lambda_function_name
   principal     = "apigateway.amazonaws.com"
   source_arn    = "${aws_api_gateway_rest_api.lead_capture_api.execution_arn}/*/*"
-}
\ No newline at end of file
+}
+
+resource "aws_lambda_permission" "api_gateway_route_lambda" {
+  for_each      = var.api_routes
+  statement_id  = "AllowExecutionFromAPIGateway-${each.key}"
+  action        = "lambda:InvokeFunction"
+  function_name = var.api_functions[each.value.function].function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.lead_capture_api.execution_arn}/*/*"
+}
@@ -49,6 +49,11 @@ output "leads_resource_id" {
   value       = aws_api_gateway_resource.leads.id
 }
 
+output "route_resource_ids" {
+  description = "IDs of the api_routes resources by path"
+  value       = local.route_resource_ids
+}
+
 # Custom Domain Outputs
 output "custom_domain_name" {
   description = "Custom domain name (if configured)"
@@ -36,6 +36,38 @@ variable "get_lambda_function_name" {
   type        = string
 }
 
+variable "api_functions" {
+  description = "API handler functions by name (the lambda module's api_functions output)"
+  type = map(object({
+    function_name = string
+    invoke_arn    = string
+  }))
+  default = {}
+}
+
+variable "api_routes" {
+  description = "Routes to the api_functions by name: a path below the API root (\"keys\", \"webhooks/deliveries\", \"leads/stats\", ...), its methods including OPTIONS, and the api_functions entry serving it"
+  type = map(object({
+    path     = string
+    methods  = list(string)
+    function = string
+  }))
+  default = {}
+
+  validation {
+    condition     = alltrue([for route in values(var.api_routes) : length(split("/", route.path)) <= 2])
+    error_message = "Route paths can have at most two segments."
+  }
+
+  validation {
+    condition = alltrue([
+      for route in values(var.api_routes) :
+      route.path != "leads" || length(setintersection(route.methods, ["GET", "POST", "OPTIONS"])) == 0
+    ])
+    error_message = "GET, POST and OPTIONS on /leads are served by the submit and get functions."
+  }
+}
+
 variable "cors_allow_origin" {
   description = "CORS allowed origin for API requests"
   type        = string
@@ -52,6 +52,12 @@ resource "aws_dynamodb_table" "leads_table" {
     type = "S"
   }
 
+  # Time bucket GSI attribute (YYYY-MM of the range key)
+  attribute {
+    name = "timeBucket"
+    type = "S"
+  }
+
   # Global Secondary Index for email lookups
   global_secondary_index {
     name            = "email-index"
@@ -74,6 +80,17 @@ resource "aws_dynamodb_table" "leads_table" {
     write_capacity = var.billing_mode == "PROVISIONED" ? var.gsi_write_capacity : null
   }
 
+  # Global Secondary Index for date-range listings and counts, one partition per month
+  global_secondary_index {
+    name            = "timeBucket-index"
+    hash_key        = "timeBucket"
+    range_key       = var.range_key
+    projection_type = "ALL"
+
+    read_capacity  = var.billing_mode == "PROVISIONED" ? var.gsi_read_capacity : null
+    write_capacity = var.billing_mode == "PROVISIONED" ? var.gsi_write_capacity : null
+  }
+
   # TTL configuration
   ttl {
     attribute_name = var.ttl_attribute
@@ -103,6 +120,461 @@ resource "aws_dynamodb_table" "leads_table" {
   }
 }
 
+# Tables besides the leads table share its billing mode, capacity and encryption settings
+locals {
+  provisioned            = var.billing_mode == "PROVISIONED"
+  submissions_table_name = coalesce(var.submissions_table_name, "${var.table_name}-submissions")
+}
+
+# Submission history, one item per form submission of a contact
+resource "aws_dynamodb_table" "submissions_table" {
+  name         = local.submissions_table_name
+  billing_mode = var.billing_mode
+  hash_key     = "submissionId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "submissionId"
+    type = "S"
+  }
+
+  attribute {
+    name = "leadId"
+    type = "S"
+  }
+
+  attribute {
+    name = "submittedAt"
+    type = "S"
+  }
+
+  attribute {
+    name = "timeBucket"
+    type = "S"
+  }
+
+  # Submission history of a contact, most recent first
+  global_secondary_index {
+    name            = "leadId-index"
+    hash_key        = "leadId"
+    range_key       = "submittedAt"
+    projection_type = "ALL"
+
+    read_capacity  = local.provisioned ? var.gsi_read_capacity : null
+    write_capacity = local.provisioned ? var.gsi_write_capacity : null
+  }
+
+  # Date-range listings of submissions, one partition per month
+  global_secondary_index {
+    name            = "timeBucket-index"
+    hash_key        = "timeBucket"
+    range_key       = "submittedAt"
+    projection_type = "ALL"
+
+    read_capacity  = local.provisioned ? var.gsi_read_capacity : null
+    write_capacity = local.provisioned ? var.gsi_write_capacity : null
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = local.submissions_table_name
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
+# Webhook endpoint registrations
+resource "aws_dynamodb_table" "webhooks_table" {
+  name         = "${var.table_name}-webhooks"
+  billing_mode = var.billing_mode
+  hash_key     = "webhookId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "webhookId"
+    type = "S"
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-webhooks"
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
+# Webhook delivery log, expired after WEBHOOK_DELIVERY_RETENTION_DAYS
+resource "aws_dynamodb_table" "webhook_deliveries_table" {
+  name         = "${var.table_name}-webhook-deliveries"
+  billing_mode = var.billing_mode
+  hash_key     = "deliveryId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "deliveryId"
+    type = "S"
+  }
+
+  attribute {
+    name = "webhookId"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  # Deliveries of an endpoint, most recent first
+  global_secondary_index {
+    name            = "webhookId-index"
+    hash_key        = "webhookId"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+
+    read_capacity  = local.provisioned ? var.gsi_read_capacity : null
+    write_capacity = local.provisioned ? var.gsi_write_capacity : null
+  }
+
+  ttl {
+    attribute_name = "ttl"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-webhook-deliveries"
+  })
+}
+
+# Erasure records of data-subject requests, keyed by the hash of the erased address
+resource "aws_dynamodb_table" "erasure_tombstones_table" {
+  name         = "${var.table_name}-erasure-tombstones"
+  billing_mode = var.billing_mode
+  hash_key     = "emailHash"
+  range_key    = "erasedAt"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "emailHash"
+    type = "S"
+  }
+
+  attribute {
+    name = "erasedAt"
+    type = "S"
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-erasure-tombstones"
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
+# Proof-of-work challenge IDs already used, kept until the challenge expires
+resource "aws_dynamodb_table" "pow_challenges_table" {
+  name         = "${var.table_name}-pow-challenges"
+  billing_mode = var.billing_mode
+  hash_key     = "challengeId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "challengeId"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-pow-challenges"
+  })
+}
+
+# Sliding-window rate limit counters, expired once no window needs them
+resource "aws_dynamodb_table" "rate_limits_table" {
+  name         = "${var.table_name}-rate-limits"
+  billing_mode = var.billing_mode
+  hash_key     = "rateLimitKey"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "rateLimitKey"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "ttl"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-rate-limits"
+  })
+}
+
+# Daily submission counters, one partition per day
+resource "aws_dynamodb_table" "analytics_table" {
+  name         = "${var.table_name}-analytics"
+  billing_mode = var.billing_mode
+  hash_key     = "period"
+  range_key    = "counter"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "period"
+    type = "S"
+  }
+
+  attribute {
+    name = "counter"
+    type = "S"
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-analytics"
+  })
+}
+
+# Export jobs, expired EXPORT_JOB_RETENTION_DAYS after creation
+resource "aws_dynamodb_table" "export_jobs_table" {
+  name         = "${var.table_name}-export-jobs"
+  billing_mode = var.billing_mode
+  hash_key     = "jobId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "jobId"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-export-jobs"
+  })
+}
+
+# Scoped API keys, stored as hashes
+resource "aws_dynamodb_table" "api_keys_table" {
+  name         = "${var.table_name}-api-keys"
+  billing_mode = var.billing_mode
+  hash_key     = "keyId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "keyId"
+    type = "S"
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-api-keys"
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
+# Access audit log; the lambda module grants append-only access to both audit tables
+# Entries expire only when AUDIT_LOG_RETENTION_DAYS sets their expiresAt attribute
+resource "aws_dynamodb_table" "audit_log_table" {
+  name         = "${var.table_name}-audit-log"
+  billing_mode = var.billing_mode
+  hash_key     = "auditId"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "auditId"
+    type = "S"
+  }
+
+  attribute {
+    name = "actorKey"
+    type = "S"
+  }
+
+  attribute {
+    name = "timestamp"
+    type = "S"
+  }
+
+  attribute {
+    name = "timeBucket"
+    type = "S"
+  }
+
+  # Entries of one caller, most recent first
+  global_secondary_index {
+    name            = "actorKey-index"
+    hash_key        = "actorKey"
+    range_key       = "timestamp"
+    projection_type = "ALL"
+
+    read_capacity  = local.provisioned ? var.gsi_read_capacity : null
+    write_capacity = local.provisioned ? var.gsi_write_capacity : null
+  }
+
+  # Date-range listings of entries, one partition per month
+  global_secondary_index {
+    name            = "timeBucket-index"
+    hash_key        = "timeBucket"
+    range_key       = "timestamp"
+    projection_type = "ALL"
+
+    read_capacity  = local.provisioned ? var.gsi_read_capacity : null
+    write_capacity = local.provisioned ? var.gsi_write_capacity : null
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-audit-log"
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
+# Audit entries by lead, one item per lead an entry touched
+resource "aws_dynamodb_table" "audit_log_leads_table" {
+  name         = "${var.table_name}-audit-log-leads"
+  billing_mode = var.billing_mode
+  hash_key     = "leadId"
+  range_key    = "entryKey"
+
+  read_capacity  = local.provisioned ? var.read_capacity : null
+  write_capacity = local.provisioned ? var.write_capacity : null
+
+  attribute {
+    name = "leadId"
+    type = "S"
+  }
+
+  attribute {
+    name = "entryKey"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = var.enable_encryption
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  tags = merge(var.tags, {
+    Name = "${var.table_name}-audit-log-leads"
+  })
+
+  lifecycle {
+    prevent_destroy = true
+  }
+}
+
 # Note: DynamoDB backups are managed through point-in-time recovery
 # Manual backups can be created using AWS CLI or console if needed
 
@@ -23,6 +23,108 @@ output "table_stream_label" {
   value       = var.enable_streams ? aws_dynamodb_table.leads_table.stream_label : ""
 }
 
+output "submissions_table_name" {
+  description = "Name of the submission history table"
+  value       = aws_dynamodb_table.submissions_table.name
+}
+
+output "submissions_table_arn" {
+  description = "ARN of the submission history table"
+  value       = aws_dynamodb_table.submissions_table.arn
+}
+
+output "webhooks_table_name" {
+  description = "Name of the webhook registrations table"
+  value       = aws_dynamodb_table.webhooks_table.name
+}
+
+output "webhook_deliveries_table_name" {
+  description = "Name of the webhook delivery log table"
+  value       = aws_dynamodb_table.webhook_deliveries_table.name
+}
+
+output "erasure_tombstones_table_name" {
+  description = "Name of the erasure tombstones table"
+  value       = aws_dynamodb_table.erasure_tombstones_table.name
+}
+
+output "pow_challenges_table_name" {
+  description = "Name of the used proof-of-work challenges table"
+  value       = aws_dynamodb_table.pow_challenges_table.name
+}
+
+output "rate_limits_table_name" {
+  description = "Name of the rate limit counters table"
+  value       = aws_dynamodb_table.rate_limits_table.name
+}
+
+output "analytics_table_name" {
+  description = "Name of the daily submission counters table"
+  value       = aws_dynamodb_table.analytics_table.name
+}
+
+output "export_jobs_table_name" {
+  description = "Name of the export jobs table"
+  value       = aws_dynamodb_table.export_jobs_table.name
+}
+
+output "api_keys_table_name" {
+  description = "Name of the API keys table"
+  value       = aws_dynamodb_table.api_keys_table.name
+}
+
+output "audit_log_table_name" {
+  description = "Name of the access audit log table"
+  value       = aws_dynamodb_table.audit_log_table.name
+}
+
+output "audit_log_leads_table_name" {
+  description = "Name of the audit log table indexed by lead"
+  value       = aws_dynamodb_table.audit_log_leads_table.name
+}
+
+output "audit_log_table_arns" {
+  description = "ARNs of the audit log tables, granted append-only access by the lambda module"
+  value = [
+    aws_dynamodb_table.audit_log_table.arn,
+    aws_dynamodb_table.audit_log_leads_table.arn,
+  ]
+}
+
+output "additional_table_arns" {
+  description = "ARNs of the tables besides the leads table that the Lambda functions read and write"
+  value = [
+    aws_dynamodb_table.submissions_table.arn,
+    aws_dynamodb_table.webhooks_table.arn,
+    aws_dynamodb_table.webhook_deliveries_table.arn,
+    aws_dynamodb_table.erasure_tombstones_table.arn,
+    aws_dynamodb_table.pow_challenges_table.arn,
+    aws_dynamodb_table.rate_limits_table.arn,
+    aws_dynamodb_table.analytics_table.arn,
+    aws_dynamodb_table.export_jobs_table.arn,
+    aws_dynamodb_table.api_keys_table.arn,
+  ]
+}
+
+output "table_environment_variables" {
+  description = "Table name environment variables the Lambda functions read (pass to the lambda module)"
+  value = {
+    LEADS_TABLE              = aws_dynamodb_table.leads_table.name
+    SUBMISSIONS_TABLE        = aws_dynamodb_table.submissions_table.name
+    WEBHOOKS_TABLE           = aws_dynamodb_table.webhooks_table.name
+    WEBHOOK_DELIVERIES_TABLE = aws_dynamodb_table.webhook_deliveries_table.name
+    ERASURE_TOMBSTONES_TABLE = aws_dynamodb_table.erasure_tombstones_table.name
+    POW_CHALLENGES_TABLE     = aws_dynamodb_table.pow_challenges_table.name
+    RATE_LIMIT_TABLE         = aws_dynamodb_table.rate_limits_table.name
+    ANALYTICS_TABLE          = aws_dynamodb_table.analytics_table.name
+    EXPORT_JOBS_TABLE        = aws_dynamodb_table.export_jobs_table.name
+    API_KEYS_TABLE           = aws_dynamodb_table.api_keys_table.name
+    AUDIT_LOG_TABLE          = aws_dynamodb_table.audit_log_table.name
+    AUDIT_LOG_LEADS_TABLE    = aws_dynamodb_table.audit_log_leads_table.name
+    LEADS_TTL_ATTRIBUTE      = var.ttl_attribute
+  }
+}
+
 output "kms_key_id" {
   description = "ID of the KMS key used for encryption (if enabled)"
   value       = var.enable_encryption ? aws_kms_key.dynamodb_key[0].key_id : ""
@@ -48,6 +150,11 @@ output "source_gsi_name" {
   value       = "source-index"
 }
 
+output "time_bucket_gsi_name" {
+  description = "Name of the time bucket Global Secondary Index"
+  value       = "timeBucket-index"
+}
+
 output "hash_key" {
   description = "Hash key of the DynamoDB table"
   value       = var.hash_key
@@ -4,6 +4,12 @@ variable "table_name" {
   default     = "lead-capture-leads"
 }
 
+variable "submissions_table_name" {
+  description = "Name of the submission history table (defaults to <table_name>-submissions)"
+  type        = string
+  default     = ""
+}
+
 variable "billing_mode" {
   description = "DynamoDB billing mode (PROVISIONED or PAY_PER_REQUEST)"
   type        = string
@@ -34,18 +34,56 @@ resource "aws_iam_role_policy" "lambda_dynamodb_policy" {
     Statement = [
       {
         Effect = "Allow"
+        # Transactions (TransactWriteItems) are authorized through the item actions plus ConditionCheckItem
         Action = [
           "dynamodb:PutItem",
           "dynamodb:GetItem",
           "dynamodb:Query",
           "dynamodb:Scan",
           "dynamodb:UpdateItem",
-          "dynamodb:DeleteItem"
+          "dynamodb:DeleteItem",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem",
+          "dynamodb:ConditionCheckItem",
+          "dynamodb:DescribeTable"
+        ]
+        Resource = concat(
+          [var.dynamodb_table_arn, "${var.dynamodb_table_arn}/index/*"],
+          flatten([for arn in var.additional_dynamodb_table_arns : [arn, "${arn}/index/*"]])
+        )
+      }
+    ]
+  })
+}
+
+# Append-only access to the audit log tables: entries can be written and read, never changed
+# (BatchWriteItem cannot be limited to puts; nothing in the code sends deletes through it)
+resource "aws_iam_role_policy" "lambda_audit_log_policy" {
+  count = length(var.audit_log_table_arns) > 0 ? 1 : 0
+  name  = "${var.function_name_prefix}-audit-log-policy"
+  role  = aws_iam_role.lambda_execution_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:BatchWriteItem",
+          "dynamodb:GetItem",
+          "dynamodb:BatchGetItem",
+          "dynamodb:Query"
         ]
-        Resource = [
-          var.dynamodb_table_arn,
-          "${var.dynamodb_table_arn}/index/*"
+        Resource = flatten([for arn in var.audit_log_table_arns : [arn, "${arn}/index/*"]])
+      },
+      {
+        Effect = "Deny"
+        Action = [
+          "dynamodb:UpdateItem",
+          "dynamodb:DeleteItem"
         ]
+        Resource = var.audit_log_table_arns
       }
     ]
   })
@@ -64,7 +102,8 @@ resource "aws_iam_role_policy" "lambda_ses_policy" {
         Effect = "Allow"
         Action = [
           "ses:SendEmail",
-          "ses:SendRawEmail"
+          "ses:SendRawEmail",
+          "ses:SendTemplatedEmail"
         ]
         Resource = "*"
       }
@@ -107,6 +146,7 @@ resource "aws_lambda_function" "submit_lead" {
         CORS_ALLOW_ORIGIN   = var.cors_allow_origin
         LOG_LEVEL          = var.log_level
       },
+      var.table_environment_variables,
       var.submit_lambda_environment_variables
     )
   }
@@ -137,6 +177,7 @@ resource "aws_lambda_function" "get_leads" {
         DYNAMODB_TABLE_NAME = var.dynamodb_table_name
         LOG_LEVEL          = var.log_level
       },
+      var.table_environment_variables,
       var.get_lambda_environment_variables
     )
   }
@@ -149,6 +190,411 @@ resource "aws_lambda_function" "get_leads" {
   tags = var.tags
 }
 
+# IAM policy for reading the leads table stream (if Mautic sync or webhooks are enabled)
+resource "aws_iam_role_policy" "lambda_stream_policy" {
+  count = var.enable_mautic_sync || var.enable_webhooks ? 1 : 0
+  name  = "${var.function_name_prefix}-stream-policy"
+  role  = aws_iam_role.lambda_execution_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:DescribeStream",
+          "dynamodb:GetRecords",
+          "dynamodb:GetShardIterator",
+          "dynamodb:ListStreams"
+        ]
+        Resource = var.dynamodb_stream_arn
+      }
+    ]
+  })
+}
+
+# CloudWatch Log Group for Mautic Sync Lambda
+resource "aws_cloudwatch_log_group" "sync_lambda_logs" {
+  count             = var.enable_mautic_sync ? 1 : 0
+  name              = "/aws/lambda/${var.function_name_prefix}-sync-mautic"
+  retention_in_days = var.log_retention_days
+
+  tags = var.tags
+}
+
+# Mautic Sync Lambda Function
+resource "aws_lambda_function" "sync_mautic" {
+  count            = var.enable_mautic_sync ? 1 : 0
+  filename         = var.sync_lambda_zip_path
+  function_name    = "${var.function_name_prefix}-sync-mautic"
+  role            = aws_iam_role.lambda_execution_role.arn
+  handler         = var.sync_lambda_handler
+  runtime         = var.runtime
+  timeout         = var.timeout
+  memory_size     = var.memory_size
+
+  source_code_hash = filebase64sha256(var.sync_lambda_zip_path)
+
+  environment {
+    variables = merge(
+      {
+        DYNAMODB_TABLE_NAME = var.dynamodb_table_name
+        LOG_LEVEL          = var.log_level
+      },
+      var.table_environment_variables,
+      var.sync_lambda_environment_variables
+    )
+  }
+
+  depends_on = [
+    aws_iam_role_policy_attachment.lambda_basic_execution,
+    aws_cloudwatch_log_group.sync_lambda_logs,
+  ]
+
+  tags = var.tags
+}
+
+# Trigger the Mautic sync function from the leads table stream
+resource "aws_lambda_event_source_mapping" "sync_mautic_stream" {
+  count             = var.enable_mautic_sync ? 1 : 0
+  event_source_arn  = var.dynamodb_stream_arn
+  function_name     = aws_lambda_function.sync_mautic[0].arn
+  starting_position = "LATEST"
+  batch_size        = var.sync_batch_size
+
+  depends_on = [aws_iam_role_policy.lambda_stream_policy]
+}
+
+# CloudWatch Log Groups for the API handler functions
+resource "aws_cloudwatch_log_group" "api_lambda_logs" {
+  for_each          = var.api_functions
+  name              = "/aws/lambda/${var.function_name_prefix}-${each.key}"
+  retention_in_days = var.log_retention_days
+
+  tags = var.tags
+}
+
+# API handler functions besides submit and get (webhook, key and lead admin endpoints, ...)
+resource "aws_lambda_function" "api" {
+  for_each         = var.api_functions
+  filename         = each.value.zip_path
+  function_name    = "${var.function_name_prefix}-${each.key}"
+  role            = aws_iam_role.lambda_execution_role.arn
+  handler         = each.value.handler
+  runtime         = var.runtime
+  timeout         = var.timeout
+  memory_size     = var.memory_size
+
+  source_code_hash = filebase64sha256(each.value.zip_path)
+
+  environment {
+    variables = merge(
+      {
+        DYNAMODB_TABLE_NAME = var.dynamodb_table_name
+        CORS_ALLOW_ORIGIN   = var.cors_allow_origin
+        LOG_LEVEL          = var.log_level
+      },
+      var.table_environment_variables,
+      local.export_environment_variables,
+      var.api_lambda_environment_variables
+    )
+  }
+
+  depends_on = [
+    aws_iam_role_policy_attachment.lambda_basic_execution,
+    aws_cloudwatch_log_group.api_lambda_logs,
+  ]
+
+  tags = var.tags
+}
+
+# Export files, removed after export_retention_days
+resource "aws_s3_bucket" "exports" {
+  count         = var.enable_exports ? 1 : 0
+  bucket_prefix = "${var.function_name_prefix}-exports-"
+
+  tags = var.tags
+}
+
+resource "aws_s3_bucket_public_access_block" "exports" {
+  count  = var.enable_exports ? 1 : 0
+  bucket = aws_s3_bucket.exports[0].id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "exports" {
+  count  = var.enable_exports ? 1 : 0
+  bucket = aws_s3_bucket.exports[0].id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+resource "aws_s3_bucket_lifecycle_configuration" "exports" {
+  count  = var.enable_exports ? 1 : 0
+  bucket = aws_s3_bucket.exports[0].id
+
+  rule {
+    id     = "expire-exports"
+    status = "Enabled"
+
+    filter {
+      prefix = "exports/"
+    }
+
+    expiration {
+      days = var.export_retention_days
+    }
+
+    abort_incomplete_multipart_upload {
+      days_after_initiation = 1
+    }
+  }
+}
+
+# Export settings for the worker and the API handler functions that queue and poll jobs
+locals {
+  export_environment_variables = var.enable_exports ? {
+    EXPORT_RUNNER             = "lambda"
+    EXPORT_WORKER_FUNCTION    = "${var.function_name_prefix}-run-export"
+    EXPORT_STORAGE            = "s3"
+    EXPORT_BUCKET             = aws_s3_bucket.exports[0].id
+    EXPORT_JOB_RETENTION_DAYS = tostring(var.export_retention_days)
+  } : {}
+}
+
+# IAM policy for writing export files, signing their download URLs and starting the worker (if exports are enabled)
+resource "aws_iam_role_policy" "lambda_exports_policy" {
+  count = var.enable_exports ? 1 : 0
+  name  = "${var.function_name_prefix}-exports-policy"
+  role  = aws_iam_role.lambda_execution_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:PutObject",
+          "s3:GetObject",
+          "s3:AbortMultipartUpload"
+        ]
+        Resource = "${aws_s3_bucket.exports[0].arn}/exports/*"
+      },
+      {
+        Effect   = "Allow"
+        Action   = "lambda:InvokeFunction"
+        Resource = aws_lambda_function.run_export[0].arn
+      }
+    ]
+  })
+}
+
+# CloudWatch Log Group for the export worker
+resource "aws_cloudwatch_log_group" "run_export_lambda_logs" {
+  count             = var.enable_exports ? 1 : 0
+  name              = "/aws/lambda/${var.function_name_prefix}-run-export"
+  retention_in_days = var.log_retention_days
+
+  tags = var.tags
+}
+
+# Export Worker Lambda Function, invoked asynchronously for each queued job
+resource "aws_lambda_function" "run_export" {
+  count            = var.enable_exports ? 1 : 0
+  filename         = var.exports_lambda_zip_path
+  function_name    = "${var.function_name_prefix}-run-export"
+  role            = aws_iam_role.lambda_execution_role.arn
+  handler         = var.export_worker_handler
+  runtime         = var.runtime
+  timeout         = var.export_worker_timeout
+  memory_size     = var.memory_size
+
+  source_code_hash = filebase64sha256(var.exports_lambda_zip_path)
+
+  environment {
+    variables = merge(
+      {
+        DYNAMODB_TABLE_NAME = var.dynamodb_table_name
+        LOG_LEVEL          = var.log_level
+      },
+      var.table_environment_variables,
+      local.export_environment_variables,
+      var.api_lambda_environment_variables
+    )
+  }
+
+  depends_on = [
+    aws_iam_role_policy_attachment.lambda_basic_execution,
+    aws_cloudwatch_log_group.run_export_lambda_logs,
+  ]
+
+  tags = var.tags
+}
+
+# Webhook retry queue; messages the retry function keeps failing on move to the dead-letter queue
+resource "aws_sqs_queue" "webhook_retries_dlq" {
+  count                     = var.enable_webhooks ? 1 : 0
+  name                      = "${var.function_name_prefix}-webhook-retries-dlq"
+  message_retention_seconds = 1209600
+
+  tags = var.tags
+}
+
+resource "aws_sqs_queue" "webhook_retries" {
+  count = var.enable_webhooks ? 1 : 0
+  name  = "${var.function_name_prefix}-webhook-retries"
+
+  # Six times the function timeout, as recommended for Lambda event sources
+  visibility_timeout_seconds = var.timeout * 6
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.webhook_retries_dlq[0].arn
+    maxReceiveCount     = 5
+  })
+
+  tags = var.tags
+}
+
+# IAM policy for scheduling and consuming webhook retries (if webhooks are enabled)
+resource "aws_iam_role_policy" "lambda_webhook_queue_policy" {
+  count = var.enable_webhooks ? 1 : 0
+  name  = "${var.function_name_prefix}-webhook-queue-policy"
+  role  = aws_iam_role.lambda_execution_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:SendMessage",
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:GetQueueAttributes"
+        ]
+        Resource = aws_sqs_queue.webhook_retries[0].arn
+      }
+    ]
+  })
+}
+
+# CloudWatch Log Groups for the webhook functions
+resource "aws_cloudwatch_log_group" "dispatch_webhooks_lambda_logs" {
+  count             = var.enable_webhooks ? 1 : 0
+  name              = "/aws/lambda/${var.function_name_prefix}-dispatch-webhooks"
+  retention_in_days = var.log_retention_days
+
+  tags = var.tags
+}
+
+resource "aws_cloudwatch_log_group" "retry_webhooks_lambda_logs" {
+  count             = var.enable_webhooks ? 1 : 0
+  name              = "/aws/lambda/${var.function_name_prefix}-retry-webhooks"
+  retention_in_days = var.log_retention_days
+
+  tags = var.tags
+}
+
+# Webhook Dispatch Lambda Function (first attempt of every delivery)
+resource "aws_lambda_function" "dispatch_webhooks" {
+  count            = var.enable_webhooks ? 1 : 0
+  filename         = var.webhooks_lambda_zip_path
+  function_name    = "${var.function_name_prefix}-dispatch-webhooks"
+  role            = aws_iam_role.lambda_execution_role.arn
+  handler         = var.webhook_dispatch_handler
+  runtime         = var.runtime
+  timeout         = var.timeout
+  memory_size     = var.memory_size
+
+  source_code_hash = filebase64sha256(var.webhooks_lambda_zip_path)
+
+  environment {
+    variables = merge(
+      {
+        DYNAMODB_TABLE_NAME     = var.dynamodb_table_name
+        LOG_LEVEL              = var.log_level
+        WEBHOOK_RETRY_RUNNER    = "sqs"
+        WEBHOOK_RETRY_QUEUE_URL = aws_sqs_queue.webhook_retries[0].url
+      },
+      var.table_environment_variables,
+      var.webhooks_lambda_environment_variables
+    )
+  }
+
+  depends_on = [
+    aws_iam_role_policy_attachment.lambda_basic_execution,
+    aws_cloudwatch_log_group.dispatch_webhooks_lambda_logs,
+  ]
+
+  tags = var.tags
+}
+
+# Webhook Retry Lambda Function (later attempts, from the retry queue)
+resource "aws_lambda_function" "retry_webhooks" {
+  count            = var.enable_webhooks ? 1 : 0
+  filename         = var.webhooks_lambda_zip_path
+  function_name    = "${var.function_name_prefix}-retry-webhooks"
+  role            = aws_iam_role.lambda_execution_role.arn
+  handler         = var.webhook_retry_handler
+  runtime         = var.runtime
+  timeout         = var.timeout
+  memory_size     = var.memory_size
+
+  source_code_hash = filebase64sha256(var.webhooks_lambda_zip_path)
+
+  environment {
+    variables = merge(
+      {
+        DYNAMODB_TABLE_NAME     = var.dynamodb_table_name
+        LOG_LEVEL              = var.log_level
+        WEBHOOK_RETRY_RUNNER    = "sqs"
+        WEBHOOK_RETRY_QUEUE_URL = aws_sqs_queue.webhook_retries[0].url
+      },
+      var.table_environment_variables,
+      var.webhooks_lambda_environment_variables
+    )
+  }
+
+  depends_on = [
+    aws_iam_role_policy_attachment.lambda_basic_execution,
+    aws_cloudwatch_log_group.retry_webhooks_lambda_logs,
+  ]
+
+  tags = var.tags
+}
+
+# Trigger the webhook dispatch function from the leads table stream
+# A record that fails to dispatch is reported back and retried from, instead of failing the whole batch
+resource "aws_lambda_event_source_mapping" "dispatch_webhooks_stream" {
+  count                   = var.enable_webhooks ? 1 : 0
+  event_source_arn        = var.dynamodb_stream_arn
+  function_name           = aws_lambda_function.dispatch_webhooks[0].arn
+  starting_position       = "LATEST"
+  batch_size              = var.webhook_batch_size
+  function_response_types = ["ReportBatchItemFailures"]
+
+  depends_on = [aws_iam_role_policy.lambda_stream_policy]
+}
+
+# Trigger the webhook retry function from the retry queue
+resource "aws_lambda_event_source_mapping" "retry_webhooks_queue" {
+  count                   = var.enable_webhooks ? 1 : 0
+  event_source_arn        = aws_sqs_queue.webhook_retries[0].arn
+  function_name           = aws_lambda_function.retry_webhooks[0].arn
+  batch_size              = var.webhook_batch_size
+  function_response_types = ["ReportBatchItemFailures"]
+
+  depends_on = [aws_iam_role_policy.lambda_webhook_queue_policy]
+}
+
 # CloudWatch Alarms for monitoring
 resource "aws_cloudwatch_metric_alarm" "submit_lambda_errors" {
   count = var.enable_monitoring ? 1 : 0
@@ -56,4 +56,54 @@ output "submit_lambda_log_group_arn" {
 output "get_lambda_log_group_arn" {
   description = "ARN of the get Lambda CloudWatch log group"
   value       = aws_cloudwatch_log_group.get_lambda_logs.arn
-}
\ No newline at end of file
+}
+
+output "sync_lambda_function_name" {
+  description = "Name of the Mautic sync Lambda function (if enabled)"
+  value       = var.enable_mautic_sync ? aws_lambda_function.sync_mautic[0].function_name : ""
+}
+
+output "sync_lambda_function_arn" {
+  description = "ARN of the Mautic sync Lambda function (if enabled)"
+  value       = var.enable_mautic_sync ? aws_lambda_function.sync_mautic[0].arn : ""
+}
+
+output "api_functions" {
+  description = "Name and invoke ARN of each api_functions entry (pass to the api-gateway module)"
+  value = {
+    for name, function in aws_lambda_function.api : name => {
+      function_name = function.function_name
+      invoke_arn    = function.invoke_arn
+    }
+  }
+}
+
+output "dispatch_webhooks_function_name" {
+  description = "Name of the webhook dispatch Lambda function (if enabled)"
+  value       = var.enable_webhooks ? aws_lambda_function.dispatch_webhooks[0].function_name : ""
+}
+
+output "retry_webhooks_function_name" {
+  description = "Name of the webhook retry Lambda function (if enabled)"
+  value       = var.enable_webhooks ? aws_lambda_function.retry_webhooks[0].function_name : ""
+}
+
+output "webhook_retry_queue_url" {
+  description = "URL of the webhook retry queue (if enabled)"
+  value       = var.enable_webhooks ? aws_sqs_queue.webhook_retries[0].url : ""
+}
+
+output "webhook_retry_dlq_arn" {
+  description = "ARN of the dead-letter queue for webhook retry messages (if enabled)"
+  value       = var.enable_webhooks ? aws_sqs_queue.webhook_retries_dlq[0].arn : ""
+}
+
+output "run_export_function_name" {
+  description = "Name of the export worker Lambda function (if enabled)"
+  value       = var.enable_exports ? aws_lambda_function.run_export[0].function_name : ""
+}
+
+output "export_bucket_name" {
+  description = "Name of the S3 bucket for export files (if enabled)"
+  value       = var.enable_exports ? aws_s3_bucket.exports[0].id : ""
+}
@@ -72,6 +72,24 @@ variable "dynamodb_table_arn" {
   type        = string
 }
 
+variable "additional_dynamodb_table_arns" {
+  description = "ARNs of the other tables the functions read and write (the dynamodb module's additional_table_arns output)"
+  type        = list(string)
+  default     = []
+}
+
+variable "audit_log_table_arns" {
+  description = "ARNs of the audit log tables, granted append-only access (the dynamodb module's audit_log_table_arns output)"
+  type        = list(string)
+  default     = []
+}
+
+variable "table_environment_variables" {
+  description = "Table name environment variables for every function (the dynamodb module's table_environment_variables output)"
+  type        = map(string)
+  default     = {}
+}
+
 variable "cors_allow_origin" {
   description = "CORS allowed origin for API requests"
   type        = string
@@ -130,4 +148,126 @@ variable "tags" {
   description = "Tags to apply to all resources"
   type        = map(string)
   default     = {}
-}
\ No newline at end of file
+}
+
+variable "enable_mautic_sync" {
+  description = "Create the Mautic sync Lambda function triggered by the DynamoDB stream"
+  type        = bool
+  default     = false
+}
+
+variable "sync_lambda_zip_path" {
+  description = "Path to the Mautic sync Lambda function ZIP file"
+  type        = string
+  default     = ""
+}
+
+variable "sync_lambda_handler" {
+  description = "Handler for the Mautic sync Lambda function"
+  type        = string
+  default     = "sync-mautic.handler"
+}
+
+variable "dynamodb_stream_arn" {
+  description = "ARN of the leads table stream (required when enable_mautic_sync or enable_webhooks is true)"
+  type        = string
+  default     = ""
+}
+
+variable "sync_batch_size" {
+  description = "Maximum number of stream records per Mautic sync invocation"
+  type        = number
+  default     = 10
+}
+
+variable "sync_lambda_environment_variables" {
+  description = "Additional environment variables for Mautic sync Lambda function (e.g. MAUTIC_BASE_URL)"
+  type        = map(string)
+  default     = {}
+}
+
+variable "api_functions" {
+  description = "API handler functions besides submit and get, by name (e.g. webhooks = { zip_path = \"dist/handlers.zip\", handler = \"webhooks.handler\" }); each is deployed as <function_name_prefix>-<name>"
+  type = map(object({
+    zip_path = string
+    handler  = string
+  }))
+  default = {}
+}
+
+variable "api_lambda_environment_variables" {
+  description = "Additional environment variables for the api_functions"
+  type        = map(string)
+  default     = {}
+}
+
+variable "enable_webhooks" {
+  description = "Create the webhook dispatch function triggered by the DynamoDB stream, and the retry queue and function"
+  type        = bool
+  default     = false
+}
+
+variable "webhooks_lambda_zip_path" {
+  description = "Path to the ZIP file of the webhook dispatch and retry Lambda functions"
+  type        = string
+  default     = ""
+}
+
+variable "webhook_dispatch_handler" {
+  description = "Handler for the webhook dispatch Lambda function"
+  type        = string
+  default     = "dispatch-webhooks.handler"
+}
+
+variable "webhook_retry_handler" {
+  description = "Handler for the webhook retry Lambda function"
+  type        = string
+  default     = "retry-webhooks.handler"
+}
+
+variable "webhook_batch_size" {
+  description = "Maximum number of stream records or queue messages per webhook function invocation"
+  type        = number
+  default     = 10
+}
+
+variable "webhooks_lambda_environment_variables" {
+  description = "Additional environment variables for the webhook functions (e.g. WEBHOOK_MAX_ATTEMPTS)"
+  type        = map(string)
+  default     = {}
+}
+
+variable "enable_exports" {
+  description = "Create the export worker function and the S3 bucket for export files"
+  type        = bool
+  default     = false
+}
+
+variable "exports_lambda_zip_path" {
+  description = "Path to the export worker Lambda function ZIP file"
+  type        = string
+  default     = ""
+}
+
+variable "export_worker_handler" {
+  description = "Handler for the export worker Lambda function"
+  type        = string
+  default     = "run-export.handler"
+}
+
+variable "export_worker_timeout" {
+  description = "Export worker timeout in seconds (a job pages through every matching lead)"
+  type        = number
+  default     = 900
+
+  validation {
+    condition     = var.export_worker_timeout >= 1 && var.export_worker_timeout <= 900
+    error_message = "Export worker timeout must be between 1 and 900 seconds."
+  }
+}
+
+variable "export_retention_days" {
+  description = "Days export jobs and their files are kept (EXPORT_JOB_RETENTION_DAYS and the bucket lifecycle rule)"
+  type        = number
+  default     = 7
+}
@@ -97,6 +97,15 @@ resource "aws_ses_template" "welcome_email" {
   text    = var.welcome_email_text_template
 }
 
+# SES Template for double opt-in confirmation emails (optional)
+resource "aws_ses_template" "confirmation_email" {
+  count   = var.enable_confirmation_email ? 1 : 0
+  name    = var.confirmation_email_template_name
+  subject = var.confirmation_email_subject
+  html    = var.confirmation_email_html_template
+  text    = var.confirmation_email_text_template
+}
+
 # IAM Role for SES sending (for Lambda functions)
 resource "aws_iam_role" "ses_sending_role" {
   count = var.create_sending_role ? 1 : 0
@@ -50,6 +50,11 @@ output "welcome_email_template_name" {
   value       = var.enable_welcome_email ? aws_ses_template.welcome_email[0].name : ""
 }
 
+output "confirmation_email_template_name" {
+  description = "Name of the confirmation email template (if enabled)"
+  value       = var.enable_confirmation_email ? aws_ses_template.confirmation_email[0].name : ""
+}
+
 output "ses_sending_role_arn" {
   description = "ARN of the SES sending IAM role (if created)"
   value       = var.create_sending_role ? aws_iam_role.ses_sending_role[0].arn : ""
@@ -214,6 +214,57 @@ variable "welcome_email_text_template" {
   EOT
 }
 
+variable "enable_confirmation_email" {
+  description = "Enable double opt-in confirmation email template creation"
+  type        = bool
+  default     = false
+}
+
+variable "confirmation_email_template_name" {
+  description = "Name of the double opt-in confirmation email template"
+  type        = string
+  default     = "confirmation-email"
+}
+
+variable "confirmation_email_subject" {
+  description = "Subject line for confirmation emails"
+  type        = string
+  default     = "Please confirm your email address"
+}
+
+variable "confirmation_email_html_template" {
+  description = "HTML template for confirmation emails"
+  type        = string
+  default     = <<-EOT
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Confirm your email address</title>
+    </head>
+    <body>
+        <h2>Hi {{name}}, please confirm your email address</h2>
+        <p>Click the link below to confirm that you want to hear from us:</p>
+        <p><a href="{{confirmationUrl}}">Confirm my email address</a></p>
+        <p>This link expires on {{expiresAt}}. If you did not submit this request, you can ignore this email.</p>
+    </body>
+    </html>
+  EOT
+}
+
+variable "confirmation_email_text_template" {
+  description = "Text template for confirmation emails"
+  type        = string
+  default     = <<-EOT
+    Hi {{name}}, please confirm your email address
+    
+    Open the link below to confirm that you want to hear from us:
+    {{confirmationUrl}}
+    
+    This link expires on {{expiresAt}}. If you did not submit this request, you can ignore this email.
+  EOT
+}
+
 variable "tags" {
   description = "Tags to apply to all resources"
   type        = map(string)